@@ -29,13 +29,76 @@ const createAdvisorDraftTool: Tool = {
             slotEnd: { type: 'string' },
             bookingCode: { type: 'string' },
             isWaitlist: { type: 'boolean' },
-            action: { type: 'string', enum: ['created', 'rescheduled', 'cancelled'] },
+            action: { type: 'string', enum: ['created', 'rescheduled', 'cancelled', 'promoted', 'confirmed', 'details_received'] },
+            contact: {
+                type: 'object',
+                description: 'Caller contact details submitted on the secure completion page (details_received only).',
+                properties: {
+                    name: { type: 'string' },
+                    email: { type: 'string' },
+                    phone: { type: 'string' }
+                }
+            },
+            attendees: {
+                type: 'array',
+                description: 'People on the call, primary holder first.',
+                items: {
+                    type: 'object',
+                    properties: {
+                        role: { type: 'string', enum: ['primary_holder', 'joint_holder', 'nominee'] }
+                    }
+                }
+            },
+            series: {
+                type: 'object',
+                description: 'Recurring series the email covers; bookingCode is then the series code.',
+                properties: {
+                    description: { type: 'string' },
+                    occurrences: {
+                        type: 'array',
+                        items: {
+                            type: 'object',
+                            properties: {
+                                slotStart: { type: 'string' },
+                                slotEnd: { type: 'string' },
+                                bookingCode: { type: 'string' }
+                            }
+                        }
+                    }
+                }
+            },
             sendNow: { type: 'boolean', default: false, description: 'Actually send the email via SMTP/Gmail instead of just creating a draft.' }
         },
         required: ['topic', 'bookingCode', 'isWaitlist', 'action']
     },
 };
 
+const sendReminderTool: Tool = {
+    name: 'email_send_reminder',
+    description: 'Send the caller a reminder before their appointment, with the booking code, time and preparation checklist.',
+    inputSchema: {
+        type: 'object',
+        properties: {
+            topic: { type: 'string' },
+            slotStart: { type: 'string', description: 'ISO 8601 start time' },
+            slotEnd: { type: 'string', description: 'ISO 8601 end time' },
+            slotText: { type: 'string', description: 'Appointment time as shown to the caller' },
+            bookingCode: { type: 'string' },
+            lead: { type: 'string', description: 'How far ahead the appointment is, e.g. "in 24 hours"' },
+            checklist: { type: 'array', items: { type: 'string' } },
+            contact: {
+                type: 'object',
+                properties: {
+                    name: { type: 'string' },
+                    email: { type: 'string' }
+                },
+                required: ['email']
+            }
+        },
+        required: ['topic', 'bookingCode', 'contact']
+    },
+};
+
 class SMTPEmailMCPServer {
     private server: Server;
     private transporter: nodemailer.Transporter | null = null;
@@ -130,7 +193,7 @@ class SMTPEmailMCPServer {
 
     private setupHandlers() {
         this.server.setRequestHandler(ListToolsRequestSchema, async () => ({
-            tools: [createAdvisorDraftTool],
+            tools: [createAdvisorDraftTool, sendReminderTool],
         }));
 
         this.server.setRequestHandler(CallToolRequestSchema, async (request) => {
@@ -139,13 +202,16 @@ class SMTPEmailMCPServer {
             if (name === 'email_create_advisor_draft') {
                 return await this.handleCreateAdvisorDraft(args as any);
             }
+            if (name === 'email_send_reminder') {
+                return await this.handleSendReminder(args as any);
+            }
 
             throw new McpError(ErrorCode.MethodNotFound, `Unknown tool: ${name}`);
         });
     }
 
     private async handleCreateAdvisorDraft(args: any): Promise<{ content: Array<TextContent> }> {
-        const { topic, slotStart, slotEnd, bookingCode, isWaitlist, action, sendNow } = args;
+        const { topic, slotStart, slotEnd, bookingCode, isWaitlist, action, contact, attendees, series, sendNow } = args;
 
         let slotString = '';
         if (isWaitlist) {
@@ -155,6 +221,12 @@ class SMTPEmailMCPServer {
             const end = dayjs(slotEnd);
             slotString = `${start.format('dddd, D MMMM')}, ${start.format('h:mm')} to ${end.format('h:mm A')} IST`;
         }
+        if (series) {
+            const dates = (series.occurrences || []).map((occurrence: any) =>
+                `- ${dayjs(occurrence.slotStart).format('dddd, D MMMM')}, ${dayjs(occurrence.slotStart).format('h:mm')} to ${dayjs(occurrence.slotEnd).format('h:mm A')} IST (${occurrence.bookingCode})`
+            ).join('\n');
+            slotString = `Recurring series, ${series.description}\n${dates}`;
+        }
 
         const advisorEmail = process.env.ADVISOR_EMAIL || 'advisors-prebooking@company.com';
         const subject = `Tentative Advisor Q&A — ${topic} — ${bookingCode}`;
@@ -163,10 +235,13 @@ class SMTPEmailMCPServer {
 Topic: ${topic}
 
 Tentative slot: ${slotString}
-
+${attendees && attendees.length > 1 ? `\nAttendees (${attendees.length}): ${attendees.map((attendee: any) => attendee.role.replace('_', ' ')).join(', ')}\n` : ''}
 Booking code: ${bookingCode}
-
-User contact and account details will be completed via a secure portal using the booking code`;
+${action === 'promoted' ? '\nPromoted from waitlist after the slot was freed.\n' : ''}
+${contact ? `Contact details received via the secure portal:
+Name: ${contact.name}
+Email: ${contact.email}
+Phone: ${contact.phone}` : 'User contact and account details will be completed via a secure portal using the booking code'}`;
 
         let resultMsg = '';
 
@@ -242,6 +317,50 @@ ${body}`;
         };
     }
 
+    private async handleSendReminder(args: any): Promise<{ content: Array<TextContent> }> {
+        const { topic, slotStart, slotEnd, slotText, bookingCode, lead, checklist, contact } = args;
+
+        const when = slotText || `${dayjs(slotStart).format('dddd, D MMMM')}, ${dayjs(slotStart).format('h:mm')} to ${dayjs(slotEnd).format('h:mm A')} IST`;
+        const subject = `Reminder: your advisor appointment ${lead || 'is coming up'} — ${bookingCode}`;
+        const body = `Hello${contact.name ? ` ${contact.name}` : ''},
+
+This is a reminder of your advisor appointment${lead ? ` ${lead}` : ''}.
+
+Topic: ${topic}
+Time: ${when}
+Booking code: ${bookingCode}
+${checklist && checklist.length > 0 ? `\nPlease have these ready:\n${checklist.map((item: string) => `- ${item}`).join('\n')}\n` : ''}
+To reschedule or cancel, call us with your booking code.`;
+
+        let sent = false;
+        let resultMsg = '';
+        if (this.transporter) {
+            try {
+                const fromEmail = process.env.SMTP_FROM || process.env.ADVISOR_EMAIL || process.env.SMTP_USER;
+                await this.transporter.sendMail({
+                    from: fromEmail,
+                    to: contact.email,
+                    subject,
+                    text: body,
+                });
+                sent = true;
+                resultMsg = `Reminder sent for ${bookingCode}.`;
+            } catch (error: any) {
+                resultMsg = `Failed to send reminder: ${error.message}`;
+                console.error('SMTP Send Error:', error);
+            }
+        } else {
+            resultMsg = 'No SMTP transporter available to send the reminder.';
+        }
+
+        return {
+            content: [{
+                type: 'text',
+                text: JSON.stringify({ sent, message: resultMsg }),
+            }],
+        };
+    }
+
     async start() {
         await this.initializeAuth();
         const transport = new StdioServerTransport();
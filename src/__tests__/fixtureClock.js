@@ -0,0 +1,24 @@
+/**
+ * Fixture Clock
+ * Booking fixtures are dated January 2025: tests pin "now" a few days before them
+ * so the lead-time and horizon rules accept the fixtures.
+ */
+
+import { setClock } from '../utils/clock.js';
+
+export const FIXTURE_NOW = new Date('2025-01-10T00:00:00Z');
+
+/**
+ * Pin the application clock; Date and timers are left alone
+ * @param {Date|number|string} time - Instant to pin (default: FIXTURE_NOW)
+ */
+export function pinClock(time = FIXTURE_NOW) {
+  setClock(time);
+}
+
+/**
+ * Release the pinned clock
+ */
+export function releaseClock() {
+  setClock(null);
+}
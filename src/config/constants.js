@@ -20,6 +20,25 @@ export const INTENTS = {
   CHECK_AVAILABILITY: 'check_availability'
 };
 
+// Conversation languages. Hinglish is Hindi written in Latin script, usually mixed with English.
+export const LANGUAGES = {
+  ENGLISH: 'en',
+  HINDI: 'hi',
+  HINGLISH: 'hinglish'
+};
+
+export const DEFAULT_LANGUAGE = LANGUAGES.ENGLISH;
+
+// ISO 639-1 code passed to speech synthesis for each conversation language
+export const SPEECH_LANGUAGE_CODES = {
+  [LANGUAGES.ENGLISH]: 'en',
+  [LANGUAGES.HINDI]: 'hi',
+  [LANGUAGES.HINGLISH]: 'hi'
+};
+
+// Average speaking rate of the voice agent, used to estimate how much of a spoken reply was heard
+export const SPEECH_CHARS_PER_SECOND = 15;
+
 export const TIME_WINDOWS = {
   MORNING: 'morning',      // 10:00 - 12:00 IST
   AFTERNOON: 'afternoon',  // 12:00 - 16:00 IST
@@ -46,8 +65,156 @@ export const WORKING_DAYS = {
 export const WORKING_DAYS_LIST = [1, 2, 3, 4, 5, 6];
 
 export const SLOT_DURATION_MINUTES = 30;
+
+// Appointment length per topic, in minutes. Topics not listed use SLOT_DURATION_MINUTES.
+export const TOPIC_DURATION_MINUTES = {
+  [TOPICS.KYC_ONBOARDING]: 60,
+  [TOPICS.SIP_MANDATES]: 30,
+  [TOPICS.STATEMENTS_TAX]: 15,
+  [TOPICS.WITHDRAWALS_TIMELINES]: 30,
+  [TOPICS.ACCOUNT_CHANGES]: 45
+};
+
 export const WORKING_HOURS = { start: 10, end: 18 }; // 10:00 AM to 6:00 PM IST
 
+// Booking rules (see schedulingPolicy): minutes kept free between an advisor's appointments,
+// caps on bookings per IST day, how soon a slot may start and how far ahead it may be booked.
+// Each can be overridden from the environment; 0 turns a cap or the horizon off.
+export const SCHEDULING_POLICY = {
+  bufferMinutes: 10,
+  maxBookingsPerDay: 24,
+  maxBookingsPerAdvisorPerDay: 8,
+  minLeadMinutes: 120,
+  maxHorizonDays: 30
+};
+
+// Appointment reminders: how long before the slot each email goes out, and how often bookings are scanned.
+// Overridable with REMINDER_OFFSETS_MINUTES (comma-separated) and REMINDER_SCAN_INTERVAL_SECONDS.
+export const REMINDER_SCHEDULE = {
+  offsetsMinutes: [24 * 60, 60],
+  scanIntervalSeconds: 60
+};
+
+// Log files: a new JSONL file each day, or sooner when one reaches the size cap; files past the
+// retention period are deleted. Overridable with LOG_MAX_FILE_MB and LOG_RETENTION_DAYS.
+export const LOG_STORAGE = {
+  maxFileMegabytes: 10,
+  retentionDays: 14
+};
+
+// Post-call summaries: one JSON line is appended per summary. When the file is loaded, summaries of
+// calls that ended before the retention period are dropped and lines replaced by a later summary of
+// the same call are compacted away. Overridable with CALL_SUMMARY_RETENTION_DAYS; 0 keeps every summary.
+export const CALL_SUMMARY_STORAGE = {
+  retentionDays: 90
+};
+
+// LLM failover: a provider is skipped for the cool-down after this many rate-limit errors in a row
+// (or failureThreshold errors of any kind). Latency stats cover the last latencyWindow calls.
+// Overridable with LLM_CIRCUIT_COOLDOWN_SECONDS.
+export const LLM_CIRCUIT_BREAKER = {
+  rateLimitThreshold: 2,
+  failureThreshold: 5,
+  cooldownSeconds: 60,
+  latencyWindow: 50
+};
+
+// LLM response cache for intent classification and slot extraction: least recently used
+// entries are evicted past maxEntries. Overridable with LLM_CACHE_MAX_ENTRIES and
+// LLM_CACHE_TTL_SECONDS; LLM_CACHE_ENABLED=false turns it off.
+export const LLM_RESPONSE_CACHE = {
+  maxEntries: 500,
+  ttlSeconds: 3600
+};
+
+// Recurring appointment series: occurrences booked when the caller gives no count, and the most
+// a single series may hold. A series is bounded by its count rather than MAX_BOOKING_HORIZON_DAYS.
+export const RECURRING_SERIES = {
+  defaultOccurrences: 6,
+  maxOccurrences: 12
+};
+
+// Desk closures (holidays, office closures). `date` is YYYY-MM-DD for a one-off date or
+// MM-DD to repeat every year; optional `from`/`to` (HH:mm IST) make it a partial-day closure.
+// Set HOLIDAY_CALENDAR_PATH to load the list from a JSON file instead.
+export const HOLIDAY_CLOSURES = [
+  { date: '01-26', name: 'Republic Day' },
+  { date: '08-15', name: 'Independence Day' },
+  { date: '10-02', name: 'Gandhi Jayanti' },
+  { date: '12-25', name: 'Christmas' },
+  { date: '2025-10-20', name: 'Diwali' },
+  { date: '2026-03-04', name: 'Holi' },
+  { date: '2026-11-08', name: 'Diwali' }
+];
+
+// Advisor roster: each advisor has their own working days, hours (IST), topics and
+// capacity (number of appointments they can hold at the same time)
+export const ADVISOR_ROSTER = [
+  {
+    id: 'ADV-01',
+    name: 'Ananya Rao',
+    workingDays: [1, 2, 3, 4, 5, 6],
+    hours: { start: 10, end: 18 },
+    topics: TOPIC_LIST,
+    capacity: 1
+  },
+  {
+    id: 'ADV-02',
+    name: 'Vikram Mehta',
+    workingDays: [1, 2, 3, 4, 5],
+    hours: { start: 10, end: 16 },
+    topics: [TOPICS.KYC_ONBOARDING, TOPICS.ACCOUNT_CHANGES],
+    capacity: 1
+  },
+  {
+    id: 'ADV-03',
+    name: 'Farah Khan',
+    workingDays: [2, 3, 4, 5, 6],
+    hours: { start: 12, end: 18 },
+    topics: [TOPICS.SIP_MANDATES, TOPICS.STATEMENTS_TAX, TOPICS.WITHDRAWALS_TIMELINES],
+    capacity: 1
+  }
+];
+
+// Booking lifecycle: tentative -> confirmed -> completed / no-show, with cancellation
+// allowed until the appointment has happened. Waitlisted entries hold no slot.
+export const BOOKING_STATUSES = {
+  WAITLISTED: 'waitlisted',
+  TENTATIVE: 'tentative',
+  CONFIRMED: 'confirmed',
+  COMPLETED: 'completed',
+  NO_SHOW: 'no_show',
+  CANCELLED: 'cancelled'
+};
+
+export const BOOKING_STATUS_TRANSITIONS = {
+  [BOOKING_STATUSES.WAITLISTED]: [BOOKING_STATUSES.TENTATIVE, BOOKING_STATUSES.CANCELLED],
+  [BOOKING_STATUSES.TENTATIVE]: [BOOKING_STATUSES.CONFIRMED, BOOKING_STATUSES.WAITLISTED, BOOKING_STATUSES.CANCELLED],
+  [BOOKING_STATUSES.CONFIRMED]: [BOOKING_STATUSES.TENTATIVE, BOOKING_STATUSES.WAITLISTED, BOOKING_STATUSES.COMPLETED, BOOKING_STATUSES.NO_SHOW, BOOKING_STATUSES.CANCELLED],
+  [BOOKING_STATUSES.COMPLETED]: [],
+  [BOOKING_STATUSES.NO_SHOW]: [],
+  [BOOKING_STATUSES.CANCELLED]: []
+};
+
+// How a call ended, as recorded in its post-call summary
+export const CALL_OUTCOMES = {
+  BOOKED: 'booked',
+  WAITLISTED: 'waitlisted',
+  RESCHEDULED: 'rescheduled',
+  CANCELLED: 'cancelled',
+  INFORMATION_PROVIDED: 'information_provided',
+  AVAILABILITY_SHARED: 'availability_shared',
+  NO_CHANGE: 'no_change'
+};
+
+// Statuses whose booking occupies its slot
+export const SLOT_HOLDING_STATUSES = [
+  BOOKING_STATUSES.TENTATIVE,
+  BOOKING_STATUSES.CONFIRMED,
+  BOOKING_STATUSES.COMPLETED,
+  BOOKING_STATUSES.NO_SHOW
+];
+
 export const BOOKING_CODE_PATTERN = /^[A-Z]{2}-[A-Z0-9]{3,4}$/;
 
 export const PII_PATTERNS = {
@@ -68,49 +235,240 @@ export const INVESTMENT_ADVICE_KEYWORDS = [
   'good investment'
 ];
 
+// Who can be on an appointment. The caller is always the primary holder.
+export const ATTENDEE_ROLES = {
+  PRIMARY_HOLDER: 'primary_holder',
+  JOINT_HOLDER: 'joint_holder',
+  NOMINEE: 'nominee'
+};
+
+// Most people on one appointment, primary holder included. Topics not listed allow the caller only.
+export const TOPIC_ATTENDEE_LIMITS = {
+  [TOPICS.KYC_ONBOARDING]: 2,
+  [TOPICS.WITHDRAWALS_TIMELINES]: 2,
+  [TOPICS.ACCOUNT_CHANGES]: 3
+};
+
+// What to bring: `documents` for the primary holder, `perAttendee` for each additional attendee by role
 export const PREPARATION_GUIDES = {
-  [TOPICS.KYC_ONBOARDING]: [
-    'Valid government-issued ID proof (Aadhaar, PAN, Passport)',
-    'Address proof (utility bill, bank statement)',
-    'PAN card copy',
-    'Bank account details for verification'
-  ],
-  [TOPICS.SIP_MANDATES]: [
-    'Bank account details',
-    'Cancelled cheque or bank statement',
-    'Existing SIP details (if modifying)',
-    'Amount and frequency preferences'
-  ],
-  [TOPICS.STATEMENTS_TAX]: [
-    'Account number or folio number',
-    'Date range for statements',
-    'Tax year (if applicable)',
-    'Email address for document delivery'
-  ],
-  [TOPICS.WITHDRAWALS_TIMELINES]: [
-    'Account details',
-    'Withdrawal amount',
-    'Purpose of withdrawal',
-    'Bank account details for transfer'
-  ],
-  [TOPICS.ACCOUNT_CHANGES]: [
-    'Current account details',
-    'Nominee details (name, relationship, date of birth)',
-    'Updated address proof (if changing address)',
-    'Signed nomination form'
-  ]
+  [TOPICS.KYC_ONBOARDING]: {
+    documents: [
+      'Valid government-issued ID proof (Aadhaar, PAN, Passport)',
+      'Address proof (utility bill, bank statement)',
+      'PAN card copy',
+      'Bank account details for verification'
+    ],
+    perAttendee: {
+      [ATTENDEE_ROLES.JOINT_HOLDER]: ['ID proof and PAN card copy', 'Address proof']
+    }
+  },
+  [TOPICS.SIP_MANDATES]: {
+    documents: [
+      'Bank account details',
+      'Cancelled cheque or bank statement',
+      'Existing SIP details (if modifying)',
+      'Amount and frequency preferences'
+    ]
+  },
+  [TOPICS.STATEMENTS_TAX]: {
+    documents: [
+      'Account number or folio number',
+      'Date range for statements',
+      'Tax year (if applicable)',
+      'Email address for document delivery'
+    ]
+  },
+  [TOPICS.WITHDRAWALS_TIMELINES]: {
+    documents: [
+      'Account details',
+      'Withdrawal amount',
+      'Purpose of withdrawal',
+      'Bank account details for transfer'
+    ],
+    perAttendee: {
+      [ATTENDEE_ROLES.JOINT_HOLDER]: ['ID proof', 'Consent to the withdrawal (signature on the request)']
+    }
+  },
+  [TOPICS.ACCOUNT_CHANGES]: {
+    documents: [
+      'Current account details',
+      'Nominee details (name, relationship, date of birth)',
+      'Updated address proof (if changing address)',
+      'Signed nomination form'
+    ],
+    perAttendee: {
+      [ATTENDEE_ROLES.JOINT_HOLDER]: ['ID proof', 'Signature on the change request'],
+      [ATTENDEE_ROLES.NOMINEE]: ['ID proof', 'Proof of relationship to the account holder']
+    }
+  }
 };
 
 export const SYSTEM_MESSAGES = {
   GREETING: (brandName) => `Welcome to ${brandName} Advisor Desk. This is an automated assistant.`,
   DISCLAIMER: 'This call is for general information only and not investment advice. For personalized recommendations, please speak to a registered advisor.',
   PII_WARNING: 'Please do not share your phone number, email address, or account numbers on this call.',
+  HOW_CAN_WE_HELP: (options) => `How can the advisor help you? You can choose from: ${options}.`,
   PII_DETECTED: 'For your safety, please do not share phone numbers, email addresses, or account numbers on this call. Use the secure link with your booking code instead.',
   INVESTMENT_ADVICE_REFUSAL: "I'm not allowed to provide investment advice or recommendations. For that, please speak to a registered investment advisor. Would you like to book an advisor slot instead?",
   BOOKING_CODE_READ: (code) => `Your booking code is ${code}. I'll repeat that: ${code}.`,
   SECURE_URL: (url) => `To share your contact details safely, please visit: ${url} and enter your booking code. Do not share your phone or email on this call.`,
   TENTATIVE_HOLD: 'You have a tentative hold only. A member of the advisor team will confirm your appointment after reviewing your details. Thanks for calling.',
   BOOKING_CODE_NOT_FOUND: 'I could not find a booking with that code. The booking may have already been cancelled or is no longer available. Please check your email for the booking confirmation or contact our administrator for assistance.',
-  BOOKING_CODE_FORGOTTEN: 'If you have forgotten your booking code, please check your email for the booking confirmation message. If you cannot find it, please contact our administrator for assistance. Is there anything else I can help you with?'
+  BOOKING_CODE_FORGOTTEN: 'If you have forgotten your booking code, please check your email for the booking confirmation message. If you cannot find it, please contact our administrator for assistance. Is there anything else I can help you with?',
+  DESK_CLOSED: (dateStr, closure) => {
+    const toTime = (hhmm) => {
+      const [hours, minutes] = hhmm.split(':').map(Number);
+      return `${hours % 12 || 12}:${String(minutes).padStart(2, '0')} ${hours < 12 ? 'AM' : 'PM'}`;
+    };
+    let when = dateStr;
+    if (closure.from && closure.to) when += ` from ${toTime(closure.from)} to ${toTime(closure.to)} IST`;
+    else if (closure.from) when += ` from ${toTime(closure.from)} IST`;
+    else if (closure.to) when += ` until ${toTime(closure.to)} IST`;
+    return `We're closed on ${when} for ${closure.name}.`;
+  },
+  DESK_CLOSED_FOLLOW_UP: 'Would another day or time work for you?',
+  SCHEDULING_RULE: (violation, dateStr) => {
+    switch (violation.rule) {
+      case 'lead_time':
+        return `Appointments need to be booked at least ${violation.minutes} minutes ahead, so ${dateStr} is too soon.`;
+      case 'horizon':
+        return `We only take bookings up to ${violation.days} days ahead, so ${dateStr} is too far out.`;
+      case 'daily_cap':
+        return `We're fully booked on ${dateStr}; the desk takes at most ${violation.limit} appointments a day.`;
+      case 'advisor_daily_cap':
+        return `The advisor for that time already has the most appointments they can take on ${dateStr}.`;
+      default:
+        return `The advisor needs ${violation.minutes} minutes between appointments, so ${dateStr} is too close to another booking.`;
+    }
+  },
+  ATTENDEE_LIMIT: (topic, limit) => limit === 1
+    ? `${topic} appointments are for the account holder only, so no one else can join the call.`
+    : `A ${topic} appointment can have at most ${limit} people on the call, including you.`,
+  ATTENDEE_FOLLOW_UP: (limit) => limit > 1 ? 'Who will join, and which day and time works best?' : 'Which day and time works best?',
+  ATTENDEE_CHANGE_NEEDED: "I can't move this booking until fewer people are joining. Please contact our administrator to change who is on the call. Is there anything else I can help you with?",
+  TOPIC_CHOICES: 'KYC/Onboarding, SIP/Mandates, Statements and Tax Documents, Withdrawals and Timelines, or Account Changes and Nominee',
+  INTENT_CHOICES: 'book a new appointment, reschedule an appointment, cancel an appointment, know what to prepare, or check availability',
+  INTENT_NAMES: {
+    [INTENTS.BOOK_NEW]: 'book a new appointment',
+    [INTENTS.RESCHEDULE]: 'reschedule an appointment',
+    [INTENTS.CANCEL]: 'cancel an appointment',
+    [INTENTS.WHAT_TO_PREPARE]: 'know what to prepare',
+    [INTENTS.CHECK_AVAILABILITY]: 'check availability'
+  },
+  INTENT_CONFIRM: (action) => `I understand you want to ${action}. Is that correct?`,
+  INTENT_CONFIRM_AGAIN: (action) => `Just to confirm, you want to ${action}. Is that correct? (Please say yes or no)`,
+  INTENT_RETRY: (options) => `I apologize for the confusion. How can the advisor help you? You can choose from: ${options}.`,
+  INTENT_UNKNOWN: "I'm not sure how to help with that. Would you like to book an advisor appointment?",
+  TOPIC_FOR_SLOT: (options) => `Great! I'll book that slot for you. First, which topic would you like to discuss? You can choose from: ${options}.`,
+  TOPIC_QUESTION: (options) => `Great! Which topic would you like to discuss? You can choose from: ${options}.`,
+  TOPIC_CONFIRM: (topic) => `You chose ${topic}. Is that correct?`,
+  TOPIC_MISSING: (options) => `I'm sorry, I need to know the topic. How can the advisor help you? You can choose from: ${options}.`,
+  TIME_QUESTION: "Which day and time works best? You can say things like 'tomorrow afternoon' or 'Monday after 4 PM'.",
+  ATTENDEE_HINT: 'If a joint holder or nominee will join the call, tell me who as well.',
+  ATTENDEES_NOTED: (attendees) => `Got it, the appointment is for ${attendees}. Which day and time works best?`,
+  SUNDAY_CLOSED: "I understand you'd like to schedule for a Sunday, but our advisor slots are only available Monday through Saturday (10 AM to 6 PM IST). Could you please provide a working day preference?",
+  SUNDAY_CLOSED_RESCHEDULE: "I understand you'd like to reschedule to a Sunday, but our advisor slots are only available Monday through Saturday (10 AM to 6 PM IST). Could you please provide a working day preference?",
+  SUNDAY_NOT_WORKING: 'Sunday is not a working day. Advisor slots are available Monday through Saturday.',
+  BEFORE_HOURS: (start, end) => `The requested time is before business hours. Advisor slots are available from ${start} to ${end} IST.`,
+  AFTER_HOURS: (start, end) => `The requested time extends beyond business hours. Advisor slots are available from ${start} to ${end} IST.`,
+  OUTSIDE_HOURS_FOLLOW_UP: 'Would you like to check availability within these hours? You can say "tomorrow morning", "this week afternoon", or a specific day and time.',
+  TIME_UNCLEAR: (hint) => `I want to make sure I understand your preferred date and time correctly. ${hint}`,
+  TIME_UNCLEAR_RESCHEDULE: (hint) => `I want to make sure I understand your preferred reschedule date and time correctly. ${hint}`,
+  TIME_EXAMPLE: 'Could you please provide a specific weekday and time preference? For example, "Monday afternoon" or "Tuesday at 3 PM".',
+  TIME_OF_DAY_QUESTION: 'Is there a better time of day for you, like morning between 10 and 12, afternoon, or early evening?',
+  SLOT_OPTIONS: (count, dateStr, times) => `I have ${count} option${count > 1 ? 's' : ''} on ${dateStr}:\n${times}`,
+  SLOT_CHOICE: "You can choose one of these slots, or let me know if you'd prefer a different time. Which would work best for you?",
+  SLOT_CHOICE_HINT: 'You can say "1" or "2", "first" or "second", or describe the time like "3 PM" or "morning". Which would you prefer?',
+  SLOT_UNCLEAR: (lines) => `I'm not sure which option you meant. Here are the available slots:\n${lines}\n\nYou can choose one of these, or let me know if you'd prefer a different time.`,
+  SLOT_CONFIRM: (topic, slotText) => `Great. Confirming your tentative advisor slot for ${topic} on ${slotText}. Is that correct?`,
+  SLOT_FREE: (timeStr, dateStr) => `I can check that for you. Good news, ${timeStr} on ${dateStr} is available. Shall I book that slot for you?`,
+  SLOT_OFFER_AGAIN: "No problem. Let me show you the available slots again, or you can tell me a different time you'd prefer.",
+  SLOT_SELECTION_ERROR: "I'm sorry, there was an issue with the slot selection. Please try selecting a slot again.",
+  BOOKING_CODE_ERROR: "I'm sorry, there was an issue generating your booking code. Please try again.",
+  SCHEDULE_LATER: "No problem. If you'd like to schedule an appointment later, just let me know. Is there anything else I can help you with?",
+  BOOKING_CONFIRMED: ({ topic, attendees, slotText, advisor }) => `Your tentative advisor slot for ${topic}${attendees ? `, for ${attendees},` : ''} is on ${slotText}${advisor ? ` with ${advisor}` : ''}.`,
+  WAITLIST_SLOT_TAKEN: (dateStr, timeStr) => `I see that ${dateStr} at ${timeStr} IST is already booked. I can add you to a waitlist for that time slot, and the team will contact you if it becomes available. Would you like to be added to the waitlist?`,
+  WAITLIST_NO_SLOTS: (dateStr) => `I don't have any available slots in that time window on ${dateStr}. I can add you to a waitlist, and the team will contact you with available options. Would you like to be added to the waitlist?`,
+  WAITLIST_SLOT_FULL: (timeStr, dateStr) => `That time slot (${timeStr} on ${dateStr}) is currently fully booked. However, I can add you to the waitlist for it, and the team will contact you if it becomes available. Would you like to be added to the waitlist?`,
+  WAITLIST_UNCLEAR: "I didn't catch that. Would you like to be added to the waitlist? Please say yes or no.",
+  WAITLIST_DECLINED: 'No problem. Would you like to check availability for a different time? You can say "tomorrow", "this week", or a specific day and time.',
+  WAITLIST_ERROR: "I'm sorry, there was an issue with the waitlist request. Please try again.",
+  WAITLIST_JOINED: (topic, slotText) => topic && slotText
+    ? `You've been added to the waitlist for ${topic} on ${slotText}.`
+    : "I've added you to the waitlist for that time slot.",
+  WAITLIST_CODE: (code) => `Your booking code is ${code}.`,
+  WAITLIST_PROMOTION: "If this slot becomes available, you'll be moved into it automatically as a tentative hold.",
+  RESCHEDULE_CODE_REQUEST: "To reschedule, I'll use your booking code. Please share your booking code only. Do not share phone, email, or account numbers.",
+  RESCHEDULE_FOUND: (topic, slotText) => `I found your booking for ${topic} on ${slotText}. Which day and time would work better?`,
+  RESCHEDULE_TIME_QUESTION: "Which day and time would work better? You can say things like 'tomorrow afternoon' or 'Monday after 4 PM'.",
+  RESCHEDULE_OPTIONS: (lines) => `I have these available slots:\n${lines}\n\nYou can choose one of these, or let me know if you'd prefer a different time. Which would work best for you?`,
+  RESCHEDULE_NO_SLOTS: "I don't have any available slots in that time window. Would you like to try a different time?",
+  RESCHEDULE_SLOT_UNCLEAR: (lines) => `I'm not sure which slot you meant. Here are the available options:\n${lines}\n\nYou can say the number, describe the time, or let me know if you'd prefer a different time.`,
+  RESCHEDULE_CONFIRM: (slotText) => `Great. Confirming reschedule to ${slotText}. Is that correct?`,
+  RESCHEDULE_CONFIRM_AGAIN: (slotText) => `Please confirm: Is ${slotText} correct? (yes/no)`,
+  RESCHEDULE_DECLINED: 'No problem. Which day and time would work better?',
+  RESCHEDULE_SELECTION_ERROR: "I'm sorry, there was an issue with the slot selection. Please try again.",
+  RESCHEDULED: (slotText, code) => `Your appointment has been rescheduled to ${slotText}. Your booking code remains ${code}.`,
+  RESCHEDULED_TO_WAITLIST: (slotText, code) => `Your appointment has been moved to the waitlist for ${slotText}. Your booking code remains ${code}.`,
+  CONTACT_UPDATE: 'Please update your contact details using the same secure link if needed.',
+  BOOKING_LOOKUP_ERROR: "I'm sorry, I couldn't find your booking. Please try again.",
+  CANCEL_CODE_REQUEST: "To cancel, I'll need your booking code. Please share your booking code only. Do not share phone, email, or account numbers.",
+  CANCEL_FOUND: (topic, slotText) => `I found your booking for ${topic} on ${slotText}. Are you sure you want to cancel this appointment?`,
+  CANCEL_CONFIRM_AGAIN: (slotText) => `Please confirm: Do you want to cancel your appointment for ${slotText}? (yes/no)`,
+  CANCELLED: (code) => `Your tentative advisor appointment with code ${code} is now cancelled.`,
+  CANCEL_DECLINED: 'No problem. Your appointment remains scheduled. Is there anything else I can help you with?',
+  PREPARE_TOPIC_QUESTION: (options) => `Is this for ${options}?`,
+  PREPARE_INTRO: 'I can help you prepare for your advisor meeting.',
+  PREPARE_LIST: (topic, attendees, lines) => `For ${topic}${attendees ? ` (${attendees})` : ''}, please prepare:\n${lines}`,
+  PREPARE_GROUP_HINT: "If a joint holder or nominee will join the call, tell me and I'll add what they need to bring.",
+  PREPARE_BOOK_QUESTION: (topic) => `Would you like to book an appointment for ${topic}?`,
+  AVAILABILITY_QUESTION: 'Are you looking for slots today, tomorrow, or this week?',
+  TODAY: 'Today',
+  TOMORROW: 'Tomorrow',
+  AVAILABILITY_DAY: (label, times) => `${label} I have: ${times}.`,
+  AVAILABILITY_BOOK_QUESTION: 'Would you like to book one of these? You can say "book slot 1" or "book the first one".',
+  AVAILABILITY_NONE: 'I don\'t have any available slots in that time window. Would you like to check a different time? You can say "tomorrow", "this week", or a specific day.',
+  ANYTHING_ELSE: 'Is there anything else I can help you with?',
+  ANYTHING_ELSE_AFTER_CANCEL: 'Is there anything else I can help you with? You can book a new appointment, check what to prepare, or ask about availability.',
+  ANYTHING_ELSE_AFTER_BOOKING: 'Is there anything else I can help you with? You can reschedule, cancel, check what to prepare, or ask about availability.',
+  SERIES_TIME_NEEDED: (example) => `What time should the appointments be? For example, "${example}".`,
+  SERIES_OTHER_PATTERN: 'Which weekday and time would work instead? For example, "every Monday at 11 AM".',
+  SERIES_UNAVAILABLE: ({ reason, closure }) => {
+    const reasons = {
+      closed: `the desk is closed for ${closure}`,
+      outside_hours: 'outside desk hours',
+      too_soon: 'too soon to book',
+      booked: 'already booked',
+      taken: 'no longer available'
+    };
+    return `not available: ${reasons[reason] || reason}`;
+  },
+  SERIES_NONE_FREE: (pattern, lines) => `None of those dates are available for ${pattern}:\n${lines}`,
+  SERIES_OFFER: (pattern, topic, lines) => `Here is ${pattern} for ${topic}:\n${lines}`,
+  SERIES_BOOK_QUESTION: (count) => `Shall I book the ${count} available date${count > 1 ? 's' : ''}?`,
+  SERIES_MOVE_QUESTION: (count) => `Shall I move the series to the ${count} available date${count > 1 ? 's' : ''}? Any appointment whose new date is not available keeps its current time.`,
+  SERIES_DECLINED: 'No problem. Which day and time would you prefer instead? You can ask for a single appointment or a repeating one, like "every Tuesday at 3 PM".',
+  SERIES_MOVE_DECLINED: 'No problem. Which weekday and time should the series move to instead?',
+  SERIES_TAKEN: "I'm sorry, those dates were taken while we were talking, so nothing was booked.",
+  SERIES_APPOINTMENT: (slotText, code, isWaitlist) => `${slotText}, code ${code}${isWaitlist ? ' (waitlisted)' : ''}`,
+  SERIES_BOOKED: (seriesCode, topic, lines) => `Your series code is ${seriesCode}. I'll repeat that: ${seriesCode}. Use it to reschedule or cancel the whole series; each appointment also has its own code.\n\nBooked for ${topic}:\n${lines}`,
+  SERIES_NOT_BOOKED: (lines) => `Not booked:\n${lines}`,
+  SERIES_MOVED: (seriesCode, pattern, lines) => `Your series ${seriesCode} has been rescheduled to ${pattern}:\n${lines}`,
+  SERIES_KEPT: (lines) => `Kept at their current time:\n${lines}`,
+  SERIES_MOVE_TAKEN: (seriesCode) => `I'm sorry, those dates were taken while we were talking, so your series ${seriesCode} keeps its current times.`,
+  SERIES_CANCELLED: (seriesCode, count) => `All ${count} remaining appointment${count > 1 ? 's' : ''} in series ${seriesCode} ${count > 1 ? 'are' : 'is'} now cancelled.`,
+  SERIES_FOUND: (seriesCode, topic, count, next) => `I found your series ${seriesCode} for ${topic} with ${count} remaining appointment${count > 1 ? 's' : ''}, the next on ${next}.`,
+  SERIES_CANCEL_QUESTION: 'Are you sure you want to cancel the whole series? To cancel a single appointment, use its own booking code instead.',
+  SERIES_MOVE_PATTERN_QUESTION: 'Which weekday and time should the series move to? For example, "every second Tuesday at 3 PM". To move a single appointment, use its own booking code instead.',
+  SERIES_NEW_PATTERN_NEEDED: 'To move the whole series, tell me the new pattern, for example "every second Tuesday at 3 PM".',
+  LANGUAGE_CHANGED: 'Sure, I will continue in English.',
+  BOOKING_CLOSED: (code, status, operation) => {
+    const reasons = {
+      completed: 'has already taken place',
+      no_show: 'was closed after the appointment was missed',
+      cancelled: 'has already been cancelled'
+    };
+    return `The appointment with code ${code} ${reasons[status] || `is ${status}`}, so I can't ${operation} it. Would you like to book a new appointment instead?`;
+  }
 };
 
@@ -0,0 +1,364 @@
+/**
+ * Localised System Messages
+ * Hindi and Hinglish catalogues for SYSTEM_MESSAGES. Keys missing from a
+ * catalogue fall back to the English message.
+ */
+
+import { SYSTEM_MESSAGES, LANGUAGES, DEFAULT_LANGUAGE, INTENTS } from './constants.js';
+
+/**
+ * Format HH:mm as h:mm AM/PM
+ * @private
+ */
+function toTime(hhmm) {
+  const [hours, minutes] = hhmm.split(':').map(Number);
+  return `${hours % 12 || 12}:${String(minutes).padStart(2, '0')} ${hours < 12 ? 'AM' : 'PM'}`;
+}
+
+const HINDI_MESSAGES = {
+  GREETING: (brandName) => `${brandName} एडवाइज़र डेस्क में आपका स्वागत है। यह एक स्वचालित सहायक है।`,
+  DISCLAIMER: 'यह कॉल केवल सामान्य जानकारी के लिए है, निवेश सलाह के लिए नहीं। व्यक्तिगत सुझावों के लिए कृपया किसी पंजीकृत सलाहकार से बात करें।',
+  PII_WARNING: 'कृपया इस कॉल पर अपना फ़ोन नंबर, ईमेल पता या खाता नंबर न बताएं।',
+  HOW_CAN_WE_HELP: (options) => `एडवाइज़र आपकी किस तरह मदद कर सकते हैं? आप इनमें से चुन सकते हैं: ${options}।`,
+  PII_DETECTED: 'आपकी सुरक्षा के लिए, कृपया इस कॉल पर फ़ोन नंबर, ईमेल पता या खाता नंबर न बताएं। इसके बजाय अपने बुकिंग कोड के साथ सुरक्षित लिंक का उपयोग करें।',
+  INVESTMENT_ADVICE_REFUSAL: 'मुझे निवेश सलाह या सुझाव देने की अनुमति नहीं है। इसके लिए कृपया किसी पंजीकृत निवेश सलाहकार से बात करें। क्या आप इसके बजाय एडवाइज़र स्लॉट बुक करना चाहेंगे?',
+  BOOKING_CODE_READ: (code) => `आपका बुकिंग कोड ${code} है। फिर से बता दें: ${code}।`,
+  SECURE_URL: (url) => `अपनी संपर्क जानकारी सुरक्षित रूप से देने के लिए कृपया ${url} पर जाएं और अपना बुकिंग कोड डालें। इस कॉल पर अपना फ़ोन नंबर या ईमेल न बताएं।`,
+  TENTATIVE_HOLD: 'यह अभी केवल एक अस्थायी बुकिंग है। आपकी जानकारी देखने के बाद एडवाइज़र टीम आपकी अपॉइंटमेंट कन्फ़र्म करेगी। कॉल करने के लिए धन्यवाद।',
+  BOOKING_CODE_NOT_FOUND: 'इस कोड से कोई बुकिंग नहीं मिली। हो सकता है बुकिंग पहले ही रद्द हो चुकी हो या अब उपलब्ध न हो। कृपया बुकिंग कन्फ़र्मेशन के लिए अपना ईमेल देखें या सहायता के लिए हमारे एडमिनिस्ट्रेटर से संपर्क करें।',
+  BOOKING_CODE_FORGOTTEN: 'अगर आप अपना बुकिंग कोड भूल गए हैं, तो कृपया अपने ईमेल में बुकिंग कन्फ़र्मेशन देखें। अगर वह न मिले, तो सहायता के लिए हमारे एडमिनिस्ट्रेटर से संपर्क करें। क्या आपको किसी और चीज़ में मदद चाहिए?',
+  DESK_CLOSED: (dateStr, closure) => {
+    let when = dateStr;
+    if (closure.from && closure.to) when += ` को ${toTime(closure.from)} से ${toTime(closure.to)} IST तक`;
+    else if (closure.from) when += ` को ${toTime(closure.from)} IST से`;
+    else if (closure.to) when += ` को ${toTime(closure.to)} IST तक`;
+    else when += ' को';
+    return `${when} ${closure.name} के कारण डेस्क बंद है।`;
+  },
+  DESK_CLOSED_FOLLOW_UP: 'क्या कोई और दिन या समय आपके लिए ठीक रहेगा?',
+  SCHEDULING_RULE: (violation, dateStr) => {
+    switch (violation.rule) {
+      case 'lead_time':
+        return `अपॉइंटमेंट कम से कम ${violation.minutes} मिनट पहले बुक करनी होती है, इसलिए ${dateStr} बहुत जल्दी है।`;
+      case 'horizon':
+        return `हम केवल ${violation.days} दिन आगे तक की बुकिंग लेते हैं, इसलिए ${dateStr} बहुत दूर है।`;
+      case 'daily_cap':
+        return `${dateStr} को सभी स्लॉट भर चुके हैं; डेस्क एक दिन में अधिकतम ${violation.limit} अपॉइंटमेंट लेता है।`;
+      case 'advisor_daily_cap':
+        return `उस समय के एडवाइज़र ${dateStr} को जितनी अपॉइंटमेंट ले सकते हैं, उतनी पहले ही ले चुके हैं।`;
+      default:
+        return `एडवाइज़र को दो अपॉइंटमेंट के बीच ${violation.minutes} मिनट चाहिए, इसलिए ${dateStr} दूसरी बुकिंग के बहुत करीब है।`;
+    }
+  },
+  ATTENDEE_LIMIT: (topic, limit) => limit === 1
+    ? `${topic} की अपॉइंटमेंट केवल खाताधारक के लिए होती है, इसलिए कॉल पर कोई और शामिल नहीं हो सकता।`
+    : `${topic} की अपॉइंटमेंट में आपको मिलाकर अधिकतम ${limit} लोग कॉल पर हो सकते हैं।`,
+  ATTENDEE_FOLLOW_UP: (limit) => limit > 1 ? 'कौन शामिल होगा, और कौन सा दिन और समय आपके लिए ठीक रहेगा?' : 'कौन सा दिन और समय आपके लिए ठीक रहेगा?',
+  ATTENDEE_CHANGE_NEEDED: 'जब तक कम लोग शामिल न हों, यह बुकिंग बदली नहीं जा सकती। कॉल पर कौन शामिल होगा, यह बदलने के लिए कृपया हमारे एडमिनिस्ट्रेटर से संपर्क करें। क्या आपको किसी और चीज़ में मदद चाहिए?',
+  TOPIC_CHOICES: 'KYC/Onboarding, SIP/Mandates, Statements and Tax Documents, Withdrawals and Timelines, या Account Changes and Nominee',
+  INTENT_CHOICES: 'नई अपॉइंटमेंट बुक करना, अपॉइंटमेंट रीशेड्यूल करना, अपॉइंटमेंट रद्द करना, तैयारी के बारे में जानना, या उपलब्धता देखना',
+  INTENT_NAMES: {
+    [INTENTS.BOOK_NEW]: 'नई अपॉइंटमेंट बुक करना',
+    [INTENTS.RESCHEDULE]: 'अपॉइंटमेंट रीशेड्यूल करना',
+    [INTENTS.CANCEL]: 'अपॉइंटमेंट रद्द करना',
+    [INTENTS.WHAT_TO_PREPARE]: 'तैयारी के बारे में जानना',
+    [INTENTS.CHECK_AVAILABILITY]: 'उपलब्धता देखना'
+  },
+  INTENT_CONFIRM: (action) => `आप ${action} चाहते हैं। क्या यह सही है?`,
+  INTENT_CONFIRM_AGAIN: (action) => `एक बार पक्का कर लें: आप ${action} चाहते हैं। क्या यह सही है? (कृपया हाँ या नहीं कहें)`,
+  INTENT_RETRY: (options) => `माफ़ कीजिए, कुछ गलतफ़हमी हुई। एडवाइज़र आपकी किस तरह मदद कर सकते हैं? आप इनमें से चुन सकते हैं: ${options}।`,
+  INTENT_UNKNOWN: 'यह साफ़ नहीं है कि इसमें किस तरह मदद हो सकती है। क्या आप एडवाइज़र अपॉइंटमेंट बुक करना चाहेंगे?',
+  TOPIC_FOR_SLOT: (options) => `बढ़िया! वह स्लॉट आपके लिए बुक किया जाएगा। पहले बताइए, आप किस विषय पर बात करना चाहते हैं? आप इनमें से चुन सकते हैं: ${options}।`,
+  TOPIC_QUESTION: (options) => `बढ़िया! आप किस विषय पर बात करना चाहते हैं? आप इनमें से चुन सकते हैं: ${options}।`,
+  TOPIC_CONFIRM: (topic) => `आपने ${topic} चुना है। क्या यह सही है?`,
+  TOPIC_MISSING: (options) => `माफ़ कीजिए, विषय जानना ज़रूरी है। एडवाइज़र आपकी किस तरह मदद कर सकते हैं? आप इनमें से चुन सकते हैं: ${options}।`,
+  TIME_QUESTION: "कौन सा दिन और समय आपके लिए सबसे अच्छा रहेगा? आप 'कल दोपहर' या 'सोमवार शाम 4 बजे' जैसा कुछ कह सकते हैं।",
+  ATTENDEE_HINT: 'अगर कोई जॉइंट होल्डर या नॉमिनी भी कॉल पर शामिल होगा, तो यह भी बताइए कि कौन।',
+  ATTENDEES_NOTED: (attendees) => `ठीक है, अपॉइंटमेंट ${attendees} के लिए है। कौन सा दिन और समय आपके लिए सबसे अच्छा रहेगा?`,
+  SUNDAY_CLOSED: 'रविवार को एडवाइज़र स्लॉट उपलब्ध नहीं होते; स्लॉट केवल सोमवार से शनिवार (सुबह 10 बजे से शाम 6 बजे IST) तक मिलते हैं। कृपया कोई कामकाजी दिन बताइए।',
+  SUNDAY_CLOSED_RESCHEDULE: 'अपॉइंटमेंट रविवार पर नहीं ले जाई जा सकती; एडवाइज़र स्लॉट केवल सोमवार से शनिवार (सुबह 10 बजे से शाम 6 बजे IST) तक मिलते हैं। कृपया कोई कामकाजी दिन बताइए।',
+  SUNDAY_NOT_WORKING: 'रविवार कामकाजी दिन नहीं है। एडवाइज़र स्लॉट सोमवार से शनिवार तक उपलब्ध हैं।',
+  BEFORE_HOURS: (start, end) => `यह समय डेस्क खुलने से पहले का है। एडवाइज़र स्लॉट ${start} से ${end} IST तक उपलब्ध हैं।`,
+  AFTER_HOURS: (start, end) => `यह समय डेस्क बंद होने के बाद तक जाता है। एडवाइज़र स्लॉट ${start} से ${end} IST तक उपलब्ध हैं।`,
+  OUTSIDE_HOURS_FOLLOW_UP: 'क्या आप इन घंटों के भीतर उपलब्धता देखना चाहेंगे? आप "कल सुबह" या कोई खास दिन और समय कह सकते हैं।',
+  TIME_UNCLEAR: (hint) => `आपकी पसंद की तारीख और समय ठीक से समझना ज़रूरी है। ${hint}`,
+  TIME_UNCLEAR_RESCHEDULE: (hint) => `रीशेड्यूल के लिए आपकी पसंद की तारीख और समय ठीक से समझना ज़रूरी है। ${hint}`,
+  TIME_EXAMPLE: 'कृपया कोई खास दिन और समय बताइए, जैसे "सोमवार दोपहर" या "मंगलवार 3 बजे"।',
+  TIME_OF_DAY_QUESTION: 'दिन का कौन सा समय आपके लिए बेहतर रहेगा, जैसे सुबह 10 से 12 के बीच, दोपहर, या शाम?',
+  SLOT_OPTIONS: (count, dateStr, times) => `${dateStr} को ${count} ${count > 1 ? 'स्लॉट उपलब्ध हैं' : 'स्लॉट उपलब्ध है'}:\n${times}`,
+  SLOT_CHOICE: 'आप इनमें से कोई एक स्लॉट चुन सकते हैं, या कोई और समय बता सकते हैं। आपके लिए कौन सा ठीक रहेगा?',
+  SLOT_CHOICE_HINT: 'आप "1" या "2" कह सकते हैं, या समय बता सकते हैं, जैसे "3 बजे" या "सुबह"। आप कौन सा चाहेंगे?',
+  SLOT_UNCLEAR: (lines) => `यह साफ़ नहीं हुआ कि आपने कौन सा विकल्प चुना। उपलब्ध स्लॉट ये हैं:\n${lines}\n\nआप इनमें से कोई एक चुन सकते हैं, या कोई और समय बता सकते हैं।`,
+  SLOT_CONFIRM: (topic, slotText) => `बढ़िया। ${topic} के लिए आपका अस्थायी एडवाइज़र स्लॉट ${slotText} पर होगा। क्या यह सही है?`,
+  SLOT_FREE: (timeStr, dateStr) => `अच्छी खबर है, ${dateStr} को ${timeStr} उपलब्ध है। क्या वह स्लॉट बुक कर दिया जाए?`,
+  SLOT_OFFER_AGAIN: 'कोई बात नहीं। आप ऊपर बताए गए स्लॉट में से चुन सकते हैं, या कोई और समय बता सकते हैं।',
+  SLOT_SELECTION_ERROR: 'माफ़ कीजिए, स्लॉट चुनने में कोई समस्या हुई। कृपया फिर से स्लॉट चुनें।',
+  BOOKING_CODE_ERROR: 'माफ़ कीजिए, आपका बुकिंग कोड बनाने में कोई समस्या हुई। कृपया फिर से कोशिश करें।',
+  SCHEDULE_LATER: 'कोई बात नहीं। अगर आप बाद में अपॉइंटमेंट बुक करना चाहें, तो बस बता दीजिए। क्या आपको किसी और चीज़ में मदद चाहिए?',
+  BOOKING_CONFIRMED: ({ topic, attendees, slotText, advisor }) => `${topic} के लिए आपका अस्थायी एडवाइज़र स्लॉट ${slotText} पर है${advisor ? `, ${advisor} के साथ` : ''}${attendees ? `; कॉल पर ${attendees} होंगे` : ''}।`,
+  WAITLIST_SLOT_TAKEN: (dateStr, timeStr) => `${dateStr} को ${timeStr} IST पहले से बुक है। आपको उस स्लॉट की वेटलिस्ट में जोड़ा जा सकता है, और स्लॉट खाली होने पर टीम आपसे संपर्क करेगी। क्या आप वेटलिस्ट में जुड़ना चाहेंगे?`,
+  WAITLIST_NO_SLOTS: (dateStr) => `${dateStr} को उस समय में कोई स्लॉट उपलब्ध नहीं है। आपको वेटलिस्ट में जोड़ा जा सकता है, और टीम उपलब्ध विकल्पों के साथ आपसे संपर्क करेगी। क्या आप वेटलिस्ट में जुड़ना चाहेंगे?`,
+  WAITLIST_SLOT_FULL: (timeStr, dateStr) => `वह स्लॉट (${dateStr} को ${timeStr}) अभी पूरी तरह बुक है। आपको उसकी वेटलिस्ट में जोड़ा जा सकता है, और स्लॉट खाली होने पर टीम आपसे संपर्क करेगी। क्या आप वेटलिस्ट में जुड़ना चाहेंगे?`,
+  WAITLIST_UNCLEAR: 'यह साफ़ नहीं हुआ। क्या आप वेटलिस्ट में जुड़ना चाहेंगे? कृपया हाँ या नहीं कहें।',
+  WAITLIST_DECLINED: 'कोई बात नहीं। क्या आप किसी और समय की उपलब्धता देखना चाहेंगे? आप "कल" या कोई खास दिन और समय कह सकते हैं।',
+  WAITLIST_ERROR: 'माफ़ कीजिए, वेटलिस्ट अनुरोध में कोई समस्या हुई। कृपया फिर से कोशिश करें।',
+  WAITLIST_JOINED: (topic, slotText) => topic && slotText
+    ? `आपको ${slotText} पर ${topic} की वेटलिस्ट में जोड़ दिया गया है।`
+    : 'आपको उस स्लॉट की वेटलिस्ट में जोड़ दिया गया है।',
+  WAITLIST_CODE: (code) => `आपका बुकिंग कोड ${code} है।`,
+  WAITLIST_PROMOTION: 'अगर यह स्लॉट खाली होता है, तो आपकी अपॉइंटमेंट अपने-आप उसमें अस्थायी बुकिंग के रूप में ले जाई जाएगी।',
+  RESCHEDULE_CODE_REQUEST: 'रीशेड्यूल करने के लिए आपके बुकिंग कोड की ज़रूरत है। कृपया केवल अपना बुकिंग कोड बताएं। फ़ोन, ईमेल या खाता नंबर न बताएं।',
+  RESCHEDULE_FOUND: (topic, slotText) => `${slotText} पर ${topic} के लिए आपकी बुकिंग मिल गई है। कौन सा दिन और समय बेहतर रहेगा?`,
+  RESCHEDULE_TIME_QUESTION: "कौन सा दिन और समय बेहतर रहेगा? आप 'कल दोपहर' या 'सोमवार शाम 4 बजे' जैसा कुछ कह सकते हैं।",
+  RESCHEDULE_OPTIONS: (lines) => `ये स्लॉट उपलब्ध हैं:\n${lines}\n\nआप इनमें से कोई एक चुन सकते हैं, या कोई और समय बता सकते हैं। आपके लिए कौन सा ठीक रहेगा?`,
+  RESCHEDULE_NO_SLOTS: 'उस समय में कोई स्लॉट उपलब्ध नहीं है। क्या आप कोई और समय देखना चाहेंगे?',
+  RESCHEDULE_SLOT_UNCLEAR: (lines) => `यह साफ़ नहीं हुआ कि आपने कौन सा स्लॉट चुना। उपलब्ध विकल्प ये हैं:\n${lines}\n\nआप नंबर बता सकते हैं, समय बता सकते हैं, या कोई और समय चुन सकते हैं।`,
+  RESCHEDULE_CONFIRM: (slotText) => `बढ़िया। अपॉइंटमेंट ${slotText} पर ले जाई जाएगी। क्या यह सही है?`,
+  RESCHEDULE_CONFIRM_AGAIN: (slotText) => `कृपया पुष्टि करें: क्या ${slotText} सही है? (हाँ/नहीं)`,
+  RESCHEDULE_DECLINED: 'कोई बात नहीं। कौन सा दिन और समय बेहतर रहेगा?',
+  RESCHEDULE_SELECTION_ERROR: 'माफ़ कीजिए, स्लॉट चुनने में कोई समस्या हुई। कृपया फिर से कोशिश करें।',
+  RESCHEDULED: (slotText, code) => `आपकी अपॉइंटमेंट ${slotText} पर रीशेड्यूल हो गई है। आपका बुकिंग कोड ${code} ही रहेगा।`,
+  RESCHEDULED_TO_WAITLIST: (slotText, code) => `आपकी अपॉइंटमेंट ${slotText} की वेटलिस्ट में ले जाई गई है। आपका बुकिंग कोड ${code} ही रहेगा।`,
+  CONTACT_UPDATE: 'ज़रूरत हो तो उसी सुरक्षित लिंक से अपनी संपर्क जानकारी अपडेट करें।',
+  BOOKING_LOOKUP_ERROR: 'माफ़ कीजिए, आपकी बुकिंग नहीं मिल पाई। कृपया फिर से कोशिश करें।',
+  CANCEL_CODE_REQUEST: 'रद्द करने के लिए आपके बुकिंग कोड की ज़रूरत है। कृपया केवल अपना बुकिंग कोड बताएं। फ़ोन, ईमेल या खाता नंबर न बताएं।',
+  CANCEL_FOUND: (topic, slotText) => `${slotText} पर ${topic} के लिए आपकी बुकिंग मिल गई है। क्या आप वाकई यह अपॉइंटमेंट रद्द करना चाहते हैं?`,
+  CANCEL_CONFIRM_AGAIN: (slotText) => `कृपया पुष्टि करें: क्या आप ${slotText} वाली अपॉइंटमेंट रद्द करना चाहते हैं? (हाँ/नहीं)`,
+  CANCELLED: (code) => `कोड ${code} वाली आपकी अस्थायी एडवाइज़र अपॉइंटमेंट अब रद्द हो गई है।`,
+  CANCEL_DECLINED: 'कोई बात नहीं। आपकी अपॉइंटमेंट पहले की तरह बनी रहेगी। क्या आपको किसी और चीज़ में मदद चाहिए?',
+  PREPARE_TOPIC_QUESTION: (options) => `यह किस विषय के लिए है: ${options}?`,
+  PREPARE_INTRO: 'एडवाइज़र मीटिंग की तैयारी में आपकी मदद की जा सकती है।',
+  PREPARE_LIST: (topic, attendees, lines) => `${topic}${attendees ? ` (${attendees})` : ''} के लिए कृपया ये तैयार रखें:\n${lines}`,
+  PREPARE_GROUP_HINT: 'अगर कोई जॉइंट होल्डर या नॉमिनी कॉल पर शामिल होगा, तो बताइए, ताकि उनके लिए ज़रूरी दस्तावेज़ भी जोड़े जा सकें।',
+  PREPARE_BOOK_QUESTION: (topic) => `क्या आप ${topic} के लिए अपॉइंटमेंट बुक करना चाहेंगे?`,
+  AVAILABILITY_QUESTION: 'क्या आप आज, कल या इस हफ़्ते के स्लॉट देखना चाहते हैं?',
+  TODAY: 'आज',
+  TOMORROW: 'कल',
+  AVAILABILITY_DAY: (label, times) => `${label} ये स्लॉट उपलब्ध हैं: ${times}।`,
+  AVAILABILITY_BOOK_QUESTION: 'क्या आप इनमें से कोई स्लॉट बुक करना चाहेंगे? आप "स्लॉट 1 बुक करें" कह सकते हैं।',
+  AVAILABILITY_NONE: 'उस समय में कोई स्लॉट उपलब्ध नहीं है। क्या आप कोई और समय देखना चाहेंगे? आप "कल" या कोई खास दिन कह सकते हैं।',
+  ANYTHING_ELSE: 'क्या आपको किसी और चीज़ में मदद चाहिए?',
+  ANYTHING_ELSE_AFTER_CANCEL: 'क्या आपको किसी और चीज़ में मदद चाहिए? आप नई अपॉइंटमेंट बुक कर सकते हैं, तैयारी के बारे में पूछ सकते हैं, या उपलब्धता जान सकते हैं।',
+  ANYTHING_ELSE_AFTER_BOOKING: 'क्या आपको किसी और चीज़ में मदद चाहिए? आप अपॉइंटमेंट रीशेड्यूल या रद्द कर सकते हैं, तैयारी के बारे में पूछ सकते हैं, या उपलब्धता जान सकते हैं।',
+  SERIES_TIME_NEEDED: (example) => `अपॉइंटमेंट किस समय पर हों? उदाहरण के लिए, "${example}"।`,
+  SERIES_OTHER_PATTERN: 'इसकी जगह कौन सा दिन और समय ठीक रहेगा? उदाहरण के लिए, "every Monday at 11 AM"।',
+  SERIES_UNAVAILABLE: ({ reason, closure }) => {
+    const reasons = {
+      closed: `${closure} के कारण डेस्क बंद है`,
+      outside_hours: 'डेस्क के समय से बाहर',
+      too_soon: 'बुक करने के लिए बहुत जल्दी',
+      booked: 'पहले से बुक है',
+      taken: 'अब उपलब्ध नहीं'
+    };
+    return `उपलब्ध नहीं: ${reasons[reason] || reason}`;
+  },
+  SERIES_NONE_FREE: (pattern, lines) => `${pattern} की इनमें से कोई भी तारीख उपलब्ध नहीं है:\n${lines}`,
+  SERIES_OFFER: (pattern, topic, lines) => `${topic} के लिए ${pattern} की तारीखें ये हैं:\n${lines}`,
+  SERIES_BOOK_QUESTION: (count) => `क्या मैं ${count} उपलब्ध तारीखें बुक कर दूँ?`,
+  SERIES_MOVE_QUESTION: (count) => `क्या मैं सीरीज़ को ${count} उपलब्ध तारीखों पर ले जाऊँ? जिस अपॉइंटमेंट की नई तारीख उपलब्ध नहीं है, वह अपने मौजूदा समय पर रहेगी।`,
+  SERIES_DECLINED: 'कोई बात नहीं। इसकी जगह आप कौन सा दिन और समय चाहेंगे? आप एक अपॉइंटमेंट या दोहराई जाने वाली अपॉइंटमेंट माँग सकते हैं, जैसे "every Tuesday at 3 PM"।',
+  SERIES_MOVE_DECLINED: 'कोई बात नहीं। सीरीज़ को किस दिन और समय पर ले जाना है?',
+  SERIES_TAKEN: 'माफ़ कीजिए, बातचीत के दौरान वे तारीखें बुक हो गईं, इसलिए कुछ भी बुक नहीं हुआ।',
+  SERIES_APPOINTMENT: (slotText, code, isWaitlist) => `${slotText}, कोड ${code}${isWaitlist ? ' (वेटलिस्ट पर)' : ''}`,
+  SERIES_BOOKED: (seriesCode, topic, lines) => `आपका सीरीज़ कोड ${seriesCode} है। फिर से बता दें: ${seriesCode}। पूरी सीरीज़ को रीशेड्यूल या रद्द करने के लिए इसका उपयोग करें; हर अपॉइंटमेंट का अपना कोड भी है।\n\n${topic} के लिए बुक हुई अपॉइंटमेंट:\n${lines}`,
+  SERIES_NOT_BOOKED: (lines) => `बुक नहीं हुई:\n${lines}`,
+  SERIES_MOVED: (seriesCode, pattern, lines) => `आपकी सीरीज़ ${seriesCode} अब ${pattern} पर है:\n${lines}`,
+  SERIES_KEPT: (lines) => `अपने मौजूदा समय पर रहीं:\n${lines}`,
+  SERIES_MOVE_TAKEN: (seriesCode) => `माफ़ कीजिए, बातचीत के दौरान वे तारीखें बुक हो गईं, इसलिए आपकी सीरीज़ ${seriesCode} अपने मौजूदा समय पर ही है।`,
+  SERIES_CANCELLED: (seriesCode, count) => `सीरीज़ ${seriesCode} की बाकी सभी ${count} अपॉइंटमेंट अब रद्द हो गई हैं।`,
+  SERIES_FOUND: (seriesCode, topic, count, next) => `मुझे ${topic} के लिए आपकी सीरीज़ ${seriesCode} मिली, जिसमें ${count} अपॉइंटमेंट बाकी हैं; अगली ${next} को है।`,
+  SERIES_CANCEL_QUESTION: 'क्या आप वाकई पूरी सीरीज़ रद्द करना चाहते हैं? सिर्फ़ एक अपॉइंटमेंट रद्द करने के लिए उसका अपना बुकिंग कोड बताएं।',
+  SERIES_MOVE_PATTERN_QUESTION: 'सीरीज़ को किस दिन और समय पर ले जाना है? उदाहरण के लिए, "every second Tuesday at 3 PM"। सिर्फ़ एक अपॉइंटमेंट बदलने के लिए उसका अपना बुकिंग कोड बताएं।',
+  SERIES_NEW_PATTERN_NEEDED: 'पूरी सीरीज़ बदलने के लिए नया पैटर्न बताएं, जैसे "every second Tuesday at 3 PM"।',
+  LANGUAGE_CHANGED: 'ठीक है, आगे की बातचीत हिंदी में होगी।',
+  BOOKING_CLOSED: (code, status, operation) => {
+    const reasons = {
+      completed: 'पहले ही हो चुकी है',
+      no_show: 'छूट जाने के बाद बंद कर दी गई थी',
+      cancelled: 'पहले ही रद्द की जा चुकी है'
+    };
+    const operations = { reschedule: 'रीशेड्यूल', cancel: 'रद्द' };
+    return `कोड ${code} वाली अपॉइंटमेंट ${reasons[status] || `की स्थिति ${status} है`}, इसलिए इसे ${operations[operation] || operation} नहीं किया जा सकता। क्या आप नई अपॉइंटमेंट बुक करना चाहेंगे?`;
+  }
+};
+
+const HINGLISH_MESSAGES = {
+  GREETING: (brandName) => `${brandName} Advisor Desk mein aapka swagat hai. Yeh ek automated assistant hai.`,
+  DISCLAIMER: 'Yeh call sirf general information ke liye hai, investment advice ke liye nahi. Personal recommendations ke liye kripya kisi registered advisor se baat karein.',
+  PII_WARNING: 'Kripya is call par apna phone number, email address ya account number share na karein.',
+  HOW_CAN_WE_HELP: (options) => `Advisor aapki kaise madad kar sakte hain? Aap inmein se choose kar sakte hain: ${options}.`,
+  PII_DETECTED: 'Aapki safety ke liye, kripya is call par phone number, email address ya account number share na karein. Iski jagah apne booking code ke saath secure link use karein.',
+  INVESTMENT_ADVICE_REFUSAL: 'Mujhe investment advice ya recommendations dene ki permission nahi hai. Uske liye kripya kisi registered investment advisor se baat karein. Kya aap iski jagah advisor slot book karna chahenge?',
+  BOOKING_CODE_READ: (code) => `Aapka booking code ${code} hai. Phir se bata dein: ${code}.`,
+  SECURE_URL: (url) => `Apni contact details safely share karne ke liye kripya ${url} par jaayein aur apna booking code daalein. Is call par apna phone ya email share na karein.`,
+  TENTATIVE_HOLD: 'Abhi yeh sirf ek tentative hold hai. Aapki details dekhne ke baad advisor team aapka appointment confirm karegi. Call karne ke liye dhanyavaad.',
+  BOOKING_CODE_NOT_FOUND: 'Is code se koi booking nahi mili. Ho sakta hai booking pehle hi cancel ho chuki ho ya ab available na ho. Kripya booking confirmation ke liye apna email check karein ya help ke liye hamare administrator se contact karein.',
+  BOOKING_CODE_FORGOTTEN: 'Agar aap apna booking code bhool gaye hain, to kripya apne email mein booking confirmation message dekhein. Agar woh na mile, to help ke liye hamare administrator se contact karein. Kya aapko kisi aur cheez mein madad chahiye?',
+  DESK_CLOSED: (dateStr, closure) => {
+    let when = dateStr;
+    if (closure.from && closure.to) when += ` ko ${toTime(closure.from)} se ${toTime(closure.to)} IST tak`;
+    else if (closure.from) when += ` ko ${toTime(closure.from)} IST se`;
+    else if (closure.to) when += ` ko ${toTime(closure.to)} IST tak`;
+    else when += ' ko';
+    return `${when} ${closure.name} ki wajah se desk band hai.`;
+  },
+  DESK_CLOSED_FOLLOW_UP: 'Kya koi aur din ya time aapke liye theek rahega?',
+  SCHEDULING_RULE: (violation, dateStr) => {
+    switch (violation.rule) {
+      case 'lead_time':
+        return `Appointment kam se kam ${violation.minutes} minute pehle book karna hota hai, isliye ${dateStr} bahut jaldi hai.`;
+      case 'horizon':
+        return `Hum sirf ${violation.days} din aage tak ki booking lete hain, isliye ${dateStr} bahut door hai.`;
+      case 'daily_cap':
+        return `${dateStr} ko saare slots full hain; desk ek din mein maximum ${violation.limit} appointments leta hai.`;
+      case 'advisor_daily_cap':
+        return `Us time ke advisor ${dateStr} ko jitne appointments le sakte hain, utne pehle hi le chuke hain.`;
+      default:
+        return `Advisor ko do appointments ke beech ${violation.minutes} minute chahiye, isliye ${dateStr} doosri booking ke bahut paas hai.`;
+    }
+  },
+  ATTENDEE_LIMIT: (topic, limit) => limit === 1
+    ? `${topic} appointment sirf account holder ke liye hota hai, isliye call par koi aur join nahi kar sakta.`
+    : `${topic} appointment mein aapko milakar maximum ${limit} log call par ho sakte hain.`,
+  ATTENDEE_FOLLOW_UP: (limit) => limit > 1 ? 'Kaun join karega, aur kaunsa din aur time aapke liye theek rahega?' : 'Kaunsa din aur time aapke liye theek rahega?',
+  ATTENDEE_CHANGE_NEEDED: 'Jab tak kam log join na karein, yeh booking move nahi ki ja sakti. Call par kaun join karega, yeh badalne ke liye kripya hamare administrator se contact karein. Kya aapko kisi aur cheez mein madad chahiye?',
+  TOPIC_CHOICES: 'KYC/Onboarding, SIP/Mandates, Statements and Tax Documents, Withdrawals and Timelines, ya Account Changes and Nominee',
+  INTENT_CHOICES: 'naya appointment book karna, appointment reschedule karna, appointment cancel karna, preparation ke baare mein jaanna, ya availability check karna',
+  INTENT_NAMES: {
+    [INTENTS.BOOK_NEW]: 'naya appointment book karna',
+    [INTENTS.RESCHEDULE]: 'appointment reschedule karna',
+    [INTENTS.CANCEL]: 'appointment cancel karna',
+    [INTENTS.WHAT_TO_PREPARE]: 'preparation ke baare mein jaanna',
+    [INTENTS.CHECK_AVAILABILITY]: 'availability check karna'
+  },
+  INTENT_CONFIRM: (action) => `Aap ${action} chahte hain. Kya yeh sahi hai?`,
+  INTENT_CONFIRM_AGAIN: (action) => `Ek baar confirm kar lein: aap ${action} chahte hain. Kya yeh sahi hai? (Kripya haan ya nahi kahein)`,
+  INTENT_RETRY: (options) => `Maaf kijiye, kuch confusion ho gaya. Advisor aapki kaise madad kar sakte hain? Aap inmein se choose kar sakte hain: ${options}.`,
+  INTENT_UNKNOWN: 'Yeh clear nahi hai ki ismein kaise madad ho sakti hai. Kya aap advisor appointment book karna chahenge?',
+  TOPIC_FOR_SLOT: (options) => `Badhiya! Woh slot aapke liye book kiya jayega. Pehle bataiye, aap kis topic par baat karna chahte hain? Aap inmein se choose kar sakte hain: ${options}.`,
+  TOPIC_QUESTION: (options) => `Badhiya! Aap kis topic par baat karna chahte hain? Aap inmein se choose kar sakte hain: ${options}.`,
+  TOPIC_CONFIRM: (topic) => `Aapne ${topic} choose kiya hai. Kya yeh sahi hai?`,
+  TOPIC_MISSING: (options) => `Maaf kijiye, topic jaanna zaroori hai. Advisor aapki kaise madad kar sakte hain? Aap inmein se choose kar sakte hain: ${options}.`,
+  TIME_QUESTION: "Kaunsa din aur time aapke liye best rahega? Aap 'kal dopahar' ya 'somvar shaam 4 baje' jaisa kuch keh sakte hain.",
+  ATTENDEE_HINT: 'Agar koi joint holder ya nominee bhi call join karega, to yeh bhi bataiye ki kaun.',
+  ATTENDEES_NOTED: (attendees) => `Theek hai, appointment ${attendees} ke liye hai. Kaunsa din aur time aapke liye best rahega?`,
+  SUNDAY_CLOSED: 'Sunday ko advisor slots available nahi hote; slots sirf Monday se Saturday (10 AM se 6 PM IST) tak milte hain. Kripya koi working day bataiye.',
+  SUNDAY_CLOSED_RESCHEDULE: 'Appointment Sunday par move nahi ho sakta; advisor slots sirf Monday se Saturday (10 AM se 6 PM IST) tak milte hain. Kripya koi working day bataiye.',
+  SUNDAY_NOT_WORKING: 'Sunday working day nahi hai. Advisor slots Monday se Saturday tak available hain.',
+  BEFORE_HOURS: (start, end) => `Yeh time desk khulne se pehle ka hai. Advisor slots ${start} se ${end} IST tak available hain.`,
+  AFTER_HOURS: (start, end) => `Yeh time desk band hone ke baad tak jaata hai. Advisor slots ${start} se ${end} IST tak available hain.`,
+  OUTSIDE_HOURS_FOLLOW_UP: 'Kya aap in hours ke andar availability check karna chahenge? Aap "kal subah" ya koi specific din aur time keh sakte hain.',
+  TIME_UNCLEAR: (hint) => `Aapki pasand ki date aur time theek se samajhna zaroori hai. ${hint}`,
+  TIME_UNCLEAR_RESCHEDULE: (hint) => `Reschedule ke liye aapki pasand ki date aur time theek se samajhna zaroori hai. ${hint}`,
+  TIME_EXAMPLE: 'Kripya koi specific din aur time bataiye, jaise "somvar dopahar" ya "mangalvar 3 baje".',
+  TIME_OF_DAY_QUESTION: 'Din ka kaunsa time aapke liye better rahega, jaise subah 10 se 12 ke beech, dopahar, ya shaam?',
+  SLOT_OPTIONS: (count, dateStr, times) => `${dateStr} ko ${count} ${count > 1 ? 'slots available hain' : 'slot available hai'}:\n${times}`,
+  SLOT_CHOICE: 'Aap inmein se koi ek slot choose kar sakte hain, ya koi aur time bata sakte hain. Aapke liye kaunsa theek rahega?',
+  SLOT_CHOICE_HINT: 'Aap "1" ya "2" keh sakte hain, ya time bata sakte hain, jaise "3 baje" ya "subah". Aap kaunsa chahenge?',
+  SLOT_UNCLEAR: (lines) => `Yeh clear nahi hua ki aapne kaunsa option choose kiya. Available slots yeh hain:\n${lines}\n\nAap inmein se koi ek choose kar sakte hain, ya koi aur time bata sakte hain.`,
+  SLOT_CONFIRM: (topic, slotText) => `Badhiya. ${topic} ke liye aapka tentative advisor slot ${slotText} par hoga. Kya yeh sahi hai?`,
+  SLOT_FREE: (timeStr, dateStr) => `Achhi khabar hai, ${dateStr} ko ${timeStr} available hai. Kya woh slot book kar diya jaye?`,
+  SLOT_OFFER_AGAIN: 'Koi baat nahi. Aap upar bataye gaye slots mein se choose kar sakte hain, ya koi aur time bata sakte hain.',
+  SLOT_SELECTION_ERROR: 'Maaf kijiye, slot choose karne mein koi problem hui. Kripya phir se slot choose karein.',
+  BOOKING_CODE_ERROR: 'Maaf kijiye, aapka booking code banane mein koi problem hui. Kripya phir se try karein.',
+  SCHEDULE_LATER: 'Koi baat nahi. Agar aap baad mein appointment book karna chahein, to bas bata dijiye. Kya aapko kisi aur cheez mein madad chahiye?',
+  BOOKING_CONFIRMED: ({ topic, attendees, slotText, advisor }) => `${topic} ke liye aapka tentative advisor slot ${slotText} par hai${advisor ? `, ${advisor} ke saath` : ''}${attendees ? `; call par ${attendees} honge` : ''}.`,
+  WAITLIST_SLOT_TAKEN: (dateStr, timeStr) => `${dateStr} ko ${timeStr} IST pehle se booked hai. Aapko us slot ki waitlist mein joda ja sakta hai, aur slot khaali hone par team aapse contact karegi. Kya aap waitlist mein judna chahenge?`,
+  WAITLIST_NO_SLOTS: (dateStr) => `${dateStr} ko us time mein koi slot available nahi hai. Aapko waitlist mein joda ja sakta hai, aur team available options ke saath aapse contact karegi. Kya aap waitlist mein judna chahenge?`,
+  WAITLIST_SLOT_FULL: (timeStr, dateStr) => `Woh slot (${dateStr} ko ${timeStr}) abhi poori tarah booked hai. Aapko uski waitlist mein joda ja sakta hai, aur slot khaali hone par team aapse contact karegi. Kya aap waitlist mein judna chahenge?`,
+  WAITLIST_UNCLEAR: 'Yeh clear nahi hua. Kya aap waitlist mein judna chahenge? Kripya haan ya nahi kahein.',
+  WAITLIST_DECLINED: 'Koi baat nahi. Kya aap kisi aur time ki availability check karna chahenge? Aap "kal" ya koi specific din aur time keh sakte hain.',
+  WAITLIST_ERROR: 'Maaf kijiye, waitlist request mein koi problem hui. Kripya phir se try karein.',
+  WAITLIST_JOINED: (topic, slotText) => topic && slotText
+    ? `Aapko ${slotText} par ${topic} ki waitlist mein jod diya gaya hai.`
+    : 'Aapko us slot ki waitlist mein jod diya gaya hai.',
+  WAITLIST_CODE: (code) => `Aapka booking code ${code} hai.`,
+  WAITLIST_PROMOTION: 'Agar yeh slot khaali hota hai, to aapka appointment apne aap usmein tentative hold ke roop mein move ho jayega.',
+  RESCHEDULE_CODE_REQUEST: 'Reschedule karne ke liye aapke booking code ki zaroorat hai. Kripya sirf apna booking code batayein. Phone, email ya account number share na karein.',
+  RESCHEDULE_FOUND: (topic, slotText) => `${slotText} par ${topic} ke liye aapki booking mil gayi hai. Kaunsa din aur time better rahega?`,
+  RESCHEDULE_TIME_QUESTION: "Kaunsa din aur time better rahega? Aap 'kal dopahar' ya 'somvar shaam 4 baje' jaisa kuch keh sakte hain.",
+  RESCHEDULE_OPTIONS: (lines) => `Yeh slots available hain:\n${lines}\n\nAap inmein se koi ek choose kar sakte hain, ya koi aur time bata sakte hain. Aapke liye kaunsa theek rahega?`,
+  RESCHEDULE_NO_SLOTS: 'Us time mein koi slot available nahi hai. Kya aap koi aur time check karna chahenge?',
+  RESCHEDULE_SLOT_UNCLEAR: (lines) => `Yeh clear nahi hua ki aapne kaunsa slot choose kiya. Available options yeh hain:\n${lines}\n\nAap number bata sakte hain, time bata sakte hain, ya koi aur time choose kar sakte hain.`,
+  RESCHEDULE_CONFIRM: (slotText) => `Badhiya. Appointment ${slotText} par move kiya jayega. Kya yeh sahi hai?`,
+  RESCHEDULE_CONFIRM_AGAIN: (slotText) => `Kripya confirm karein: kya ${slotText} sahi hai? (haan/nahi)`,
+  RESCHEDULE_DECLINED: 'Koi baat nahi. Kaunsa din aur time better rahega?',
+  RESCHEDULE_SELECTION_ERROR: 'Maaf kijiye, slot choose karne mein koi problem hui. Kripya phir se try karein.',
+  RESCHEDULED: (slotText, code) => `Aapka appointment ${slotText} par reschedule ho gaya hai. Aapka booking code ${code} hi rahega.`,
+  RESCHEDULED_TO_WAITLIST: (slotText, code) => `Aapka appointment ${slotText} ki waitlist mein move ho gaya hai. Aapka booking code ${code} hi rahega.`,
+  CONTACT_UPDATE: 'Zaroorat ho to usi secure link se apni contact details update karein.',
+  BOOKING_LOOKUP_ERROR: 'Maaf kijiye, aapki booking nahi mil payi. Kripya phir se try karein.',
+  CANCEL_CODE_REQUEST: 'Cancel karne ke liye aapke booking code ki zaroorat hai. Kripya sirf apna booking code batayein. Phone, email ya account number share na karein.',
+  CANCEL_FOUND: (topic, slotText) => `${slotText} par ${topic} ke liye aapki booking mil gayi hai. Kya aap sach mein yeh appointment cancel karna chahte hain?`,
+  CANCEL_CONFIRM_AGAIN: (slotText) => `Kripya confirm karein: kya aap ${slotText} wala appointment cancel karna chahte hain? (haan/nahi)`,
+  CANCELLED: (code) => `Code ${code} wala aapka tentative advisor appointment ab cancel ho gaya hai.`,
+  CANCEL_DECLINED: 'Koi baat nahi. Aapka appointment pehle jaisa hi rahega. Kya aapko kisi aur cheez mein madad chahiye?',
+  PREPARE_TOPIC_QUESTION: (options) => `Yeh kis topic ke liye hai: ${options}?`,
+  PREPARE_INTRO: 'Advisor meeting ki preparation mein aapki madad ki ja sakti hai.',
+  PREPARE_LIST: (topic, attendees, lines) => `${topic}${attendees ? ` (${attendees})` : ''} ke liye kripya yeh ready rakhein:\n${lines}`,
+  PREPARE_GROUP_HINT: 'Agar koi joint holder ya nominee call join karega, to bataiye, taaki unke liye zaroori documents bhi jode ja sakein.',
+  PREPARE_BOOK_QUESTION: (topic) => `Kya aap ${topic} ke liye appointment book karna chahenge?`,
+  AVAILABILITY_QUESTION: 'Kya aap aaj, kal ya is hafte ke slots dekhna chahte hain?',
+  TODAY: 'Aaj',
+  TOMORROW: 'Kal',
+  AVAILABILITY_DAY: (label, times) => `${label} yeh slots available hain: ${times}.`,
+  AVAILABILITY_BOOK_QUESTION: 'Kya aap inmein se koi slot book karna chahenge? Aap "slot 1 book karo" keh sakte hain.',
+  AVAILABILITY_NONE: 'Us time mein koi slot available nahi hai. Kya aap koi aur time check karna chahenge? Aap "kal" ya koi specific din keh sakte hain.',
+  ANYTHING_ELSE: 'Kya aapko kisi aur cheez mein madad chahiye?',
+  ANYTHING_ELSE_AFTER_CANCEL: 'Kya aapko kisi aur cheez mein madad chahiye? Aap naya appointment book kar sakte hain, preparation ke baare mein pooch sakte hain, ya availability check kar sakte hain.',
+  ANYTHING_ELSE_AFTER_BOOKING: 'Kya aapko kisi aur cheez mein madad chahiye? Aap appointment reschedule ya cancel kar sakte hain, preparation ke baare mein pooch sakte hain, ya availability check kar sakte hain.',
+  SERIES_TIME_NEEDED: (example) => `Appointments kis time par hon? Jaise, "${example}".`,
+  SERIES_OTHER_PATTERN: 'Iski jagah kaunsa din aur time theek rahega? Jaise, "every Monday at 11 AM".',
+  SERIES_UNAVAILABLE: ({ reason, closure }) => {
+    const reasons = {
+      closed: `${closure} ki wajah se desk band hai`,
+      outside_hours: 'desk hours ke bahar',
+      too_soon: 'book karne ke liye bahut jaldi',
+      booked: 'pehle se booked',
+      taken: 'ab available nahi'
+    };
+    return `available nahi: ${reasons[reason] || reason}`;
+  },
+  SERIES_NONE_FREE: (pattern, lines) => `${pattern} ki inmein se koi bhi date available nahi hai:\n${lines}`,
+  SERIES_OFFER: (pattern, topic, lines) => `${topic} ke liye ${pattern} ki dates yeh hain:\n${lines}`,
+  SERIES_BOOK_QUESTION: (count) => `Kya main ${count} available dates book kar doon?`,
+  SERIES_MOVE_QUESTION: (count) => `Kya main series ko ${count} available dates par move kar doon? Jis appointment ki nayi date available nahi hai, woh apne current time par rahega.`,
+  SERIES_DECLINED: 'Koi baat nahi. Iski jagah aap kaunsa din aur time chahenge? Aap ek appointment ya repeat hone wala appointment maang sakte hain, jaise "every Tuesday at 3 PM".',
+  SERIES_MOVE_DECLINED: 'Koi baat nahi. Series ko kis din aur time par move karna hai?',
+  SERIES_TAKEN: 'Maaf kijiye, baat karte waqt woh dates book ho gayi, isliye kuch bhi book nahi hua.',
+  SERIES_APPOINTMENT: (slotText, code, isWaitlist) => `${slotText}, code ${code}${isWaitlist ? ' (waitlist par)' : ''}`,
+  SERIES_BOOKED: (seriesCode, topic, lines) => `Aapka series code ${seriesCode} hai. Phir se bata dein: ${seriesCode}. Poori series ko reschedule ya cancel karne ke liye ise use karein; har appointment ka apna code bhi hai.\n\n${topic} ke liye booked:\n${lines}`,
+  SERIES_NOT_BOOKED: (lines) => `Book nahi hue:\n${lines}`,
+  SERIES_MOVED: (seriesCode, pattern, lines) => `Aapki series ${seriesCode} ab ${pattern} par reschedule ho gayi hai:\n${lines}`,
+  SERIES_KEPT: (lines) => `Apne current time par rahe:\n${lines}`,
+  SERIES_MOVE_TAKEN: (seriesCode) => `Maaf kijiye, baat karte waqt woh dates book ho gayi, isliye aapki series ${seriesCode} apne current time par hi hai.`,
+  SERIES_CANCELLED: (seriesCode, count) => `Series ${seriesCode} ke baaki sabhi ${count} appointments ab cancel ho gaye hain.`,
+  SERIES_FOUND: (seriesCode, topic, count, next) => `Mujhe ${topic} ke liye aapki series ${seriesCode} mili, jismein ${count} appointments baaki hain; agla ${next} ko hai.`,
+  SERIES_CANCEL_QUESTION: 'Kya aap sach mein poori series cancel karna chahte hain? Sirf ek appointment cancel karne ke liye uska apna booking code batayein.',
+  SERIES_MOVE_PATTERN_QUESTION: 'Series ko kis din aur time par move karna hai? Jaise, "every second Tuesday at 3 PM". Sirf ek appointment move karne ke liye uska apna booking code batayein.',
+  SERIES_NEW_PATTERN_NEEDED: 'Poori series move karne ke liye naya pattern batayein, jaise "every second Tuesday at 3 PM".',
+  LANGUAGE_CHANGED: 'Theek hai, aage ki baat Hinglish mein hogi.',
+  BOOKING_CLOSED: (code, status, operation) => {
+    const reasons = {
+      completed: 'pehle hi ho chuka hai',
+      no_show: 'miss hone ke baad close kar diya gaya tha',
+      cancelled: 'pehle hi cancel ho chuka hai'
+    };
+    return `Code ${code} wala appointment ${reasons[status] || `${status} hai`}, isliye ise ${operation} nahi kiya ja sakta. Kya aap naya appointment book karna chahenge?`;
+  }
+};
+
+const CATALOGUES = {
+  [LANGUAGES.ENGLISH]: SYSTEM_MESSAGES,
+  [LANGUAGES.HINDI]: { ...SYSTEM_MESSAGES, ...HINDI_MESSAGES },
+  [LANGUAGES.HINGLISH]: { ...SYSTEM_MESSAGES, ...HINGLISH_MESSAGES }
+};
+
+/**
+ * Get the system messages for a conversation language
+ * @param {string} language - One of LANGUAGES (unknown values fall back to English)
+ * @returns {Object} Message catalogue with the same keys as SYSTEM_MESSAGES
+ */
+export function getSystemMessages(language = DEFAULT_LANGUAGE) {
+  return CATALOGUES[language] || CATALOGUES[DEFAULT_LANGUAGE];
+}
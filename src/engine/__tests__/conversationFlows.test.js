@@ -0,0 +1,561 @@
+/**
+ * Conversation flow tests
+ * Whole calls run through ConversationEngine.processInput with keyword classification,
+ * mock calendar/email/notes tools and an in-memory booking store (see src/eval/dialogueHarness.js).
+ */
+
+import { describe, it, expect, beforeEach, afterEach, jest } from '@jest/globals';
+import { ConversationEngine } from '../conversationEngine.js';
+import { runDialogue, DEFAULT_DIALOGUE_TIME } from '../../eval/dialogueHarness.js';
+import { logger } from '../../utils/logger.js';
+import { bookingStore } from '../../services/bookingStore.js';
+import { MemorySessionStore } from '../../services/sessionStore.js';
+import { DIALOG_STATES } from '../dialogState.js';
+import { runWithClock } from '../../utils/clock.js';
+import { MCPClient } from '../../services/mcp/mcpClient.js';
+import { holidayCalendar, HolidayCalendar } from '../../services/holidayCalendar.js';
+
+// Turns that take a caller from hello to a KYC slot for tomorrow morning being read back
+const BOOK_KYC_TURNS = [
+  { user: 'Hi' },
+  { user: 'I want to book an appointment' },
+  { user: 'yes' },
+  { user: 'KYC onboarding' },
+  { user: 'yes' },
+  { user: 'tomorrow morning' },
+  { user: '1', expect: { state: 'slot_confirmation' } }
+];
+
+const SEEDED_BOOKING = {
+  'NL-A742': {
+    topic: 'KYC/Onboarding',
+    slot: '2025-01-15T04:30:00.000Z',
+    endSlot: '2025-01-15T05:30:00.000Z',
+    advisorId: 'ADV-01',
+    eventId: 'evt-nl-a742'
+  }
+};
+
+// Monday 20 January, 11 AM IST: the only advisor who takes SIP calls on Mondays is busy
+const SIP_CONFLICT = {
+  'NL-B200': {
+    topic: 'SIP/Mandates',
+    slot: '2025-01-20T05:30:00.000Z',
+    endSlot: '2025-01-20T06:00:00.000Z',
+    advisorId: 'ADV-01',
+    eventId: 'evt-nl-b200'
+  }
+};
+
+// Two remaining Monday 11 AM appointments of series NL-S100
+const SIP_SERIES = {
+  'NL-S101': {
+    topic: 'SIP/Mandates',
+    slot: '2025-01-20T05:30:00.000Z',
+    endSlot: '2025-01-20T06:00:00.000Z',
+    advisorId: 'ADV-01',
+    eventId: 'evt-nl-s101',
+    seriesCode: 'NL-S100',
+    seriesIndex: 1
+  },
+  'NL-S102': {
+    topic: 'SIP/Mandates',
+    slot: '2025-01-27T05:30:00.000Z',
+    endSlot: '2025-01-27T06:00:00.000Z',
+    advisorId: 'ADV-01',
+    eventId: 'evt-nl-s102',
+    seriesCode: 'NL-S100',
+    seriesIndex: 2
+  }
+};
+
+const toUTC = slot => bookingStore.getSlotAsUTC(slot).toISOString();
+
+/**
+ * Make the booking store reject matching writes the way it does when a topic's attendee limit is exceeded
+ * @private
+ */
+function rejectAttendees(matches) {
+  const setBooking = bookingStore.setBooking.bind(bookingStore);
+  return jest.spyOn(bookingStore, 'setBooking').mockImplementation(async (bookingCode, record) => {
+    if (!matches(record)) return setBooking(bookingCode, record);
+    const error = new Error(`Booking ${bookingCode} has 3 attendees; ${record.topic} allows 2`);
+    error.isAttendeeLimit = true;
+    error.bookingCode = bookingCode;
+    error.limit = 2;
+    error.count = 3;
+    throw error;
+  });
+}
+
+const failuresOf = result => result.turns.flatMap((turn, index) => turn.failures.map(failure => `turn ${index + 1}: ${failure}`));
+
+describe('Conversation flows', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should keep phone numbers and emails out of the logs', async () => {
+    const result = await runDialogue({
+      name: 'PII in logs',
+      source: 'pii-logs',
+      now: DEFAULT_DIALOGUE_TIME,
+      bookings: {},
+      turns: [
+        { user: 'Hi' },
+        { user: 'Call me on 9876543210', expect: { response: 'do not share phone numbers' } },
+        { user: 'or write to asha.rao@example.com' }
+      ]
+    });
+
+    expect(failuresOf(result)).toEqual([]);
+    const logged = JSON.stringify(logger.getSessionLogs('eval-pii-logs'));
+    expect(logged).toContain('[REDACTED]');
+    expect(logged).not.toContain('9876543210');
+    expect(logged).not.toContain('asha.rao@example.com');
+  });
+
+  it('should send email tools through SMTP when the Calendar client is unavailable', async () => {
+    const engine = new ConversationEngine('Test Brand');
+    engine.stopSessionEviction();
+    await new Promise(resolve => setImmediate(resolve)); // Let the (disabled) MCP clients finish initializing
+
+    const previousMcp = process.env.ENABLE_MCP;
+    process.env.ENABLE_MCP = 'true';
+    engine.mcpClient = null;
+    engine.mcpInitialized = false;
+    engine.emailClient = { executeTool: jest.fn(async () => ({ sent: true })) };
+    engine.emailInitialized = true;
+    try {
+      const { results } = await engine.executeToolCalls([
+        { name: 'email_send_reminder', params: { bookingCode: 'NL-A742', contact: { email: 'priya@example.com' } } },
+        { name: 'event_cancel', params: { bookingCode: 'NL-A742' } }
+      ]);
+      expect(results[0]).toMatchObject({ success: true, mock: false, data: { sent: true } });
+      expect(results[1]).toMatchObject({ success: true, mock: true });
+      expect(engine.emailClient.executeTool).toHaveBeenCalledTimes(1);
+    } finally {
+      if (previousMcp === undefined) {
+        delete process.env.ENABLE_MCP;
+      } else {
+        process.env.ENABLE_MCP = previousMcp;
+      }
+    }
+  });
+
+  it('should keep caller contact details out of the logs when a draft echoes them back', async () => {
+    const engine = new ConversationEngine('Test Brand');
+    engine.stopSessionEviction();
+    await new Promise(resolve => setImmediate(resolve)); // Let the (disabled) MCP clients finish initializing
+
+    // Without Gmail the email server hands back the draft it would have sent
+    class DraftOnlyEmailClient extends MCPClient {
+      async _executeTool(toolName, params) {
+        const { name, email, phone } = params.contact;
+        return { drafted: true, body: `Name: ${name}\nEmail: ${email}\nPhone: ${phone}` };
+      }
+    }
+    const emailClient = new DraftOnlyEmailClient('SMTP Email');
+    Object.assign(emailClient, { enabled: true, initialized: true });
+
+    const previousMcp = process.env.ENABLE_MCP;
+    process.env.ENABLE_MCP = 'true';
+    Object.assign(engine, { mcpClient: null, mcpInitialized: false, emailClient, emailInitialized: true });
+    const log = jest.spyOn(logger, 'log');
+    try {
+      const { results } = await engine.executeToolCalls([{
+        name: 'email_create_advisor_draft',
+        params: {
+          bookingCode: 'NL-A742',
+          action: 'details_received',
+          contact: { name: 'Asha Rao', email: 'asha.rao@example.com', phone: '9876543210' }
+        }
+      }]);
+      expect(results[0].data.body).toContain('asha.rao@example.com');
+
+      const logged = JSON.stringify(log.mock.calls);
+      expect(logged).toContain('email_create_advisor_draft');
+      expect(logged).not.toContain('asha.rao@example.com');
+      expect(logged).not.toContain('9876543210');
+    } finally {
+      if (previousMcp === undefined) {
+        delete process.env.ENABLE_MCP;
+      } else {
+        process.env.ENABLE_MCP = previousMcp;
+      }
+    }
+  });
+
+  it('should evict idle live sessions that were never saved', async () => {
+    jest.spyOn(bookingStore, 'initialize').mockResolvedValue();
+    const sessionStore = new MemorySessionStore({ ttlMs: 60 * 1000 });
+    const engine = new ConversationEngine('Test Brand', 'https://advisors.example.com/complete', { sessionStore, sessionIdleTimeoutMs: 60 * 1000 });
+    engine.stopSessionEviction();
+
+    const start = Date.now();
+    const clock = jest.spyOn(Date, 'now').mockReturnValue(start);
+    engine.getSession('abandoned');
+    await engine.saveSession(engine.getSession('saved'));
+
+    clock.mockReturnValue(start + 30 * 1000);
+    await engine.saveSession(engine.getSession('saved'));
+    expect(await engine.evictIdleSessions()).toEqual([]);
+
+    clock.mockReturnValue(start + 61 * 1000);
+    expect(await engine.evictIdleSessions()).toEqual(['abandoned']);
+    expect(engine.sessions.has('abandoned')).toBe(false);
+    expect(engine.sessions.has('saved')).toBe(true);
+
+    clock.mockReturnValue(start + 91 * 1000);
+    expect(await engine.evictIdleSessions()).toEqual(['saved']);
+    expect(engine.sessions.size).toBe(0);
+  });
+
+  it('should ask again who is joining when a booking breaks the attendee limit', async () => {
+    rejectAttendees(record => record.action === 'Created');
+    const result = await runDialogue({
+      name: 'Attendee limit on booking',
+      source: 'attendee-limit-book',
+      now: DEFAULT_DIALOGUE_TIME,
+      bookings: {},
+      turns: [
+        ...BOOK_KYC_TURNS,
+        { user: 'yes', expect: { state: 'time_preference', slots: { attendees: null }, toolCalls: [], response: 'at most 2 people.*Who will join' } }
+      ]
+    });
+
+    expect(failuresOf(result)).toEqual([]);
+  });
+
+  it('should explain that a booking with too many attendees cannot be moved', async () => {
+    rejectAttendees(record => record.action === 'Rescheduled');
+    const result = await runDialogue({
+      name: 'Attendee limit on reschedule',
+      source: 'attendee-limit-reschedule',
+      now: DEFAULT_DIALOGUE_TIME,
+      bookings: SEEDED_BOOKING,
+      turns: [
+        { user: 'Hi' },
+        { user: 'I need to reschedule my appointment' },
+        { user: 'yes' },
+        { user: 'NL-A742' },
+        { user: 'thursday afternoon' },
+        { user: '1' },
+        { user: 'yes', expect: { state: 'greeting', intent: null, toolCalls: [], response: "can't move this booking until fewer people" } }
+      ]
+    });
+
+    expect(failuresOf(result)).toEqual([]);
+    expect(bookingStore.getSlotAsUTC(bookingStore.getBooking('NL-A742').slot).toISOString()).toBe('2025-01-15T04:30:00.000Z');
+  });
+
+  it('should give a cancelled slot to the oldest waitlisted caller', async () => {
+    const executeToolCalls = jest.spyOn(ConversationEngine.prototype, 'executeToolCalls');
+    const waitlisted = (createdAt) => ({ ...SEEDED_BOOKING['NL-A742'], advisorId: null, eventId: null, isWaitlist: true, createdAt });
+    const result = await runDialogue({
+      name: 'Cancel promotes the waitlist',
+      source: 'cancel-promotes-waitlist',
+      now: DEFAULT_DIALOGUE_TIME,
+      bookings: {
+        ...SEEDED_BOOKING,
+        'NL-W301': waitlisted('2025-01-12T06:00:00.000Z'),
+        'NL-W302': waitlisted('2025-01-11T06:00:00.000Z')
+      },
+      turns: [
+        { user: 'Hi' },
+        { user: 'I want to cancel my booking' },
+        { user: 'yes' },
+        { user: 'NL-A742', expect: { state: 'cancel_confirmation' } },
+        {
+          user: 'yes',
+          expect: {
+            state: 'completed',
+            toolCalls: [
+              'event_cancel', 'notes_append_prebooking', 'email_create_advisor_draft',
+              'event_create_tentative', 'notes_append_prebooking', 'email_create_advisor_draft'
+            ],
+            response: 'NL-A742 is now cancelled'
+          }
+        }
+      ]
+    });
+
+    expect(failuresOf(result)).toEqual([]);
+    expect(bookingStore.getBooking('NL-W302')).toMatchObject({ isWaitlist: false, action: 'Promoted', advisorId: 'ADV-01' });
+    expect(bookingStore.getBooking('NL-W301').isWaitlist).toBe(true);
+
+    const promotion = executeToolCalls.mock.calls.map(([configs]) => configs).at(-1);
+    expect(promotion.map(config => [config.name, config.params.bookingCode, config.params.action])).toEqual([
+      ['event_create_tentative', 'NL-W302', 'promoted'],
+      ['notes_append_prebooking', 'NL-W302', 'promoted'],
+      ['email_create_advisor_draft', 'NL-W302', 'promoted']
+    ]);
+  });
+
+  describe('recurring series', () => {
+    it('should book the free dates of a series and list the ones that are not', async () => {
+      const result = await runDialogue({
+        name: 'Book a series',
+        source: 'series-book',
+        now: DEFAULT_DIALOGUE_TIME,
+        bookings: SIP_CONFLICT,
+        turns: [
+          { user: 'Hi' },
+          { user: 'I want to book an appointment' },
+          { user: 'yes' },
+          { user: 'SIP mandates', expect: { slots: { topic: 'SIP/Mandates' } } },
+          { user: 'yes' },
+          {
+            user: 'every Monday at 11 for 3 weeks',
+            expect: {
+              state: 'series_confirmation',
+              response: ['Monday, 13 January.*not available: too soon to book', 'Monday, 20 January.*not available: already booked', 'book the 1 available date']
+            }
+          },
+          {
+            user: 'yes',
+            expect: {
+              state: 'completed',
+              toolCalls: ['event_create_tentative', 'notes_append_prebooking', 'email_create_advisor_draft'],
+              response: ['series code is [A-Z]{2}-', 'Monday, 27 January', 'Not booked']
+            }
+          }
+        ]
+      });
+
+      expect(failuresOf(result)).toEqual([]);
+      const seriesCode = result.turns[6].response.match(/series code is ([A-Z]{2}-[A-Z0-9]{3,4})/)[1];
+      const series = bookingStore.getSeries(seriesCode);
+      expect(series).toHaveLength(1);
+      expect(toUTC(series[0].slot)).toBe('2025-01-27T05:30:00.000Z');
+      expect(bookingStore.getBooking('NL-B200')).toBeTruthy();
+    });
+
+    it('should move a series, keeping appointments whose new date is taken', async () => {
+      const result = await runDialogue({
+        name: 'Move a series',
+        source: 'series-move',
+        now: DEFAULT_DIALOGUE_TIME,
+        bookings: {
+          ...SIP_SERIES,
+          'NL-B300': { ...SIP_CONFLICT['NL-B200'], slot: '2025-01-20T09:30:00.000Z', endSlot: '2025-01-20T10:00:00.000Z', eventId: 'evt-nl-b300' }
+        },
+        turns: [
+          { user: 'Hi' },
+          { user: 'I need to reschedule my appointment' },
+          { user: 'yes' },
+          { user: 'NL-S100', expect: { state: 'reschedule_time', response: 'series NL-S100 for SIP/Mandates with 2 remaining appointments' } },
+          { user: 'next week', expect: { state: 'reschedule_time', response: 'new pattern' } },
+          {
+            user: 'every Monday at 3 pm',
+            expect: { state: 'series_confirmation', response: ['Monday, 20 January.*already booked', 'move the series to the 1 available date'] }
+          },
+          {
+            user: 'yes',
+            expect: {
+              state: 'completed',
+              toolCalls: ['event_update_time', 'notes_append_prebooking', 'email_create_advisor_draft'],
+              response: ['rescheduled to every Monday at 3:00 PM', 'Kept at their current time:\n.*NL-S102']
+            }
+          }
+        ]
+      });
+
+      expect(failuresOf(result)).toEqual([]);
+      expect(toUTC(bookingStore.getBooking('NL-S101').slot)).toBe('2025-01-13T09:30:00.000Z');
+      expect(toUTC(bookingStore.getBooking('NL-S102').slot)).toBe('2025-01-27T05:30:00.000Z');
+    });
+
+    it('should cancel every remaining appointment of a series', async () => {
+      const result = await runDialogue({
+        name: 'Cancel a series',
+        source: 'series-cancel',
+        now: DEFAULT_DIALOGUE_TIME,
+        bookings: SIP_SERIES,
+        turns: [
+          { user: 'Hi' },
+          { user: 'I want to cancel my booking' },
+          { user: 'yes' },
+          { user: 'NL-S100', expect: { state: 'cancel_confirmation', response: 'cancel the whole series' } },
+          {
+            user: 'yes',
+            expect: {
+              state: 'completed',
+              slots: { series_code: null },
+              toolCalls: ['event_cancel', 'notes_append_prebooking', 'event_cancel', 'notes_append_prebooking', 'email_create_advisor_draft'],
+              response: 'All 2 remaining appointments in series NL-S100 are now cancelled'
+            }
+          }
+        ]
+      });
+
+      expect(failuresOf(result)).toEqual([]);
+      expect(bookingStore.getSeries('NL-S100')).toEqual([]);
+    });
+
+    it('should treat "every" without an interval as a one-off request', async () => {
+      const result = await runDialogue({
+        name: 'One-off with every',
+        source: 'series-one-off',
+        now: DEFAULT_DIALOGUE_TIME,
+        bookings: {},
+        turns: [
+          ...BOOK_KYC_TURNS.slice(0, 5),
+          { user: 'Wednesday morning, every slot is fine', expect: { state: 'slot_offer', response: '2 options on 15 January' } }
+        ]
+      });
+
+      expect(failuresOf(result)).toEqual([]);
+    });
+  });
+
+  describe('availability', () => {
+    let engine;
+    let previousMcp;
+
+    // A caller who picked KYC (60-minute appointments) and is asking what is free tomorrow
+    const checkTomorrow = () => runWithClock(DEFAULT_DIALOGUE_TIME, () => {
+      const session = engine.getSession('availability-kyc');
+      session.setIntent('check_availability');
+      session.updateSlots({ topic: 'KYC/Onboarding' });
+      session.transitionTo(DIALOG_STATES.AVAILABILITY_CHECK);
+      return engine.handleCheckAvailability(session, 'tomorrow');
+    });
+
+    beforeEach(async () => {
+      previousMcp = process.env.ENABLE_MCP;
+      jest.spyOn(bookingStore, 'initialize').mockResolvedValue(); // Keep whatever the store holds; no file backend
+      engine = new ConversationEngine('Test Brand', 'https://advisors.example.com/complete', { sessionStore: new MemorySessionStore() });
+      engine.stopSessionEviction();
+      await new Promise(resolve => setImmediate(resolve)); // Let the (disabled) MCP clients finish initializing
+    });
+
+    afterEach(() => {
+      if (previousMcp === undefined) {
+        delete process.env.ENABLE_MCP;
+      } else {
+        process.env.ENABLE_MCP = previousMcp;
+      }
+    });
+
+    it('should offer slots as long as the topic\'s appointments', async () => {
+      process.env.ENABLE_MCP = 'false';
+      const result = await checkTomorrow();
+      expect(result.response).toContain('10:00 AM–11:00 AM IST');
+    });
+
+    it('should split calendar free time into slots as long as the topic\'s appointments', async () => {
+      process.env.ENABLE_MCP = 'true';
+      engine.mcpClient = { isAvailable: () => true };
+      engine.mcpInitialized = true;
+      const busy = [{ start: '2025-01-14T05:30:00Z', end: '2025-01-14T06:00:00Z' }]; // 11:00-11:30 AM IST
+      jest.spyOn(engine, 'executeToolCalls').mockImplementation(async configs => ({
+        toolCalls: configs.map(({ name }) => ({ function: { name }, result: 'success' })),
+        results: configs.map(() => ({ success: true, data: { calendars: { primary: { busy } } } }))
+      }));
+
+      const result = await checkTomorrow();
+      expect(engine.executeToolCalls.mock.calls[0][0][0].params.slotMinutes).toBe(60);
+      expect(result.response).toContain('10:00 AM–11:00 AM IST, 11:30 AM–12:30 PM IST');
+    });
+  });
+
+  describe('desk closures', () => {
+    // Wednesday 15 January: the desk shuts for the morning only
+    const closeMorning = () => jest.replaceProperty(holidayCalendar, 'closures',
+      new HolidayCalendar([{ date: '2025-01-15', name: 'Town hall', from: '10:00', to: '12:00' }]).closures);
+
+    it('should explain a partial closure instead of waitlisting the caller into it', async () => {
+      closeMorning();
+      const result = await runDialogue({
+        name: 'Waitlist in a partial closure',
+        source: 'waitlist-partial-closure',
+        now: DEFAULT_DIALOGUE_TIME,
+        bookings: {},
+        turns: [
+          ...BOOK_KYC_TURNS.slice(0, -2),
+          {
+            user: 'Wednesday morning',
+            expect: {
+              state: 'time_preference',
+              slots: { preferred_slot_start: null },
+              response: 'closed on Wednesday, 15 January from 10:00 AM to 12:00 PM IST for Town hall'
+            }
+          }
+        ]
+      });
+
+      expect(failuresOf(result)).toEqual([]);
+    });
+
+    it('should refuse a waitlist slot that falls in a partial closure', () => {
+      closeMorning();
+      jest.spyOn(bookingStore, 'initialize').mockResolvedValue();
+      const engine = new ConversationEngine('Test Brand', 'https://advisors.example.com/complete', { sessionStore: new MemorySessionStore() });
+      engine.stopSessionEviction();
+      const session = engine.getSession('waitlist-closure');
+
+      const closed = engine.respondIfSlotClosed(session, new Date('2025-01-15T05:30:00Z'), new Date('2025-01-15T06:30:00Z'));
+      expect(closed.response).toContain('for Town hall');
+      expect(engine.respondIfSlotClosed(session, new Date('2025-01-15T06:30:00Z'), new Date('2025-01-15T07:30:00Z'))).toBeNull();
+    });
+  });
+
+  describe('languages', () => {
+    it('should take a whole booking in Hindi', async () => {
+      const result = await runDialogue({
+        name: 'Hindi booking',
+        source: 'hindi-booking',
+        now: DEFAULT_DIALOGUE_TIME,
+        bookings: {},
+        turns: [
+          { user: 'नमस्ते', expect: { state: 'greeting', response: 'नई अपॉइंटमेंट बुक करना' } },
+          { user: 'मुझे अपॉइंटमेंट बुक करनी है', expect: { state: 'intent_confirmation', intent: 'book_new', response: 'क्या यह सही है' } },
+          { user: 'हाँ', expect: { state: 'topic_selection', response: 'आप इनमें से चुन सकते हैं' } },
+          { user: 'केवाईसी', expect: { state: 'topic_confirmation', slots: { topic: 'KYC/Onboarding' }, response: 'आपने KYC/Onboarding चुना है' } },
+          { user: 'हाँ', expect: { state: 'time_preference', response: 'कौन सा दिन और समय' } },
+          { user: 'कल सुबह', expect: { state: 'slot_offer', response: ['14 January को 2 स्लॉट उपलब्ध हैं', 'कोई और समय बता सकते हैं'] } },
+          { user: '1', expect: { state: 'slot_confirmation', response: 'अस्थायी एडवाइज़र स्लॉट .* पर होगा। क्या यह सही है' } },
+          {
+            user: 'हाँ',
+            expect: {
+              state: 'completed',
+              toolCalls: ['event_create_tentative', 'notes_append_prebooking', 'email_create_advisor_draft'],
+              response: ['आपका बुकिंग कोड', 'Ananya Rao के साथ', 'क्या आपको किसी और चीज़ में मदद चाहिए']
+            }
+          }
+        ]
+      });
+
+      expect(failuresOf(result)).toEqual([]);
+      // Apart from names, codes, dates and times, nothing was said in English
+      const leftovers = result.turns.map(turn => turn.response
+        .replace(/KYC\/Onboarding|SIP\/Mandates|Statements and Tax Documents|Withdrawals and Timelines|Account Changes and Nominee|Test Brand|Ananya Rao/g, '')
+        .replace(/https?:\/\/\S+|[A-Z]{2}-[A-Z0-9]{3,4}/g, '')
+        .replace(/(Monday|Tuesday|Wednesday|Thursday|Friday|Saturday),|\d{1,2} January|\d{1,2}:\d{2} (AM|PM)|from|to|IST/g, '')
+        .match(/[A-Za-z]{3,}/g));
+      expect(leftovers.flat().filter(Boolean)).toEqual([]);
+    });
+
+    it('should take a Hinglish yes or no at the confirmation questions', async () => {
+      const result = await runDialogue({
+        name: 'Hinglish confirmations',
+        source: 'hinglish-confirmations',
+        now: DEFAULT_DIALOGUE_TIME,
+        bookings: {},
+        turns: [
+          { user: 'Hi' },
+          { user: 'mujhe appointment book karni hai', expect: { state: 'intent_confirmation', response: 'naya appointment book karna chahte hain' } },
+          { user: 'haan ji', expect: { state: 'topic_selection' } },
+          { user: 'KYC', expect: { state: 'topic_confirmation' } },
+          { user: 'theek hai', expect: { state: 'time_preference', response: 'Kaunsa din aur time' } },
+          { user: 'kal subah', expect: { state: 'slot_offer' } },
+          { user: '1', expect: { state: 'slot_confirmation' } },
+          { user: 'nahi, koi aur time', expect: { state: 'slot_offer', response: 'Koi baat nahi' } }
+        ]
+      });
+
+      expect(failuresOf(result)).toEqual([]);
+    });
+  });
+});
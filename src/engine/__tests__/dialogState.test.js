@@ -113,5 +113,69 @@ describe('Dialog State Manager', () => {
     expect(stateManager.getSlots().topic).toBe(null);
     expect(stateManager.getHistory().length).toBe(0);
   });
-});
 
+  it('should round-trip through JSON with dates intact', () => {
+    const start = new Date('2025-01-13T04:30:00Z');
+    stateManager.setIntent(INTENTS.BOOK_NEW);
+    stateManager.transitionTo(DIALOG_STATES.SLOT_OFFER);
+    stateManager.updateSlots({
+      topic: 'KYC/Onboarding',
+      preferred_day: start,
+      available_slots: [{ start, end: new Date(start.getTime() + 30 * 60000), advisorId: 'ADV-01' }]
+    });
+    stateManager.context.greeting_sent = true;
+    stateManager.addMessage('assistant', 'I have two options');
+
+    const restored = DialogStateManager.fromJSON(JSON.parse(JSON.stringify(stateManager.toJSON())));
+
+    expect(restored.sessionId).toBe(stateManager.sessionId);
+    expect(restored.getState()).toBe(DIALOG_STATES.SLOT_OFFER);
+    expect(restored.getIntent()).toBe(INTENTS.BOOK_NEW);
+    expect(restored.getSlots().preferred_day).toEqual(start);
+    expect(restored.getSlots().available_slots[0].start).toBeInstanceOf(Date);
+    expect(restored.getSlots().available_slots[0].advisorId).toBe('ADV-01');
+    expect(restored.context.greeting_sent).toBe(true);
+    expect(restored.getHistory()).toHaveLength(2);
+    expect(restored.getHistory()[1].timestamp).toBeInstanceOf(Date);
+  });
+
+  it('should mark the last assistant message as interrupted', () => {
+    stateManager.addMessage('assistant', 'Welcome');
+    stateManager.addMessage('user', 'Book a call');
+    stateManager.transitionTo(DIALOG_STATES.SLOT_OFFER);
+    stateManager.addMessage('assistant', 'I have 2 options: 3:00 PM to 3:30 PM IST, 4:30 PM to 5:00 PM IST');
+
+    const entry = stateManager.markInterrupted('I have 2 options: 3:00 PM to 3:30 PM');
+
+    expect(entry.interrupted).toBe(true);
+    expect(entry.delivered).toBe('I have 2 options: 3:00 PM to 3:30 PM');
+    expect(stateManager.getHistory()[0].interrupted).toBeUndefined();
+    expect(stateManager.getInterruption().state).toBe(DIALOG_STATES.SLOT_OFFER);
+    expect(stateManager.getInterruption().delivered).toBe('I have 2 options: 3:00 PM to 3:30 PM');
+
+    stateManager.clearInterruption();
+    expect(stateManager.getInterruption()).toBe(null);
+  });
+
+  it('should not mark anything when no assistant message exists', () => {
+    stateManager.addMessage('user', 'Hello');
+    expect(stateManager.markInterrupted('')).toBe(null);
+    expect(stateManager.getInterruption()).toBe(null);
+  });
+
+  it('should keep an explicitly selected language', () => {
+    expect(stateManager.getLanguage()).toBe('en');
+
+    stateManager.setLanguage('hinglish');
+    expect(stateManager.isLanguageSelected()).toBe(false);
+
+    stateManager.setLanguage('hi', true);
+    stateManager.setLanguage('en');
+    expect(stateManager.getLanguage()).toBe('en');
+    expect(stateManager.isLanguageSelected()).toBe(true);
+
+    const restored = DialogStateManager.fromJSON(JSON.parse(JSON.stringify(stateManager.toJSON())));
+    expect(restored.getLanguage()).toBe('en');
+    expect(restored.isLanguageSelected()).toBe(true);
+  });
+});
@@ -4,32 +4,58 @@
  */
 
 import { DialogStateManager, DIALOG_STATES } from './dialogState.js';
-import { INTENTS, SYSTEM_MESSAGES, PREPARATION_GUIDES, TIME_WINDOW_RANGES } from '../config/constants.js';
+import { INTENTS, TIME_WINDOW_RANGES, BOOKING_STATUSES, LANGUAGES } from '../config/constants.js';
+import { getSystemMessages } from '../config/messages.js';
 import { classifyIntent, extractSlots, interpretDateTimeWithLLM, interpretSlotSelection } from '../services/aiService.js';
-import { detectPII, detectInvestmentAdvice } from '../utils/guardrails.js';
+import { detectPII, detectInvestmentAdvice, sanitizePII } from '../utils/guardrails.js';
 import { mapToTopic, isValidTopic } from '../utils/topicMapper.js';
-import { getAvailableSlots, parseDateTimePreference, formatSlot, checkSlotOverlap, isWithinBusinessHours } from '../services/availabilityService.js';
+import { detectLanguage, detectLanguageSelection, isHindiYes, isHindiNo } from '../utils/language.js';
+import { getAvailableSlots, getSlotDuration, findAvailableAdvisor, parseDateTimePreference, formatSlot, checkSlotOverlap, isWithinBusinessHours } from '../services/availabilityService.js';
 import { generateBookingCode, formatBookingCodeForVoice } from '../utils/bookingCode.js';
+import { parseRecurrence, generateOccurrences, describeRecurrence } from '../utils/recurrence.js';
+import { parseAttendees, checkAttendees, describeAttendees, getAttendeeLimit, getPreparationGuide, defaultAttendees } from '../utils/attendees.js';
 import { logger } from '../utils/logger.js';
-import { format, addDays, getDay } from 'date-fns';
+import { format, addDays, getDay, setHours, startOfDay } from 'date-fns';
 import { utcToZonedTime, zonedTimeToUtc } from 'date-fns-tz';
-import { formatIST24Hour, getCurrentIST } from '../utils/timezone.js';
+import { formatIST24Hour, getCurrentIST, detectTimezone, isValidTimezone, getTimezoneLabel } from '../utils/timezone.js';
+import { now, parseClockTime, runWithClock } from '../utils/clock.js';
 import { GmailCalendarMCPClient } from '../services/mcp/gmailCalendarMCPClient.js';
 import { GoogleSheetsMCPClient } from '../services/mcp/googleSheetsMCPClient.js';
 import { SMTPEmailMCPClient } from '../services/mcp/smtpEmailMCPClient.js';
 import { bookingStore } from '../services/bookingStore.js';
+import { holidayCalendar } from '../services/holidayCalendar.js';
+import { schedulingPolicy, POLICY_RULES } from '../services/schedulingPolicy.js';
+import { createSessionStore, getSessionIdleTimeoutMs } from '../services/sessionStore.js';
+import { callSummaryStore } from '../services/callSummaryStore.js';
+import { buildCallSummary } from '../utils/callSummary.js';
+import { cleanupSessionAudio } from '../services/audioSessionStorage.js';
 
 // Mappings are now handled by BookingStore service
 const existingCodes = new Set();
 
+// Whether the caller named a day or time, in English or Hinglish
+const DATE_TIME_CUE = /\d|\b(?:today|tomorrow|tonight|monday|tuesday|wednesday|thursday|friday|saturday|sunday|morning|afternoon|evening|noon|week|next|kal|parso|subah|shaam|dopahar)\b/i;
+
 /**
  * Conversation Engine
  */
 export class ConversationEngine {
-  constructor(brandName = 'Advisor Desk', secureUrl = 'https://advisors.example.com/complete') {
+  /**
+   * @param {string} brandName - Brand name used in the greeting
+   * @param {string} secureUrl - URL for sharing contact details
+   * @param {Object} options - Options
+   * @param {Object} options.sessionStore - Session store (default: SESSION_STORE backend)
+   * @param {number} options.sessionIdleTimeoutMs - Idle time before a session is evicted
+   * @param {CallSummaryStore} options.callSummaryStore - Post-call summary store (default: shared callSummaryStore)
+   */
+  constructor(brandName = 'Advisor Desk', secureUrl = 'https://advisors.example.com/complete', options = {}) {
     this.brandName = brandName;
     this.secureUrl = secureUrl;
-    this.sessions = new Map(); // sessionId -> DialogStateManager
+    this.sessions = new Map(); // sessionId -> DialogStateManager (live sessions)
+    this.sessionActivity = new Map(); // sessionId -> last time a live session was created, restored or saved (ms)
+    this.sessionStore = options.sessionStore || createSessionStore();
+    this.sessionIdleTimeoutMs = options.sessionIdleTimeoutMs || getSessionIdleTimeoutMs();
+    this.callSummaryStore = options.callSummaryStore || callSummaryStore;
     this.mcpClient = null;
     this.mcpInitialized = false;
     this.sheetsClient = null;
@@ -48,6 +74,22 @@ export class ConversationEngine {
     this.initializeEmail().catch(err => {
       logger.log('error', `Failed to initialize Email client: ${err.message}`, {});
     });
+
+    // Periodically evict idle sessions; unref so the timer never keeps the process alive
+    const sweepIntervalMs = Math.min(this.sessionIdleTimeoutMs / 2, 60 * 1000);
+    this.evictionTimer = setInterval(() => {
+      this.evictIdleSessions().catch(err => {
+        logger.log('error', `Session eviction failed: ${err.message}`, {});
+      });
+    }, sweepIntervalMs);
+    this.evictionTimer.unref?.();
+  }
+
+  /**
+   * Stop the idle-session eviction timer
+   */
+  stopSessionEviction() {
+    clearInterval(this.evictionTimer);
   }
 
   /**
@@ -114,16 +156,854 @@ export class ConversationEngine {
     }
   }
 
+  /**
+   * Promote the oldest waitlist entry for a slot that has just been freed
+   * Creates the tentative hold, logs a 'promoted' notes row and drafts an advisor email.
+   * @param {Object} freedBooking - Booking record that released its slot
+   * @returns {Promise<Object|null>} { bookingCode, toolCalls } or null if nothing was promoted
+   */
+  async promoteWaitlist(freedBooking) {
+    if (!freedBooking || freedBooking.isWaitlist) return null;
+
+    const freedStart = bookingStore.getSlotAsUTC(freedBooking.slot);
+    const freedEnd = bookingStore.getSlotAsUTC(freedBooking.endSlot);
+    if (!freedStart || !freedEnd) return null;
+
+    const candidate = bookingStore.getOldestWaitlistEntry(
+      freedStart.toISOString(),
+      freedEnd.toISOString(),
+      freedBooking.bookingCode
+    );
+    if (!candidate) return null;
+
+    const start = bookingStore.getSlotAsUTC(candidate.slot);
+    const end = bookingStore.getSlotAsUTC(candidate.endSlot);
+    const bookedAround = bookingStore.getBookedSlotsInRange(addDays(start, -1).toISOString(), addDays(start, 1).toISOString());
+    const advisor = findAvailableAdvisor(start, end, bookedAround, candidate.topic);
+    if (!advisor) {
+      logger.log('system', `Waitlist entry ${candidate.bookingCode} not promoted: slot still full`, { bookingCode: candidate.bookingCode });
+      return null;
+    }
+
+    let bookingRecord;
+    try {
+      bookingRecord = await bookingStore.setBooking(candidate.bookingCode, {
+        ...candidate,
+        isWaitlist: false,
+        action: 'Promoted',
+        advisorId: advisor.id,
+        advisorName: advisor.name
+      });
+    } catch (error) {
+      if (!error.isPolicyViolation) throw error;
+      logger.log('system', `Waitlist entry ${candidate.bookingCode} not promoted: ${error.message}`, { bookingCode: candidate.bookingCode });
+      return null;
+    }
+    if (bookingRecord.isWaitlist) return null;
+
+    const bookingCode = candidate.bookingCode;
+    const { toolCalls, results } = await this.executeToolCalls([
+      {
+        name: 'event_create_tentative',
+        params: {
+          summary: `Advisor Q&A — ${candidate.topic} — ${bookingCode}`,
+          description: `Tentative hold promoted from waitlist for ${candidate.topic}. Advisor: ${advisor.name}.`,
+          startDateTime: start.toISOString(),
+          endDateTime: end.toISOString(),
+          bookingCode,
+          advisorId: advisor.id,
+          isWaitlist: false,
+          action: 'promoted'
+        }
+      },
+      {
+        name: 'notes_append_prebooking',
+        params: {
+          createdAt: now().toISOString(),
+          topic: candidate.topic,
+          slotStart: start.toISOString(),
+          slotEnd: end.toISOString(),
+          bookingCode,
+          isWaitlist: false,
+          action: 'promoted',
+          status: bookingRecord.status
+        }
+      },
+      {
+        name: 'email_create_advisor_draft',
+        params: {
+          topic: candidate.topic,
+          slotStart: start.toISOString(),
+          slotEnd: end.toISOString(),
+          bookingCode,
+          isWaitlist: false,
+          action: 'promoted'
+        }
+      }
+    ]);
+
+    const eventId = results[0]?.data?.id || null;
+    if (eventId) {
+      await bookingStore.setBooking(bookingCode, { ...bookingRecord, eventId });
+    }
+
+    logger.log('system', `Waitlist entry ${bookingCode} promoted to tentative hold`, {
+      bookingCode,
+      freedBy: freedBooking.bookingCode,
+      advisorId: advisor.id
+    });
+
+    return { bookingCode, toolCalls };
+  }
+
+  /**
+   * Refuse to change a booking that has already taken place or been cancelled
+   * @param {DialogStateManager} session - Current session
+   * @param {Object} booking - Booking record
+   * @param {string} operation - What the caller wants to do ('reschedule' or 'cancel')
+   * @returns {Object|null} Handler result, or null if the booking can still be changed
+   */
+  respondIfBookingClosed(session, booking, operation) {
+    const closedStatuses = [BOOKING_STATUSES.COMPLETED, BOOKING_STATUSES.NO_SHOW, BOOKING_STATUSES.CANCELLED];
+    const status = booking ? bookingStore.getStatus(booking) : null;
+    if (!closedStatuses.includes(status)) return null;
+
+    const response = this.messages(session).BOOKING_CLOSED(booking.bookingCode, status, operation);
+    session.setIntent(null);
+    session.transitionTo(DIALOG_STATES.GREETING);
+    session.addMessage('assistant', response);
+    return {
+      response,
+      state: session.getState(),
+      intent: session.getIntent(),
+      slots: session.getSlots(),
+      toolCalls: []
+    };
+  }
+
+  /**
+   * Tell the caller the desk is closed instead of offering slots or a waitlist
+   * @param {DialogStateManager} session - Current session
+   * @param {Date} date - Requested date (UTC)
+   * @param {string|null} timeWindow - Requested time window; when given, partial-day closures covering it count too
+   * @returns {Object|null} Handler result, or null if the desk is open
+   */
+  respondIfDeskClosed(session, date, timeWindow = null) {
+    const istDate = utcToZonedTime(date, 'Asia/Kolkata');
+    let closure = holidayCalendar.getFullDayClosure(date);
+    if (!closure && timeWindow) {
+      const windowRange = TIME_WINDOW_RANGES[timeWindow] || TIME_WINDOW_RANGES.any;
+      closure = holidayCalendar.getClosure(format(istDate, 'yyyy-MM-dd'), windowRange.start * 60, windowRange.end * 60);
+    }
+    if (!closure) return null;
+    return this.respondWithClosure(session, istDate, closure);
+  }
+
+  /**
+   * Tell the caller the desk is closed during one slot, such as the one a waitlist entry would hold
+   * @param {DialogStateManager} session - Current session
+   * @param {Date} start - Slot start (UTC)
+   * @param {Date} end - Slot end (UTC)
+   * @returns {Object|null} Handler result, or null if the desk is open for the whole slot
+   */
+  respondIfSlotClosed(session, start, end) {
+    const closure = holidayCalendar.getClosureForRange(start, end);
+    if (!closure) return null;
+    return this.respondWithClosure(session, utcToZonedTime(start, 'Asia/Kolkata'), closure);
+  }
+
+  /**
+   * @private
+   */
+  respondWithClosure(session, istDate, closure) {
+    logger.log('system', 'Requested time falls in a desk closure', { sessionId: session.sessionId, closure: closure.name });
+    const response = `${this.messages(session).DESK_CLOSED(format(istDate, 'EEEE, d MMMM'), closure)} ${this.messages(session).DESK_CLOSED_FOLLOW_UP}`;
+    session.addMessage('assistant', response);
+    return {
+      response,
+      state: session.getState(),
+      intent: session.getIntent(),
+      slots: session.getSlots(),
+      toolCalls: []
+    };
+  }
+
+  /**
+   * Tell the caller which scheduling rule rules out a whole day or time window
+   * Covers the booking horizon, a window that is entirely within the lead time and a full daily cap.
+   * @param {DialogStateManager} session - Current session
+   * @param {Date} date - Requested date (UTC)
+   * @param {string|null} timeWindow - Requested time window (default: whole day)
+   * @param {string|null} excludeBookingCode - Booking being rescheduled, not counted towards the cap
+   * @returns {Object|null} Handler result, or null if the rules leave room for a booking
+   */
+  respondIfPolicyBlocks(session, date, timeWindow = null, excludeBookingCode = null) {
+    const istDate = utcToZonedTime(date, 'Asia/Kolkata');
+    const windowRange = TIME_WINDOW_RANGES[timeWindow] || TIME_WINDOW_RANGES.any;
+    const windowStart = zonedTimeToUtc(setHours(startOfDay(istDate), windowRange.start), 'Asia/Kolkata');
+    const windowEnd = zonedTimeToUtc(setHours(startOfDay(istDate), windowRange.end), 'Asia/Kolkata');
+    const lastStart = new Date(windowEnd.getTime() - getSlotDuration(session.getSlots().topic) * 60000);
+
+    let violation = schedulingPolicy.checkDay(windowStart, lastStart);
+    if (!violation) {
+      const booked = bookingStore.getBookedSlotsInRange(addDays(windowStart, -1).toISOString(), addDays(windowStart, 1).toISOString())
+        .filter(b => b.bookingCode !== excludeBookingCode);
+      const capacity = schedulingPolicy.checkCapacity(windowStart, windowStart, booked);
+      violation = capacity && capacity.rule === POLICY_RULES.DAILY_CAP ? capacity : null;
+    }
+    if (!violation) return null;
+
+    logger.log('system', `Requested time blocked by the ${violation.rule} scheduling rule`, { sessionId: session.sessionId, violation });
+    return this.respondWithPolicyViolation(session, violation, format(istDate, 'EEEE, d MMMM'));
+  }
+
+  /**
+   * Explain a broken scheduling rule and ask for another time
+   * @param {DialogStateManager} session - Current session
+   * @param {Object} violation - Violation from schedulingPolicy
+   * @param {string} dateStr - Requested date or time as it should be read out
+   * @returns {Object} Handler result
+   */
+  respondWithPolicyViolation(session, violation, dateStr) {
+    const response = `${this.messages(session).SCHEDULING_RULE(violation, dateStr)} ${this.messages(session).DESK_CLOSED_FOLLOW_UP}`;
+    session.addMessage('assistant', response);
+    return {
+      response,
+      state: session.getState(),
+      intent: session.getIntent(),
+      slots: session.getSlots(),
+      toolCalls: []
+    };
+  }
+
+  /**
+   * Explain that more people would attend than the topic allows
+   * New bookings go back to the time question so the caller can say again who is joining;
+   * an existing booking cannot be moved until its attendees are changed.
+   * @param {DialogStateManager} session - Current session
+   * @param {Error} error - Error from the BookingStore flagged with isAttendeeLimit
+   * @param {string} operation - 'book' or 'reschedule'
+   * @returns {Object} Handler result
+   */
+  respondWithAttendeeLimit(session, error, operation = 'book') {
+    const topic = session.getSlots().topic;
+    logger.log('system', `Too many attendees for ${topic}`, { sessionId: session.sessionId, bookingCode: error.bookingCode, limit: error.limit, count: error.count });
+
+    const messages = this.messages(session);
+    let response;
+    if (operation === 'reschedule') {
+      response = `${messages.ATTENDEE_LIMIT(topic, error.limit)} ${messages.ATTENDEE_CHANGE_NEEDED}`;
+      session.setIntent(null);
+      session.transitionTo(DIALOG_STATES.GREETING);
+    } else {
+      response = `${messages.ATTENDEE_LIMIT(topic, error.limit)} ${messages.ATTENDEE_FOLLOW_UP(error.limit)}`;
+      session.updateSlots({ attendees: null });
+      session.transitionTo(DIALOG_STATES.TIME_PREFERENCE);
+    }
+
+    session.addMessage('assistant', response);
+    return {
+      response,
+      state: session.getState(),
+      intent: session.getIntent(),
+      slots: session.getSlots(),
+      toolCalls: []
+    };
+  }
+
+  /**
+   * Check each occurrence of a recurring series and pick an advisor for the free ones
+   * @param {Array<Object>} occurrences - Occurrences [{ start, end }]
+   * @param {string} topic - Booking topic
+   * @param {Array<string>} excludeBookingCodes - Bookings to leave out of the check (a series being moved)
+   * @returns {Array<Object>} Plan [{ start, end, advisorId, advisorName, reason, closure }]; reason is null when the
+   *   occurrence is free, otherwise 'closed' (closure names the holiday), 'outside_hours', 'too_soon' or 'booked'
+   */
+  planSeries(occurrences, topic, excludeBookingCodes = []) {
+    return occurrences.map(({ start, end }) => {
+      const unavailable = (reason, closure = null) => ({ start, end, advisorId: null, advisorName: null, reason, closure });
+
+      const businessHoursCheck = isWithinBusinessHours(start, end);
+      if (!businessHoursCheck.isValid) {
+        return businessHoursCheck.closure ? unavailable('closed', businessHoursCheck.closure.name) : unavailable('outside_hours');
+      }
+      const windowViolation = schedulingPolicy.checkBookingWindow(start);
+      if (windowViolation && windowViolation.rule === POLICY_RULES.LEAD_TIME) {
+        return unavailable('too_soon');
+      }
+
+      const bookedAround = bookingStore.getBookedSlotsInRange(addDays(start, -1).toISOString(), addDays(start, 1).toISOString())
+        .filter(b => !excludeBookingCodes.includes(b.bookingCode));
+      const advisor = findAvailableAdvisor(start, end, bookedAround, topic);
+      if (!advisor) {
+        return unavailable('booked');
+      }
+      return { start, end, advisorId: advisor.id, advisorName: advisor.name, reason: null, closure: null };
+    });
+  }
+
+  /**
+   * Offer a recurring series: list which occurrences are free and ask before booking them
+   * When moving an existing series, it keeps its number of remaining appointments.
+   * @param {DialogStateManager} session - Current session
+   * @param {Object} rule - Rule from parseRecurrence
+   * @param {string|null} seriesCode - Series being rescheduled, or null for a new series
+   * @returns {Object} Handler result
+   */
+  offerSeries(session, rule, seriesCode = null) {
+    const reply = (response) => {
+      session.addMessage('assistant', response);
+      return {
+        response,
+        state: session.getState(),
+        intent: session.getIntent(),
+        slots: session.getSlots(),
+        toolCalls: []
+      };
+    };
+
+    const messages = this.messages(session);
+    if (rule.hour === null) {
+      return reply(messages.SERIES_TIME_NEEDED(`${describeRecurrence(rule)} at 11 AM`));
+    }
+
+    const existing = seriesCode ? bookingStore.getSeries(seriesCode) : [];
+    const topic = seriesCode ? existing[0].topic : session.getSlots().topic;
+    const occurrences = generateOccurrences(
+      { ...rule, count: seriesCode ? existing.length : rule.count },
+      { durationMinutes: getSlotDuration(topic) }
+    );
+
+    // A weekday or time the desk never works is not worth listing date by date
+    const firstCheck = isWithinBusinessHours(occurrences[0].start, occurrences[0].end, messages);
+    if (!firstCheck.isValid && !firstCheck.closure) {
+      return reply(`${firstCheck.reason}\n\n${messages.SERIES_OTHER_PATTERN}`);
+    }
+
+    const plan = this.planSeries(occurrences, topic, existing.map(b => b.bookingCode));
+    const free = plan.filter(occurrence => !occurrence.reason);
+    const pattern = describeRecurrence(rule, session.getLanguage());
+    const lines = plan.map((occurrence, index) =>
+      `${index + 1}. ${formatSlot(occurrence.start, occurrence.end, session.getTimezone())}${occurrence.reason ? ` (${messages.SERIES_UNAVAILABLE(occurrence)})` : ''}`
+    ).join('\n');
+
+    if (free.length === 0) {
+      logger.log('system', 'No occurrence of the requested series is free', { sessionId: session.sessionId, rule });
+      return reply(`${messages.SERIES_NONE_FREE(pattern, lines)}\n\n${messages.DESK_CLOSED_FOLLOW_UP}`);
+    }
+
+    session.updateSlots({ series_rule: rule, series_plan: plan });
+    session.transitionTo(DIALOG_STATES.SERIES_CONFIRMATION);
+
+    const question = seriesCode ? messages.SERIES_MOVE_QUESTION(free.length) : messages.SERIES_BOOK_QUESTION(free.length);
+    return reply(`${messages.SERIES_OFFER(pattern, topic, lines)}\n\n${question}`);
+  }
+
+  /**
+   * Book the free occurrences of the offered series under one parent code
+   * @param {DialogStateManager} session - Current session
+   * @returns {Promise<Object>} Handler result
+   */
+  async bookSeries(session) {
+    const slots = session.getSlots();
+    const topic = slots.topic;
+    const plan = slots.series_plan || [];
+    const seriesCode = generateBookingCode(existingCodes);
+    existingCodes.add(seriesCode);
+
+    const booked = [];
+    const skipped = plan.filter(occurrence => occurrence.reason);
+    for (const [index, occurrence] of plan.entries()) {
+      if (occurrence.reason) continue;
+
+      const bookingCode = generateBookingCode(existingCodes);
+      existingCodes.add(bookingCode);
+      try {
+        const record = await bookingStore.setBooking(bookingCode, {
+          topic,
+          slot: new Date(occurrence.start).toISOString(),
+          endSlot: new Date(occurrence.end).toISOString(),
+          bookingCode,
+          createdAt: now().toISOString(),
+          isWaitlist: false,
+          action: 'Created',
+          eventId: null,
+          advisorId: occurrence.advisorId,
+          advisorName: occurrence.advisorName,
+          callerTimezone: session.context.timezone,
+          attendees: session.getSlots().attendees || defaultAttendees(),
+          seriesCode,
+          seriesIndex: index + 1
+        });
+        booked.push(record);
+      } catch (error) {
+        // Every occurrence has the same topic and attendees, so the first one already fails
+        if (error.isAttendeeLimit && booked.length === 0) return this.respondWithAttendeeLimit(session, error);
+        if (!error.isPolicyViolation) throw error;
+        existingCodes.delete(bookingCode);
+        skipped.push({ ...occurrence, reason: 'taken' });
+      }
+    }
+
+    const toolCallConfigs = [];
+    const eventIndexes = new Map();
+    for (const record of booked) {
+      const start = bookingStore.getSlotAsUTC(record.slot).toISOString();
+      const end = bookingStore.getSlotAsUTC(record.endSlot).toISOString();
+      if (!record.isWaitlist) {
+        eventIndexes.set(record.bookingCode, toolCallConfigs.length);
+        toolCallConfigs.push({
+          name: 'event_create_tentative',
+          params: {
+            summary: `Advisor Q&A — ${topic} — ${record.bookingCode}`,
+            description: `Tentative hold created via voice agent for ${topic}, part of series ${seriesCode}.${record.advisorName ? ` Advisor: ${record.advisorName}.` : ''}`,
+            startDateTime: start,
+            endDateTime: end,
+            bookingCode: record.bookingCode,
+            advisorId: record.advisorId,
+            isWaitlist: false,
+            action: 'Created'
+          }
+        });
+      }
+      toolCallConfigs.push({
+        name: 'notes_append_prebooking',
+        params: {
+          createdAt: now().toISOString(),
+          topic,
+          slotStart: start,
+          slotEnd: end,
+          bookingCode: record.bookingCode,
+          isWaitlist: record.isWaitlist,
+          action: 'Created',
+          status: record.status
+        }
+      });
+    }
+    if (booked.length > 0) {
+      toolCallConfigs.push(this.seriesEmailConfig(seriesCode, topic, session.getSlots().series_rule, booked, 'Created'));
+    }
+
+    const { toolCalls, results } = await this.executeToolCalls(toolCallConfigs);
+    for (const record of booked) {
+      const eventId = results[eventIndexes.get(record.bookingCode)]?.data?.id;
+      if (eventId) {
+        await bookingStore.setBooking(record.bookingCode, { ...record, eventId });
+      }
+    }
+
+    logger.log('tool_call', `Recurring series ${seriesCode} booked`, {
+      sessionId: session.sessionId,
+      seriesCode,
+      booked: booked.map(record => record.bookingCode),
+      skipped: skipped.length
+    });
+
+    const messages = this.messages(session);
+    let response;
+    if (booked.length === 0) {
+      response = `${messages.SERIES_TAKEN} ${messages.DESK_CLOSED_FOLLOW_UP}`;
+      session.transitionTo(DIALOG_STATES.TIME_PREFERENCE);
+    } else {
+      const bookedLines = booked.map(record =>
+        `- ${messages.SERIES_APPOINTMENT(formatSlot(record.slot, record.endSlot, session.getTimezone()), record.bookingCode, record.isWaitlist)}`
+      ).join('\n');
+      const skippedText = skipped.length > 0
+        ? `\n\n${messages.SERIES_NOT_BOOKED(skipped.map(occurrence => `- ${formatSlot(occurrence.start, occurrence.end, session.getTimezone())} (${messages.SERIES_UNAVAILABLE(occurrence)})`).join('\n'))}`
+        : '';
+      response = `${messages.SERIES_BOOKED(seriesCode, topic, bookedLines)}${skippedText}\n\n${messages.SECURE_URL(this.secureUrl)} ${messages.TENTATIVE_HOLD}`;
+      session.updateSlots({ booking_code: seriesCode, booking_code_generated: seriesCode, series_code: seriesCode });
+      session.transitionTo(DIALOG_STATES.COMPLETED);
+    }
+    session.updateSlots({ series_plan: null });
+    session.addMessage('assistant', response);
+    return {
+      response,
+      state: session.getState(),
+      intent: session.getIntent(),
+      slots: session.getSlots(),
+      toolCalls
+    };
+  }
+
+  /**
+   * Move the remaining occurrences of a series to the offered dates, in order
+   * Occurrences whose new date is not available keep their current time.
+   * @param {DialogStateManager} session - Current session
+   * @returns {Promise<Object>} Handler result
+   */
+  async moveSeries(session) {
+    const slots = session.getSlots();
+    const seriesCode = slots.series_code;
+    const plan = slots.series_plan || [];
+    const series = bookingStore.getSeries(seriesCode);
+
+    const moved = [];
+    const kept = [];
+    for (const [index, booking] of series.entries()) {
+      const target = plan[index];
+      if (!target || target.reason) {
+        kept.push(booking);
+        continue;
+      }
+      try {
+        const record = await bookingStore.setBooking(booking.bookingCode, {
+          ...booking,
+          slot: new Date(target.start).toISOString(),
+          endSlot: new Date(target.end).toISOString(),
+          isWaitlist: false,
+          action: 'Rescheduled',
+          status: BOOKING_STATUSES.TENTATIVE, // A moved appointment needs confirming again
+          advisorId: target.advisorId,
+          advisorName: target.advisorName
+        });
+        moved.push({ previous: booking, record });
+      } catch (error) {
+        if (!error.isPolicyViolation) throw error;
+        kept.push(booking);
+      }
+    }
+
+    const toolCallConfigs = [];
+    const eventIndexes = new Map();
+    for (const { record } of moved) {
+      const start = bookingStore.getSlotAsUTC(record.slot).toISOString();
+      const end = bookingStore.getSlotAsUTC(record.endSlot).toISOString();
+      if (record.eventId && !record.isWaitlist) {
+        toolCallConfigs.push({
+          name: 'event_update_time',
+          params: { bookingCode: record.bookingCode, eventId: record.eventId, newStartDateTime: start, newEndDateTime: end }
+        });
+      } else if (!record.isWaitlist) {
+        eventIndexes.set(record.bookingCode, toolCallConfigs.length);
+        toolCallConfigs.push({
+          name: 'event_create_tentative',
+          params: {
+            summary: `Advisor Q&A — ${record.topic} — ${record.bookingCode}`,
+            description: `Tentative hold rescheduled via voice agent for ${record.topic}, part of series ${seriesCode}.`,
+            startDateTime: start,
+            endDateTime: end,
+            bookingCode: record.bookingCode,
+            advisorId: record.advisorId,
+            isWaitlist: false,
+            action: 'Rescheduled'
+          }
+        });
+      }
+      toolCallConfigs.push({
+        name: 'notes_append_prebooking',
+        params: {
+          createdAt: now().toISOString(),
+          topic: record.topic,
+          slotStart: start,
+          slotEnd: end,
+          bookingCode: record.bookingCode,
+          isWaitlist: record.isWaitlist,
+          action: 'Rescheduled',
+          status: record.status
+        }
+      });
+    }
+    if (moved.length > 0) {
+      toolCallConfigs.push(this.seriesEmailConfig(seriesCode, series[0].topic, slots.series_rule, moved.map(m => m.record), 'Rescheduled'));
+    }
+
+    const { toolCalls, results } = await this.executeToolCalls(toolCallConfigs);
+    for (const { record } of moved) {
+      const eventId = results[eventIndexes.get(record.bookingCode)]?.data?.id;
+      if (eventId) {
+        await bookingStore.setBooking(record.bookingCode, { ...record, eventId });
+      }
+    }
+
+    // Each freed slot goes to the oldest waitlist entry for it
+    for (const { previous } of moved) {
+      const promotion = await this.promoteWaitlist(previous);
+      if (promotion) {
+        toolCalls.push(...promotion.toolCalls);
+      }
+    }
+
+    logger.log('tool_call', `Recurring series ${seriesCode} rescheduled`, {
+      sessionId: session.sessionId,
+      seriesCode,
+      moved: moved.map(m => m.record.bookingCode),
+      kept: kept.map(b => b.bookingCode)
+    });
+
+    const messages = this.messages(session);
+    const movedLines = moved.map(({ record }) =>
+      `- ${messages.SERIES_APPOINTMENT(formatSlot(record.slot, record.endSlot, session.getTimezone()), record.bookingCode, record.isWaitlist)}`
+    ).join('\n');
+    const keptText = kept.length > 0
+      ? `\n\n${messages.SERIES_KEPT(kept.map(b => `- ${messages.SERIES_APPOINTMENT(formatSlot(b.slot, b.endSlot, session.getTimezone()), b.bookingCode, false)}`).join('\n'))}`
+      : '';
+    const response = moved.length > 0
+      ? `${messages.SERIES_MOVED(seriesCode, describeRecurrence(slots.series_rule, session.getLanguage()), movedLines)}${keptText}\n\n${messages.ANYTHING_ELSE}`
+      : `${messages.SERIES_MOVE_TAKEN(seriesCode)} ${messages.ANYTHING_ELSE}`;
+
+    session.updateSlots({ series_plan: null });
+    session.transitionTo(DIALOG_STATES.COMPLETED);
+    session.addMessage('assistant', response);
+    return {
+      response,
+      state: session.getState(),
+      intent: session.getIntent(),
+      slots: session.getSlots(),
+      toolCalls
+    };
+  }
+
+  /**
+   * Cancel every remaining occurrence of a series
+   * @param {DialogStateManager} session - Current session
+   * @returns {Promise<Object>} Handler result
+   */
+  async cancelSeries(session) {
+    const seriesCode = session.getSlots().series_code;
+    const series = bookingStore.getSeries(seriesCode);
+
+    const toolCallConfigs = [];
+    for (const booking of series) {
+      await bookingStore.deleteBooking(booking.bookingCode);
+      existingCodes.delete(booking.bookingCode);
+      if (booking.eventId) {
+        toolCallConfigs.push({ name: 'event_cancel', params: { bookingCode: booking.bookingCode, eventId: booking.eventId } });
+      }
+      toolCallConfigs.push({
+        name: 'notes_append_prebooking',
+        params: {
+          createdAt: now().toISOString(),
+          topic: booking.topic,
+          slotStart: booking.slot,
+          slotEnd: booking.endSlot,
+          bookingCode: booking.bookingCode,
+          isWaitlist: booking.isWaitlist,
+          action: 'Cancelled',
+          status: BOOKING_STATUSES.CANCELLED
+        }
+      });
+    }
+    if (series.length > 0) {
+      toolCallConfigs.push(this.seriesEmailConfig(seriesCode, series[0].topic, null, series, 'Cancelled'));
+    }
+
+    const { toolCalls } = await this.executeToolCalls(toolCallConfigs);
+
+    // Each freed slot goes to the oldest waitlist entry for it
+    for (const booking of series) {
+      const promotion = await this.promoteWaitlist(booking);
+      if (promotion) {
+        toolCalls.push(...promotion.toolCalls);
+      }
+    }
+
+    logger.log('tool_call', `Recurring series ${seriesCode} cancelled`, {
+      sessionId: session.sessionId,
+      seriesCode,
+      cancelled: series.map(b => b.bookingCode)
+    });
+
+    const response = `${this.messages(session).SERIES_CANCELLED(seriesCode, series.length)}\n\n${this.messages(session).ANYTHING_ELSE_AFTER_CANCEL}`;
+    existingCodes.delete(seriesCode);
+    session.updateSlots({ booking_code: null, booking_code_generated: null, series_code: null });
+    session.transitionTo(DIALOG_STATES.COMPLETED);
+    session.addMessage('assistant', response);
+    return {
+      response,
+      state: session.getState(),
+      intent: session.getIntent(),
+      slots: session.getSlots(),
+      toolCalls
+    };
+  }
+
+  /**
+   * Advisor email covering a whole series, so the desk gets one draft rather than one per date
+   * @private
+   */
+  seriesEmailConfig(seriesCode, topic, rule, records, action) {
+    const occurrences = records.map(record => ({
+      slotStart: bookingStore.getSlotAsUTC(record.slot).toISOString(),
+      slotEnd: bookingStore.getSlotAsUTC(record.endSlot).toISOString(),
+      bookingCode: record.bookingCode
+    }));
+    return {
+      name: 'email_create_advisor_draft',
+      params: {
+        topic,
+        slotStart: occurrences[0].slotStart,
+        slotEnd: occurrences[0].slotEnd,
+        bookingCode: seriesCode,
+        isWaitlist: false,
+        action,
+        series: {
+          description: rule ? describeRecurrence(rule) : `${occurrences.length} appointments`,
+          occurrences
+        }
+      }
+    };
+  }
+
+  /**
+   * Note who is joining the appointment when the caller says so
+   * Stays on the time question if the caller named no day or time in the same breath.
+   * @param {DialogStateManager} session - Current session
+   * @param {string} userInput - Caller's words
+   * @returns {Object|null} Handler result, or null to carry on with the time preference
+   */
+  respondIfAttendeesGiven(session, userInput) {
+    const attendees = parseAttendees(userInput);
+    if (!attendees) return null;
+
+    const topic = session.getSlots().topic;
+    const violation = checkAttendees(attendees, topic);
+    let response;
+    if (violation) {
+      logger.log('system', `Too many attendees for ${topic}`, { sessionId: session.sessionId, ...violation });
+      response = `${this.messages(session).ATTENDEE_LIMIT(topic, violation.limit)} ${this.messages(session).ATTENDEE_FOLLOW_UP(violation.limit)}`;
+    } else {
+      session.updateSlots({ attendees });
+      if (DATE_TIME_CUE.test(userInput)) return null;
+      response = this.messages(session).ATTENDEES_NOTED(describeAttendees(attendees));
+    }
+
+    session.addMessage('assistant', response);
+    return {
+      response,
+      state: session.getState(),
+      intent: session.getIntent(),
+      slots: session.getSlots(),
+      toolCalls: []
+    };
+  }
+
+  /**
+   * Preparation list for a topic, scaled for whoever the caller says is joining
+   * @private
+   */
+  preparationResponse(session, topic, userInput) {
+    const mentioned = parseAttendees(userInput);
+    const violation = mentioned ? checkAttendees(mentioned, topic) : null;
+    const attendees = mentioned && !violation ? mentioned : (session.getSlots().attendees || defaultAttendees());
+    const guides = getPreparationGuide(topic, attendees);
+    const forWhom = attendees.length > 1 ? describeAttendees(attendees) : '';
+    const messages = this.messages(session);
+    const limitText = violation ? `${messages.ATTENDEE_LIMIT(topic, violation.limit)} ` : '';
+    const groupHint = attendees.length === 1 && getAttendeeLimit(topic) > 1 ? `\n\n${messages.PREPARE_GROUP_HINT}` : '';
+    const list = guides.map((item, i) => `${i + 1}. ${item}`).join('\n');
+    return `${limitText}${messages.PREPARE_LIST(topic, forWhom, list)}${groupHint}\n\n${messages.PREPARE_BOOK_QUESTION(topic)}`;
+  }
+
+  /**
+   * Start a whole-series cancel or reschedule when the caller gives a series code
+   * @param {DialogStateManager} session - Current session
+   * @param {string} code - Code the caller gave
+   * @param {string} operation - 'cancel' or 'reschedule'
+   * @returns {Object|null} Handler result, or null if the code is not a series with open appointments
+   */
+  respondIfSeriesCode(session, code, operation) {
+    const series = bookingStore.getSeries(code);
+    if (series.length === 0) {
+      session.updateSlots({ series_code: null });
+      return null;
+    }
+
+    const messages = this.messages(session);
+    const next = series[0];
+    const found = messages.SERIES_FOUND(code, next.topic, series.length, formatSlot(next.slot, next.endSlot, session.getTimezone()));
+    let response;
+    if (operation === 'cancel') {
+      session.transitionTo(DIALOG_STATES.CANCEL_CONFIRMATION);
+      response = `${found} ${messages.SERIES_CANCEL_QUESTION}`;
+    } else {
+      session.transitionTo(DIALOG_STATES.RESCHEDULE_TIME);
+      response = `${found} ${messages.SERIES_MOVE_PATTERN_QUESTION}`;
+    }
+
+    session.updateSlots({ booking_code: code, series_code: code });
+    session.addMessage('assistant', response);
+    return {
+      response,
+      state: session.getState(),
+      intent: session.getIntent(),
+      slots: session.getSlots(),
+      toolCalls: []
+    };
+  }
+
   /**
    * Get or create session
    */
   getSession(sessionId) {
     if (!this.sessions.has(sessionId)) {
       this.sessions.set(sessionId, new DialogStateManager(sessionId));
+      this.sessionActivity.set(sessionId, Date.now());
     }
     return this.sessions.get(sessionId);
   }
 
+  /**
+   * Get a live session, restoring it from the session store after a restart
+   * @param {string} sessionId - Session ID
+   * @returns {Promise<DialogStateManager>} Session
+   */
+  async loadSession(sessionId) {
+    if (!this.sessions.has(sessionId)) {
+      try {
+        const stored = await this.sessionStore.get(sessionId);
+        if (stored) {
+          this.sessions.set(sessionId, DialogStateManager.fromJSON(stored));
+          this.sessionActivity.set(sessionId, Date.now());
+          logger.log('system', 'Session restored from store', { sessionId, state: stored.state });
+        }
+      } catch (error) {
+        logger.log('error', `Failed to restore session: ${error.message}`, { sessionId });
+      }
+    }
+    return this.getSession(sessionId);
+  }
+
+  /**
+   * Persist a session and mark it active
+   * @param {DialogStateManager} session - Session
+   */
+  async saveSession(session) {
+    this.sessionActivity.set(session.sessionId, Date.now());
+    try {
+      await this.sessionStore.set(session.sessionId, session.toJSON());
+    } catch (error) {
+      logger.log('error', `Failed to save session: ${error.message}`, { sessionId: session.sessionId });
+    }
+  }
+
+  /**
+   * Evict sessions idle for longer than the timeout, including their recorded audio
+   * @returns {Promise<Array<string>>} Evicted session IDs
+   */
+  async evictIdleSessions() {
+    const now = Date.now();
+    const idle = new Set(await this.sessionStore.getExpiredSessionIds(now));
+    // Live sessions the store never saw (created, then abandoned before a save) expire here
+    for (const [sessionId, lastActive] of this.sessionActivity) {
+      if (now - lastActive > this.sessionIdleTimeoutMs) {
+        idle.add(sessionId);
+      }
+    }
+
+    const expired = [...idle];
+    for (const sessionId of expired) {
+      this.sessions.delete(sessionId);
+      this.sessionActivity.delete(sessionId);
+      await this.sessionStore.delete(sessionId);
+      await cleanupSessionAudio(sessionId);
+    }
+    if (expired.length > 0) {
+      logger.log('system', `Evicted ${expired.length} idle session(s)`, { sessionIds: expired });
+    }
+    return expired;
+  }
+
   /**
    * Execute tool calls (real MCP or mock mode)
    * @private
@@ -135,20 +1015,24 @@ export class ConversationEngine {
 
     for (const config of toolCallConfigs) {
       const { name, params } = config;
+      // Caller contact details go to the tool but never into logs or returned tool calls
+      const loggedParams = params.contact ? { ...params, contact: '[REDACTED]' } : params;
       let result;
 
       try {
         // Check if this is a calendar/event/email tool that can use MCP
         const calendarTools = ['event_create_tentative', 'event_update_time', 'event_cancel', 'calendar_get_availability'];
-        const emailTools = ['email_create_advisor_draft'];
+        const emailTools = ['email_create_advisor_draft', 'email_send_reminder'];
         const sheetsTools = ['notes_append_prebooking'];
         const mcpTools = [...calendarTools, ...emailTools];
-        const useMCP = mcpEnabled && this.mcpInitialized && this.mcpClient && this.mcpClient.isAvailable() && mcpTools.includes(name);
+        // Email tools only need the SMTP client: reminders go out even when Calendar is unavailable
+        const useEmail = mcpEnabled && this.emailInitialized && this.emailClient && emailTools.includes(name);
+        const useMCP = useEmail || (mcpEnabled && this.mcpInitialized && this.mcpClient && this.mcpClient.isAvailable() && mcpTools.includes(name));
         const useSheets = mcpEnabled && this.sheetsInitialized && this.sheetsClient && this.sheetsClient.isAvailable() && sheetsTools.includes(name);
 
         if (useMCP) {
           let mcpResult;
-          if (emailTools.includes(name) && this.emailInitialized && this.emailClient) {
+          if (useEmail) {
             // Use SMTP Email MCP client
             mcpResult = await this.emailClient.executeTool(name, params);
           } else if (calendarTools.includes(name) && this.mcpInitialized && this.mcpClient) {
@@ -161,10 +1045,11 @@ export class ConversationEngine {
           result = {
             success: true,
             mock: false,
-            function: { name, arguments: JSON.stringify(params) },
+            function: { name, arguments: JSON.stringify(loggedParams) },
             data: mcpResult
           };
-          logger.log('mcp', `MCP tool executed successfully: ${name}`, { params, result: mcpResult });
+          // Drafts sent with the caller's contact details echo them back (e.g. the draft body when Gmail is down)
+          logger.log('mcp', `MCP tool executed successfully: ${name}`, { params: loggedParams, result: params.contact ? '[REDACTED]' : mcpResult });
 
           // Synchronize with local BookingStore based on tool call result
           if (name === 'event_create_tentative' || name === 'event_update_time') {
@@ -177,7 +1062,8 @@ export class ConversationEngine {
                 eventId: eventId,
                 topic: params.summary?.split(' — ')[1] || 'Advisor Q&A',
                 isWaitlist: params.isWaitlist || false,
-                updatedAt: new Date().toISOString()
+                action: bookingStore.getBooking(bookingCode)?.action,
+                updatedAt: now().toISOString()
               });
             }
           } else if (name === 'event_cancel') {
@@ -192,20 +1078,20 @@ export class ConversationEngine {
           result = {
             success: true,
             mock: false,
-            function: { name, arguments: JSON.stringify(params) },
+            function: { name, arguments: JSON.stringify(loggedParams) },
             data: sheetsResult
           };
-          logger.log('mcp', `Sheets MCP tool executed successfully: ${name}`, { params, result: sheetsResult });
+          logger.log('mcp', `Sheets MCP tool executed successfully: ${name}`, { params: loggedParams, result: params.contact ? '[REDACTED]' : sheetsResult });
         } else {
           // Mock mode - only when MCP is explicitly disabled
-          result = { success: true, mock: true, function: { name, arguments: JSON.stringify(params) } };
+          result = { success: true, mock: true, function: { name, arguments: JSON.stringify(loggedParams) } };
         }
 
         // Format result for logging
         toolCalls.push({
           function: {
             name,
-            arguments: JSON.stringify(params)
+            arguments: JSON.stringify(loggedParams)
           },
           result: result.success ? 'success' : 'error',
           mock: result.mock || false
@@ -215,13 +1101,13 @@ export class ConversationEngine {
       } catch (error) {
         logger.log('tool_error', `Tool call failed: ${name}`, {
           error: error.message,
-          params
+          params: loggedParams
         });
         results.push({ success: false, error: error.message });
         toolCalls.push({
           function: {
             name,
-            arguments: JSON.stringify(params)
+            arguments: JSON.stringify(loggedParams)
           },
           result: 'error',
           error: error.message
@@ -232,22 +1118,196 @@ export class ConversationEngine {
     return { toolCalls, results };
   }
 
+  /**
+   * System messages in the session's language
+   * @private
+   */
+  messages(session) {
+    return getSystemMessages(session.getLanguage());
+  }
+
   /**
    * Process user input and generate response
+   * @param {string} sessionId - Session ID
+   * @param {string} userInput - User utterance
+   * @param {Object} options - Options
+   * @param {string} options.language - Language chosen by the client (one of LANGUAGES); overrides detection
+   * @param {string} options.timezone - Caller's IANA timezone reported by the client; used until the caller says otherwise
+   * @param {string|null} options.clock - Instant to pin this session's clock to (demo scenarios); null releases it
+   * @returns {Promise<Object>} { response, state, intent, slots, toolCalls, language, timezone, clock }
+   */
+  async processInput(sessionId, userInput, options = {}) {
+    const session = await this.loadSession(sessionId);
+    if (Object.values(LANGUAGES).includes(options.language)) {
+      session.setLanguage(options.language, true);
+    }
+    if (!session.context.timezone && isValidTimezone(options.timezone)) {
+      session.setTimezone(options.timezone);
+    }
+    if (options.clock === null || parseClockTime(options.clock) !== null) {
+      session.setClock(options.clock === null ? null : new Date(parseClockTime(options.clock)).toISOString());
+    }
+    const historyLength = session.getHistory().length;
+    // Everything this turn does, including tool calls, sees the session's clock
+    return runWithClock(session.getClock(), async () => {
+      try {
+        const result = await this.processSessionInput(session, userInput);
+        session.recordToolCalls(result.toolCalls);
+        if (session.getHistory().slice(historyLength).some(entry => entry.to === DIALOG_STATES.COMPLETED)) {
+          await this.saveCallSummary(session);
+        }
+        return { ...result, language: session.getLanguage(), timezone: session.getTimezone(), clock: session.getClock() };
+      } finally {
+        // An interruption only applies to the utterance that followed it
+        session.clearInterruption();
+        await this.saveSession(session);
+      }
+    });
+  }
+
+  /**
+   * Store the post-call summary of a session that has just completed
+   * A failure is logged and never breaks the call.
+   * @private
+   */
+  async saveCallSummary(session) {
+    try {
+      await this.callSummaryStore.saveSummary(buildCallSummary(session));
+    } catch (error) {
+      logger.log('error', `Failed to save call summary: ${error.message}`, { sessionId: session.sessionId });
+    }
+  }
+
+  /**
+   * Record that the caller barged in while the last response was being spoken
+   * @param {string} sessionId - Session ID
+   * @param {string} deliveredText - Part of the response the caller heard
+   * @returns {Promise<Object|null>} The interrupted history entry, or null if there is none
+   */
+  async handleBargeIn(sessionId, deliveredText) {
+    const session = await this.loadSession(sessionId);
+    const entry = session.markInterrupted(deliveredText);
+    if (entry) {
+      logger.log('system', 'Assistant message interrupted by caller', {
+        sessionId,
+        state: session.getState(),
+        delivered: deliveredText.length,
+        total: entry.content.length
+      });
+      await this.saveSession(session);
+    }
+    return entry;
+  }
+
+  /**
+   * Resolve a vague pick ("that one", "yes") made while the slot list was being read out.
+   * The caller means the last slot they heard before interrupting.
+   * @private
+   * @param {DialogStateManager} session - Current session
+   * @param {string} userInput - User utterance
+   * @param {Array} availableSlots - Offered slots, in the order they were read
+   * @returns {number} Slot index, or -1 if the utterance is not such a pick
+   */
+  resolveInterruptedSlotChoice(session, userInput, availableSlots) {
+    const interruption = session.getInterruption();
+    if (!interruption || interruption.state !== session.getState()) {
+      return -1;
+    }
+
+    const deicticPick = /^(?:yes|yeah|yep|ok(?:ay)?|sure)\b|\b(?:that|this)(?: one| slot| time)?\b/i;
+    if (!deicticPick.test(userInput.trim())) {
+      return -1;
+    }
+
+    const heard = availableSlots.filter(slot =>
+      interruption.delivered.includes(format(utcToZonedTime(slot.start, session.getTimezone()), 'h:mm a'))
+    ).length;
+    return heard > 0 ? heard - 1 : -1;
+  }
+
+  /**
+   * Follow the caller's language: an explicit request always switches; otherwise the
+   * detected language is used unless one was selected explicitly.
+   * @private
+   * @returns {boolean} True if the utterance was an explicit language request
+   */
+  updateLanguage(session, userInput) {
+    const selected = detectLanguageSelection(userInput);
+    const language = selected || (session.isLanguageSelected() ? null : detectLanguage(userInput));
+    if (language && (language !== session.getLanguage() || selected)) {
+      logger.log('system', 'Conversation language updated', { sessionId: session.sessionId, language, selected: !!selected });
+      session.setLanguage(language, !!selected);
+    }
+    return !!selected;
+  }
+
+  /**
+   * Remember where the caller is when they say so ("I'm calling from Dubai")
+   * @private
+   */
+  updateTimezone(session, userInput) {
+    const detected = detectTimezone(userInput);
+    if (detected && detected.isCallerLocation && detected.timeZone !== session.context.timezone) {
+      logger.log('system', 'Caller timezone updated', { sessionId: session.sessionId, timezone: detected.timeZone });
+      session.setTimezone(detected.timeZone);
+    }
+  }
+
+  /**
+   * Timezone to read a date/time utterance in: a zone named for that time ("3 pm London time"),
+   * otherwise the caller's timezone
+   * @private
+   */
+  timeZoneFor(session, userInput) {
+    const detected = detectTimezone(userInput);
+    return detected ? detected.timeZone : session.getTimezone();
+  }
+
+  /**
+   * Format a slot's start and end time for an offer list, in the caller's timezone
+   * @private
+   */
+  formatSlotTimes(session, slot, separator = ' to ') {
+    const timeZone = session.getTimezone();
+    const start = format(utcToZonedTime(slot.start, timeZone), 'h:mm a');
+    const end = format(utcToZonedTime(slot.end, timeZone), 'h:mm a');
+    return `${start}${separator}${end} ${getTimezoneLabel(timeZone)}`;
+  }
+
+  /**
+   * Run one turn of the dialog for a loaded session
+   * @private
    */
-  async processInput(sessionId, userInput) {
-    const session = this.getSession(sessionId);
+  async processSessionInput(session, userInput) {
     const state = session.getState();
 
-    logger.log('system', `Processing user input`, { sessionId: session.sessionId, userInput, state, timestamp: new Date().toISOString() });
+    // Logs are persisted and searchable: phone numbers and emails never reach them
+    logger.log('system', `Processing user input`, { sessionId: session.sessionId, userInput: sanitizePII(userInput), state, timestamp: new Date().toISOString() });
+
+    this.updateTimezone(session, userInput);
+
+    // Acknowledge a language switch mid-conversation; at the start the greeting follows in the new language
+    if (this.updateLanguage(session, userInput) && state !== DIALOG_STATES.INITIAL) {
+      const response = this.messages(session).LANGUAGE_CHANGED;
+      session.addMessage('user', userInput);
+      session.addMessage('assistant', response);
+      return {
+        response,
+        state: session.getState(),
+        intent: session.getIntent(),
+        slots: session.getSlots(),
+        toolCalls: []
+      };
+    }
 
     // Check guardrails first
     const piiCheck = detectPII(userInput);
     if (piiCheck.detected) {
       logger.log('system', `PII detected and blocked`, { sessionId: session.sessionId, piiType: piiCheck.type });
       session.addMessage('user', '[REDACTED - PII detected]');
+      session.recordGuardrail('pii', { piiType: piiCheck.type });
       return {
-        response: SYSTEM_MESSAGES.PII_DETECTED,
+        response: this.messages(session).PII_DETECTED,
         state: session.getState(),
         intent: session.getIntent(),
         slots: session.getSlots(),
@@ -257,8 +1317,9 @@ export class ConversationEngine {
 
     if (detectInvestmentAdvice(userInput)) {
       session.addMessage('user', userInput);
+      session.recordGuardrail('investment_advice');
       return {
-        response: SYSTEM_MESSAGES.INVESTMENT_ADVICE_REFUSAL,
+        response: this.messages(session).INVESTMENT_ADVICE_REFUSAL,
         state: session.getState(),
         intent: session.getIntent(),
         slots: session.getSlots(),
@@ -295,7 +1356,7 @@ export class ConversationEngine {
     // Check if user wants to book from availability check
     if (state === DIALOG_STATES.AVAILABILITY_CHECK) {
       const lowerInput = userInput.toLowerCase();
-      if (lowerInput.includes('book') || lowerInput.includes('yes') || lowerInput.match(/book\s*(slot\s*)?[12]/i)) {
+      if (lowerInput.includes('book') || lowerInput.includes('बुक') || lowerInput.includes('yes') || isHindiYes(userInput) || lowerInput.match(/book\s*(slot\s*)?[12]/i)) {
         // Switch to book_new intent
         session.setIntent(INTENTS.BOOK_NEW);
         // Extract slot number if provided
@@ -311,7 +1372,7 @@ export class ConversationEngine {
                 topic: null // Will need to ask for topic
               });
               session.transitionTo(DIALOG_STATES.TOPIC_SELECTION);
-              const response = `Great! I'll book that slot for you. First, which topic would you like to discuss? You can choose from: KYC/Onboarding, SIP/Mandates, Statements and Tax Documents, Withdrawals and Timelines, or Account Changes and Nominee.`;
+              const response = this.messages(session).TOPIC_FOR_SLOT(this.messages(session).TOPIC_CHOICES);
               session.addMessage('assistant', response);
               return {
                 response,
@@ -325,7 +1386,7 @@ export class ConversationEngine {
         }
         // If no slot number, ask for topic first
         session.transitionTo(DIALOG_STATES.TOPIC_SELECTION);
-        const response = `Great! Which topic would you like to discuss? You can choose from: KYC/Onboarding, SIP/Mandates, Statements and Tax Documents, Withdrawals and Timelines, or Account Changes and Nominee.`;
+        const response = this.messages(session).TOPIC_QUESTION(this.messages(session).TOPIC_CHOICES);
         session.addMessage('assistant', response);
         return {
           response,
@@ -347,16 +1408,8 @@ export class ConversationEngine {
       // Move to intent confirmation state
       session.transitionTo(DIALOG_STATES.INTENT_CONFIRMATION);
 
-      // Get intent display name
-      const intentNames = {
-        [INTENTS.BOOK_NEW]: 'book a new appointment',
-        [INTENTS.RESCHEDULE]: 'reschedule an appointment',
-        [INTENTS.CANCEL]: 'cancel an appointment',
-        [INTENTS.WHAT_TO_PREPARE]: 'know what to prepare',
-        [INTENTS.CHECK_AVAILABILITY]: 'check availability'
-      };
-
-      const response = `I understand you want to ${intentNames[intent] || 'book an appointment'}. Is that correct?`;
+      const messages = this.messages(session);
+      const response = messages.INTENT_CONFIRM(messages.INTENT_NAMES[intent] || messages.INTENT_NAMES[INTENTS.BOOK_NEW]);
       session.addMessage('assistant', response);
       return {
         response,
@@ -370,7 +1423,7 @@ export class ConversationEngine {
     // STEP 2: Handle intent confirmation
     if (state === DIALOG_STATES.INTENT_CONFIRMATION) {
       const lowerInput = userInput.toLowerCase();
-      if (lowerInput.includes('yes') || lowerInput.includes('correct') || lowerInput.includes('right') || lowerInput.includes('that\'s right')) {
+      if (lowerInput.includes('yes') || lowerInput.includes('correct') || lowerInput.includes('right') || lowerInput.includes('that\'s right') || isHindiYes(userInput)) {
         // Intent confirmed, proceed to appropriate handler
         const confirmedIntent = session.getIntent();
         logger.log('intent', `Intent confirmed: ${confirmedIntent}`, { sessionId: session.sessionId, intent: confirmedIntent });
@@ -389,18 +1442,18 @@ export class ConversationEngine {
             return await this.handleCheckAvailability(session, userInput);
           default:
             return {
-              response: "I'm not sure how to help with that. Would you like to book an advisor appointment?",
+              response: this.messages(session).INTENT_UNKNOWN,
               state: session.getState(),
               intent: session.getIntent(),
               slots: session.getSlots(),
               toolCalls: []
             };
         }
-      } else if (lowerInput.includes('no') || lowerInput.includes('wrong') || lowerInput.includes('incorrect')) {
+      } else if (lowerInput.includes('no') || lowerInput.includes('wrong') || lowerInput.includes('incorrect') || isHindiNo(userInput)) {
         // Intent incorrect, re-classify
         session.setIntent(null);
         session.transitionTo(DIALOG_STATES.GREETING);
-        const response = `I apologize for the confusion. How can the advisor help you? You can choose from: book a new appointment, reschedule an appointment, cancel an appointment, know what to prepare, or check availability.`;
+        const response = this.messages(session).INTENT_RETRY(this.messages(session).INTENT_CHOICES);
         session.addMessage('assistant', response);
         return {
           response,
@@ -411,14 +1464,8 @@ export class ConversationEngine {
         };
       } else {
         // Unclear response, ask again
-        const intentNames = {
-          [INTENTS.BOOK_NEW]: 'book a new appointment',
-          [INTENTS.RESCHEDULE]: 'reschedule an appointment',
-          [INTENTS.CANCEL]: 'cancel an appointment',
-          [INTENTS.WHAT_TO_PREPARE]: 'know what to prepare',
-          [INTENTS.CHECK_AVAILABILITY]: 'check availability'
-        };
-        const response = `Just to confirm, you want to ${intentNames[session.getIntent()] || 'book an appointment'}. Is that correct? (Please say yes or no)`;
+        const messages = this.messages(session);
+        const response = messages.INTENT_CONFIRM_AGAIN(messages.INTENT_NAMES[session.getIntent()] || messages.INTENT_NAMES[INTENTS.BOOK_NEW]);
         session.addMessage('assistant', response);
         return {
           response,
@@ -450,7 +1497,7 @@ export class ConversationEngine {
         return await this.handleCheckAvailability(session, userInput);
       default:
         return {
-          response: "I'm not sure how to help with that. Would you like to book an advisor appointment?",
+          response: this.messages(session).INTENT_UNKNOWN,
           state: session.getState(),
           intent: session.getIntent(),
           slots: session.getSlots(),
@@ -463,16 +1510,16 @@ export class ConversationEngine {
    * Handle initial state
    */
   async handleInitial(session) {
-    const greeting = SYSTEM_MESSAGES.GREETING(this.brandName);
-    const disclaimer = SYSTEM_MESSAGES.DISCLAIMER;
-    const piiWarning = SYSTEM_MESSAGES.PII_WARNING;
+    const greeting = this.messages(session).GREETING(this.brandName);
+    const disclaimer = this.messages(session).DISCLAIMER;
+    const piiWarning = this.messages(session).PII_WARNING;
 
     session.context.greeting_sent = true;
     session.context.disclaimer_sent = true;
     session.context.pii_warning_sent = true;
     session.transitionTo(DIALOG_STATES.GREETING);
 
-    const response = `${greeting} ${disclaimer} ${piiWarning}\n\nHow can the advisor help you? You can choose from: ${Object.values(INTENTS).map(i => i.replace('_', ' ')).join(', ')}.`;
+    const response = `${greeting} ${disclaimer} ${piiWarning}\n\n${this.messages(session).HOW_CAN_WE_HELP(this.messages(session).INTENT_CHOICES)}`;
 
     session.addMessage('assistant', response);
 
@@ -495,8 +1542,7 @@ export class ConversationEngine {
     // Directly trigger book new flow - start with topic selection
     // When coming from INTENT_CONFIRMATION, immediately ask for topic
     if (state === DIALOG_STATES.INTENT_CONFIRMATION) {
-      // As per req.txt: "How can the advisor help you? You can choose from: KYC/Onboarding, SIP/Mandates, Statements and Tax Documents, Withdrawals and Timelines, or Account Changes and Nominee."
-      const response = `How can the advisor help you? You can choose from: KYC/Onboarding, SIP/Mandates, Statements and Tax Documents, Withdrawals and Timelines, or Account Changes and Nominee.`;
+      const response = this.messages(session).HOW_CAN_WE_HELP(this.messages(session).TOPIC_CHOICES);
       session.transitionTo(DIALOG_STATES.TOPIC_SELECTION);
       session.addMessage('assistant', response);
       return {
@@ -516,7 +1562,7 @@ export class ConversationEngine {
       if (topic && isValidTopic(topic)) {
         session.updateSlots({ topic });
         session.transitionTo(DIALOG_STATES.TOPIC_CONFIRMATION);
-        const response = `You chose ${topic}. Is that correct?`;
+        const response = this.messages(session).TOPIC_CONFIRM(topic);
         session.addMessage('assistant', response);
         return {
           response,
@@ -526,7 +1572,7 @@ export class ConversationEngine {
           toolCalls: []
         };
       } else {
-        const response = `How can the advisor help you? You can choose from: KYC/Onboarding, SIP/Mandates, Statements and Tax Documents, Withdrawals and Timelines, or Account Changes and Nominee.`;
+        const response = this.messages(session).HOW_CAN_WE_HELP(this.messages(session).TOPIC_CHOICES);
         session.transitionTo(DIALOG_STATES.TOPIC_SELECTION);
         session.addMessage('assistant', response);
         return {
@@ -542,9 +1588,12 @@ export class ConversationEngine {
     // Topic confirmation
     if (state === DIALOG_STATES.TOPIC_CONFIRMATION) {
       const lowerInput = userInput.toLowerCase();
-      if (lowerInput.includes('yes') || lowerInput.includes('correct') || lowerInput.includes('right')) {
+      if (lowerInput.includes('yes') || lowerInput.includes('correct') || lowerInput.includes('right') || isHindiYes(userInput)) {
         session.transitionTo(DIALOG_STATES.TIME_PREFERENCE);
-        const response = `Which day and time works best? You can say things like 'tomorrow afternoon' or 'Monday after 4 PM'.`;
+        const groupHint = getAttendeeLimit(session.getSlots().topic) > 1
+          ? ` ${this.messages(session).ATTENDEE_HINT}`
+          : '';
+        const response = `${this.messages(session).TIME_QUESTION}${groupHint}`;
         session.addMessage('assistant', response);
         return {
           response,
@@ -555,7 +1604,7 @@ export class ConversationEngine {
         };
       } else {
         session.transitionTo(DIALOG_STATES.TOPIC_SELECTION);
-        const response = `How can the advisor help you? You can choose from: KYC/Onboarding, SIP/Mandates, Statements and Tax Documents, Withdrawals and Timelines, or Account Changes and Nominee.`;
+        const response = this.messages(session).HOW_CAN_WE_HELP(this.messages(session).TOPIC_CHOICES);
         session.addMessage('assistant', response);
         return {
           response,
@@ -569,12 +1618,21 @@ export class ConversationEngine {
 
     // Time preference
     if (state === DIALOG_STATES.TIME_PREFERENCE) {
+      const attendeeResult = this.respondIfAttendeesGiven(session, userInput);
+      if (attendeeResult) return attendeeResult;
+
+      // "every first Monday at 11" books a recurring series instead of a single slot
+      const recurrence = parseRecurrence(userInput, { timeZone: this.timeZoneFor(session, userInput) });
+      if (recurrence) {
+        return this.offerSeries(session, recurrence);
+      }
+
       const extractedSlots = await extractSlots(userInput, INTENTS.BOOK_NEW);
-      let dateTimePref = parseDateTimePreference(userInput || extractedSlots.preferred_day + ' ' + extractedSlots.preferred_time_window);
+      let dateTimePref = parseDateTimePreference(userInput || extractedSlots.preferred_day + ' ' + extractedSlots.preferred_time_window, { timeZone: this.timeZoneFor(session, userInput) });
 
       // Check if weekend was requested - decline gracefully
       if (dateTimePref.requestedWeekend || dateTimePref.isWeekend) {
-        const response = `I understand you'd like to schedule for a Sunday, but our advisor slots are only available Monday through Saturday (10 AM to 6 PM IST). Could you please provide a working day preference?`;
+        const response = this.messages(session).SUNDAY_CLOSED;
         session.addMessage('assistant', response);
         return {
           response,
@@ -593,7 +1651,7 @@ export class ConversationEngine {
         if (llmInterpretation.date && llmInterpretation.timeWindow && llmInterpretation.confidence > 0.5) {
           // Check if LLM detected weekend
           if (llmInterpretation.requestedWeekend || llmInterpretation.isWeekend) {
-            const response = `I understand you'd like to schedule for a Sunday, but our advisor slots are only available Monday through Saturday (10 AM to 6 PM IST). Could you please provide a working day preference?`;
+            const response = this.messages(session).SUNDAY_CLOSED;
             session.addMessage('assistant', response);
             return {
               response,
@@ -607,7 +1665,7 @@ export class ConversationEngine {
           // Use LLM interpretation - need to convert date string to Date object
           let parsedDate = null;
           if (llmInterpretation.date) {
-            const today = new Date();
+            const today = now();
             const istToday = utcToZonedTime(today, 'Asia/Kolkata');
 
             if (llmInterpretation.date.toLowerCase() === 'today') {
@@ -630,7 +1688,7 @@ export class ConversationEngine {
               }
             } else {
               // Try to parse as ISO date or use parseDateTimePreference
-              const fallbackParse = parseDateTimePreference(llmInterpretation.date);
+              const fallbackParse = parseDateTimePreference(llmInterpretation.date, { timeZone: this.timeZoneFor(session, userInput) });
               if (fallbackParse.date) {
                 parsedDate = fallbackParse.date;
               } else {
@@ -649,7 +1707,7 @@ export class ConversationEngine {
             const isWeekendDate = dayOfWeek === 0; // Only Sunday is now a weekend refusal
 
             if (isWeekendDate) {
-              const response = `I understand you'd like to schedule for a Sunday, but our advisor slots are only available Monday through Saturday (10 AM to 6 PM IST). Could you please provide a working day preference?`;
+              const response = this.messages(session).SUNDAY_CLOSED;
               session.addMessage('assistant', response);
               return {
                 response,
@@ -673,7 +1731,7 @@ export class ConversationEngine {
               confidence: llmInterpretation.confidence
             });
           } else if (llmInterpretation.needsClarification) {
-            const response = `I want to make sure I understand your preferred date and time correctly. ${llmInterpretation.interpretation || 'Could you please provide a specific weekday and time preference? For example, "Monday afternoon" or "Tuesday at 3 PM".'}`;
+            const response = this.messages(session).TIME_UNCLEAR(llmInterpretation.interpretation || this.messages(session).TIME_EXAMPLE);
             session.addMessage('assistant', response);
             return {
               response,
@@ -684,7 +1742,7 @@ export class ConversationEngine {
             };
           }
         } else if (llmInterpretation.needsClarification) {
-          const response = `I want to make sure I understand your preferred date and time correctly. Could you please provide a specific weekday and time preference? For example, "Monday afternoon" or "Tuesday at 3 PM".`;
+          const response = this.messages(session).TIME_UNCLEAR(this.messages(session).TIME_EXAMPLE);
           session.addMessage('assistant', response);
           return {
             response,
@@ -696,6 +1754,13 @@ export class ConversationEngine {
         }
       }
 
+      if (dateTimePref.date) {
+        const closedResult = this.respondIfDeskClosed(session, dateTimePref.date);
+        if (closedResult) return closedResult;
+        const policyResult = this.respondIfPolicyBlocks(session, dateTimePref.date);
+        if (policyResult) return policyResult;
+      }
+
       if (dateTimePref.date && dateTimePref.timeWindow) {
         session.updateSlots({
           preferred_day: dateTimePref.date,
@@ -712,8 +1777,9 @@ export class ConversationEngine {
         const availableSlots = await getAvailableSlots(
           dateTimePref.date,
           dateTimePref.timeWindow,
-          30,
-          bookedSlots
+          getSlotDuration(slots.topic),
+          bookedSlots,
+          { topic: slots.topic }
         );
 
         // If we have available slots, offer them
@@ -724,16 +1790,10 @@ export class ConversationEngine {
           session.transitionTo(DIALOG_STATES.SLOT_OFFER);
 
           // Format as per req.txt: "I have two options on [date]: 3:00 PM to 3:30 PM IST, 4:30 PM to 5:00 PM IST"
-          const istStart = utcToZonedTime(offeredSlots[0].start, 'Asia/Kolkata');
-          const dateStr = format(istStart, 'd MMMM');
+          const dateStr = format(utcToZonedTime(offeredSlots[0].start, session.getTimezone()), 'd MMMM');
+          const slotTimes = offeredSlots.map(slot => this.formatSlotTimes(session, slot)).join('\n');
 
-          const slotTimes = offeredSlots.map(slot => {
-            const istSlotStart = utcToZonedTime(slot.start, 'Asia/Kolkata');
-            const istSlotEnd = utcToZonedTime(slot.end, 'Asia/Kolkata');
-            return `${format(istSlotStart, 'h:mm a')} to ${format(istSlotEnd, 'h:mm a')} IST`;
-          }).join('\n');
-
-          const response = `I have ${offeredSlots.length} option${offeredSlots.length > 1 ? 's' : ''} on ${dateStr}:\n${slotTimes}\n\nYou can choose one of these slots, or let me know if you'd prefer a different time. Which would work best for you?`;
+          const response = `${this.messages(session).SLOT_OPTIONS(offeredSlots.length, dateStr, slotTimes)}\n\n${this.messages(session).SLOT_CHOICE}`;
           session.addMessage('assistant', response);
           return {
             response,
@@ -744,7 +1804,13 @@ export class ConversationEngine {
           };
         }
 
-        // NO AVAILABLE SLOTS: Check if user specified a specific time that overlaps
+        // NO AVAILABLE SLOTS: a closure covering the window is not worth a waitlist
+        const closedWindowResult = this.respondIfDeskClosed(session, dateTimePref.date, dateTimePref.timeWindow);
+        if (closedWindowResult) return closedWindowResult;
+        const policyWindowResult = this.respondIfPolicyBlocks(session, dateTimePref.date, dateTimePref.timeWindow);
+        if (policyWindowResult) return policyWindowResult;
+
+        // Check if user specified a specific time that overlaps
         // Parse user input for specific time preference
         const userInputLower = userInput.toLowerCase();
         const hasSpecificTime = userInputLower.includes('at') ||
@@ -761,7 +1827,7 @@ export class ConversationEngine {
           const preferredSlotStartIST = new Date(istDate);
           preferredSlotStartIST.setHours(preferredHour, 0, 0, 0);
           const preferredSlotEndIST = new Date(preferredSlotStartIST);
-          preferredSlotEndIST.setMinutes(preferredSlotEndIST.getMinutes() + 30);
+          preferredSlotEndIST.setMinutes(preferredSlotEndIST.getMinutes() + getSlotDuration(slots.topic));
 
           // Convert to UTC for comparison
           const preferredSlotStartUTC = zonedTimeToUtc(preferredSlotStartIST, 'Asia/Kolkata');
@@ -772,6 +1838,10 @@ export class ConversationEngine {
 
           // If there's an overlap or no slots, offer waitlist
           if (overlapCheck.hasOverlap || availableSlots.length === 0) {
+            // Never waitlist a caller into a partial-day closure
+            const closedSlotResult = this.respondIfSlotClosed(session, preferredSlotStartUTC, preferredSlotEndUTC);
+            if (closedSlotResult) return closedSlotResult;
+
             // Store preferred slot for waitlist
             session.updateSlots({
               preferred_slot_start: preferredSlotStartUTC.toISOString(),
@@ -785,9 +1855,9 @@ export class ConversationEngine {
 
             let response;
             if (overlapCheck.hasOverlap) {
-              response = `I see that ${dateStr} at ${timeStr} IST is already booked. I can add you to a waitlist for that time slot, and the team will contact you if it becomes available. Would you like to be added to the waitlist?`;
+              response = this.messages(session).WAITLIST_SLOT_TAKEN(dateStr, timeStr);
             } else {
-              response = `I don't have any available slots in that time window on ${dateStr}. I can add you to a waitlist, and the team will contact you with available options. Would you like to be added to the waitlist?`;
+              response = this.messages(session).WAITLIST_NO_SLOTS(dateStr);
             }
 
             session.addMessage('assistant', response);
@@ -805,13 +1875,13 @@ export class ConversationEngine {
         if (availableSlots.length === 0) {
           // No slots available at all - but first validate business hours
           const preferredSlotStart = dateTimePref.date;
-          const preferredSlotEnd = new Date(dateTimePref.date.getTime() + 30 * 60000);
+          const preferredSlotEnd = new Date(dateTimePref.date.getTime() + getSlotDuration(slots.topic) * 60000);
 
-          const businessHoursCheck = isWithinBusinessHours(preferredSlotStart, preferredSlotEnd);
+          const businessHoursCheck = isWithinBusinessHours(preferredSlotStart, preferredSlotEnd, this.messages(session));
 
           if (!businessHoursCheck.isValid) {
             // Requested time is outside business hours - don't offer waitlist
-            const response = `${businessHoursCheck.reason}\n\nWould you like to check availability within these hours? You can say "tomorrow morning", "this week afternoon", or a specific day and time.`;
+            const response = `${businessHoursCheck.reason}\n\n${this.messages(session).OUTSIDE_HOURS_FOLLOW_UP}`;
             session.addMessage('assistant', response);
             return {
               response,
@@ -822,6 +1892,11 @@ export class ConversationEngine {
             };
           }
 
+          const windowViolation = schedulingPolicy.checkBookingWindow(preferredSlotStart);
+          if (windowViolation) {
+            return this.respondWithPolicyViolation(session, windowViolation, formatSlot(preferredSlotStart, preferredSlotEnd, session.getTimezone()));
+          }
+
           // Within business hours but no slots - ask for waitlist confirmation
           const istDate = utcToZonedTime(dateTimePref.date, 'Asia/Kolkata');
           const dateStr = format(istDate, 'EEEE, d MMMM');
@@ -833,7 +1908,7 @@ export class ConversationEngine {
           });
           session.transitionTo(DIALOG_STATES.WAITLIST_CONFIRMATION);
 
-          const response = `I don't have any available slots in that time window on ${dateStr}. I can add you to a waitlist, and the team will contact you with available options. Would you like to be added to the waitlist?`;
+          const response = this.messages(session).WAITLIST_NO_SLOTS(dateStr);
           session.addMessage('assistant', response);
           return {
             response,
@@ -854,16 +1929,10 @@ export class ConversationEngine {
         session.transitionTo(DIALOG_STATES.SLOT_OFFER);
 
         // Format as per req.txt: "I have two options on [date]: 3:00 PM to 3:30 PM IST, 4:30 PM to 5:00 PM IST"
-        const istStart = utcToZonedTime(availableSlots[0].start, 'Asia/Kolkata');
-        const dateStr = format(istStart, 'd MMMM');
+        const dateStr = format(utcToZonedTime(availableSlots[0].start, session.getTimezone()), 'd MMMM');
+        const slotTimes = availableSlots.map(slot => this.formatSlotTimes(session, slot)).join('\n');
 
-        const slotTimes = availableSlots.map(slot => {
-          const istSlotStart = utcToZonedTime(slot.start, 'Asia/Kolkata');
-          const istSlotEnd = utcToZonedTime(slot.end, 'Asia/Kolkata');
-          return `${format(istSlotStart, 'h:mm a')} to ${format(istSlotEnd, 'h:mm a')} IST`;
-        }).join('\n');
-
-        const response = `I have ${availableSlots.length} option${availableSlots.length > 1 ? 's' : ''} on ${dateStr}:\n${slotTimes}\n\nYou can say "1" or "2", "first" or "second", or describe the time like "3 PM" or "morning". Which would you prefer?`;
+        const response = `${this.messages(session).SLOT_OPTIONS(availableSlots.length, dateStr, slotTimes)}\n\n${this.messages(session).SLOT_CHOICE_HINT}`;
         session.addMessage('assistant', response);
         return {
           response,
@@ -873,7 +1942,7 @@ export class ConversationEngine {
           toolCalls: []
         };
       } else {
-        const response = `Is there a better time of day for you, like morning between 10 and 12, afternoon, or early evening?`;
+        const response = this.messages(session).TIME_OF_DAY_QUESTION;
         session.addMessage('assistant', response);
         return {
           response,
@@ -888,28 +1957,29 @@ export class ConversationEngine {
     // Waitlist confirmation
     if (state === DIALOG_STATES.WAITLIST_CONFIRMATION) {
       const lowerInput = userInput.toLowerCase();
-      if (lowerInput.includes('yes') || lowerInput.includes('add') || lowerInput.includes('please') || lowerInput.includes('ok')) {
+      if ((lowerInput.includes('yes') || lowerInput.includes('add') || lowerInput.includes('please') || lowerInput.includes('ok') || isHindiYes(userInput)) && !isHindiNo(userInput)) {
         // User confirmed waitlist
         const bookingCode = generateBookingCode(existingCodes);
         existingCodes.add(bookingCode);
         session.updateSlots({ booking_code_generated: bookingCode });
 
         // Get preferred slot times from slots (set during overlap detection)
-        const preferredStart = slots.preferred_slot_start ? new Date(slots.preferred_slot_start) : (slots.preferred_day ? new Date(slots.preferred_day) : new Date());
-        const preferredEnd = slots.preferred_slot_end ? new Date(slots.preferred_slot_end) : new Date(preferredStart.getTime() + 30 * 60000);
+        const preferredStart = slots.preferred_slot_start ? new Date(slots.preferred_slot_start) : (slots.preferred_day ? new Date(slots.preferred_day) : now());
+        const preferredEnd = slots.preferred_slot_end ? new Date(slots.preferred_slot_end) : new Date(preferredStart.getTime() + getSlotDuration(slots.topic) * 60000);
 
         // Execute tool calls for waitlist (Gmail and Sheets only, no Calendar MCP)
         const toolCallConfigs = [
           {
             name: 'notes_append_prebooking',
             params: {
-              createdAt: new Date().toISOString(),
+              createdAt: now().toISOString(),
               topic: slots.topic,
               slotStart: preferredStart.toISOString(),
               slotEnd: preferredEnd.toISOString(),
               bookingCode,
               isWaitlist: true,
-              action: 'created'
+              action: 'created',
+              status: BOOKING_STATUSES.WAITLISTED
             }
           },
           {
@@ -934,7 +2004,8 @@ export class ConversationEngine {
           results: results.map(r => ({ success: r.success, mock: r.mock }))
         });
 
-        const response = `I've added you to the waitlist for that time slot. Your booking code is ${bookingCode}. ${SYSTEM_MESSAGES.SECURE_URL(this.secureUrl)}\n\nThe advisor team will contact you if the slot becomes available. Is there anything else I can help you with?`;
+        const messages = this.messages(session);
+        const response = `${messages.WAITLIST_JOINED()} ${messages.WAITLIST_CODE(bookingCode)} ${messages.SECURE_URL(this.secureUrl)}\n\n${messages.WAITLIST_PROMOTION} ${messages.ANYTHING_ELSE}`;
 
         session.updateSlots({ booking_code: bookingCode, booking_code_generated: bookingCode });
         session.transitionTo(DIALOG_STATES.COMPLETED);
@@ -948,7 +2019,7 @@ export class ConversationEngine {
         };
       } else {
         // User declined waitlist
-        const response = `No problem. Would you like to check availability for a different time? You can say "tomorrow", "this week", or a specific day and time.`;
+        const response = this.messages(session).WAITLIST_DECLINED;
         session.transitionTo(DIALOG_STATES.TIME_PREFERENCE);
         session.addMessage('assistant', response);
         return {
@@ -965,6 +2036,24 @@ export class ConversationEngine {
     if (state === DIALOG_STATES.SLOT_OFFER) {
       const availableSlots = slots.available_slots || [];
 
+      // Caller interrupted the slot list and picked the one just read out
+      const interruptedIndex = this.resolveInterruptedSlotChoice(session, userInput, availableSlots);
+      if (interruptedIndex >= 0) {
+        const selectedSlot = availableSlots[interruptedIndex];
+        session.updateSlots({ selected_slot: selectedSlot, is_waitlist_request: false });
+        session.transitionTo(DIALOG_STATES.SLOT_CONFIRMATION);
+
+        const response = this.messages(session).SLOT_CONFIRM(slots.topic, formatSlot(selectedSlot.start, selectedSlot.end, session.getTimezone()));
+        session.addMessage('assistant', response);
+        return {
+          response,
+          state: session.getState(),
+          intent: session.getIntent(),
+          slots: session.getSlots(),
+          toolCalls: []
+        };
+      }
+
       // Use LLM to interpret user's slot selection or custom time request
       let previousRequestStr = null;
       if (slots.preferred_specific_time) {
@@ -984,7 +2073,7 @@ export class ConversationEngine {
 
       // Check if user wants to exit
       if (slotInterpretation.exit) {
-        const response = `No problem. If you'd like to schedule an appointment later, just let me know. Is there anything else I can help you with?`;
+        const response = this.messages(session).SCHEDULE_LATER;
         session.transitionTo(DIALOG_STATES.COMPLETED);
         session.addMessage('assistant', response);
         return {
@@ -1002,7 +2091,7 @@ export class ConversationEngine {
         session.updateSlots({ selected_slot: selectedSlot, is_waitlist_request: false });
         session.transitionTo(DIALOG_STATES.SLOT_CONFIRMATION);
 
-        const response = `Great. Confirming your tentative advisor slot for ${slots.topic} on ${formatSlot(selectedSlot.start, selectedSlot.end)}. Is that correct?`;
+        const response = this.messages(session).SLOT_CONFIRM(slots.topic, formatSlot(selectedSlot.start, selectedSlot.end, session.getTimezone()));
         session.addMessage('assistant', response);
         return {
           response,
@@ -1031,7 +2120,7 @@ export class ConversationEngine {
 
       // If no numeric match, try to match by time description
       if (slotIndex < 0 && availableSlots.length > 0) {
-        const dateTimePref = parseDateTimePreference(userInput);
+        const dateTimePref = parseDateTimePreference(userInput, { timeZone: this.timeZoneFor(session, userInput) });
 
         // Try to match by time window or specific time
         for (let i = 0; i < availableSlots.length; i++) {
@@ -1096,7 +2185,7 @@ export class ConversationEngine {
         session.updateSlots({ selected_slot: selectedSlot, is_waitlist_request: false });
         session.transitionTo(DIALOG_STATES.SLOT_CONFIRMATION);
 
-        const response = `Great. Confirming your tentative advisor slot for ${slots.topic} on ${formatSlot(selectedSlot.start, selectedSlot.end)}. Is that correct?`;
+        const response = this.messages(session).SLOT_CONFIRM(slots.topic, formatSlot(selectedSlot.start, selectedSlot.end, session.getTimezone()));
         session.addMessage('assistant', response);
         return {
           response,
@@ -1109,18 +2198,18 @@ export class ConversationEngine {
 
       // Check if user requested a custom time (from LLM interpretation or fallback parsing)
       const customTime = slotInterpretation.customTime || null;
-      const dateTimePref = customTime ? { date: customTime, specificTime: customTime } : parseDateTimePreference(userInput);
+      const dateTimePref = customTime ? { date: customTime, specificTime: customTime } : parseDateTimePreference(userInput, { timeZone: this.timeZoneFor(session, userInput) });
 
       if (dateTimePref.date && dateTimePref.specificTime) {
         // First, validate that the requested time is within business hours
         const requestedSlotStart = dateTimePref.specificTime;
-        const requestedSlotEnd = new Date(dateTimePref.specificTime.getTime() + 30 * 60000);
+        const requestedSlotEnd = new Date(dateTimePref.specificTime.getTime() + getSlotDuration(slots.topic) * 60000);
 
-        const businessHoursCheck = isWithinBusinessHours(requestedSlotStart, requestedSlotEnd);
+        const businessHoursCheck = isWithinBusinessHours(requestedSlotStart, requestedSlotEnd, this.messages(session));
 
         if (!businessHoursCheck.isValid) {
           // Requested time is outside business hours - inform user
-          const response = `${businessHoursCheck.reason}\n\nWould you like to check availability within these hours? You can say "tomorrow morning", "this week afternoon", or a specific day and time.`;
+          const response = `${businessHoursCheck.reason}\n\n${this.messages(session).OUTSIDE_HOURS_FOLLOW_UP}`;
           session.addMessage('assistant', response);
           return {
             response,
@@ -1131,18 +2220,35 @@ export class ConversationEngine {
           };
         }
 
+        // Too soon or too far ahead is not worth a waitlist either
+        const windowViolation = schedulingPolicy.checkBookingWindow(requestedSlotStart);
+        if (windowViolation) {
+          return this.respondWithPolicyViolation(session, windowViolation, formatSlot(requestedSlotStart, requestedSlotEnd, session.getTimezone()));
+        }
+
         // Now check if this specific requested time is booked in the store
         const requestedSlotStartISO = requestedSlotStart.toISOString();
         const requestedSlotEndISO = requestedSlotEnd.toISOString();
 
-        // Check local store for conflict
-        const isBooked = bookingStore.checkConflict(requestedSlotStartISO, requestedSlotEndISO);
+        // Check local store for an advisor who can take this time
+        const bookedAround = bookingStore.getBookedSlotsInRange(
+          addDays(requestedSlotStart, -1).toISOString(),
+          addDays(requestedSlotStart, 1).toISOString()
+        );
+        const advisor = findAvailableAdvisor(requestedSlotStart, requestedSlotEnd, bookedAround, slots.topic);
+        const isBooked = !advisor;
+
+        // A full day has no waitlist to join
+        const capViolation = isBooked ? schedulingPolicy.checkCapacity(requestedSlotStart, requestedSlotEnd, bookedAround) : null;
+        if (capViolation && capViolation.rule === POLICY_RULES.DAILY_CAP) {
+          return this.respondWithPolicyViolation(session, capViolation, format(utcToZonedTime(requestedSlotStart, 'Asia/Kolkata'), 'EEEE, d MMMM'));
+        }
 
         if (isBooked) {
           // User is persisting for a busy slot - Ask for waitlist confirmation
-          const istTime = utcToZonedTime(dateTimePref.specificTime, 'Asia/Kolkata');
-          const timeStr = format(istTime, 'h:mm a');
-          const dateStr = format(istTime, 'EEEE, d MMMM');
+          const callerTime = utcToZonedTime(dateTimePref.specificTime, session.getTimezone());
+          const timeStr = `${format(callerTime, 'h:mm a')} ${getTimezoneLabel(session.getTimezone())}`;
+          const dateStr = format(callerTime, 'EEEE, d MMMM');
 
           const waitlistSlotObj = {
             start: requestedSlotStart,
@@ -1157,7 +2263,7 @@ export class ConversationEngine {
           });
           session.transitionTo(DIALOG_STATES.WAITLIST_CONFIRMATION);
 
-          const response = `That time slot (${timeStr} on ${dateStr}) is currently fully booked. However, I can add you to the waitlist for it, and the team will contact you if it becomes available. Would you like to be added to the waitlist?`;
+          const response = this.messages(session).WAITLIST_SLOT_FULL(timeStr, dateStr);
           session.addMessage('assistant', response);
           return {
             response,
@@ -1168,19 +2274,21 @@ export class ConversationEngine {
           };
         } else {
           // Slot is FREE (even if not originally offered) - Allow it!
-          const istTime = utcToZonedTime(dateTimePref.specificTime, 'Asia/Kolkata');
-          const timeStr = format(istTime, 'h:mm a');
-          const dateStr = format(istTime, 'EEEE, d MMMM');
+          const callerTime = utcToZonedTime(dateTimePref.specificTime, session.getTimezone());
+          const timeStr = `${format(callerTime, 'h:mm a')} ${getTimezoneLabel(session.getTimezone())}`;
+          const dateStr = format(callerTime, 'EEEE, d MMMM');
 
           const newSlotObj = {
             start: new Date(requestedSlotStart),
-            end: new Date(requestedSlotEnd)
+            end: new Date(requestedSlotEnd),
+            advisorId: advisor.id,
+            advisorName: advisor.name
           };
 
           session.updateSlots({ selected_slot: newSlotObj, is_waitlist_request: false });
           session.transitionTo(DIALOG_STATES.SLOT_CONFIRMATION);
 
-          const response = `I can check that for you. Good news, ${timeStr} on ${dateStr} is available. Shall I book that slot for you?`;
+          const response = this.messages(session).SLOT_FREE(timeStr, dateStr);
           session.addMessage('assistant', response);
           return {
             response,
@@ -1193,13 +2301,26 @@ export class ConversationEngine {
       }
 
       // No match found - provide helpful guidance
-      const slotDescriptions = availableSlots.map((slot, idx) => {
-        const istStart = utcToZonedTime(slot.start, 'Asia/Kolkata');
-        const istEnd = utcToZonedTime(slot.end, 'Asia/Kolkata');
-        return `${idx + 1}. ${format(istStart, 'h:mm a')} to ${format(istEnd, 'h:mm a')} IST`;
-      }).join('\n');
+      const slotDescriptions = availableSlots.map((slot, idx) => `${idx + 1}. ${this.formatSlotTimes(session, slot)}`).join('\n');
 
-      const response = `I'm not sure which option you meant. Here are the available slots:\n${slotDescriptions}\n\nYou can choose one of these, or let me know if you'd prefer a different time.`;
+      const response = this.messages(session).SLOT_UNCLEAR(slotDescriptions);
+      session.addMessage('assistant', response);
+      return {
+        response,
+        state: session.getState(),
+        intent: session.getIntent(),
+        slots: session.getSlots(),
+        toolCalls: []
+      };
+    }
+
+    if (state === DIALOG_STATES.SERIES_CONFIRMATION) {
+      if (/\b(yes|yeah|yep|sure|ok|okay|confirm|go ahead|haan|ha)\b/i.test(userInput)) {
+        return await this.bookSeries(session);
+      }
+      const response = this.messages(session).SERIES_DECLINED;
+      session.updateSlots({ series_plan: null });
+      session.transitionTo(DIALOG_STATES.TIME_PREFERENCE);
       session.addMessage('assistant', response);
       return {
         response,
@@ -1216,10 +2337,10 @@ export class ConversationEngine {
 
       // Check for exit/cancel intent
       if (lowerInput.includes('no') || lowerInput.includes('cancel') || lowerInput.includes('not') ||
-        lowerInput.includes('wrong') || lowerInput.includes('change') || lowerInput.includes('different')) {
+        lowerInput.includes('wrong') || lowerInput.includes('change') || lowerInput.includes('different') || isHindiNo(userInput)) {
         // User wants to change or cancel
         if (lowerInput.includes('cancel') || lowerInput.includes('not now') || lowerInput.includes('maybe later')) {
-          const response = `No problem. If you'd like to schedule an appointment later, just let me know. Is there anything else I can help you with?`;
+          const response = this.messages(session).SCHEDULE_LATER;
           session.transitionTo(DIALOG_STATES.COMPLETED);
           session.addMessage('assistant', response);
           return {
@@ -1231,7 +2352,7 @@ export class ConversationEngine {
           };
         } else {
           // User wants to change the slot - go back to slot selection
-          const response = `No problem. Let me show you the available slots again, or you can tell me a different time you'd prefer.`;
+          const response = this.messages(session).SLOT_OFFER_AGAIN;
           session.transitionTo(DIALOG_STATES.SLOT_OFFER);
           session.addMessage('assistant', response);
           return {
@@ -1244,14 +2365,14 @@ export class ConversationEngine {
         }
       }
 
-      if (lowerInput.includes('yes') || lowerInput.includes('correct') || lowerInput.includes('confirm')) {
+      if (lowerInput.includes('yes') || lowerInput.includes('correct') || lowerInput.includes('confirm') || isHindiYes(userInput)) {
         const selectedSlot = slots.selected_slot;
         const topic = slots.topic;
 
         // Validate required data before generating booking code
         if (!selectedSlot || !selectedSlot.start || !selectedSlot.end) {
           logger.log('error', `Missing selected slot data`, { sessionId: session.sessionId, slots });
-          const response = `I'm sorry, there was an issue with the slot selection. Please try selecting a slot again.`;
+          const response = this.messages(session).SLOT_SELECTION_ERROR;
           session.transitionTo(DIALOG_STATES.SLOT_OFFER);
           session.addMessage('assistant', response);
           return {
@@ -1265,7 +2386,7 @@ export class ConversationEngine {
 
         if (!topic) {
           logger.log('error', `Missing topic data`, { sessionId: session.sessionId, slots });
-          const response = `I'm sorry, I need to know the topic. How can the advisor help you? You can choose from: KYC/Onboarding, SIP/Mandates, Statements and Tax Documents, Withdrawals and Timelines, or Account Changes and Nominee.`;
+          const response = this.messages(session).TOPIC_MISSING(this.messages(session).TOPIC_CHOICES);
           session.transitionTo(DIALOG_STATES.TOPIC_SELECTION);
           session.addMessage('assistant', response);
           return {
@@ -1285,7 +2406,7 @@ export class ConversationEngine {
           session.updateSlots({ booking_code_generated: bookingCode });
         } catch (error) {
           logger.log('error', `Failed to generate booking code: ${error.message}`, { sessionId: session.sessionId, error: error.message });
-          const response = `I'm sorry, there was an issue generating your booking code. Please try again.`;
+          const response = this.messages(session).BOOKING_CODE_ERROR;
           session.addMessage('assistant', response);
           return {
             response,
@@ -1298,16 +2419,28 @@ export class ConversationEngine {
 
         // Store booking in persistent Store - will be updated with event ID after creation
         // setBooking returns the record (it might be marked as waitlisted if a conflict occurred)
-        const bookingRecord = await bookingStore.setBooking(bookingCode, {
-          topic: topic,
-          slot: selectedSlot.start.toISOString(),
-          endSlot: selectedSlot.end.toISOString(),
-          bookingCode,
-          createdAt: new Date().toISOString(),
-          isWaitlist: slots.is_waitlist_request || false, // Use the flag set during persist check
-          action: 'Created',
-          eventId: null
-        });
+        let bookingRecord;
+        try {
+          bookingRecord = await bookingStore.setBooking(bookingCode, {
+            topic: topic,
+            slot: selectedSlot.start.toISOString(),
+            endSlot: selectedSlot.end.toISOString(),
+            bookingCode,
+            createdAt: now().toISOString(),
+            isWaitlist: slots.is_waitlist_request || false, // Use the flag set during persist check
+            action: 'Created',
+            eventId: null,
+            advisorId: selectedSlot.advisorId || null,
+            advisorName: selectedSlot.advisorName || null,
+            callerTimezone: session.context.timezone,
+            attendees: slots.attendees || defaultAttendees()
+          });
+        } catch (error) {
+          if (error.isAttendeeLimit) return this.respondWithAttendeeLimit(session, error);
+          if (!error.isPolicyViolation) throw error;
+          session.transitionTo(DIALOG_STATES.TIME_PREFERENCE);
+          return this.respondWithPolicyViolation(session, error.violation, formatSlot(selectedSlot.start, selectedSlot.end, session.getTimezone()));
+        }
 
         const isWaitlist = bookingRecord.isWaitlist;
 
@@ -1321,10 +2454,11 @@ export class ConversationEngine {
             name: 'event_create_tentative',
             params: {
               summary: `Advisor Q&A — ${topic} — ${bookingCode}`,
-              description: `Tentative hold created via voice agent for ${topic}.`,
+              description: `Tentative hold created via voice agent for ${topic}.${bookingRecord.advisorName ? ` Advisor: ${bookingRecord.advisorName}.` : ''}`,
               startDateTime: selectedSlot.start.toISOString(),
               endDateTime: selectedSlot.end.toISOString(),
               bookingCode,
+              advisorId: bookingRecord.advisorId,
               isWaitlist: isWaitlist,
               action: 'Created'
             }
@@ -1336,13 +2470,15 @@ export class ConversationEngine {
           {
             name: 'notes_append_prebooking',
             params: {
-              createdAt: new Date().toISOString(),
+              createdAt: now().toISOString(),
               topic: topic,
               slotStart: selectedSlot.start.toISOString(),
               slotEnd: selectedSlot.end.toISOString(),
               bookingCode,
               isWaitlist: isWaitlist,
-              action: 'Created'
+              action: 'Created',
+              status: bookingRecord.status,
+              attendees: bookingRecord.attendees
             }
           },
           {
@@ -1353,7 +2489,8 @@ export class ConversationEngine {
               slotEnd: selectedSlot.end.toISOString(),
               bookingCode,
               isWaitlist: isWaitlist,
-              action: 'Created'
+              action: 'Created',
+              attendees: bookingRecord.attendees
             }
           }
         );
@@ -1368,12 +2505,19 @@ export class ConversationEngine {
           results: results.map(r => ({ success: r.success, mock: r.mock }))
         });
 
-        const slotFormatted = formatSlot(selectedSlot.start, selectedSlot.end);
+        const slotFormatted = formatSlot(selectedSlot.start, selectedSlot.end, session.getTimezone());
+        const messages = this.messages(session);
         let response;
         if (isWaitlist) {
-          response = `Your request has been added to the waitlist for ${topic} on ${slotFormatted}. Your booking code is ${bookingCode}. ${SYSTEM_MESSAGES.SECURE_URL(this.secureUrl)} We will notify you if the slot becomes available.`;
+          response = `${messages.WAITLIST_JOINED(topic, slotFormatted)} ${messages.WAITLIST_CODE(bookingCode)} ${messages.SECURE_URL(this.secureUrl)} ${messages.WAITLIST_PROMOTION}`;
         } else {
-          response = `${SYSTEM_MESSAGES.BOOKING_CODE_READ(bookingCode)} Your tentative advisor slot for ${topic} is on ${slotFormatted}. ${SYSTEM_MESSAGES.SECURE_URL(this.secureUrl)} ${SYSTEM_MESSAGES.TENTATIVE_HOLD}\n\nIs there anything else I can help you with? You can reschedule, cancel, check what to prepare, or ask about availability.`;
+          const confirmed = messages.BOOKING_CONFIRMED({
+            topic,
+            attendees: bookingRecord.attendees.length > 1 ? describeAttendees(bookingRecord.attendees) : null,
+            slotText: slotFormatted,
+            advisor: bookingRecord.advisorName
+          });
+          response = `${messages.BOOKING_CODE_READ(bookingCode)} ${confirmed} ${messages.SECURE_URL(this.secureUrl)} ${messages.TENTATIVE_HOLD}\n\n${messages.ANYTHING_ELSE_AFTER_BOOKING}`;
         }
 
         // Get event ID only if calendar MCP was called (not for waitlist)
@@ -1403,7 +2547,7 @@ export class ConversationEngine {
       } else {
         // User wants to change - go back to time preference
         session.transitionTo(DIALOG_STATES.TIME_PREFERENCE);
-        const response = `Which day and time works best? You can say things like 'tomorrow afternoon' or 'Monday after 4 PM'.`;
+        const response = this.messages(session).TIME_QUESTION;
         session.addMessage('assistant', response);
         return {
           response,
@@ -1421,7 +2565,7 @@ export class ConversationEngine {
 
       // Check if user confirms waitlist
       if (lowerInput.includes('yes') || lowerInput.includes('confirm') || lowerInput.includes('sure') ||
-        lowerInput.includes('ok') || lowerInput.includes('please')) {
+        lowerInput.includes('ok') || lowerInput.includes('please') || isHindiYes(userInput)) {
         // User confirmed - proceed with waitlist booking
         const topic = slots.topic;
         const preferredSlotStart = slots.preferred_slot_start;
@@ -1429,7 +2573,7 @@ export class ConversationEngine {
 
         if (!preferredSlotStart || !preferredSlotEnd) {
           logger.log('error', 'Missing preferred slot data for waitlist', { sessionId: session.sessionId, slots });
-          const response = `I'm sorry, there was an issue with the waitlist request. Please try again.`;
+          const response = this.messages(session).WAITLIST_ERROR;
           session.transitionTo(DIALOG_STATES.TIME_PREFERENCE);
           session.addMessage('assistant', response);
           return {
@@ -1449,7 +2593,7 @@ export class ConversationEngine {
           session.updateSlots({ booking_code_generated: bookingCode });
         } catch (error) {
           logger.log('error', `Failed to generate booking code: ${error.message}`, { sessionId: session.sessionId, error: error.message });
-          const response = `I'm sorry, there was an issue generating your booking code. Please try again.`;
+          const response = this.messages(session).BOOKING_CODE_ERROR;
           session.addMessage('assistant', response);
           return {
             response,
@@ -1461,29 +2605,40 @@ export class ConversationEngine {
         }
 
         // Store waitlist booking in persistent store
-        const bookingRecord = await bookingStore.setBooking(bookingCode, {
-          topic: topic,
-          slot: preferredSlotStart,
-          endSlot: preferredSlotEnd,
-          bookingCode,
-          createdAt: new Date().toISOString(),
-          isWaitlist: true,
-          action: 'Created',
-          eventId: null
-        });
+        let bookingRecord;
+        try {
+          bookingRecord = await bookingStore.setBooking(bookingCode, {
+            topic: topic,
+            slot: preferredSlotStart,
+            endSlot: preferredSlotEnd,
+            bookingCode,
+            createdAt: now().toISOString(),
+            isWaitlist: true,
+            action: 'Created',
+            eventId: null,
+            callerTimezone: session.context.timezone,
+            attendees: slots.attendees || defaultAttendees()
+          });
+        } catch (error) {
+          if (error.isAttendeeLimit) return this.respondWithAttendeeLimit(session, error);
+          if (!error.isPolicyViolation) throw error;
+          session.transitionTo(DIALOG_STATES.TIME_PREFERENCE);
+          return this.respondWithPolicyViolation(session, error.violation, formatSlot(new Date(preferredSlotStart), new Date(preferredSlotEnd), session.getTimezone()));
+        }
 
         // Execute waitlist tool calls (Gmail and Sheets only, no Calendar MCP)
         const toolCallConfigs = [
           {
             name: 'notes_append_prebooking',
             params: {
-              createdAt: new Date().toISOString(),
+              createdAt: now().toISOString(),
               topic: topic,
               slotStart: preferredSlotStart,
               slotEnd: preferredSlotEnd,
               bookingCode,
               isWaitlist: true,
-              action: 'Created'
+              action: 'Created',
+              status: bookingRecord.status
             }
           },
           {
@@ -1510,9 +2665,10 @@ export class ConversationEngine {
 
         const slotStart = new Date(preferredSlotStart);
         const slotEnd = new Date(preferredSlotEnd);
-        const slotFormatted = formatSlot(slotStart, slotEnd);
+        const slotFormatted = formatSlot(slotStart, slotEnd, session.getTimezone());
 
-        const response = `You've been added to the waitlist for ${topic} on ${slotFormatted}. Your booking code is ${bookingCode}. ${SYSTEM_MESSAGES.SECURE_URL(this.secureUrl)}\n\nThe advisor team will contact you if this slot becomes available or with alternative options. Is there anything else I can help you with?`;
+        const messages = this.messages(session);
+        const response = `${messages.WAITLIST_JOINED(topic, slotFormatted)} ${messages.WAITLIST_CODE(bookingCode)} ${messages.SECURE_URL(this.secureUrl)}\n\n${messages.WAITLIST_PROMOTION} ${messages.ANYTHING_ELSE}`;
 
         // No event ID for waitlist (calendar MCP not called)
         session.updateSlots({ booking_code: bookingCode, booking_code_generated: bookingCode, event_id: null });
@@ -1526,9 +2682,9 @@ export class ConversationEngine {
           toolCalls
         };
       } else if (lowerInput.includes('no') || lowerInput.includes('not') || lowerInput.includes('cancel') ||
-        lowerInput.includes('different')) {
+        lowerInput.includes('different') || isHindiNo(userInput)) {
         // User declined waitlist - offer to check different time
-        const response = `No problem. Would you like to check availability for a different time? You can say "tomorrow", "this week", or a specific day and time.`;
+        const response = this.messages(session).WAITLIST_DECLINED;
         session.transitionTo(DIALOG_STATES.TIME_PREFERENCE);
         session.addMessage('assistant', response);
         return {
@@ -1540,7 +2696,7 @@ export class ConversationEngine {
         };
       } else {
         // Unclear response - ask again
-        const response = `I didn't catch that. Would you like to be added to the waitlist? Please say yes or no.`;
+        const response = this.messages(session).WAITLIST_UNCLEAR;
         session.addMessage('assistant', response);
         return {
           response,
@@ -1571,8 +2727,7 @@ export class ConversationEngine {
     // Directly trigger reschedule flow as per req.txt
     // When coming from INTENT_CONFIRMATION, immediately ask for booking code
     if (state === DIALOG_STATES.INTENT_CONFIRMATION) {
-      // As per req.txt: "To reschedule, I'll use your booking code. Please share your booking code only. Do not share phone, email, or account numbers."
-      const response = `To reschedule, I'll use your booking code. Please share your booking code only. Do not share phone, email, or account numbers.`;
+      const response = this.messages(session).RESCHEDULE_CODE_REQUEST;
       session.transitionTo(DIALOG_STATES.RESCHEDULE_CODE_INPUT);
       session.addMessage('assistant', response);
       return {
@@ -1599,7 +2754,11 @@ export class ConversationEngine {
       }
 
       if (bookingCode) {
+        const seriesResult = this.respondIfSeriesCode(session, bookingCode, 'reschedule');
+        if (seriesResult) return seriesResult;
         const booking = bookingStore.getBooking(bookingCode);
+        const closedResult = this.respondIfBookingClosed(session, booking, 'reschedule');
+        if (closedResult) return closedResult;
         if (booking) {
           session.updateSlots({ booking_code: bookingCode });
           session.transitionTo(DIALOG_STATES.RESCHEDULE_TIME);
@@ -1607,7 +2766,7 @@ export class ConversationEngine {
           let slotDisplay = 'a scheduled slot';
           if (booking.slot && booking.endSlot) {
             try {
-              slotDisplay = formatSlot(booking.slot, booking.endSlot);
+              slotDisplay = formatSlot(booking.slot, booking.endSlot, session.getTimezone());
             } catch (e) {
               logger.log('error', `Failed to format slot for booking ${bookingCode}`, { 
                 error: e.message, 
@@ -1619,7 +2778,7 @@ export class ConversationEngine {
                 const slotDate = bookingStore.getSlotAsUTC(booking.slot);
                 const endSlotDate = bookingStore.getSlotAsUTC(booking.endSlot);
                 if (slotDate && endSlotDate) {
-                  slotDisplay = formatSlot(slotDate, endSlotDate);
+                  slotDisplay = formatSlot(slotDate, endSlotDate, session.getTimezone());
                 }
               } catch (e2) {
                 logger.log('error', `Failed to format slot with fallback for booking ${bookingCode}`, { error: e2.message });
@@ -1627,7 +2786,7 @@ export class ConversationEngine {
             }
           }
           
-          const response = `I found your booking for ${booking.topic} on ${slotDisplay}. Which day and time would work better?`;
+          const response = this.messages(session).RESCHEDULE_FOUND(booking.topic, slotDisplay);
           session.addMessage('assistant', response);
           return {
             response,
@@ -1638,7 +2797,7 @@ export class ConversationEngine {
           };
         } else {
           // Booking code provided but not found - handle gracefully and reset to normal flow
-          const response = SYSTEM_MESSAGES.BOOKING_CODE_NOT_FOUND;
+          const response = this.messages(session).BOOKING_CODE_NOT_FOUND;
           session.setIntent(null);
           session.transitionTo(DIALOG_STATES.GREETING);
           session.addMessage('assistant', response);
@@ -1651,8 +2810,7 @@ export class ConversationEngine {
           };
         }
       } else {
-        // As per req.txt: "To reschedule, I'll use your booking code. Please share your booking code only. Do not share phone, email, or account numbers."
-        const response = `To reschedule, I'll use your booking code. Please share your booking code only. Do not share phone, email, or account numbers.`;
+          const response = this.messages(session).RESCHEDULE_CODE_REQUEST;
         session.transitionTo(DIALOG_STATES.RESCHEDULE_CODE_INPUT);
         session.addMessage('assistant', response);
         return {
@@ -1673,7 +2831,7 @@ export class ConversationEngine {
       if (lowerInput.includes('forgot') || lowerInput.includes("don't have") || lowerInput.includes('do not have') ||
         lowerInput.includes('lost') || lowerInput.includes('cannot find') || lowerInput.includes("can't find") ||
         lowerInput.includes('dont remember') || lowerInput.includes("don't remember") || lowerInput.includes('not have')) {
-        const response = SYSTEM_MESSAGES.BOOKING_CODE_FORGOTTEN;
+        const response = this.messages(session).BOOKING_CODE_FORGOTTEN;
         // Reset to intent detection after graceful decline
         session.setIntent(null);
         session.transitionTo(DIALOG_STATES.GREETING);
@@ -1690,7 +2848,11 @@ export class ConversationEngine {
       const codeMatch = userInput.match(/\b[A-Z]{2}-[A-Z0-9]{3,4}\b/i);
       const bookingCode = codeMatch ? codeMatch[0].toUpperCase() : userInput.trim().toUpperCase();
 
+      const seriesResult = this.respondIfSeriesCode(session, bookingCode, 'reschedule');
+      if (seriesResult) return seriesResult;
       const booking = bookingStore.getBooking(bookingCode);
+      const closedResult = this.respondIfBookingClosed(session, booking, 'reschedule');
+      if (closedResult) return closedResult;
       if (booking) {
         session.updateSlots({ booking_code: bookingCode });
         session.transitionTo(DIALOG_STATES.RESCHEDULE_TIME);
@@ -1698,7 +2860,7 @@ export class ConversationEngine {
         let slotDisplay = 'a scheduled slot';
         if (booking.slot && booking.endSlot) {
           try {
-            slotDisplay = formatSlot(booking.slot, booking.endSlot);
+            slotDisplay = formatSlot(booking.slot, booking.endSlot, session.getTimezone());
           } catch (e) {
             logger.log('error', `Failed to format slot for booking ${bookingCode}`, { 
               error: e.message, 
@@ -1710,7 +2872,7 @@ export class ConversationEngine {
               const slotDate = bookingStore.getSlotAsUTC(booking.slot);
               const endSlotDate = bookingStore.getSlotAsUTC(booking.endSlot);
               if (slotDate && endSlotDate) {
-                slotDisplay = formatSlot(slotDate, endSlotDate);
+                slotDisplay = formatSlot(slotDate, endSlotDate, session.getTimezone());
               }
             } catch (e2) {
               logger.log('error', `Failed to format slot with fallback for booking ${bookingCode}`, { error: e2.message });
@@ -1718,7 +2880,7 @@ export class ConversationEngine {
           }
         }
         
-        const response = `I found your booking for ${booking.topic} on ${slotDisplay}. Which day and time would work better?`;
+        const response = this.messages(session).RESCHEDULE_FOUND(booking.topic, slotDisplay);
         session.addMessage('assistant', response);
         return {
           response,
@@ -1729,7 +2891,7 @@ export class ConversationEngine {
         };
       } else {
         // Booking code not found - provide graceful error message and reset to intent detection
-        const response = SYSTEM_MESSAGES.BOOKING_CODE_NOT_FOUND;
+        const response = this.messages(session).BOOKING_CODE_NOT_FOUND;
         session.setIntent(null);
         session.transitionTo(DIALOG_STATES.GREETING);
         session.addMessage('assistant', response);
@@ -1743,18 +2905,53 @@ export class ConversationEngine {
       }
     }
 
+    // Moving a whole series needs a new recurring pattern
+    if (state === DIALOG_STATES.RESCHEDULE_TIME && slots.series_code) {
+      const rule = parseRecurrence(userInput, { timeZone: this.timeZoneFor(session, userInput) });
+      if (rule) {
+        return this.offerSeries(session, rule, slots.series_code);
+      }
+      const response = this.messages(session).SERIES_NEW_PATTERN_NEEDED;
+      session.addMessage('assistant', response);
+      return {
+        response,
+        state: session.getState(),
+        intent: session.getIntent(),
+        slots: session.getSlots(),
+        toolCalls: []
+      };
+    }
+
+    if (state === DIALOG_STATES.SERIES_CONFIRMATION) {
+      if (/\b(yes|yeah|yep|sure|ok|okay|confirm|go ahead|haan|ha)\b/i.test(userInput)) {
+        return await this.moveSeries(session);
+      }
+      const response = this.messages(session).SERIES_MOVE_DECLINED;
+      session.updateSlots({ series_plan: null });
+      session.transitionTo(DIALOG_STATES.RESCHEDULE_TIME);
+      session.addMessage('assistant', response);
+      return {
+        response,
+        state: session.getState(),
+        intent: session.getIntent(),
+        slots: session.getSlots(),
+        toolCalls: []
+      };
+    }
+
     // Handle new time preference
     if (state === DIALOG_STATES.RESCHEDULE_TIME) {
       const extractedSlots = await extractSlots(userInput, INTENTS.RESCHEDULE);
       let dateTimePref = parseDateTimePreference(
         userInput ||
         (extractedSlots.new_preferred_day + ' ' + extractedSlots.new_preferred_time_window) ||
-        'tomorrow'
+        'tomorrow',
+        { timeZone: this.timeZoneFor(session, userInput) }
       );
 
       // Check if weekend was requested - decline gracefully
       if (dateTimePref.requestedWeekend || dateTimePref.isWeekend) {
-        const response = `I understand you'd like to reschedule to a Sunday, but our advisor slots are only available Monday through Saturday (10 AM to 6 PM IST). Could you please provide a working day preference?`;
+        const response = this.messages(session).SUNDAY_CLOSED_RESCHEDULE;
         session.addMessage('assistant', response);
         return {
           response,
@@ -1773,7 +2970,7 @@ export class ConversationEngine {
         if (llmInterpretation.date && llmInterpretation.timeWindow && llmInterpretation.confidence > 0.5) {
           // Check if LLM detected weekend
           if (llmInterpretation.requestedWeekend || llmInterpretation.isWeekend) {
-            const response = `I understand you'd like to reschedule to a Sunday, but our advisor slots are only available Monday through Saturday (10 AM to 6 PM IST). Could you please provide a working day preference?`;
+            const response = this.messages(session).SUNDAY_CLOSED_RESCHEDULE;
             session.addMessage('assistant', response);
             return {
               response,
@@ -1787,7 +2984,7 @@ export class ConversationEngine {
           // Use LLM interpretation - convert date string to Date object
           let parsedDate = null;
           if (llmInterpretation.date) {
-            const today = new Date();
+            const today = now();
             const istToday = utcToZonedTime(today, 'Asia/Kolkata');
 
             if (llmInterpretation.date.toLowerCase() === 'today') {
@@ -1808,7 +3005,7 @@ export class ConversationEngine {
                 }
               }
             } else {
-              const fallbackParse = parseDateTimePreference(llmInterpretation.date);
+              const fallbackParse = parseDateTimePreference(llmInterpretation.date, { timeZone: this.timeZoneFor(session, userInput) });
               if (fallbackParse.date) {
                 parsedDate = fallbackParse.date;
               } else {
@@ -1826,7 +3023,7 @@ export class ConversationEngine {
             const isWeekendDate = dayOfWeek === 0;
 
             if (isWeekendDate) {
-              const response = `I understand you'd like to reschedule to a Sunday, but our advisor slots are only available Monday through Saturday (10 AM to 6 PM IST). Could you please provide a working day preference?`;
+              const response = this.messages(session).SUNDAY_CLOSED_RESCHEDULE;
               session.addMessage('assistant', response);
               return {
                 response,
@@ -1845,7 +3042,7 @@ export class ConversationEngine {
               requestedWeekend: false
             };
           } else if (llmInterpretation.needsClarification) {
-            const response = `I want to make sure I understand your preferred reschedule date and time correctly. ${llmInterpretation.interpretation || 'Could you please provide a specific weekday and time preference? For example, "Monday afternoon" or "Tuesday at 3 PM".'}`;
+            const response = this.messages(session).TIME_UNCLEAR_RESCHEDULE(llmInterpretation.interpretation || this.messages(session).TIME_EXAMPLE);
             session.addMessage('assistant', response);
             return {
               response,
@@ -1856,7 +3053,7 @@ export class ConversationEngine {
             };
           }
         } else if (llmInterpretation.needsClarification) {
-          const response = `I want to make sure I understand your preferred reschedule date and time correctly. Could you please provide a specific weekday and time preference? For example, "Monday afternoon" or "Tuesday at 3 PM".`;
+          const response = this.messages(session).TIME_UNCLEAR_RESCHEDULE(this.messages(session).TIME_EXAMPLE);
           session.addMessage('assistant', response);
           return {
             response,
@@ -1868,13 +3065,21 @@ export class ConversationEngine {
         }
       }
 
+      if (dateTimePref.date) {
+        const closedResult = this.respondIfDeskClosed(session, dateTimePref.date);
+        if (closedResult) return closedResult;
+        const policyResult = this.respondIfPolicyBlocks(session, dateTimePref.date, null, slots.booking_code);
+        if (policyResult) return policyResult;
+      }
+
       if (dateTimePref.date && dateTimePref.timeWindow) {
         const bookedLocally = bookingStore.getBookedSlotsInRange(addDays(dateTimePref.date, -1).toISOString(), addDays(dateTimePref.date, 1).toISOString());
         const availableSlots = await getAvailableSlots(
           dateTimePref.date,
           dateTimePref.timeWindow,
-          30,
-          bookedLocally.filter(b => b.bookingCode !== slots.booking_code)
+          null, // Length of the booking's topic
+          bookedLocally.filter(b => b.bookingCode !== slots.booking_code),
+          { topic: bookingStore.getBooking(slots.booking_code)?.topic }
         );
 
         if (availableSlots.length > 0) {
@@ -1886,10 +3091,10 @@ export class ConversationEngine {
           });
 
           const slotTexts = availableSlots.map((slot, index) =>
-            `${index + 1}. ${formatSlot(slot.start, slot.end)}`
+            `${index + 1}. ${formatSlot(slot.start, slot.end, session.getTimezone())}`
           ).join('\n');
 
-          const response = `I have these available slots:\n${slotTexts}\n\nYou can choose one of these, or let me know if you'd prefer a different time. Which would work best for you?`;
+          const response = this.messages(session).RESCHEDULE_OPTIONS(slotTexts);
           session.transitionTo(DIALOG_STATES.SLOT_OFFER);
           session.addMessage('assistant', response);
           return {
@@ -1900,7 +3105,12 @@ export class ConversationEngine {
             toolCalls: []
           };
         } else {
-          const response = `I don't have any available slots in that time window. Would you like to try a different time?`;
+          const closedWindowResult = this.respondIfDeskClosed(session, dateTimePref.date, dateTimePref.timeWindow);
+          if (closedWindowResult) return closedWindowResult;
+          const policyWindowResult = this.respondIfPolicyBlocks(session, dateTimePref.date, dateTimePref.timeWindow, slots.booking_code);
+          if (policyWindowResult) return policyWindowResult;
+
+          const response = this.messages(session).RESCHEDULE_NO_SLOTS;
           session.addMessage('assistant', response);
           return {
             response,
@@ -1911,7 +3121,7 @@ export class ConversationEngine {
           };
         }
       } else {
-        const response = `Which day and time would work better? You can say things like 'tomorrow afternoon' or 'Monday after 4 PM'.`;
+        const response = this.messages(session).RESCHEDULE_TIME_QUESTION;
         session.addMessage('assistant', response);
         return {
           response,
@@ -1925,8 +3135,9 @@ export class ConversationEngine {
 
     // Handle slot selection for reschedule - create tentative hold first
     if (state === DIALOG_STATES.SLOT_OFFER && session.getIntent() === INTENTS.RESCHEDULE) {
-      const slotIndex = parseInt(userInput.trim()) - 1;
       const availableSlots = slots.available_slots || [];
+      const interruptedIndex = this.resolveInterruptedSlotChoice(session, userInput, availableSlots);
+      const slotIndex = interruptedIndex >= 0 ? interruptedIndex : parseInt(userInput.trim()) - 1;
 
       if (slotIndex >= 0 && slotIndex < availableSlots.length) {
         const selectedSlot = availableSlots[slotIndex];
@@ -1935,7 +3146,7 @@ export class ConversationEngine {
         session.updateSlots({ selected_slot: selectedSlot });
         session.transitionTo(DIALOG_STATES.RESCHEDULE_SLOT_CONFIRMATION);
 
-        const response = `Great. Confirming reschedule to ${formatSlot(selectedSlot.start, selectedSlot.end)}. Is that correct?`;
+        const response = this.messages(session).RESCHEDULE_CONFIRM(formatSlot(selectedSlot.start, selectedSlot.end, session.getTimezone()));
         session.addMessage('assistant', response);
         return {
           response,
@@ -1950,7 +3161,7 @@ export class ConversationEngine {
 
         if (slotInterpretation.exit) {
           // User wants to exit
-          const response = `No problem. If you'd like to schedule an appointment later, just let me know. Is there anything else I can help you with?`;
+          const response = this.messages(session).SCHEDULE_LATER;
           session.transitionTo(DIALOG_STATES.COMPLETED);
           session.addMessage('assistant', response);
           return {
@@ -1968,7 +3179,7 @@ export class ConversationEngine {
           session.updateSlots({ selected_slot: selectedSlot });
           session.transitionTo(DIALOG_STATES.RESCHEDULE_SLOT_CONFIRMATION);
 
-          const response = `Great. Confirming reschedule to ${formatSlot(selectedSlot.start, selectedSlot.end)}. Is that correct?`;
+          const response = this.messages(session).RESCHEDULE_CONFIRM(formatSlot(selectedSlot.start, selectedSlot.end, session.getTimezone()));
           session.addMessage('assistant', response);
           return {
             response,
@@ -1981,10 +3192,10 @@ export class ConversationEngine {
 
         // Couldn't interpret - provide helpful guidance
         const slotDescriptions = availableSlots.map((slot, idx) =>
-          `${idx + 1}. ${formatSlot(slot.start, slot.end)}`
+          `${idx + 1}. ${formatSlot(slot.start, slot.end, session.getTimezone())}`
         ).join('\n');
 
-        const response = `I'm not sure which slot you meant. Here are the available options:\n${slotDescriptions}\n\nYou can say the number, describe the time, or let me know if you'd prefer a different time.`;
+        const response = this.messages(session).RESCHEDULE_SLOT_UNCLEAR(slotDescriptions);
         session.addMessage('assistant', response);
         return {
           response,
@@ -2001,9 +3212,9 @@ export class ConversationEngine {
       const lowerInput = userInput.toLowerCase();
       const selectedSlot = slots.selected_slot;
 
-      if (lowerInput.includes('yes') || lowerInput.includes('confirm') || lowerInput.includes('correct')) {
+      if (lowerInput.includes('yes') || lowerInput.includes('confirm') || lowerInput.includes('correct') || isHindiYes(userInput)) {
         if (!selectedSlot) {
-          const response = `I'm sorry, there was an issue with the slot selection. Please try again.`;
+          const response = this.messages(session).RESCHEDULE_SELECTION_ERROR;
           session.addMessage('assistant', response);
           return {
             response,
@@ -2016,7 +3227,7 @@ export class ConversationEngine {
 
         const booking = bookingStore.getBooking(slots.booking_code);
         if (!booking) {
-          const response = `I'm sorry, I couldn't find your booking. Please try again.`;
+          const response = this.messages(session).BOOKING_LOOKUP_ERROR;
           session.addMessage('assistant', response);
           return {
             response,
@@ -2027,14 +3238,28 @@ export class ConversationEngine {
           };
         }
 
+        const closedResult = this.respondIfBookingClosed(session, booking, 'reschedule');
+        if (closedResult) return closedResult;
+
         // Update booking locally with conflict check
         const bookingCode = slots.booking_code;
-        const bookingRecord = await bookingStore.setBooking(bookingCode, {
-          ...booking,
-          slot: new Date(selectedSlot.start).toISOString(),
-          endSlot: new Date(selectedSlot.end).toISOString(),
-          action: 'Rescheduled'
-        });
+        let bookingRecord;
+        try {
+          bookingRecord = await bookingStore.setBooking(bookingCode, {
+            ...booking,
+            slot: new Date(selectedSlot.start).toISOString(),
+            endSlot: new Date(selectedSlot.end).toISOString(),
+            action: 'Rescheduled',
+            status: BOOKING_STATUSES.TENTATIVE, // A moved appointment needs confirming again
+            advisorId: selectedSlot.advisorId || null,
+            advisorName: selectedSlot.advisorName || null
+          });
+        } catch (error) {
+          if (error.isAttendeeLimit) return this.respondWithAttendeeLimit(session, error, 'reschedule');
+          if (!error.isPolicyViolation) throw error;
+          session.transitionTo(DIALOG_STATES.RESCHEDULE_TIME);
+          return this.respondWithPolicyViolation(session, error.violation, formatSlot(new Date(selectedSlot.start), new Date(selectedSlot.end), session.getTimezone()));
+        }
 
         const isWaitlist = bookingRecord.isWaitlist;
         const eventId = bookingRecord.eventId || slots.event_id || null;
@@ -2061,13 +3286,14 @@ export class ConversationEngine {
           {
             name: 'notes_append_prebooking',
             params: {
-              createdAt: new Date().toISOString(),
+              createdAt: now().toISOString(),
               topic: bookingRecord.topic,
               slotStart: selectedSlot.start.toISOString(),
               slotEnd: selectedSlot.end.toISOString(),
               bookingCode: bookingCode,
               isWaitlist: isWaitlist,
-              action: 'Rescheduled'
+              action: 'Rescheduled',
+              status: bookingRecord.status
             }
           },
           {
@@ -2085,6 +3311,12 @@ export class ConversationEngine {
 
         const { toolCalls, results } = await this.executeToolCalls(toolCallConfigs);
 
+        // The previous slot goes to the oldest waitlist entry for it
+        const promotion = await this.promoteWaitlist({ ...booking, bookingCode });
+        if (promotion) {
+          toolCalls.push(...promotion.toolCalls);
+        }
+
         logger.log('tool_call', `Tool calls executed: ${toolCalls.map(t => t.function.name).join(', ')}`, {
           sessionId: session.sessionId,
           toolCalls: toolCalls.map(t => t.function.name),
@@ -2106,9 +3338,9 @@ export class ConversationEngine {
 
         let response;
         if (isWaitlist) {
-          response = `Your appointment has been moved to the waitlist for ${formatSlot(selectedSlot.start, selectedSlot.end)}. Your booking code remains ${bookingCode}. ${SYSTEM_MESSAGES.SECURE_URL(this.secureUrl)} We will notify you if this slot becomes available.`;
+          response = `${this.messages(session).RESCHEDULED_TO_WAITLIST(formatSlot(selectedSlot.start, selectedSlot.end, session.getTimezone()), bookingCode)} ${this.messages(session).SECURE_URL(this.secureUrl)} ${this.messages(session).WAITLIST_PROMOTION}`;
         } else {
-          response = `Your appointment has been rescheduled to ${formatSlot(selectedSlot.start, selectedSlot.end)}. Your booking code remains ${bookingCode}. ${SYSTEM_MESSAGES.SECURE_URL(this.secureUrl)} Please update your contact details using the same secure link if needed.\n\nIs there anything else I can help you with?`;
+          response = `${this.messages(session).RESCHEDULED(formatSlot(selectedSlot.start, selectedSlot.end, session.getTimezone()), bookingCode)} ${this.messages(session).SECURE_URL(this.secureUrl)} ${this.messages(session).CONTACT_UPDATE}\n\n${this.messages(session).ANYTHING_ELSE}`;
         }
 
         // Preserve booking code for future operations
@@ -2122,11 +3354,11 @@ export class ConversationEngine {
           slots: session.getSlots(),
           toolCalls
         };
-      } else if (lowerInput.includes('no') || lowerInput.includes('not') || lowerInput.includes('wrong')) {
+      } else if (lowerInput.includes('no') || lowerInput.includes('not') || lowerInput.includes('wrong') || isHindiNo(userInput)) {
         // User rejected the slot - go back to time preference
         session.updateSlots({ selected_slot: null });
         session.transitionTo(DIALOG_STATES.RESCHEDULE_TIME);
-        const response = `No problem. Which day and time would work better?`;
+        const response = this.messages(session).RESCHEDULE_DECLINED;
         session.addMessage('assistant', response);
         return {
           response,
@@ -2137,7 +3369,7 @@ export class ConversationEngine {
         };
       } else {
         // Unclear response - ask for clarification
-        const response = `Please confirm: Is ${formatSlot(selectedSlot.start, selectedSlot.end)} correct? (yes/no)`;
+        const response = this.messages(session).RESCHEDULE_CONFIRM_AGAIN(formatSlot(selectedSlot.start, selectedSlot.end, session.getTimezone()));
         session.addMessage('assistant', response);
         return {
           response,
@@ -2169,7 +3401,7 @@ export class ConversationEngine {
     // When coming from INTENT_CONFIRMATION, immediately ask for booking code
     if (state === DIALOG_STATES.INTENT_CONFIRMATION) {
       // As per req.txt: Ask for booking code only
-      const response = `To cancel, I'll need your booking code. Please share your booking code only. Do not share phone, email, or account numbers.`;
+      const response = this.messages(session).CANCEL_CODE_REQUEST;
       session.transitionTo(DIALOG_STATES.CANCEL_CODE_INPUT);
       session.addMessage('assistant', response);
       return {
@@ -2189,7 +3421,7 @@ export class ConversationEngine {
       if (lowerInput.includes('forgot') || lowerInput.includes("don't have") || lowerInput.includes('do not have') ||
         lowerInput.includes('lost') || lowerInput.includes('cannot find') || lowerInput.includes("can't find") ||
         lowerInput.includes('dont remember') || lowerInput.includes("don't remember") || lowerInput.includes('not have')) {
-        const response = SYSTEM_MESSAGES.BOOKING_CODE_FORGOTTEN;
+        const response = this.messages(session).BOOKING_CODE_FORGOTTEN;
         // Reset to intent detection after graceful decline
         session.setIntent(null);
         session.transitionTo(DIALOG_STATES.GREETING);
@@ -2215,7 +3447,11 @@ export class ConversationEngine {
       }
 
       if (bookingCode) {
+        const seriesResult = this.respondIfSeriesCode(session, bookingCode, 'cancel');
+        if (seriesResult) return seriesResult;
         const booking = bookingStore.getBooking(bookingCode);
+        const closedResult = this.respondIfBookingClosed(session, booking, 'cancel');
+        if (closedResult) return closedResult;
         if (booking) {
           // Create tentative hold - store booking code and ask for confirmation
           session.updateSlots({ booking_code: bookingCode });
@@ -2224,13 +3460,13 @@ export class ConversationEngine {
           let slotDisplay = 'a scheduled slot';
           if (booking.slot && booking.endSlot) {
             try {
-              slotDisplay = formatSlot(booking.slot, booking.endSlot);
+              slotDisplay = formatSlot(booking.slot, booking.endSlot, session.getTimezone());
             } catch (e) {
               logger.log('error', `Failed to format slot for booking ${bookingCode}`, { error: e.message });
             }
           }
 
-          const response = `I found your booking for ${booking.topic} on ${slotDisplay}. Are you sure you want to cancel this appointment?`;
+          const response = this.messages(session).CANCEL_FOUND(booking.topic, slotDisplay);
           session.addMessage('assistant', response);
           return {
             response,
@@ -2241,7 +3477,7 @@ export class ConversationEngine {
           };
         } else {
           // Booking code provided but not found - reset to intent detection
-          const response = SYSTEM_MESSAGES.BOOKING_CODE_NOT_FOUND;
+          const response = this.messages(session).BOOKING_CODE_NOT_FOUND;
           session.setIntent(null);
           session.transitionTo(DIALOG_STATES.GREETING);
           session.addMessage('assistant', response);
@@ -2255,7 +3491,7 @@ export class ConversationEngine {
         }
       } else {
         // As per req.txt: Ask for booking code only
-        const response = `To cancel, I'll need your booking code. Please share your booking code only. Do not share phone, email, or account numbers.`;
+        const response = this.messages(session).CANCEL_CODE_REQUEST;
         session.transitionTo(DIALOG_STATES.CANCEL_CODE_INPUT);
         session.addMessage('assistant', response);
         return {
@@ -2276,7 +3512,7 @@ export class ConversationEngine {
       if (lowerInput.includes('forgot') || lowerInput.includes("don't have") || lowerInput.includes('do not have') ||
         lowerInput.includes('lost') || lowerInput.includes('cannot find') || lowerInput.includes("can't find") ||
         lowerInput.includes('dont remember') || lowerInput.includes("don't remember") || lowerInput.includes('not have')) {
-        const response = SYSTEM_MESSAGES.BOOKING_CODE_FORGOTTEN;
+        const response = this.messages(session).BOOKING_CODE_FORGOTTEN;
         session.addMessage('assistant', response);
         return {
           response,
@@ -2290,7 +3526,11 @@ export class ConversationEngine {
       const codeMatch = userInput.match(/\b[A-Z]{2}-[A-Z0-9]{3,4}\b/i);
       const bookingCode = codeMatch ? codeMatch[0].toUpperCase() : userInput.trim().toUpperCase();
 
+      const seriesResult = this.respondIfSeriesCode(session, bookingCode, 'cancel');
+      if (seriesResult) return seriesResult;
       const booking = bookingStore.getBooking(bookingCode);
+      const closedResult = this.respondIfBookingClosed(session, booking, 'cancel');
+      if (closedResult) return closedResult;
       if (booking) {
         // Create tentative hold - store booking code and ask for confirmation
         session.updateSlots({ booking_code: bookingCode });
@@ -2299,7 +3539,7 @@ export class ConversationEngine {
         let slotDisplay = 'a scheduled slot';
         if (booking.slot && booking.endSlot) {
           try {
-            slotDisplay = formatSlot(booking.slot, booking.endSlot);
+            slotDisplay = formatSlot(booking.slot, booking.endSlot, session.getTimezone());
           } catch (e) {
             logger.log('error', `Failed to format slot for booking ${bookingCode}`, { 
               error: e.message, 
@@ -2311,7 +3551,7 @@ export class ConversationEngine {
               const slotDate = bookingStore.getSlotAsUTC(booking.slot);
               const endSlotDate = bookingStore.getSlotAsUTC(booking.endSlot);
               if (slotDate && endSlotDate) {
-                slotDisplay = formatSlot(slotDate, endSlotDate);
+                slotDisplay = formatSlot(slotDate, endSlotDate, session.getTimezone());
               }
             } catch (e2) {
               logger.log('error', `Failed to format slot with fallback for booking ${bookingCode}`, { error: e2.message });
@@ -2319,7 +3559,7 @@ export class ConversationEngine {
           }
         }
 
-        const response = `I found your booking for ${booking.topic} on ${slotDisplay}. Are you sure you want to cancel this appointment?`;
+        const response = this.messages(session).CANCEL_FOUND(booking.topic, slotDisplay);
         session.addMessage('assistant', response);
         return {
           response,
@@ -2330,7 +3570,7 @@ export class ConversationEngine {
         };
       } else {
         // Booking code not found - provide graceful error message and reset to intent detection
-        const response = SYSTEM_MESSAGES.BOOKING_CODE_NOT_FOUND;
+        const response = this.messages(session).BOOKING_CODE_NOT_FOUND;
         session.setIntent(null);
         session.transitionTo(DIALOG_STATES.GREETING);
         session.addMessage('assistant', response);
@@ -2349,10 +3589,14 @@ export class ConversationEngine {
       const lowerInput = userInput.toLowerCase();
       const bookingCode = slots.booking_code;
 
-      if (lowerInput.includes('yes') || lowerInput.includes('confirm') || lowerInput.includes('sure') || lowerInput.includes('cancel')) {
+      if (lowerInput.includes('yes') || lowerInput.includes('confirm') || lowerInput.includes('sure') || lowerInput.includes('cancel') || isHindiYes(userInput)) {
+        if (slots.series_code) {
+          return await this.cancelSeries(session);
+        }
+
         const booking = bookingStore.getBooking(bookingCode);
         if (!bookingCode || !booking) {
-          const response = `I'm sorry, I couldn't find your booking. Please try again.`;
+          const response = this.messages(session).BOOKING_LOOKUP_ERROR;
           session.addMessage('assistant', response);
           return {
             response,
@@ -2363,6 +3607,9 @@ export class ConversationEngine {
           };
         }
 
+        const closedResult = this.respondIfBookingClosed(session, booking, 'cancel');
+        if (closedResult) return closedResult;
+
         // Get event ID from map, fallback to booking or session
         let eventId = null;
         if (booking && booking.eventId) {
@@ -2370,7 +3617,7 @@ export class ConversationEngine {
         }
 
         // Execute cancellation - delete booking and create tool calls
-        bookingStore.deleteBooking(bookingCode);
+        await bookingStore.deleteBooking(bookingCode);
         existingCodes.delete(bookingCode);
 
         // Execute tool calls for cancellation
@@ -2393,13 +3640,14 @@ export class ConversationEngine {
           {
             name: 'notes_append_prebooking',
             params: {
-              createdAt: new Date().toISOString(),
+              createdAt: now().toISOString(),
               topic: booking.topic,
               slotStart: booking.slot,
               slotEnd: booking.endSlot,
               bookingCode,
               isWaitlist: booking.isWaitlist,
-              action: 'Cancelled'
+              action: 'Cancelled',
+              status: BOOKING_STATUSES.CANCELLED
             }
           },
           {
@@ -2417,13 +3665,19 @@ export class ConversationEngine {
 
         const { toolCalls, results } = await this.executeToolCalls(toolCallConfigs);
 
+        // The freed slot goes to the oldest waitlist entry for it
+        const promotion = await this.promoteWaitlist({ ...booking, bookingCode });
+        if (promotion) {
+          toolCalls.push(...promotion.toolCalls);
+        }
+
         logger.log('tool_call', `Tool calls executed: ${toolCalls.map(t => t.function.name).join(', ')}`, {
           sessionId: session.sessionId,
           toolCalls: toolCalls.map(t => t.function.name),
           bookingCode
         });
 
-        const response = `Your tentative advisor appointment with code ${bookingCode} is now cancelled.\n\nIs there anything else I can help you with? You can book a new appointment, check what to prepare, or ask about availability.`;
+        const response = `${this.messages(session).CANCELLED(bookingCode)}\n\n${this.messages(session).ANYTHING_ELSE_AFTER_CANCEL}`;
 
         // Clear booking code since it's cancelled
         session.updateSlots({ booking_code: null, booking_code_generated: null });
@@ -2436,12 +3690,12 @@ export class ConversationEngine {
           slots: session.getSlots(),
           toolCalls
         };
-      } else if (lowerInput.includes('no') || lowerInput.includes('not') || lowerInput.includes('keep')) {
+      } else if (lowerInput.includes('no') || lowerInput.includes('not') || lowerInput.includes('keep') || isHindiNo(userInput)) {
         // User changed their mind - reset to intent detection
         session.updateSlots({ booking_code: null });
         session.setIntent(null);
         session.transitionTo(DIALOG_STATES.GREETING);
-        const response = `No problem. Your appointment remains scheduled. Is there anything else I can help you with?`;
+        const response = this.messages(session).CANCEL_DECLINED;
         session.addMessage('assistant', response);
         return {
           response,
@@ -2456,7 +3710,7 @@ export class ConversationEngine {
         let slotDisplay = 'this booking';
         if (booking && booking.slot && booking.endSlot) {
           try {
-            slotDisplay = formatSlot(booking.slot, booking.endSlot);
+            slotDisplay = formatSlot(booking.slot, booking.endSlot, session.getTimezone());
           } catch (e) {
             logger.log('error', `Failed to format slot for booking ${bookingCode}`, { 
               error: e.message, 
@@ -2468,14 +3722,14 @@ export class ConversationEngine {
               const slotDate = bookingStore.getSlotAsUTC(booking.slot);
               const endSlotDate = bookingStore.getSlotAsUTC(booking.endSlot);
               if (slotDate && endSlotDate) {
-                slotDisplay = formatSlot(slotDate, endSlotDate);
+                slotDisplay = formatSlot(slotDate, endSlotDate, session.getTimezone());
               }
             } catch (e2) {
               logger.log('error', `Failed to format slot with fallback for booking ${bookingCode}`, { error: e2.message });
             }
           }
         }
-        const response = `Please confirm: Do you want to cancel your appointment for ${slotDisplay}? (yes/no)`;
+        const response = this.messages(session).CANCEL_CONFIRM_AGAIN(slotDisplay);
         session.addMessage('assistant', response);
         return {
           response,
@@ -2505,8 +3759,7 @@ export class ConversationEngine {
     // Directly trigger what to prepare flow as per req.txt
     // When coming from INTENT_CONFIRMATION, immediately ask for topic
     if (state === DIALOG_STATES.INTENT_CONFIRMATION) {
-      // As per req.txt: "Is this for KYC/Onboarding, SIP/Mandates, Statements and Tax Documents, Withdrawals and Timelines, or Account Changes and Nominee?"
-      const response = `Is this for KYC/Onboarding, SIP/Mandates, Statements and Tax Documents, Withdrawals and Timelines, or Account Changes and Nominee?`;
+      const response = this.messages(session).PREPARE_TOPIC_QUESTION(this.messages(session).TOPIC_CHOICES);
       session.transitionTo(DIALOG_STATES.PREPARATION_INFO);
       session.addMessage('assistant', response);
       return {
@@ -2526,7 +3779,7 @@ export class ConversationEngine {
 
       // If no topic found, ask for it as per req.txt
       if (!topic || !isValidTopic(topic)) {
-        const response = `Is this for KYC/Onboarding, SIP/Mandates, Statements and Tax Documents, Withdrawals and Timelines, or Account Changes and Nominee?`;
+        const response = this.messages(session).PREPARE_TOPIC_QUESTION(this.messages(session).TOPIC_CHOICES);
         session.transitionTo(DIALOG_STATES.PREPARATION_INFO);
         session.addMessage('assistant', response);
         return {
@@ -2540,8 +3793,7 @@ export class ConversationEngine {
 
       // Validate and provide preparation guide
       if (topic && isValidTopic(topic)) {
-        const guides = PREPARATION_GUIDES[topic] || [];
-        const response = `For ${topic}, please prepare:\n${guides.map((item, i) => `${i + 1}. ${item}`).join('\n')}\n\nWould you like to book an appointment for ${topic}?`;
+        const response = this.preparationResponse(session, topic, userInput);
 
         session.updateSlots({ topic });
 
@@ -2569,8 +3821,7 @@ export class ConversationEngine {
       let topic = extractedSlots.topic || mapToTopic(userInput);
 
       if (topic && isValidTopic(topic)) {
-        const guides = PREPARATION_GUIDES[topic] || [];
-        const response = `For ${topic}, please prepare:\n${guides.map((item, i) => `${i + 1}. ${item}`).join('\n')}\n\nWould you like to book an appointment for ${topic}?`;
+        const response = this.preparationResponse(session, topic, userInput);
 
         session.updateSlots({ topic });
 
@@ -2590,7 +3841,7 @@ export class ConversationEngine {
           toolCalls: []
         };
       } else {
-        const response = `I can help you prepare for your advisor meeting. Is this for KYC/Onboarding, SIP/Mandates, Statements and Tax Documents, Withdrawals and Timelines, or Account Changes and Nominee?`;
+        const response = `${this.messages(session).PREPARE_INTRO} ${this.messages(session).PREPARE_TOPIC_QUESTION(this.messages(session).TOPIC_CHOICES)}`;
         session.addMessage('assistant', response);
         return {
           response,
@@ -2621,8 +3872,7 @@ export class ConversationEngine {
     // Directly trigger check availability flow as per req.txt
     // When coming from INTENT_CONFIRMATION, immediately ask for day range
     if (state === DIALOG_STATES.INTENT_CONFIRMATION) {
-      // As per req.txt: "Are you looking for slots today, tomorrow, or this week?"
-      const response = `Are you looking for slots today, tomorrow, or this week?`;
+      const response = this.messages(session).AVAILABILITY_QUESTION;
       session.transitionTo(DIALOG_STATES.AVAILABILITY_CHECK);
       session.addMessage('assistant', response);
       return {
@@ -2642,7 +3892,7 @@ export class ConversationEngine {
 
       // If no day range, ask for it as per req.txt
       if (!dayRange || dayRange.trim() === '') {
-        const response = `Are you looking for slots today, tomorrow, or this week?`;
+        const response = this.messages(session).AVAILABILITY_QUESTION;
         session.transitionTo(DIALOG_STATES.AVAILABILITY_CHECK);
         session.addMessage('assistant', response);
         return {
@@ -2663,10 +3913,10 @@ export class ConversationEngine {
       const todayIST = utcToZonedTime(today, 'Asia/Kolkata');
 
       if (dayRangeLower.includes('today')) {
-        datesToCheck.push({ date: today, label: 'Today' });
+        datesToCheck.push({ date: today, label: this.messages(session).TODAY });
       } else if (dayRangeLower.includes('tomorrow')) {
         const tomorrow = addDays(today, 1);
-        datesToCheck.push({ date: tomorrow, label: 'Tomorrow' });
+        datesToCheck.push({ date: tomorrow, label: this.messages(session).TOMORROW });
       } else if (dayRangeLower.includes('this week') || dayRangeLower.includes('week')) {
         // For "this week", check Monday through Friday of current week
         const currentDay = getDay(todayIST);
@@ -2683,7 +3933,7 @@ export class ConversationEngine {
         }
       } else {
         // Check for specific date/time reference
-        const dateTimePref = parseDateTimePreference(userInput);
+        const dateTimePref = parseDateTimePreference(userInput, { timeZone: this.timeZoneFor(session, userInput) });
 
         // FAST LOOKUP: Check local BookingStore first to avoid API call if possible
         if (dateTimePref.date && dateTimePref.timeWindow) {
@@ -2700,12 +3950,13 @@ export class ConversationEngine {
           datesToCheck.push({ date: dateTimePref.date, label: dayName });
         } else {
           // Fallback to today
-          datesToCheck.push({ date: today, label: 'Today' });
+          datesToCheck.push({ date: today, label: this.messages(session).TODAY });
         }
       }
 
-      // Collect available slots from MCP calendar or mock
+      // Collect available slots from MCP calendar or mock; slots last as long as the topic's appointments
       const allAvailableSlots = [];
+      const slotMinutes = getSlotDuration(session.getSlots().topic);
       const mcpEnabled = process.env.ENABLE_MCP === 'true';
       const useMCP = mcpEnabled && this.mcpInitialized && this.mcpClient && this.mcpClient.isAvailable();
 
@@ -2725,7 +3976,7 @@ export class ConversationEngine {
                 params: {
                   preferredDate: dateStr,
                   timeWindow: 'any', // Check all time windows
-                  slotMinutes: 30
+                  slotMinutes
                 }
               }
             ];
@@ -2774,11 +4025,11 @@ export class ConversationEngine {
               // Find available slots (gaps between busy periods)
               const availableSlots = [];
               let currentTime = startTimeUTC;
-              const slotDuration = 30 * 60 * 1000; // 30 minutes in milliseconds
+              const slotDuration = slotMinutes * 60 * 1000;
 
               for (const busy of busyPeriods) {
                 // If there's a gap before this busy period, add available slots
-                while (currentTime < busy.start && currentTime + slotDuration <= endTimeUTC) {
+                while (currentTime < busy.start && currentTime.getTime() + slotDuration <= endTimeUTC.getTime()) {
                   const slotEnd = new Date(currentTime.getTime() + slotDuration);
                   if (slotEnd <= busy.start && slotEnd <= endTimeUTC) {
                     availableSlots.push({
@@ -2832,13 +4083,14 @@ export class ConversationEngine {
 
         // Fallback to mock availability if MCP not available or failed
         if (!useMCP || allAvailableSlots.length === 0) {
-          const dateTimePref = parseDateTimePreference(dayRange);
+          const dateTimePref = parseDateTimePreference(dayRange, { timeZone: this.timeZoneFor(session, userInput) });
           const bookedLocally = bookingStore.getBookedSlotsInRange(addDays(date, -1).toISOString(), addDays(date, 1).toISOString());
           const mockSlots = await getAvailableSlots(
             date,
             dateTimePref.timeWindow || 'any',
-            30,
-            bookedLocally
+            slotMinutes,
+            bookedLocally,
+            { topic: session.getSlots().topic }
           );
 
           allAvailableSlots.push(...mockSlots.map(slot => ({
@@ -2860,7 +4112,7 @@ export class ConversationEngine {
         // Group slots by date label
         const slotsByDate = {};
         selectedSlots.forEach(slot => {
-          const label = slot.dateLabel || 'Today';
+          const label = slot.dateLabel || this.messages(session).TODAY;
           if (!slotsByDate[label]) {
             slotsByDate[label] = [];
           }
@@ -2869,16 +4121,12 @@ export class ConversationEngine {
 
         // Format response as per req.txt: "Today I have: 11:00–11:30 AM IST, 3:00–3:30 PM IST."
         const dateResponses = Object.entries(slotsByDate).map(([dateLabel, slots]) => {
-          const slotTimes = slots.map(slot => {
-            const istSlotStart = utcToZonedTime(slot.start, 'Asia/Kolkata');
-            const istSlotEnd = utcToZonedTime(slot.end, 'Asia/Kolkata');
-            return `${format(istSlotStart, 'h:mm a')}–${format(istSlotEnd, 'h:mm a')} IST`;
-          }).join(', ');
+          const slotTimes = slots.map(slot => this.formatSlotTimes(session, slot, '–')).join(', ');
 
-          return `${dateLabel} I have: ${slotTimes}.`;
+          return this.messages(session).AVAILABILITY_DAY(dateLabel, slotTimes);
         });
 
-        const response = `${dateResponses.join('\n')}\n\nWould you like to book one of these? You can say "book slot 1" or "book the first one".`;
+        const response = `${dateResponses.join('\n')}\n\n${this.messages(session).AVAILABILITY_BOOK_QUESTION}`;
 
         // Store available slots for potential booking
         session.updateSlots({ available_slots: selectedSlots });
@@ -2891,7 +4139,7 @@ export class ConversationEngine {
           toolCalls: []
         };
       } else {
-        const response = `I don't have any available slots in that time window. Would you like to check a different time? You can say "tomorrow", "this week", or a specific day.`;
+        const response = this.messages(session).AVAILABILITY_NONE;
         session.transitionTo(DIALOG_STATES.AVAILABILITY_CHECK);
         session.addMessage('assistant', response);
         return {
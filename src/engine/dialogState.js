@@ -3,7 +3,8 @@
  * Manages conversation state and transitions
  */
 
-import { INTENTS } from '../config/constants.js';
+import { INTENTS, DEFAULT_LANGUAGE } from '../config/constants.js';
+import { DESK_TIMEZONE } from '../utils/timezone.js';
 
 export const DIALOG_STATES = {
   INITIAL: 'initial',
@@ -14,6 +15,7 @@ export const DIALOG_STATES = {
   TIME_PREFERENCE: 'time_preference',
   SLOT_OFFER: 'slot_offer',
   SLOT_CONFIRMATION: 'slot_confirmation',
+  SERIES_CONFIRMATION: 'series_confirmation',
   WAITLIST_CONFIRMATION: 'waitlist_confirmation',
   BOOKING_CODE: 'booking_code',
   RESCHEDULE_CODE_INPUT: 'reschedule_code_input',
@@ -27,6 +29,40 @@ export const DIALOG_STATES = {
   ERROR: 'error'
 };
 
+/**
+ * Encode Date values so they survive JSON serialisation
+ * @private
+ */
+function encodeDates(value) {
+  if (value instanceof Date) {
+    return isNaN(value.getTime()) ? null : { $date: value.toISOString() };
+  }
+  if (Array.isArray(value)) {
+    return value.map(encodeDates);
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, v]) => [key, encodeDates(v)]));
+  }
+  return value;
+}
+
+/**
+ * Restore Date values encoded by encodeDates
+ * @private
+ */
+function decodeDates(value) {
+  if (Array.isArray(value)) {
+    return value.map(decodeDates);
+  }
+  if (value && typeof value === 'object') {
+    if (typeof value.$date === 'string' && Object.keys(value).length === 1) {
+      return new Date(value.$date);
+    }
+    return Object.fromEntries(Object.entries(value).map(([key, v]) => [key, decodeDates(v)]));
+  }
+  return value;
+}
+
 /**
  * Dialog State Manager
  */
@@ -46,7 +82,11 @@ export class DialogStateManager {
     this.context = {
       greeting_sent: false,
       disclaimer_sent: false,
-      pii_warning_sent: false
+      pii_warning_sent: false,
+      interruption: null, // Set when the caller barges in on an assistant message
+      language: DEFAULT_LANGUAGE,
+      language_selected: false, // True once the caller or client picks a language explicitly
+      timezone: null // Caller's IANA timezone, when known; null means the desk timezone
     };
     this.history = [];
   }
@@ -101,6 +141,129 @@ export class DialogStateManager {
     this.history.push({ role, content, timestamp: new Date() });
   }
 
+  /**
+   * Record a guardrail that blocked the caller's input
+   * @param {string} type - Guardrail, e.g. 'pii' or 'investment_advice'
+   * @param {Object} details - Extra fields, e.g. { piiType: 'phone' }
+   */
+  recordGuardrail(type, details = {}) {
+    this.history.push({ guardrail: type, ...details, timestamp: new Date() });
+  }
+
+  /**
+   * Record the outcome of tool calls made during a turn
+   * Only the booking code, action and result are kept; tool arguments stay out of the history.
+   * @param {Array<Object>} toolCalls - Tool calls as returned by executeToolCalls
+   */
+  recordToolCalls(toolCalls) {
+    for (const call of toolCalls || []) {
+      let args = {};
+      try {
+        args = JSON.parse(call.function.arguments || '{}');
+      } catch {
+        // Unparseable arguments: keep the name and result only
+      }
+      this.history.push({
+        toolCall: call.function.name,
+        result: call.result,
+        bookingCode: args.bookingCode || null,
+        action: args.action || null,
+        isWaitlist: args.isWaitlist === true,
+        timestamp: new Date()
+      });
+    }
+  }
+
+  /**
+   * Mark the latest assistant message as cut off by the caller (barge-in)
+   * @param {string} deliveredText - Part of the message the caller heard before interrupting
+   * @returns {Object|null} The interrupted history entry, or null if there is none
+   */
+  markInterrupted(deliveredText) {
+    const entry = [...this.history].reverse().find(item => item.role === 'assistant');
+    if (!entry) {
+      return null;
+    }
+
+    entry.interrupted = true;
+    entry.delivered = deliveredText;
+    this.context.interruption = { state: this.state, delivered: deliveredText, timestamp: new Date() };
+    return entry;
+  }
+
+  /**
+   * Get the pending interruption, if the caller cut off the last assistant message
+   * @returns {Object|null} { state, delivered, timestamp } or null
+   */
+  getInterruption() {
+    return this.context.interruption || null;
+  }
+
+  /**
+   * Clear the pending interruption once the next user turn has been handled
+   */
+  clearInterruption() {
+    this.context.interruption = null;
+  }
+
+  /**
+   * Get the conversation language
+   * @returns {string} One of LANGUAGES
+   */
+  getLanguage() {
+    return this.context.language || DEFAULT_LANGUAGE;
+  }
+
+  /**
+   * Set the conversation language
+   * @param {string} language - One of LANGUAGES
+   * @param {boolean} selected - True when chosen explicitly; detection no longer overrides it
+   */
+  setLanguage(language, selected = false) {
+    this.context.language = language;
+    this.context.language_selected = this.context.language_selected || selected;
+  }
+
+  /**
+   * Whether the language was chosen explicitly rather than detected
+   * @returns {boolean}
+   */
+  isLanguageSelected() {
+    return this.context.language_selected === true;
+  }
+
+  /**
+   * Get the caller's timezone
+   * @returns {string} IANA timezone (the desk timezone when the caller's is unknown)
+   */
+  getTimezone() {
+    return this.context.timezone || DESK_TIMEZONE;
+  }
+
+  /**
+   * Set the caller's timezone
+   * @param {string} timeZone - IANA timezone
+   */
+  setTimezone(timeZone) {
+    this.context.timezone = timeZone;
+  }
+
+  /**
+   * Get the instant this session's clock is pinned to
+   * @returns {string|null} ISO timestamp, or null when the session runs on the application clock
+   */
+  getClock() {
+    return this.context.clock || null;
+  }
+
+  /**
+   * Pin this session's clock (demo scenarios), or release it
+   * @param {string|null} isoTime - ISO timestamp, or null for the application clock
+   */
+  setClock(isoTime) {
+    this.context.clock = isoTime || null;
+  }
+
   /**
    * Get conversation history
    */
@@ -126,11 +289,46 @@ export class DialogStateManager {
     this.context = {
       greeting_sent: false,
       disclaimer_sent: false,
-      pii_warning_sent: false
+      pii_warning_sent: false,
+      interruption: null,
+      language: DEFAULT_LANGUAGE,
+      language_selected: false,
+      timezone: null
     };
     this.history = [];
   }
 
+  /**
+   * Serialise the session (state, intent, slots, context and history) to a JSON-safe object
+   * @returns {Object} Plain object; Date values are encoded as { $date }
+   */
+  toJSON() {
+    return encodeDates({
+      sessionId: this.sessionId,
+      state: this.state,
+      intent: this.intent,
+      slots: this.slots,
+      context: this.context,
+      history: this.history
+    });
+  }
+
+  /**
+   * Restore a session serialised with toJSON
+   * @param {Object} data - Serialised session
+   * @returns {DialogStateManager} Restored session
+   */
+  static fromJSON(data) {
+    const decoded = decodeDates(data);
+    const session = new DialogStateManager(decoded.sessionId);
+    session.state = decoded.state || DIALOG_STATES.INITIAL;
+    session.intent = decoded.intent || null;
+    session.slots = { ...session.slots, ...decoded.slots };
+    session.context = { ...session.context, ...decoded.context };
+    session.history = decoded.history || [];
+    return session;
+  }
+
   /**
    * Check if required slots are filled for current intent
    */
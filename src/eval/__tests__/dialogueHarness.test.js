@@ -0,0 +1,98 @@
+/**
+ * Unit Tests for the dialogue evaluation harness
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import {
+  checkTurn,
+  formatReport,
+  loadDialogueScript,
+  loadDialogueScripts,
+  runDialogues
+} from '../dialogueHarness.js';
+
+const DIALOGUES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '../dialogues');
+
+const toolCall = name => ({ function: { name, arguments: '{}' }, result: 'success', mock: true });
+
+describe('Dialogue Harness', () => {
+  describe('checkTurn', () => {
+    const result = {
+      state: 'completed',
+      intent: 'cancel',
+      slots: { booking_code: 'NL-A742' },
+      toolCalls: [toolCall('event_cancel'), toolCall('notes_append_prebooking'), toolCall('email_create_advisor_draft')],
+      response: 'Your tentative advisor appointment with code NL-A742 is now cancelled.'
+    };
+
+    it('should pass when every listed expectation holds', () => {
+      expect(checkTurn(result, {
+        state: 'completed',
+        intent: 'cancel',
+        slots: { booking_code: 'NL-A742', topic: null },
+        toolCalls: ['event_cancel', 'email_create_advisor_draft'],
+        response: ['code [A-Z]{2}-[A-Z0-9]{3,4}', 'NOW CANCELLED']
+      })).toEqual([]);
+    });
+
+    it('should describe each expectation that fails', () => {
+      expect(checkTurn(result, {
+        state: 'cancel_confirmation',
+        slots: { booking_code: 'NL-B100' },
+        toolCalls: ['email_create_advisor_draft', 'event_cancel'],
+        response: 'rescheduled'
+      })).toEqual([
+        'state: expected cancel_confirmation, got completed',
+        'slot booking_code: expected "NL-B100", got "NL-A742"',
+        'toolCalls: expected ["email_create_advisor_draft","event_cancel"], got ["event_cancel","notes_append_prebooking","email_create_advisor_draft"]',
+        'response: expected to match /rescheduled/i'
+      ]);
+      expect(checkTurn(result, { toolCalls: [] })).toHaveLength(1);
+    });
+  });
+
+  describe('loading scripts', () => {
+    let tmpDir;
+
+    beforeEach(() => {
+      tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'dialogues-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    it('should read YAML and JSON scripts with defaults', () => {
+      fs.writeFileSync(path.join(tmpDir, 'b.json'), JSON.stringify({ turns: [{ user: 'Hi' }] }));
+      fs.writeFileSync(path.join(tmpDir, 'a.yaml'), 'name: Greeting\nturns:\n  - user: "yes"\n    expect: { state: greeting }\n');
+      fs.writeFileSync(path.join(tmpDir, 'notes.txt'), 'ignored');
+
+      const [yamlScript, jsonScript] = loadDialogueScripts([tmpDir]);
+      expect(yamlScript).toMatchObject({ name: 'Greeting', turns: [{ user: 'yes', expect: { state: 'greeting' } }] });
+      expect(jsonScript).toMatchObject({ name: 'b.json', now: '2025-01-13T10:00:00+05:30', bookings: {} });
+    });
+
+    it('should reject scripts with unknown states, expectations or times', () => {
+      const file = path.join(tmpDir, 'bad.yaml');
+      fs.writeFileSync(file, 'turns:\n  - user: Hi\n    expect: { state: welcome }\n');
+      expect(() => loadDialogueScript(file)).toThrow('expects unknown state "welcome"');
+
+      fs.writeFileSync(file, 'turns:\n  - user: Hi\n    expect: { responce: Welcome }\n');
+      expect(() => loadDialogueScript(file)).toThrow('unknown expectations: responce');
+
+      fs.writeFileSync(file, 'now: next monday\nturns:\n  - user: Hi\n');
+      expect(() => loadDialogueScript(file)).toThrow('"now" is not a valid time');
+    });
+  });
+
+  it('should pass every shipped dialogue', async () => {
+    const report = await runDialogues(loadDialogueScripts([DIALOGUES_DIR]));
+    expect(report.total).toBeGreaterThan(0);
+    expect(report.failed).toBe(0);
+    expect(formatReport(report)).toContain(`${report.total}/${report.total} dialogues passed`);
+  });
+});
@@ -0,0 +1,285 @@
+/**
+ * Dialogue Evaluation Harness
+ * Runs scripted conversations (YAML or JSON files of user turns and expectations) through
+ * ConversationEngine.processInput with the clock pinned, calendar/email/notes tools in mock
+ * mode and an in-memory booking store, and reports which turns did not behave as expected.
+ * Regression conversations can be added as files, without writing Jest code.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import yaml from 'js-yaml';
+import { ConversationEngine } from '../engine/conversationEngine.js';
+import { DIALOG_STATES } from '../engine/dialogState.js';
+import { bookingStore } from '../services/bookingStore.js';
+import { MemorySessionStore } from '../services/sessionStore.js';
+import { StorageAdapter } from '../services/storage/storageAdapter.js';
+import { parseClockTime, runWithClock } from '../utils/clock.js';
+
+// Scripts without a "now" run on a weekday morning at the desk
+export const DEFAULT_DIALOGUE_TIME = '2025-01-13T10:00:00+05:30';
+
+const SCRIPT_EXTENSIONS = ['.yaml', '.yml', '.json'];
+const EXPECTATION_KEYS = ['state', 'intent', 'slots', 'toolCalls', 'response'];
+
+/**
+ * Booking storage that lives only as long as one dialogue
+ * @private
+ */
+class MemoryStorageAdapter extends StorageAdapter {
+  constructor() {
+    super('memory');
+    this.entries = new Map(); // bookingCode -> record
+  }
+
+  async initialize() {}
+
+  async loadAll() {
+    return Object.fromEntries(this.entries);
+  }
+
+  async saveBooking({ bookingCode, record }) {
+    this.entries.set(bookingCode, record);
+  }
+
+  async saveAll(entries) {
+    this.entries = new Map(entries.map(({ bookingCode, record }) => [bookingCode, record]));
+  }
+
+  async close() {}
+}
+
+/**
+ * Validate a parsed dialogue script
+ * @private
+ */
+function validateScript(script, source) {
+  if (!script || typeof script !== 'object') {
+    throw new Error(`${source}: a dialogue script must be an object`);
+  }
+  if (!Array.isArray(script.turns) || script.turns.length === 0) {
+    throw new Error(`${source}: "turns" must be a non-empty list`);
+  }
+
+  if (script.now !== undefined && parseClockTime(script.now) === null) {
+    throw new Error(`${source}: "now" is not a valid time: ${script.now}`);
+  }
+
+  const states = Object.values(DIALOG_STATES);
+  script.turns.forEach((turn, index) => {
+    if (!turn || typeof turn.user !== 'string') {
+      throw new Error(`${source}: turn ${index + 1} needs a "user" utterance`);
+    }
+    const expect = turn.expect || {};
+    const unknown = Object.keys(expect).filter(key => !EXPECTATION_KEYS.includes(key));
+    if (unknown.length > 0) {
+      throw new Error(`${source}: turn ${index + 1} has unknown expectations: ${unknown.join(', ')}`);
+    }
+    if (expect.state && !states.includes(expect.state)) {
+      throw new Error(`${source}: turn ${index + 1} expects unknown state "${expect.state}"`);
+    }
+  });
+
+  return {
+    name: script.name || path.basename(source),
+    now: script.now || DEFAULT_DIALOGUE_TIME,
+    options: script.options || {},
+    bookings: script.bookings || {},
+    turns: script.turns,
+    source
+  };
+}
+
+/**
+ * Load one dialogue script
+ * @param {string} filePath - .yaml, .yml or .json file
+ * @returns {Object} { name, now, options, bookings, turns, source }
+ * @throws {Error} When the file cannot be parsed or is not a valid script
+ */
+export function loadDialogueScript(filePath) {
+  const text = fs.readFileSync(filePath, 'utf8');
+  let script;
+  try {
+    script = path.extname(filePath) === '.json'
+      ? JSON.parse(text)
+      : yaml.load(text, { schema: yaml.CORE_SCHEMA });
+  } catch (error) {
+    throw new Error(`${filePath}: ${error.message}`);
+  }
+  return validateScript(script, filePath);
+}
+
+/**
+ * Load dialogue scripts from files and directories (directories are read in name order)
+ * @param {Array<string>} paths - Files or directories
+ * @returns {Array<Object>} Dialogue scripts
+ */
+export function loadDialogueScripts(paths) {
+  const files = paths.flatMap(entry => {
+    if (!fs.statSync(entry).isDirectory()) return [entry];
+    return fs.readdirSync(entry)
+      .filter(name => SCRIPT_EXTENSIONS.includes(path.extname(name)))
+      .sort()
+      .map(name => path.join(entry, name));
+  });
+  return files.map(loadDialogueScript);
+}
+
+/**
+ * Compare one engine result with a turn's expectations
+ * @param {Object} result - processInput result
+ * @param {Object} expect - { state, intent, slots, toolCalls, response }
+ * @returns {Array<string>} Failure descriptions (empty when the turn passed)
+ */
+export function checkTurn(result, expect = {}) {
+  const failures = [];
+  const show = value => JSON.stringify(value === undefined ? null : value);
+
+  if (expect.state !== undefined && result.state !== expect.state) {
+    failures.push(`state: expected ${expect.state}, got ${result.state}`);
+  }
+
+  if (expect.intent !== undefined && (result.intent ?? null) !== expect.intent) {
+    failures.push(`intent: expected ${show(expect.intent)}, got ${show(result.intent)}`);
+  }
+
+  // Only the listed slots are checked; null means the slot must not be filled
+  for (const [name, expected] of Object.entries(expect.slots || {})) {
+    const actual = result.slots?.[name] ?? null;
+    if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+      failures.push(`slot ${name}: expected ${show(expected)}, got ${show(actual)}`);
+    }
+  }
+
+  // Listed tools must be called in this order (others may be called in between); [] means none
+  if (expect.toolCalls !== undefined) {
+    const called = (result.toolCalls || []).map(call => call.function?.name || call.name);
+    const expected = [].concat(expect.toolCalls);
+    let position = 0;
+    for (const name of called) {
+      if (name === expected[position]) position += 1;
+    }
+    if (expected.length === 0 ? called.length > 0 : position < expected.length) {
+      failures.push(`toolCalls: expected ${show(expected)}, got ${show(called)}`);
+    }
+  }
+
+  // Response patterns are case-insensitive regular expressions
+  for (const pattern of [].concat(expect.response ?? [])) {
+    if (!new RegExp(pattern, 'i').test(result.response || '')) {
+      failures.push(`response: expected to match /${pattern}/i`);
+    }
+  }
+
+  return failures;
+}
+
+/**
+ * Give the shared booking store a fresh in-memory backend holding only the script's bookings
+ * @private
+ */
+async function resetBookingStore(bookings) {
+  await bookingStore.useAdapter(new MemoryStorageAdapter());
+
+  for (const [bookingCode, record] of Object.entries(bookings)) {
+    await bookingStore.setBooking(bookingCode, record);
+  }
+}
+
+/**
+ * Run one dialogue script through a fresh conversation engine
+ * @param {Object} script - Dialogue script (see loadDialogueScript)
+ * @returns {Promise<Object>} { name, source, passed, turns: [{ user, response, state, failures }], summaries }
+ */
+export async function runDialogue(script) {
+  const previousMcp = process.env.ENABLE_MCP;
+  process.env.ENABLE_MCP = 'false';
+  const summaries = [];
+  let engine = null;
+
+  try {
+    // Seeding and every turn see the clock pinned to the script's "now"
+    return await runWithClock(script.now, async () => {
+      await resetBookingStore(script.bookings);
+      engine = new ConversationEngine('Test Brand', 'https://advisors.example.com/complete', {
+        sessionStore: new MemorySessionStore(),
+        callSummaryStore: { saveSummary: async summary => summaries.push(summary) }
+      });
+
+      const sessionId = `eval-${path.basename(script.source || script.name).replace(/\W+/g, '-')}`;
+      const turns = [];
+      for (const turn of script.turns) {
+        let result;
+        let failures;
+        try {
+          result = await engine.processInput(sessionId, turn.user, { ...script.options, ...turn.options });
+          failures = checkTurn(result, turn.expect);
+        } catch (error) {
+          result = { response: '', state: null };
+          failures = [`engine error: ${error.message}`];
+        }
+        turns.push({ user: turn.user, response: result.response, state: result.state, failures });
+      }
+
+      return {
+        name: script.name,
+        source: script.source,
+        passed: turns.every(turn => turn.failures.length === 0),
+        turns,
+        summaries
+      };
+    });
+  } finally {
+    engine?.stopSessionEviction();
+    if (previousMcp === undefined) {
+      delete process.env.ENABLE_MCP;
+    } else {
+      process.env.ENABLE_MCP = previousMcp;
+    }
+  }
+}
+
+/**
+ * Run dialogue scripts one after another
+ * @param {Array<Object>} scripts - Dialogue scripts
+ * @returns {Promise<Object>} { passed, failed, total, dialogues }
+ */
+export async function runDialogues(scripts) {
+  const dialogues = [];
+  for (const script of scripts) {
+    dialogues.push(await runDialogue(script));
+  }
+  const passed = dialogues.filter(dialogue => dialogue.passed).length;
+  return { passed, failed: dialogues.length - passed, total: dialogues.length, dialogues };
+}
+
+/**
+ * Format a pass/fail report
+ * @param {Object} report - runDialogues result
+ * @returns {string} Report text
+ */
+export function formatReport(report) {
+  const lines = [];
+  let turnCount = 0;
+  let turnsPassed = 0;
+
+  for (const dialogue of report.dialogues) {
+    const source = dialogue.source ? ` (${path.basename(dialogue.source)})` : '';
+    lines.push(`${dialogue.passed ? '✅' : '❌'} ${dialogue.name}${source}`);
+
+    dialogue.turns.forEach((turn, index) => {
+      turnCount += 1;
+      if (turn.failures.length === 0) {
+        turnsPassed += 1;
+        return;
+      }
+      lines.push(`   turn ${index + 1}: "${turn.user}"`);
+      turn.failures.forEach(failure => lines.push(`     - ${failure}`));
+      lines.push(`     agent (${turn.state}): ${(turn.response || '').replace(/\s+/g, ' ').slice(0, 200)}`);
+    });
+  }
+
+  lines.push('');
+  lines.push(`${report.passed}/${report.total} dialogues passed (${turnsPassed}/${turnCount} turns)`);
+  return lines.join('\n');
+}
@@ -0,0 +1,232 @@
+/**
+ * Tests for the Admin booking API
+ */
+
+import { describe, it, expect, beforeEach, afterEach, jest } from '@jest/globals';
+import express from 'express';
+import request from 'supertest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createAdminRouter, requireAdminKey } from '../adminRoutes.js';
+import { BookingStore } from '../../services/bookingStore.js';
+import { JsonStorageAdapter } from '../../services/storage/jsonStorageAdapter.js';
+import { CallSummaryStore } from '../../services/callSummaryStore.js';
+import { pinClock, releaseClock } from '../../__tests__/fixtureClock.js';
+
+const API_KEY = 'test-admin-key';
+
+describe('Admin booking API', () => {
+  let tmpDir;
+  let store;
+  let summaries;
+  let conversationEngine;
+  let app;
+
+  beforeEach(async () => {
+    pinClock();
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'admin-api-'));
+    store = new BookingStore(new JsonStorageAdapter(path.join(tmpDir, 'bookings.json')));
+    summaries = new CallSummaryStore(path.join(tmpDir, 'call-summaries.jsonl'));
+
+    conversationEngine = {
+      executeToolCalls: jest.fn(async (configs) => ({
+        toolCalls: configs.map(({ name, params }) => ({ function: { name, arguments: JSON.stringify(params) }, result: 'success', mock: true })),
+        results: configs.map(() => ({ success: true, mock: true }))
+      })),
+      promoteWaitlist: jest.fn(async () => null)
+    };
+
+    app = express();
+    app.use(express.json());
+    app.use('/api/admin', createAdminRouter({ conversationEngine, store, summaries, llmStats: () => [{ provider: 'groq', state: 'open', errorRate: 0.5 }], cacheStats: () => ({ hits: 3, misses: 1, hitRate: 0.75 }), apiKey: API_KEY }));
+
+    await store.setBooking('NL-A742', {
+      topic: 'KYC/Onboarding',
+      slot: '2025-01-13T04:30:00.000Z',
+      endSlot: '2025-01-13T05:00:00.000Z',
+      eventId: 'evt-1',
+      advisorId: 'ADV-01'
+    });
+    await store.setBooking('NL-B100', {
+      topic: 'SIP/Mandates',
+      slot: '2025-01-14T08:30:00.000Z',
+      endSlot: '2025-01-14T09:00:00.000Z',
+      isWaitlist: true
+    });
+  });
+
+  afterEach(() => {
+    releaseClock();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  const toolNames = (res) => res.body.toolCalls.map(t => t.function.name);
+
+  it('should reject requests without a valid key', async () => {
+    await request(app).get('/api/admin/bookings').expect(401);
+    await request(app).get('/api/admin/bookings').set('x-admin-key', 'wrong').expect(401);
+  });
+
+  it('should guard other routes with the same key', async () => {
+    const logsApp = express();
+    logsApp.get('/api/logs', requireAdminKey(API_KEY), (req, res) => res.json({ logs: [] }));
+    await request(logsApp).get('/api/logs?q=98765').expect(401);
+    await request(logsApp).get('/api/logs').set('authorization', `Bearer ${API_KEY}`).expect(200);
+
+    const disabledApp = express();
+    disabledApp.get('/api/logs', requireAdminKey(undefined), (req, res) => res.json({ logs: [] }));
+    await request(disabledApp).get('/api/logs').set('x-admin-key', API_KEY).expect(503);
+  });
+
+  it('should pass a failed store load to the error handler', async () => {
+    jest.spyOn(store, 'initialize').mockRejectedValue(new Error('bookings file unreadable'));
+    const failures = [];
+    app.use((error, req, res, next) => {
+      failures.push(error.message);
+      res.status(500).json({ error: error.message });
+    });
+
+    await request(app).get('/api/admin/bookings').set('x-admin-key', API_KEY).expect(500);
+    expect(failures).toEqual(['bookings file unreadable']);
+  });
+
+  it('should list bookings with filters', async () => {
+    const all = await request(app).get('/api/admin/bookings').set('x-admin-key', API_KEY).expect(200);
+    expect(all.body.count).toBe(2);
+
+    const waitlist = await request(app).get('/api/admin/bookings?waitlist=true').set('x-admin-key', API_KEY).expect(200);
+    expect(waitlist.body.bookings.map(b => b.bookingCode)).toEqual(['NL-B100']);
+
+    const byDate = await request(app)
+      .get('/api/admin/bookings?from=2025-01-13&to=2025-01-13&topic=KYC/Onboarding')
+      .set('Authorization', `Bearer ${API_KEY}`)
+      .expect(200);
+    expect(byDate.body.bookings.map(b => b.bookingCode)).toEqual(['NL-A742']);
+  });
+
+  it('should fetch a booking by code', async () => {
+    const res = await request(app).get('/api/admin/bookings/nl-a742').set('x-admin-key', API_KEY).expect(200);
+    expect(res.body.booking.topic).toBe('KYC/Onboarding');
+    await request(app).get('/api/admin/bookings/NL-ZZZZ').set('x-admin-key', API_KEY).expect(404);
+  });
+
+  it('should confirm a tentative hold', async () => {
+    const res = await request(app).post('/api/admin/bookings/NL-A742/confirm').set('x-admin-key', API_KEY).expect(200);
+    expect(res.body.booking.action).toBe('Confirmed');
+    expect(toolNames(res)).toEqual(['notes_append_prebooking', 'email_create_advisor_draft']);
+
+    await request(app).post('/api/admin/bookings/NL-B100/confirm').set('x-admin-key', API_KEY).expect(409);
+  });
+
+  it('should move a booking and update the calendar event', async () => {
+    const res = await request(app)
+      .post('/api/admin/bookings/NL-A742/move')
+      .set('x-admin-key', API_KEY)
+      .send({ start: '2025-01-13T06:30:00.000Z' })
+      .expect(200);
+
+    expect(res.body.booking.action).toBe('Rescheduled');
+    expect(store.getSlotAsUTC(res.body.booking.endSlot).toISOString()).toBe('2025-01-13T07:00:00.000Z');
+    expect(toolNames(res)).toEqual(['event_update_time', 'notes_append_prebooking', 'email_create_advisor_draft']);
+    expect(conversationEngine.promoteWaitlist).toHaveBeenCalledWith(expect.objectContaining({ bookingCode: 'NL-A742' }));
+  });
+
+  it('should reject moves outside advisor hours', async () => {
+    await request(app)
+      .post('/api/admin/bookings/NL-A742/move')
+      .set('x-admin-key', API_KEY)
+      .send({ start: '2025-01-13T15:00:00.000Z' })
+      .expect(409);
+    await request(app)
+      .post('/api/admin/bookings/NL-A742/move')
+      .set('x-admin-key', API_KEY)
+      .send({ start: 'not a date' })
+      .expect(400);
+  });
+
+  it('should reject moves that break a scheduling rule', async () => {
+    const res = await request(app)
+      .post('/api/admin/bookings/NL-A742/move')
+      .set('x-admin-key', API_KEY)
+      .send({ start: '2025-03-03T04:30:00.000Z' })
+      .expect(409);
+
+    expect(res.body.violation).toEqual({ rule: 'horizon', days: 30 });
+    expect(store.getBooking('NL-A742').slot).toBe('2025-01-13 10:00:00 AM');
+    expect(conversationEngine.executeToolCalls).not.toHaveBeenCalled();
+  });
+
+  it('should answer 409 with the limit when a booking has too many attendees', async () => {
+    const error = new Error('Booking NL-A742 has 3 attendees; KYC/Onboarding allows 2');
+    Object.assign(error, { isAttendeeLimit: true, bookingCode: 'NL-A742', limit: 2, count: 3 });
+    jest.spyOn(store, 'setBooking').mockRejectedValueOnce(error);
+
+    const res = await request(app)
+      .post('/api/admin/bookings/NL-A742/move')
+      .set('x-admin-key', API_KEY)
+      .send({ start: '2025-01-13T06:30:00.000Z' })
+      .expect(409);
+    expect(res.body).toEqual({ error: error.message, limit: 2, count: 3 });
+  });
+
+  it('should cancel a booking', async () => {
+    const res = await request(app).post('/api/admin/bookings/NL-A742/cancel').set('x-admin-key', API_KEY).expect(200);
+    expect(res.body.booking.action).toBe('Cancelled');
+    expect(toolNames(res)).toEqual(['event_cancel', 'notes_append_prebooking', 'email_create_advisor_draft']);
+    expect(store.isSlotBooked('2025-01-13T04:30:00.000Z')).toBe(false);
+
+    await request(app).post('/api/admin/bookings/NL-A742/cancel').set('x-admin-key', API_KEY).expect(409);
+  });
+
+  it('should close out an appointment and refuse later changes', async () => {
+    await request(app).post('/api/admin/bookings/NL-A742/confirm').set('x-admin-key', API_KEY).expect(200);
+    const res = await request(app)
+      .post('/api/admin/bookings/NL-A742/status')
+      .set('x-admin-key', API_KEY)
+      .send({ status: 'completed' })
+      .expect(200);
+    expect(res.body.booking.status).toBe('completed');
+
+    await request(app).post('/api/admin/bookings/NL-A742/cancel').set('x-admin-key', API_KEY).expect(409);
+    await request(app)
+      .post('/api/admin/bookings/NL-A742/move')
+      .set('x-admin-key', API_KEY)
+      .send({ start: '2025-01-13T06:30:00.000Z' })
+      .expect(409);
+
+    const filtered = await request(app).get('/api/admin/bookings?status=completed').set('x-admin-key', API_KEY).expect(200);
+    expect(filtered.body.bookings.map(b => b.bookingCode)).toEqual(['NL-A742']);
+  });
+
+  it('should reject status updates other than completed or no-show', async () => {
+    await request(app)
+      .post('/api/admin/bookings/NL-A742/status')
+      .set('x-admin-key', API_KEY)
+      .send({ status: 'confirmed' })
+      .expect(400);
+  });
+
+  it('should list and fetch post-call summaries', async () => {
+    await summaries.saveSummary({ sessionId: 'call-1', endedAt: '2025-01-09T05:00:00.000Z', outcome: 'booked', bookingCode: 'NL-A742', turns: 6 });
+    await summaries.saveSummary({ sessionId: 'call-2', endedAt: '2025-01-09T07:00:00.000Z', outcome: 'cancelled', bookingCode: 'NL-B100', turns: 4 });
+
+    const all = await request(app).get('/api/admin/calls').set('x-admin-key', API_KEY).expect(200);
+    expect(all.body.calls.map(c => c.sessionId)).toEqual(['call-2', 'call-1']);
+
+    const booked = await request(app).get('/api/admin/calls?outcome=booked&bookingCode=nl-a742').set('x-admin-key', API_KEY).expect(200);
+    expect(booked.body.calls.map(c => c.sessionId)).toEqual(['call-1']);
+    await request(app).get('/api/admin/calls?outcome=unknown').set('x-admin-key', API_KEY).expect(400);
+
+    const res = await request(app).get('/api/admin/calls/call-1').set('x-admin-key', API_KEY).expect(200);
+    expect(res.body.summary.turns).toBe(6);
+    await request(app).get('/api/admin/calls/call-9').set('x-admin-key', API_KEY).expect(404);
+    await request(app).get('/api/admin/calls/call-1').expect(401);
+  });
+
+  it('should report LLM provider health', async () => {
+    const res = await request(app).get('/api/admin/llm').set('x-admin-key', API_KEY).expect(200);
+    expect(res.body.providers).toEqual([{ provider: 'groq', state: 'open', errorRate: 0.5 }]);
+    expect(res.body.cache).toEqual({ hits: 3, misses: 1, hitRate: 0.75 });
+  });
+});
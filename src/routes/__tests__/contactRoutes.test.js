@@ -0,0 +1,141 @@
+/**
+ * Tests for the secure contact-details completion flow
+ */
+
+import { describe, it, expect, beforeEach, afterEach, jest } from '@jest/globals';
+import express from 'express';
+import request from 'supertest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createContactRouter } from '../contactRoutes.js';
+import { BookingStore } from '../../services/bookingStore.js';
+import { ContactStore } from '../../services/contactStore.js';
+import { JsonStorageAdapter } from '../../services/storage/jsonStorageAdapter.js';
+import { pinClock, releaseClock } from '../../__tests__/fixtureClock.js';
+
+const VALID = {
+  bookingCode: 'nl-a742',
+  name: 'Priya Sharma',
+  email: 'Priya@Example.com',
+  phone: '+91 98765 43210'
+};
+
+describe('Contact details completion', () => {
+  let tmpDir;
+  let store;
+  let contacts;
+  let conversationEngine;
+  let app;
+
+  beforeEach(async () => {
+    pinClock();
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'contact-form-'));
+    store = new BookingStore(new JsonStorageAdapter(path.join(tmpDir, 'bookings.json')));
+    contacts = new ContactStore(path.join(tmpDir, 'contacts.json'));
+
+    conversationEngine = {
+      executeToolCalls: jest.fn(async (configs) => ({
+        toolCalls: configs.map(({ name }) => ({ function: { name }, result: 'success', mock: true })),
+        results: configs.map(() => ({ success: true, mock: true }))
+      }))
+    };
+
+    app = express();
+    app.use(express.json());
+    app.use('/complete', createContactRouter({ conversationEngine, store, contacts }));
+
+    await store.setBooking('NL-A742', {
+      topic: 'KYC/Onboarding',
+      slot: '2025-01-13T04:30:00.000Z',
+      endSlot: '2025-01-13T05:00:00.000Z',
+      advisorId: 'ADV-01'
+    });
+  });
+
+  afterEach(() => {
+    releaseClock();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('should store contact details apart from the booking and email the advisor desk', async () => {
+    const res = await request(app).post('/complete').send(VALID);
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ bookingCode: 'NL-A742', detailsReceived: true, emailSent: true });
+
+    const booking = store.getBooking('NL-A742');
+    expect(booking.detailsReceived).toBe(true);
+    expect(booking.detailsReceivedAt).toBeTruthy();
+    expect(JSON.stringify(booking)).not.toContain('priya@example.com');
+
+    const stored = JSON.parse(fs.readFileSync(path.join(tmpDir, 'contacts.json'), 'utf-8'));
+    expect(stored.contacts['NL-A742']).toMatchObject({ name: 'Priya Sharma', email: 'priya@example.com', phone: '+919876543210' });
+    expect(fs.readFileSync(path.join(tmpDir, 'bookings.json'), 'utf-8')).not.toContain('priya@example.com');
+
+    const [[configs]] = conversationEngine.executeToolCalls.mock.calls;
+    expect(configs[0].name).toBe('email_create_advisor_draft');
+    expect(configs[0].params).toMatchObject({
+      bookingCode: 'NL-A742',
+      action: 'details_received',
+      contact: { name: 'Priya Sharma', email: 'priya@example.com', phone: '+919876543210' }
+    });
+  });
+
+  it('should keep the flag when the booking is rescheduled', async () => {
+    await request(app).post('/complete').send(VALID);
+    await store.setBooking('NL-A742', {
+      topic: 'KYC/Onboarding',
+      slot: '2025-01-14T04:30:00.000Z',
+      endSlot: '2025-01-14T05:00:00.000Z',
+      action: 'Rescheduled'
+    });
+
+    expect(store.getBooking('NL-A742').detailsReceived).toBe(true);
+  });
+
+  it('should reject invalid fields without touching the booking', async () => {
+    const res = await request(app).post('/complete').send({ bookingCode: 'bad', name: '', email: 'nope', phone: '123' });
+
+    expect(res.status).toBe(400);
+    expect(Object.keys(res.body.errors).sort()).toEqual(['bookingCode', 'email', 'name', 'phone']);
+    expect(store.getBooking('NL-A742').detailsReceived).toBe(false);
+    expect(conversationEngine.executeToolCalls).not.toHaveBeenCalled();
+  });
+
+  it('should answer 404 for unknown codes and 409 for closed bookings', async () => {
+    const missing = await request(app).post('/complete').send({ ...VALID, bookingCode: 'ZZ-999' });
+    expect(missing.status).toBe(404);
+
+    await store.deleteBooking('NL-A742');
+    const closed = await request(app).post('/complete').send(VALID);
+    expect(closed.status).toBe(409);
+    expect(conversationEngine.executeToolCalls).not.toHaveBeenCalled();
+  });
+
+  it('should refuse further attempts after repeated unknown codes', async () => {
+    for (let i = 0; i < 10; i++) {
+      await request(app).post('/complete').send({ ...VALID, bookingCode: `ZZ-${100 + i}` });
+    }
+
+    const res = await request(app).post('/complete').send(VALID);
+    expect(res.status).toBe(429);
+  });
+
+  it('should forget the least recently failed clients past the tracking cap', async () => {
+    const capped = express();
+    capped.set('trust proxy', true);
+    capped.use(express.json());
+    capped.use('/complete', createContactRouter({ conversationEngine, store, contacts, maxTrackedClients: 2 }));
+    const from = (ip, body) => request(capped).post('/complete').set('X-Forwarded-For', ip).send(body);
+
+    for (let i = 0; i < 10; i++) {
+      await from('203.0.113.1', { ...VALID, bookingCode: `ZZ-${100 + i}` });
+    }
+    expect((await from('203.0.113.1', VALID)).status).toBe(429);
+
+    await from('203.0.113.2', { ...VALID, bookingCode: 'ZZ-200' });
+    await from('203.0.113.3', { ...VALID, bookingCode: 'ZZ-300' });
+    expect((await from('203.0.113.1', VALID)).status).toBe(200);
+  });
+});
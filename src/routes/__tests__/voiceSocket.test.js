@@ -0,0 +1,208 @@
+/**
+ * Tests for the voice WebSocket
+ */
+
+import { describe, it, expect, beforeEach, afterEach, jest } from '@jest/globals';
+import { createServer } from 'http';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import WebSocket from 'ws';
+import { attachVoiceSocket } from '../voiceSocket.js';
+import { LocalSpeechProvider } from '../../services/speech/localSpeechProvider.js';
+import { createSpeechProvider } from '../../services/speechService.js';
+import { ConversationEngine } from '../../engine/conversationEngine.js';
+import { MemorySessionStore } from '../../services/sessionStore.js';
+import { DEFAULT_DIALOGUE_TIME } from '../../eval/dialogueHarness.js';
+import { pinClock, releaseClock } from '../../__tests__/fixtureClock.js';
+
+/**
+ * Connect a client that keeps every message it receives
+ */
+function connect(port) {
+  const ws = new WebSocket(`ws://127.0.0.1:${port}/ws/voice`);
+  const messages = [];
+  const waiters = [];
+  ws.on('message', (data) => {
+    const message = JSON.parse(data.toString());
+    messages.push(message);
+    waiters.filter(waiter => waiter.match(message)).forEach(waiter => {
+      waiters.splice(waiters.indexOf(waiter), 1);
+      waiter.resolve(message);
+    });
+  });
+
+  return {
+    ws,
+    messages,
+    send: (message) => ws.send(JSON.stringify(message)),
+    next: (match) => new Promise(resolve => waiters.push({ match, resolve })),
+    // Messages are handled in order, so the pong confirms the barge-in was seen
+    bargeIn(playedMs) {
+      this.send({ type: 'barge_in', playedMs });
+      this.send({ type: 'ping' });
+      return this.next(message => message.type === 'pong');
+    },
+    // Local STT reads plain-text audio as its own transcript
+    say(text) {
+      this.play(Buffer.from(text));
+    },
+    play(audio) {
+      this.send({ type: 'start_recording' });
+      this.send({ type: 'audio_file', data: audio.toString('base64') });
+      this.send({ type: 'stop_recording' });
+    }
+  };
+}
+
+const isStep = (step) => (message) => message.type === 'processing' && message.step === step;
+const isFinalAudio = (message) => message.type === 'audio_chunk_response' && message.final;
+
+describe('Voice socket', () => {
+  let server;
+  let conversationEngine;
+  let client;
+
+  beforeEach(async () => {
+    conversationEngine = {
+      processInput: jest.fn(),
+      handleBargeIn: jest.fn(async () => null)
+    };
+    server = createServer();
+    attachVoiceSocket(server, { conversationEngine, speech: new LocalSpeechProvider() });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    client = connect(server.address().port);
+    await client.next(message => message.type === 'connected');
+  });
+
+  afterEach(async () => {
+    const closed = new Promise(resolve => client.ws.once('close', resolve));
+    client.ws.close();
+    await closed;
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  it('should drop the reply when the caller barges in on a turn without side effects', async () => {
+    let finish;
+    conversationEngine.processInput.mockImplementationOnce(() => new Promise(resolve => { finish = resolve; }));
+
+    client.say('what times are free on Monday');
+    await client.next(isStep('processing_chatbot'));
+    await client.bargeIn(0);
+    const recorded = new Promise(resolve => conversationEngine.handleBargeIn.mockImplementationOnce(async (...args) => resolve(args)));
+    finish({ response: 'Which topic is this for?', state: 'topic_selection', language: 'en', toolCalls: [] });
+
+    const [, delivered] = await recorded;
+    expect(delivered).toBe('');
+    expect(client.messages.some(message => message.type === 'text_response')).toBe(false);
+  });
+
+  it('should keep the reply to a committed turn and speak it before the next reply', async () => {
+    let finish;
+    conversationEngine.processInput.mockImplementationOnce(() => new Promise(resolve => { finish = resolve; }));
+
+    client.say('yes book it');
+    await client.next(isStep('processing_chatbot'));
+    await client.bargeIn(0);
+    const shown = client.next(message => message.type === 'text_response');
+    finish({
+      response: 'Booked. Your code is AB-123.',
+      state: 'completed',
+      language: 'en',
+      toolCalls: [{ function: { name: 'calendar_create_hold' }, result: 'success' }]
+    });
+
+    expect((await shown).text).toBe('Booked. Your code is AB-123.');
+    expect(conversationEngine.handleBargeIn).not.toHaveBeenCalled();
+    expect(client.messages.some(message => message.type === 'audio_chunk_response')).toBe(false);
+
+    conversationEngine.processInput.mockResolvedValueOnce({ response: 'Anything else?', state: 'completed', language: 'en', toolCalls: [] });
+    const spoken = client.next(isFinalAudio);
+    client.say('wait');
+
+    const final = await spoken;
+    expect(final.text).toBe('Booked. Your code is AB-123. Anything else?');
+    expect(final.interrupted).toBe(false);
+    expect(client.messages.filter(message => message.type === 'text_response').map(message => message.text))
+      .toEqual(['Booked. Your code is AB-123.', 'Anything else?']);
+  });
+});
+
+describe('Voice socket end to end', () => {
+  const env = { SPEECH_PROVIDER: process.env.SPEECH_PROVIDER, SPEECH_FIXTURES_DIR: process.env.SPEECH_FIXTURES_DIR, ENABLE_MCP: process.env.ENABLE_MCP };
+  const recording = Buffer.from([0x1a, 0x45, 0xdf, 0xa3, 0x00, 0xff, 0x10, 0x80]); // Not text: only the fixture can transcribe it
+  let tmpDir;
+  let server;
+  let conversationEngine;
+  let client;
+
+  beforeEach(async () => {
+    pinClock(DEFAULT_DIALOGUE_TIME);
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'voice-fixtures-'));
+    fs.writeFileSync(path.join(tmpDir, 'book.webm'), recording);
+    fs.writeFileSync(path.join(tmpDir, 'book.txt'), 'I want to book an appointment\n');
+    Object.assign(process.env, { SPEECH_PROVIDER: 'local', SPEECH_FIXTURES_DIR: tmpDir, ENABLE_MCP: 'false' });
+
+    conversationEngine = new ConversationEngine('Test Brand', 'https://advisors.example.com/complete', {
+      sessionStore: new MemorySessionStore(),
+      callSummaryStore: { saveSummary: async () => {} }
+    });
+    server = createServer();
+    attachVoiceSocket(server, { conversationEngine, speech: createSpeechProvider() });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    client = connect(server.address().port);
+    await client.next(message => message.type === 'connected');
+  });
+
+  afterEach(async () => {
+    const closed = new Promise(resolve => client.ws.once('close', resolve));
+    client.ws.close();
+    await closed;
+    await new Promise(resolve => server.close(resolve));
+    conversationEngine.stopSessionEviction();
+    for (const [name, value] of Object.entries(env)) {
+      if (value === undefined) delete process.env[name];
+      else process.env[name] = value;
+    }
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+    releaseClock();
+  });
+
+  // Speak one utterance and wait for the spoken reply
+  const turn = async (audio) => {
+    const spoken = client.next(isFinalAudio);
+    const shown = client.next(message => message.type === 'text_response');
+    const heard = client.next(message => message.type === 'transcript');
+    client.play(audio);
+    return { transcript: (await heard).text, reply: await shown, final: await spoken };
+  };
+
+  it('should take a caller from a recording to a spoken slot read-back offline', async () => {
+    const greeting = await turn(Buffer.from('Hello'));
+    expect(greeting.reply.state).toBe('greeting');
+
+    const booking = await turn(recording);
+    expect(booking.transcript).toBe('I want to book an appointment');
+    expect(booking.reply).toMatchObject({ state: 'intent_confirmation', intent: 'book_new' });
+
+    // Each reply is streamed as one WAV clip
+    const firstChunks = client.messages.filter(message => message.type === 'audio_chunk_response' && message.seq === 0);
+    expect(firstChunks).toHaveLength(2);
+    expect(firstChunks.every(message => message.contentType === 'audio/wav')).toBe(true);
+    expect(firstChunks.every(message => Buffer.from(message.audio, 'base64').subarray(0, 4).toString() === 'RIFF')).toBe(true);
+    expect(booking.final).toMatchObject({ interrupted: false, text: booking.reply.text });
+
+    await turn(Buffer.from('yes'));
+    await turn(Buffer.from('KYC onboarding'));
+    await turn(Buffer.from('yes'));
+    const offer = await turn(Buffer.from('tomorrow morning'));
+    expect(offer.reply.text).toMatch(/14 January/);
+
+    const pick = await turn(Buffer.from('1'));
+    expect(pick.reply.state).toBe('slot_confirmation');
+    expect(pick.final.interrupted).toBe(false);
+    expect(client.messages.some(message => message.type === 'error')).toBe(false);
+  });
+});
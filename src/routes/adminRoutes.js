@@ -0,0 +1,430 @@
+/**
+ * Admin Routes
+ * Authenticated booking management and call review for operations staff.
+ * All changes go through the BookingStore and the conversation engine's tool-call path
+ * so Calendar, Sheets and the advisor email stay in sync.
+ */
+
+import express from 'express';
+import { timingSafeEqual } from 'crypto';
+import { zonedTimeToUtc } from 'date-fns-tz';
+import { addDays } from 'date-fns';
+import { bookingStore } from '../services/bookingStore.js';
+import { callSummaryStore } from '../services/callSummaryStore.js';
+import { getLLMChain, getResponseCache } from '../services/aiService.js';
+import { findAvailableAdvisor, getSlotDuration } from '../services/availabilityService.js';
+import { BOOKING_STATUSES, CALL_OUTCOMES } from '../config/constants.js';
+import { IST_TIMEZONE } from '../utils/timezone.js';
+import { logger } from '../utils/logger.js';
+import { now } from '../utils/clock.js';
+
+/**
+ * Check the admin API key from the x-admin-key header or a Bearer token
+ * @private
+ */
+function isAuthorized(req, apiKey) {
+  const bearer = (req.get('authorization') || '').replace(/^Bearer\s+/i, '');
+  const provided = req.get('x-admin-key') || bearer;
+  if (!provided) return false;
+
+  const expected = Buffer.from(apiKey);
+  const actual = Buffer.from(provided);
+  return expected.length === actual.length && timingSafeEqual(expected, actual);
+}
+
+/**
+ * Middleware that admits only requests carrying the admin API key
+ * @param {string} apiKey - Admin API key; without one every request is refused with 503
+ * @returns {Function} Express middleware
+ */
+export function requireAdminKey(apiKey) {
+  return (req, res, next) => {
+    if (!apiKey) {
+      return res.status(503).json({ error: 'Admin API is disabled (ADMIN_API_KEY not set)' });
+    }
+    if (!isAuthorized(req, apiKey)) {
+      logger.log('system', 'Admin API: unauthorized request', { path: req.baseUrl + req.path });
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+    next();
+  };
+}
+
+/**
+ * Parse a date filter: YYYY-MM-DD is an IST calendar day, anything else is parsed as a timestamp
+ * @private
+ */
+function parseDateParam(value, endOfDay = false) {
+  if (!value) return null;
+  if (/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    const dayStart = zonedTimeToUtc(`${value} 00:00:00`, IST_TIMEZONE);
+    return endOfDay ? new Date(addDays(dayStart, 1).getTime() - 1) : dayStart;
+  }
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? undefined : date;
+}
+
+/**
+ * Create the admin router
+ * @param {Object} options - Options
+ * @param {ConversationEngine} options.conversationEngine - Engine used to run tool calls and waitlist promotion
+ * @param {BookingStore} options.store - Booking store (default: shared bookingStore)
+ * @param {CallSummaryStore} options.summaries - Post-call summary store (default: shared callSummaryStore)
+ * @param {Function} options.llmStats - Returns per-provider LLM stats (default: the aiService failover chain)
+ * @param {Function} options.cacheStats - Returns LLM response cache hit rates (default: the aiService cache)
+ * @param {string} options.apiKey - Admin API key (default: ADMIN_API_KEY env)
+ * @returns {express.Router} Router to mount at /api/admin
+ */
+export function createAdminRouter({
+  conversationEngine,
+  store = bookingStore,
+  summaries = callSummaryStore,
+  llmStats = () => getLLMChain()?.getStats() || [],
+  cacheStats = () => getResponseCache().getStats(),
+  apiKey = process.env.ADMIN_API_KEY
+} = {}) {
+  const router = express.Router();
+
+  router.use(requireAdminKey(apiKey));
+  router.use(async (req, res, next) => {
+    // Express 4 does not catch rejected promises: hand a failed load to the error handler
+    try {
+      await store.initialize();
+    } catch (error) {
+      return next(error);
+    }
+    next();
+  });
+
+  // Answer 409 for disallowed status changes, broken scheduling rules and attendee limits, 500 otherwise
+  const sendError = (res, operation, error) => {
+    if (error.isInvalidTransition) {
+      return res.status(409).json({ error: error.message });
+    }
+    if (error.isPolicyViolation) {
+      return res.status(409).json({ error: error.message, violation: error.violation });
+    }
+    if (error.isAttendeeLimit) {
+      return res.status(409).json({ error: error.message, limit: error.limit, count: error.count });
+    }
+    logger.log('error', `Admin API: ${operation} failed: ${error.message}`, { error: error.stack });
+    return res.status(500).json({ error: 'Internal server error', message: error.message });
+  };
+
+  // Load the booking named in the URL or answer 404
+  const loadBooking = (req, res) => {
+    const booking = store.getBooking(req.params.code.toUpperCase());
+    if (!booking) {
+      res.status(404).json({ error: `Booking ${req.params.code} not found` });
+      return null;
+    }
+    return booking;
+  };
+
+  // List bookings with optional filters: from, to, topic, waitlist, status, includeCancelled
+  router.get('/bookings', (req, res) => {
+    const from = parseDateParam(req.query.from);
+    const to = parseDateParam(req.query.to, true);
+    if (from === undefined || to === undefined) {
+      return res.status(400).json({ error: 'from and to must be dates (YYYY-MM-DD) or ISO timestamps' });
+    }
+
+    const { topic, waitlist, status, includeCancelled } = req.query;
+    const bookings = Object.values(store.getAll()).filter(booking => {
+      const bookingStatus = store.getStatus(booking);
+      if (status && bookingStatus !== status) return false;
+      if (!status && includeCancelled !== 'true' && bookingStatus === BOOKING_STATUSES.CANCELLED) return false;
+      if (topic && booking.topic !== topic) return false;
+      if (waitlist !== undefined && Boolean(booking.isWaitlist) !== (waitlist === 'true')) return false;
+
+      if (from || to) {
+        const start = store.getSlotAsUTC(booking.slot);
+        if (!start) return false;
+        if (from && start < from) return false;
+        if (to && start > to) return false;
+      }
+      return true;
+    });
+
+    res.json({ bookings, count: bookings.length });
+  });
+
+  router.get('/bookings/:code', (req, res) => {
+    const booking = loadBooking(req, res);
+    if (booking) res.json({ booking });
+  });
+
+  // Confirm a tentative hold
+  router.post('/bookings/:code/confirm', async (req, res) => {
+    try {
+      const booking = loadBooking(req, res);
+      if (!booking) return;
+
+      const record = await store.transitionStatus(booking.bookingCode, BOOKING_STATUSES.CONFIRMED, { action: 'Confirmed' });
+      const slotStart = store.getSlotAsUTC(record.slot).toISOString();
+      const slotEnd = store.getSlotAsUTC(record.endSlot).toISOString();
+
+      const { toolCalls } = await conversationEngine.executeToolCalls([
+        {
+          name: 'notes_append_prebooking',
+          params: {
+            createdAt: now().toISOString(),
+            topic: record.topic,
+            slotStart,
+            slotEnd,
+            bookingCode: record.bookingCode,
+            isWaitlist: false,
+            action: 'Confirmed',
+            status: record.status
+          }
+        },
+        {
+          name: 'email_create_advisor_draft',
+          params: {
+            topic: record.topic,
+            slotStart,
+            slotEnd,
+            bookingCode: record.bookingCode,
+            isWaitlist: false,
+            action: 'Confirmed'
+          }
+        }
+      ]);
+
+      logger.log('system', `Admin API: confirmed booking ${record.bookingCode}`, { bookingCode: record.bookingCode });
+      res.json({ booking: store.getBooking(record.bookingCode), toolCalls });
+    } catch (error) {
+      sendError(res, 'confirm', error);
+    }
+  });
+
+  // Close out an appointment after it has happened (body: { status: 'completed' | 'no_show' })
+  router.post('/bookings/:code/status', async (req, res) => {
+    try {
+      const booking = loadBooking(req, res);
+      if (!booking) return;
+
+      const status = req.body?.status;
+      if (![BOOKING_STATUSES.COMPLETED, BOOKING_STATUSES.NO_SHOW].includes(status)) {
+        return res.status(400).json({ error: `status must be ${BOOKING_STATUSES.COMPLETED} or ${BOOKING_STATUSES.NO_SHOW}; use /confirm, /move or /cancel for other changes` });
+      }
+
+      const record = await store.transitionStatus(booking.bookingCode, status);
+      logger.log('system', `Admin API: booking ${record.bookingCode} marked ${status}`, { bookingCode: record.bookingCode });
+      res.json({ booking: record });
+    } catch (error) {
+      sendError(res, 'status update', error);
+    }
+  });
+
+  // Move a booking to a new start time (body: { start, end? }); it keeps its length unless end is given
+  router.post('/bookings/:code/move', async (req, res) => {
+    try {
+      const booking = loadBooking(req, res);
+      if (!booking) return;
+      const currentStatus = store.getStatus(booking);
+      const movable = [BOOKING_STATUSES.WAITLISTED, BOOKING_STATUSES.TENTATIVE, BOOKING_STATUSES.CONFIRMED];
+      if (!movable.includes(currentStatus)) {
+        return res.status(409).json({ error: `Booking ${booking.bookingCode} is ${currentStatus} and cannot be moved` });
+      }
+
+      const start = req.body?.start ? new Date(req.body.start) : null;
+      const currentStart = store.getSlotAsUTC(booking.slot);
+      const currentEnd = store.getSlotAsUTC(booking.endSlot);
+      const durationMs = currentStart && currentEnd ? currentEnd - currentStart : getSlotDuration(booking.topic) * 60000;
+      const end = req.body?.end ? new Date(req.body.end) : (start ? new Date(start.getTime() + durationMs) : null);
+      if (!start || isNaN(start.getTime()) || isNaN(end.getTime()) || end <= start) {
+        return res.status(400).json({ error: 'start (and optional end) must be valid ISO timestamps with end after start' });
+      }
+
+      const bookedAround = store.getBookedSlotsInRange(addDays(start, -1).toISOString(), addDays(start, 1).toISOString())
+        .filter(b => b.bookingCode !== booking.bookingCode);
+      const advisor = findAvailableAdvisor(start, end, bookedAround, booking.topic);
+      if (!advisor) {
+        return res.status(409).json({ error: 'No advisor is available for that time' });
+      }
+
+      const record = await store.setBooking(booking.bookingCode, {
+        ...booking,
+        slot: start.toISOString(),
+        endSlot: end.toISOString(),
+        isWaitlist: false,
+        action: 'Rescheduled',
+        advisorId: advisor.id,
+        advisorName: advisor.name
+      });
+
+      const toolCallConfigs = [];
+      if (record.eventId && !record.isWaitlist) {
+        toolCallConfigs.push({
+          name: 'event_update_time',
+          params: {
+            bookingCode: record.bookingCode,
+            eventId: record.eventId,
+            newStartDateTime: start.toISOString(),
+            newEndDateTime: end.toISOString()
+          }
+        });
+      } else if (!record.isWaitlist) {
+        // Waitlist entries have no calendar event yet
+        toolCallConfigs.push({
+          name: 'event_create_tentative',
+          params: {
+            summary: `Advisor Q&A — ${record.topic} — ${record.bookingCode}`,
+            description: `Tentative hold moved by advisor desk for ${record.topic}. Advisor: ${advisor.name}.`,
+            startDateTime: start.toISOString(),
+            endDateTime: end.toISOString(),
+            bookingCode: record.bookingCode,
+            advisorId: advisor.id,
+            isWaitlist: false,
+            action: 'Rescheduled'
+          }
+        });
+      }
+      toolCallConfigs.push(
+        {
+          name: 'notes_append_prebooking',
+          params: {
+            createdAt: now().toISOString(),
+            topic: record.topic,
+            slotStart: start.toISOString(),
+            slotEnd: end.toISOString(),
+            bookingCode: record.bookingCode,
+            isWaitlist: record.isWaitlist,
+            action: 'Rescheduled',
+            status: record.status
+          }
+        },
+        {
+          name: 'email_create_advisor_draft',
+          params: {
+            topic: record.topic,
+            slotStart: start.toISOString(),
+            slotEnd: end.toISOString(),
+            bookingCode: record.bookingCode,
+            isWaitlist: record.isWaitlist,
+            action: 'Rescheduled'
+          }
+        }
+      );
+
+      const { toolCalls, results } = await conversationEngine.executeToolCalls(toolCallConfigs);
+
+      const newEventId = toolCallConfigs[0].name === 'event_create_tentative' ? results[0]?.data?.id : null;
+      if (newEventId) {
+        await store.setBooking(record.bookingCode, { ...record, eventId: newEventId });
+      }
+
+      const promotion = await conversationEngine.promoteWaitlist(booking);
+      if (promotion) {
+        toolCalls.push(...promotion.toolCalls);
+      }
+
+      logger.log('system', `Admin API: moved booking ${record.bookingCode}`, { bookingCode: record.bookingCode, slot: record.slot });
+      res.json({ booking: store.getBooking(record.bookingCode), toolCalls });
+    } catch (error) {
+      sendError(res, 'move', error);
+    }
+  });
+
+  // Cancel a booking
+  router.post('/bookings/:code/cancel', async (req, res) => {
+    try {
+      const booking = loadBooking(req, res);
+      if (!booking) return;
+      if (store.getStatus(booking) === BOOKING_STATUSES.CANCELLED) {
+        return res.status(409).json({ error: `Booking ${booking.bookingCode} is already cancelled` });
+      }
+
+      await store.deleteBooking(booking.bookingCode);
+      const slotStart = store.getSlotAsUTC(booking.slot)?.toISOString();
+      const slotEnd = store.getSlotAsUTC(booking.endSlot)?.toISOString();
+
+      const toolCallConfigs = [];
+      if (booking.eventId) {
+        toolCallConfigs.push({
+          name: 'event_cancel',
+          params: { bookingCode: booking.bookingCode, eventId: booking.eventId }
+        });
+      }
+      toolCallConfigs.push(
+        {
+          name: 'notes_append_prebooking',
+          params: {
+            createdAt: now().toISOString(),
+            topic: booking.topic,
+            slotStart,
+            slotEnd,
+            bookingCode: booking.bookingCode,
+            isWaitlist: booking.isWaitlist,
+            action: 'Cancelled',
+            status: BOOKING_STATUSES.CANCELLED
+          }
+        },
+        {
+          name: 'email_create_advisor_draft',
+          params: {
+            topic: booking.topic,
+            slotStart,
+            slotEnd,
+            bookingCode: booking.bookingCode,
+            isWaitlist: booking.isWaitlist,
+            action: 'Cancelled'
+          }
+        }
+      );
+
+      const { toolCalls } = await conversationEngine.executeToolCalls(toolCallConfigs);
+
+      const promotion = await conversationEngine.promoteWaitlist(booking);
+      if (promotion) {
+        toolCalls.push(...promotion.toolCalls);
+      }
+
+      logger.log('system', `Admin API: cancelled booking ${booking.bookingCode}`, { bookingCode: booking.bookingCode });
+      res.json({ booking: store.getBooking(booking.bookingCode), toolCalls });
+    } catch (error) {
+      sendError(res, 'cancel', error);
+    }
+  });
+
+  // List post-call summaries with optional filters: from, to (when the call ended), outcome, bookingCode
+  router.get('/calls', async (req, res) => {
+    const from = parseDateParam(req.query.from);
+    const to = parseDateParam(req.query.to, true);
+    if (from === undefined || to === undefined) {
+      return res.status(400).json({ error: 'from and to must be dates (YYYY-MM-DD) or ISO timestamps' });
+    }
+    const { outcome, bookingCode } = req.query;
+    if (outcome && !Object.values(CALL_OUTCOMES).includes(outcome)) {
+      return res.status(400).json({ error: `outcome must be one of ${Object.values(CALL_OUTCOMES).join(', ')}` });
+    }
+
+    try {
+      const calls = await summaries.listSummaries({ from, to, outcome, bookingCode: bookingCode?.toUpperCase() });
+      res.json({ calls, count: calls.length });
+    } catch (error) {
+      sendError(res, 'call listing', error);
+    }
+  });
+
+  router.get('/calls/:sessionId', async (req, res) => {
+    try {
+      const summary = await summaries.getSummary(req.params.sessionId);
+      if (!summary) {
+        return res.status(404).json({ error: `No summary for session ${req.params.sessionId}` });
+      }
+      res.json({ summary });
+    } catch (error) {
+      sendError(res, 'call lookup', error);
+    }
+  });
+
+  // Error rate, latency and circuit state of each LLM provider, in failover order,
+  // and how often intent and slot answers come from the response cache
+  router.get('/llm', (req, res) => {
+    res.json({ providers: llmStats(), cache: cacheStats() });
+  });
+
+  return router;
+}
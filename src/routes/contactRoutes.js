@@ -0,0 +1,127 @@
+/**
+ * Contact Routes
+ * Secure contact-details completion flow served at SECURE_URL (/complete).
+ * Callers enter their booking code with name, email and phone; details go to the
+ * ContactStore, the booking is flagged as details received and the advisor desk is emailed.
+ */
+
+import express from 'express';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { bookingStore } from '../services/bookingStore.js';
+import { contactStore } from '../services/contactStore.js';
+import { validateContactDetails } from '../utils/contactValidation.js';
+import { BOOKING_STATUSES } from '../config/constants.js';
+import { logger } from '../utils/logger.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const FORM_PAGE = path.join(__dirname, '../../public/complete.html');
+
+// Unknown booking codes allowed per client before further attempts are refused
+const MAX_FAILED_LOOKUPS = 10;
+const FAILED_LOOKUP_WINDOW_MS = 15 * 60 * 1000;
+// Clients tracked at once; past this the client whose last failure is oldest is forgotten
+const MAX_TRACKED_CLIENTS = 10000;
+
+/**
+ * Create the contact-details router
+ * @param {Object} options - Options
+ * @param {ConversationEngine} options.conversationEngine - Engine used to run the advisor email tool call
+ * @param {BookingStore} options.store - Booking store (default: shared bookingStore)
+ * @param {ContactStore} options.contacts - Contact store (default: shared contactStore)
+ * @param {number} options.maxTrackedClients - Most clients whose failed lookups are remembered (default: 10000)
+ * @returns {express.Router} Router to mount at /complete
+ */
+export function createContactRouter({ conversationEngine, store = bookingStore, contacts = contactStore, maxTrackedClients = MAX_TRACKED_CLIENTS } = {}) {
+  const router = express.Router();
+  const failedLookups = new Map(); // client IP -> timestamps of unknown-code submissions, least recently failed first
+
+  const recentFailures = (ip) => {
+    const now = Date.now();
+    const recent = (failedLookups.get(ip) || []).filter(at => now - at < FAILED_LOOKUP_WINDOW_MS);
+    if (recent.length === 0) {
+      failedLookups.delete(ip);
+    }
+    return recent;
+  };
+
+  const recordFailure = (ip) => {
+    const failures = [...recentFailures(ip), Date.now()];
+    failedLookups.delete(ip);
+    failedLookups.set(ip, failures);
+
+    // Forget clients whose failures have all expired, then the least recently failed ones past the cap
+    for (const [client, times] of failedLookups) {
+      const expired = Date.now() - times[times.length - 1] >= FAILED_LOOKUP_WINDOW_MS;
+      if (!expired && failedLookups.size <= maxTrackedClients) break;
+      failedLookups.delete(client);
+    }
+  };
+
+  router.get('/', (req, res) => {
+    res.sendFile(FORM_PAGE);
+  });
+
+  // Submit contact details (JSON or form body: bookingCode, name, email, phone)
+  router.post('/', async (req, res) => {
+    try {
+      const { valid, errors, values } = validateContactDetails(req.body);
+      if (!valid) {
+        return res.status(400).json({ error: 'Please correct the highlighted fields', errors });
+      }
+
+      if (recentFailures(req.ip).length >= MAX_FAILED_LOOKUPS) {
+        logger.log('system', 'Contact form: too many unknown booking codes', { ip: req.ip });
+        return res.status(429).json({ error: 'Too many attempts. Please try again later.' });
+      }
+
+      await store.initialize();
+      const booking = store.getBooking(values.bookingCode);
+      if (!booking) {
+        recordFailure(req.ip);
+        return res.status(404).json({ error: 'We could not find a booking with that code', errors: { bookingCode: 'Booking code not found' } });
+      }
+
+      const status = store.getStatus(booking);
+      const closed = [BOOKING_STATUSES.CANCELLED, BOOKING_STATUSES.COMPLETED, BOOKING_STATUSES.NO_SHOW];
+      if (closed.includes(status)) {
+        return res.status(409).json({ error: `This booking is ${status.replace('_', ' ')} and no longer accepts contact details` });
+      }
+
+      await contacts.saveContact(booking.bookingCode, values);
+      const record = await store.markDetailsReceived(booking.bookingCode);
+
+      const { toolCalls } = await conversationEngine.executeToolCalls([
+        {
+          name: 'email_create_advisor_draft',
+          params: {
+            topic: record.topic,
+            slotStart: store.getSlotAsUTC(record.slot)?.toISOString(),
+            slotEnd: store.getSlotAsUTC(record.endSlot)?.toISOString(),
+            bookingCode: record.bookingCode,
+            isWaitlist: status === BOOKING_STATUSES.WAITLISTED,
+            action: 'details_received',
+            contact: { name: values.name, email: values.email, phone: values.phone }
+          }
+        }
+      ]);
+
+      logger.log('system', `Contact form: details received for ${record.bookingCode}`, { bookingCode: record.bookingCode });
+      res.json({
+        bookingCode: record.bookingCode,
+        detailsReceived: true,
+        topic: record.topic,
+        slot: record.slot,
+        isWaitlist: status === BOOKING_STATUSES.WAITLISTED,
+        emailSent: toolCalls.every(call => call.result === 'success')
+      });
+    } catch (error) {
+      logger.log('error', `Contact form: submission failed: ${error.message}`, { error: error.stack });
+      res.status(500).json({ error: 'Something went wrong. Please try again.' });
+    }
+  });
+
+  return router;
+}
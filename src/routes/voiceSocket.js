@@ -0,0 +1,334 @@
+/**
+ * Voice Socket
+ * WebSocket voice streaming served at /ws/voice: the client records an utterance,
+ * the server transcribes it, runs it through the conversation engine and streams
+ * the spoken reply back. The caller can barge in while a reply is being prepared or played.
+ */
+
+import { WebSocketServer } from 'ws';
+import { randomUUID } from 'crypto';
+import { speechProvider } from '../services/speechService.js';
+import { storeSessionAudio } from '../services/audioSessionStorage.js';
+import { streamSpeechToClient, estimateDeliveredText } from '../services/voiceStreaming.js';
+import { SPEECH_LANGUAGE_CODES } from '../config/constants.js';
+import { sanitizePII } from '../utils/guardrails.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Attach the voice WebSocket server to an HTTP server
+ * @param {http.Server} server - HTTP server to accept upgrades on
+ * @param {Object} options - Options
+ * @param {ConversationEngine} options.conversationEngine - Engine that handles transcribed turns
+ * @param {SpeechProvider} options.speech - Speech provider for STT/TTS (default: configured speechProvider)
+ * @param {string} options.path - WebSocket path (default: /ws/voice)
+ * @returns {WebSocketServer} The WebSocket server
+ */
+export function attachVoiceSocket(server, { conversationEngine, speech = speechProvider, path = '/ws/voice' } = {}) {
+  const wss = new WebSocketServer({ server, path });
+
+  wss.on('connection', (ws) => {
+    const sessionId = randomUUID();
+    let audioBuffer = Buffer.alloc(0);
+    let isRecording = false;
+    let activeTurn = null; // Turn being processed or spoken: { controller, playedMs }
+    let lastReplyHeard = null; // playedMs -> heard text of the last reply fully streamed, possibly still playing on the client
+    let queuedReplies = []; // Replies to committed turns the caller talked over, spoken before the next reply
+    let selectedLanguage = null; // Language picked in the client, if any
+    let callerTimezone = null; // Timezone reported by the client's browser
+
+    logger.log('system', 'WebSocket voice connection established', { sessionId });
+
+    ws.on('message', async (data) => {
+      try {
+        const message = JSON.parse(data.toString());
+
+        switch (message.type) {
+          case 'start_recording':
+            isRecording = true;
+            audioBuffer = Buffer.alloc(0);
+            ws.send(JSON.stringify({ type: 'recording_started', sessionId }));
+            logger.log('system', 'Recording started', { sessionId });
+            break;
+
+          case 'audio_chunk':
+            if (isRecording) {
+              // Accumulate audio chunks (fallback for streaming chunks)
+              const chunk = Buffer.from(message.data, 'base64');
+              audioBuffer = Buffer.concat([audioBuffer, chunk]);
+            }
+            break;
+
+          case 'audio_file':
+            // Receive complete audio file from client
+            // Accept audio file even if recording has stopped (might arrive slightly after stop_recording)
+            const audioChunk = Buffer.from(message.data, 'base64');
+            audioBuffer = Buffer.concat([audioBuffer, audioChunk]);
+            logger.log('system', 'Received complete audio file', {
+              sessionId,
+              audioSize: audioChunk.length,
+              totalSize: audioBuffer.length
+            });
+            break;
+
+          case 'stop_recording':
+            isRecording = false;
+
+            // Wait a moment for audio_file to arrive if it hasn't yet
+            if (!audioBuffer || audioBuffer.length === 0) {
+              logger.log('system', 'Waiting for audio file...', { sessionId });
+              // Wait up to 1 second for audio file to arrive
+              let waitCount = 0;
+              const checkAudio = setInterval(() => {
+                waitCount++;
+                if (audioBuffer && audioBuffer.length > 0) {
+                  clearInterval(checkAudio);
+                  processAudioRecording();
+                } else if (waitCount >= 10) { // 1 second timeout (10 * 100ms)
+                  clearInterval(checkAudio);
+                  logger.log('error', 'No audio data received after timeout', { sessionId });
+                  ws.send(JSON.stringify({
+                    type: 'error',
+                    message: 'No audio data received. Please try recording again.'
+                  }));
+                }
+              }, 100);
+              break;
+            }
+
+            // Process audio if we already have it
+            processAudioRecording();
+            break;
+
+          case 'barge_in':
+            // Caller started talking over the agent: stop the current turn
+            await handleBargeIn(Number(message.playedMs) || 0);
+            break;
+
+          case 'set_language':
+            selectedLanguage = message.language || null;
+            logger.log('system', 'Voice language selected', { sessionId, language: selectedLanguage });
+            break;
+
+          case 'set_timezone':
+            callerTimezone = message.timezone || null;
+            logger.log('system', 'Voice caller timezone reported', { sessionId, timezone: callerTimezone });
+            break;
+
+          case 'ping':
+            ws.send(JSON.stringify({ type: 'pong' }));
+            break;
+
+          default:
+            logger.log('system', 'Unknown WebSocket message type', {
+              sessionId,
+              type: message.type
+            });
+        }
+      } catch (error) {
+        logger.log('error', 'WebSocket message error', {
+          sessionId,
+          error: error.message
+        });
+        ws.send(JSON.stringify({
+          type: 'error',
+          message: 'Failed to process message'
+        }));
+      }
+    });
+
+    // Helper function to handle a barge-in from the client
+    async function handleBargeIn(playedMs) {
+      logger.log('system', 'Barge-in received', { sessionId, playedMs, turnActive: !!activeTurn });
+
+      if (activeTurn) {
+        // The turn records the interruption once it stops
+        activeTurn.playedMs = playedMs;
+        activeTurn.controller.abort();
+        return;
+      }
+
+      // Reply was fully streamed but the client was still playing it
+      if (lastReplyHeard) {
+        await conversationEngine.handleBargeIn(sessionId, lastReplyHeard(playedMs));
+        lastReplyHeard = null;
+      }
+    }
+
+    // Helper function to show a reply in the client
+    function sendTextResponse(result) {
+      ws.send(JSON.stringify({
+        type: 'text_response',
+        text: result.response,
+        state: result.state,
+        intent: result.intent,
+        language: result.language,
+        timezone: result.timezone,
+        sessionId: sessionId
+      }));
+    }
+
+    // Helper function to process audio recording
+    async function processAudioRecording() {
+      // Validate audio buffer
+      if (!audioBuffer || audioBuffer.length === 0) {
+        logger.log('error', 'No audio data received', { sessionId });
+        ws.send(JSON.stringify({
+          type: 'error',
+          message: 'No audio data received. Please try recording again.'
+        }));
+        return;
+      }
+
+      const turn = { controller: new AbortController(), playedMs: 0 };
+      activeTurn = turn;
+      lastReplyHeard = null;
+
+      ws.send(JSON.stringify({ type: 'processing', step: 'saving_audio' }));
+      logger.log('system', 'Recording stopped, saving audio to session', {
+        sessionId,
+        audioSize: audioBuffer.length
+      });
+
+      try {
+        // Step 1: Store audio in session memory and save to file
+        const contentType = 'audio/webm'; // Default, can be passed in message if needed
+        const audioFilePath = await storeSessionAudio(sessionId, audioBuffer, contentType);
+        logger.log('system', 'Audio saved to session storage', {
+          sessionId,
+          filePath: audioFilePath,
+          audioSize: audioBuffer.length
+        });
+
+        // Step 2: Send audio file to the speech provider for transcription
+        ws.send(JSON.stringify({ type: 'processing', step: 'transcribing' }));
+        const transcript = await speech.speechToText(audioBuffer, contentType);
+        logger.log('system', 'STT transcript received', { sessionId, transcript: sanitizePII(transcript) });
+
+        // Step 3: Display transcribed text in UI (send to client first)
+        ws.send(JSON.stringify({
+          type: 'transcript',
+          text: transcript
+        }));
+
+        // Caller barged in while we were transcribing: drop this turn
+        if (turn.controller.signal.aborted) {
+          logger.log('system', 'Voice turn cancelled by barge-in before processing', { sessionId });
+          audioBuffer = Buffer.alloc(0);
+          return;
+        }
+
+        // Step 4: Process transcribed text through chatbot pipeline
+        ws.send(JSON.stringify({ type: 'processing', step: 'processing_chatbot' }));
+        const result = await conversationEngine.processInput(sessionId, transcript, { language: selectedLanguage, timezone: callerTimezone });
+        const languageCode = SPEECH_LANGUAGE_CODES[result.language];
+        logger.log('system', 'Conversation processed', {
+          sessionId,
+          response: result.response.substring(0, 100)
+        });
+
+        // Caller barged in before hearing any of the reply
+        if (turn.controller.signal.aborted) {
+          audioBuffer = Buffer.alloc(0);
+
+          // The turn already ran tools (booked, cancelled, ...): the caller still has to hear the outcome
+          if (result.toolCalls?.length > 0) {
+            logger.log('system', 'Reply to a committed turn queued after barge-in', { sessionId, state: result.state });
+            sendTextResponse(result);
+            queuedReplies.push(result.response);
+            return;
+          }
+
+          await conversationEngine.handleBargeIn(sessionId, '');
+          return;
+        }
+
+        // Step 5: Display text response first (text-first approach)
+        sendTextResponse(result);
+
+        // Queued replies are spoken ahead of this one; barge-in estimates only cover this reply
+        const queuedText = queuedReplies.join(' ');
+        queuedReplies = [];
+        const spokenText = queuedText ? `${queuedText} ${result.response}` : result.response;
+        const deliveredReply = (playedMs) => estimateDeliveredText(spokenText, playedMs).slice(queuedText.length).trim();
+
+        // Step 6: Stream TTS audio to the client as it is generated
+        ws.send(JSON.stringify({ type: 'processing', step: 'generating_speech' }));
+        let chunksSent = 0;
+        try {
+          const streamed = await streamSpeechToClient(spokenText, (message) => {
+            if (message.audio) chunksSent++;
+            ws.send(JSON.stringify(message));
+          }, { sessionId, state: result.state, intent: result.intent }, {
+            ttsStream: (input, ttsOptions) => speech.textToSpeechStream(input, ttsOptions),
+            contentType: speech.audioContentType,
+            signal: turn.controller.signal,
+            languageCode
+          });
+
+          if (streamed.interrupted) {
+            await conversationEngine.handleBargeIn(sessionId, deliveredReply(turn.playedMs));
+          } else {
+            lastReplyHeard = deliveredReply;
+          }
+        } catch (streamError) {
+          if (chunksSent > 0) throw streamError;
+
+          // Streaming unavailable before any audio went out: fall back to a single audio blob
+          logger.log('error', 'TTS streaming failed, falling back to full audio', { sessionId, error: streamError.message });
+          const audioResponse = await speech.textToSpeech(spokenText, { languageCode });
+          logger.log('system', 'TTS audio generated', {
+            sessionId,
+            audioSize: audioResponse.length
+          });
+
+          // Step 7: Send audio response
+          const audioBase64 = audioResponse.toString('base64');
+          ws.send(JSON.stringify({
+            type: 'audio_response',
+            audio: audioBase64,
+            contentType: speech.audioContentType,
+            text: spokenText, // Include text again for reference
+            state: result.state,
+            intent: result.intent,
+            sessionId: sessionId
+          }));
+          lastReplyHeard = deliveredReply;
+        }
+
+        // Clear audio buffer for next recording
+        audioBuffer = Buffer.alloc(0);
+
+      } catch (error) {
+        logger.log('error', 'Voice processing error', {
+          sessionId,
+          error: error.message
+        });
+        ws.send(JSON.stringify({
+          type: 'error',
+          message: error.message
+        }));
+      } finally {
+        if (activeTurn === turn) {
+          activeTurn = null;
+        }
+      }
+    }
+
+    ws.on('close', () => {
+      logger.log('system', 'WebSocket voice connection closed', { sessionId });
+    });
+
+    ws.on('error', (error) => {
+      logger.log('error', 'WebSocket error', { sessionId, error: error.message });
+    });
+
+    // Send welcome message
+    ws.send(JSON.stringify({
+      type: 'connected',
+      sessionId,
+      message: 'Voice connection established'
+    }));
+  });
+
+  return wss;
+}
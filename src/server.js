@@ -5,13 +5,16 @@
 
 import express from 'express';
 import dotenv from 'dotenv';
-import { WebSocketServer } from 'ws';
 import { createServer } from 'http';
 import { ConversationEngine } from './engine/conversationEngine.js';
 import { logger } from './utils/logger.js';
+import { parseClockTime } from './utils/clock.js';
 import { randomUUID } from 'crypto';
-import { speechToText, textToSpeech } from './services/elevenLabsService.js';
-import { storeSessionAudio, getSessionAudio, cleanupSessionAudio } from './services/audioSessionStorage.js';
+import { speechProvider } from './services/speechService.js';
+import { createAdminRouter, requireAdminKey } from './routes/adminRoutes.js';
+import { createContactRouter } from './routes/contactRoutes.js';
+import { attachVoiceSocket } from './routes/voiceSocket.js';
+import { ReminderScheduler } from './services/reminderScheduler.js';
 
 dotenv.config();
 
@@ -19,13 +22,16 @@ const app = express();
 const server = createServer(app);
 const PORT = process.env.PORT || 3000;
 const BRAND_NAME = process.env.BRAND_NAME || 'Advisor Desk';
-const SECURE_URL = process.env.SECURE_URL || 'https://advisors.example.com/complete';
+const SECURE_URL = process.env.SECURE_URL || `http://localhost:${PORT}/complete`;
 
 // Initialize conversation engine
 const conversationEngine = new ConversationEngine(BRAND_NAME, SECURE_URL);
 
+// Email callers before their appointments
+const reminderScheduler = new ReminderScheduler({ conversationEngine });
+
 // WebSocket server for voice streaming
-const wss = new WebSocketServer({ server, path: '/ws/voice' });
+attachVoiceSocket(server, { conversationEngine });
 
 // Middleware
 app.use(express.json());
@@ -35,7 +41,7 @@ app.use(express.static('public'));
 // API endpoint for chat
 app.post('/api/chat', async (req, res) => {
   try {
-    const { message, sessionId: providedSessionId } = req.body;
+    const { message, sessionId: providedSessionId, language, timezone, clock } = req.body;
 
     if (!message || typeof message !== 'string') {
       return res.status(400).json({ error: 'Message is required' });
@@ -44,8 +50,9 @@ app.post('/api/chat', async (req, res) => {
     // Generate or use provided session ID
     const sessionId = providedSessionId || randomUUID();
 
-    // Process input
-    const result = await conversationEngine.processInput(sessionId, message);
+    // Process input; a session clock for demo scenarios is only honoured when ALLOW_SESSION_CLOCK=true
+    const clockOption = process.env.ALLOW_SESSION_CLOCK === 'true' && clock !== undefined ? { clock } : {};
+    const result = await conversationEngine.processInput(sessionId, message, { language, timezone, ...clockOption });
 
     // Get recent logs for this session
     const sessionLogs = logger.getSessionLogs(sessionId).slice(-10); // Last 10 logs
@@ -55,6 +62,9 @@ app.post('/api/chat', async (req, res) => {
       response: result.response,
       state: result.state,
       intent: result.intent,
+      language: result.language,
+      timezone: result.timezone,
+      clock: result.clock,
       slots: result.slots,
       toolCalls: result.toolCalls || [],
       logs: sessionLogs
@@ -68,25 +78,39 @@ app.post('/api/chat', async (req, res) => {
   }
 });
 
-// API endpoint to get all logs
-app.get('/api/logs', (req, res) => {
-  const limit = parseInt(req.query.limit) || 100;
-  const type = req.query.type || null;
-  const sessionId = req.query.sessionId || null;
-  
-  let logs = logger.getLogs(limit);
-  
-  if (type) {
-    logs = logs.filter(log => log.type === type);
+// API endpoint to query logs (requires ADMIN_API_KEY): from, to (ISO timestamps), type, sessionId, q (free text), limit, offset
+app.get('/api/logs', requireAdminKey(process.env.ADMIN_API_KEY), async (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit) || 100, 1000);
+  const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+  const from = req.query.from ? new Date(req.query.from) : null;
+  const to = req.query.to ? new Date(req.query.to) : null;
+  if ((from && isNaN(from.getTime())) || (to && isNaN(to.getTime()))) {
+    return res.status(400).json({ error: 'from and to must be ISO timestamps' });
   }
-  
-  if (sessionId) {
-    logs = logs.filter(log => log.sessionId === sessionId);
+
+  try {
+    const { logs, total } = await logger.query({
+      from,
+      to,
+      type: req.query.type || null,
+      sessionId: req.query.sessionId || null,
+      q: req.query.q || null,
+      limit,
+      offset
+    });
+    res.json({ logs, total, limit, offset });
+  } catch (error) {
+    console.error('Logs API Error:', error);
+    res.status(500).json({ error: 'Internal server error', message: error.message });
   }
-  
-  res.json({ logs });
 });
 
+// Secure contact-details completion page (SECURE_URL)
+app.use('/complete', createContactRouter({ conversationEngine }));
+
+// Admin booking management (requires ADMIN_API_KEY)
+app.use('/api/admin', createAdminRouter({ conversationEngine }));
+
 // Health check
 app.get('/health', (req, res) => {
   res.json({ 
@@ -94,215 +118,25 @@ app.get('/health', (req, res) => {
   });
 });
 
-// WebSocket connection handler for voice streaming
-wss.on('connection', (ws, req) => {
-  const sessionId = randomUUID();
-  let audioBuffer = Buffer.alloc(0);
-  let isRecording = false;
-
-  logger.log('system', 'WebSocket voice connection established', { sessionId });
-
-  ws.on('message', async (data) => {
-    try {
-      const message = JSON.parse(data.toString());
-
-      switch (message.type) {
-        case 'start_recording':
-          isRecording = true;
-          audioBuffer = Buffer.alloc(0);
-          ws.send(JSON.stringify({ type: 'recording_started', sessionId }));
-          logger.log('system', 'Recording started', { sessionId });
-          break;
-
-        case 'audio_chunk':
-          if (isRecording) {
-            // Accumulate audio chunks (fallback for streaming chunks)
-            const chunk = Buffer.from(message.data, 'base64');
-            audioBuffer = Buffer.concat([audioBuffer, chunk]);
-          }
-          break;
-
-        case 'audio_file':
-          // Receive complete audio file from client
-          // Accept audio file even if recording has stopped (might arrive slightly after stop_recording)
-          const audioChunk = Buffer.from(message.data, 'base64');
-          audioBuffer = Buffer.concat([audioBuffer, audioChunk]);
-          logger.log('system', 'Received complete audio file', { 
-            sessionId, 
-            audioSize: audioChunk.length,
-            totalSize: audioBuffer.length 
-          });
-          break;
-
-        case 'stop_recording':
-          isRecording = false;
-          
-          // Wait a moment for audio_file to arrive if it hasn't yet
-          if (!audioBuffer || audioBuffer.length === 0) {
-            logger.log('system', 'Waiting for audio file...', { sessionId });
-            // Wait up to 1 second for audio file to arrive
-            let waitCount = 0;
-            const checkAudio = setInterval(() => {
-              waitCount++;
-              if (audioBuffer && audioBuffer.length > 0) {
-                clearInterval(checkAudio);
-                processAudioRecording();
-              } else if (waitCount >= 10) { // 1 second timeout (10 * 100ms)
-                clearInterval(checkAudio);
-                logger.log('error', 'No audio data received after timeout', { sessionId });
-                ws.send(JSON.stringify({
-                  type: 'error',
-                  message: 'No audio data received. Please try recording again.'
-                }));
-              }
-            }, 100);
-            break;
-          }
-          
-          // Process audio if we already have it
-          processAudioRecording();
-          break;
-
-        case 'ping':
-          ws.send(JSON.stringify({ type: 'pong' }));
-          break;
-
-        default:
-          logger.log('system', 'Unknown WebSocket message type', { 
-            sessionId, 
-            type: message.type 
-          });
-      }
-    } catch (error) {
-      logger.log('error', 'WebSocket message error', { 
-        sessionId, 
-        error: error.message 
-      });
-          ws.send(JSON.stringify({
-            type: 'error',
-            message: 'Failed to process message'
-          }));
-    }
-  });
-
-  // Helper function to process audio recording
-  async function processAudioRecording() {
-    // Validate audio buffer
-    if (!audioBuffer || audioBuffer.length === 0) {
-      logger.log('error', 'No audio data received', { sessionId });
-      ws.send(JSON.stringify({
-        type: 'error',
-        message: 'No audio data received. Please try recording again.'
-      }));
-      return;
-    }
-    
-    ws.send(JSON.stringify({ type: 'processing', step: 'saving_audio' }));
-    logger.log('system', 'Recording stopped, saving audio to session', { 
-      sessionId, 
-      audioSize: audioBuffer.length 
-    });
-
-    try {
-      // Step 1: Store audio in session memory and save to file
-      const contentType = 'audio/webm'; // Default, can be passed in message if needed
-      const audioFilePath = await storeSessionAudio(sessionId, audioBuffer, contentType);
-      logger.log('system', 'Audio saved to session storage', { 
-        sessionId, 
-        filePath: audioFilePath,
-        audioSize: audioBuffer.length 
-      });
-
-      // Step 2: Send audio file to Eleven Labs STT for transcription
-      ws.send(JSON.stringify({ type: 'processing', step: 'transcribing' }));
-      const transcript = await speechToText(audioBuffer, contentType);
-      logger.log('system', 'STT transcript received', { sessionId, transcript });
-
-      // Step 3: Display transcribed text in UI (send to client first)
-      ws.send(JSON.stringify({ 
-        type: 'transcript', 
-        text: transcript 
-      }));
-
-      // Step 4: Process transcribed text through chatbot pipeline
-      ws.send(JSON.stringify({ type: 'processing', step: 'processing_chatbot' }));
-      const result = await conversationEngine.processInput(sessionId, transcript);
-      logger.log('system', 'Conversation processed', { 
-        sessionId, 
-        response: result.response.substring(0, 100) 
-      });
-
-      // Step 5: Display text response first (text-first approach)
-      ws.send(JSON.stringify({
-        type: 'text_response',
-        text: result.response,
-        state: result.state,
-        intent: result.intent,
-        sessionId: sessionId
-      }));
-
-      // Step 6: Generate TTS audio from text response
-      ws.send(JSON.stringify({ type: 'processing', step: 'generating_speech' }));
-      const audioResponse = await textToSpeech(result.response);
-      logger.log('system', 'TTS audio generated', { 
-        sessionId, 
-        audioSize: audioResponse.length 
-      });
-
-      // Step 7: Send audio response
-      const audioBase64 = audioResponse.toString('base64');
-      ws.send(JSON.stringify({
-        type: 'audio_response',
-        audio: audioBase64,
-        text: result.response, // Include text again for reference
-        state: result.state,
-        intent: result.intent,
-        sessionId: sessionId
-      }));
-
-      // Clear audio buffer for next recording
-      audioBuffer = Buffer.alloc(0);
-
-      // Optional: Clean up audio file after processing (or keep for debugging)
-      // await cleanupSessionAudio(sessionId);
-
-    } catch (error) {
-      logger.log('error', 'Voice processing error', { 
-        sessionId, 
-        error: error.message 
-      });
-      ws.send(JSON.stringify({
-        type: 'error',
-        message: error.message
-      }));
-    }
-  }
-
-  ws.on('close', () => {
-    logger.log('system', 'WebSocket voice connection closed', { sessionId });
-  });
-
-  ws.on('error', (error) => {
-    logger.log('error', 'WebSocket error', { sessionId, error: error.message });
-  });
-
-  // Send welcome message
-  ws.send(JSON.stringify({
-    type: 'connected',
-    sessionId,
-    message: 'Voice connection established'
-  }));
-});
-
 // Start server
 server.listen(PORT, () => {
+  reminderScheduler.start();
   console.log(`🚀 Voice Agent: Advisor Appointment Scheduler`);
   console.log(`🌐 Server running on http://localhost:${PORT}`);
   console.log(`💬 Chat UI available at http://localhost:${PORT}`);
   console.log(`🎙️  Voice UI available at http://localhost:${PORT}/voice.html`);
   console.log(`🔌 WebSocket available at ws://localhost:${PORT}/ws/voice`);
   console.log(`\n⚠️  Configuration:`);
-  console.log(`   AI_PROVIDER=${process.env.AI_PROVIDER || 'groq'}`);
+  console.log(`   AI_PROVIDER=${process.env.AI_PROVIDER_CHAIN ? `${process.env.AI_PROVIDER_CHAIN} (failover chain)` : process.env.AI_PROVIDER || 'groq'}`);
+  console.log(`   SPEECH_PROVIDER=${speechProvider.providerName}`);
+  const pinnedClock = parseClockTime(process.env.CLOCK_FIXED_TIME);
+  const clockSource = pinnedClock !== null
+    ? `pinned to ${new Date(pinnedClock).toISOString()}`
+    : process.env.CLOCK_FIXED_TIME ? 'system (CLOCK_FIXED_TIME is not a valid time)' : 'system';
+  console.log(`   CLOCK=${clockSource}${process.env.ALLOW_SESSION_CLOCK === 'true' ? ' (session clocks allowed)' : ''}`);
+  const logStore = logger.getStore();
+  console.log(`   LOG_STORE=${logStore ? `file (${logStore.dir}, ${logStore.retentionDays} days)` : 'memory'}`);
+  console.log(`   REMINDERS=${reminderScheduler.schedule.enabled ? reminderScheduler.schedule.offsetsMinutes.map(m => `${m}m`).join(', ') : 'disabled'}`);
   console.log(`   ELEVEN_LABS_API_KEY=${process.env.ELEVEN_LABS_API_KEY ? '***configured***' : 'NOT SET'}`);
 });
 
@@ -2,14 +2,18 @@
  * Unit Tests for Availability Service
  */
 
-import { describe, it, expect, beforeEach } from '@jest/globals';
-import { getAvailableSlots, formatSlot, parseDateTimePreference } from '../availabilityService.js';
-import { TIME_WINDOWS } from '../../config/constants.js';
-import { addDays, setHours, setMinutes, startOfDay } from 'date-fns';
+import { describe, it, expect, beforeEach, afterEach } from '@jest/globals';
+import { getAvailableSlots, getSlotDuration, formatSlot, parseDateTimePreference, findAvailableAdvisor, checkSlotOverlap, isWithinBusinessHours } from '../availabilityService.js';
+import { TIME_WINDOWS, TOPICS } from '../../config/constants.js';
+import { addDays, setHours, setMinutes, startOfDay, format } from 'date-fns';
 import { utcToZonedTime, zonedTimeToUtc } from 'date-fns-tz';
+import { pinClock, releaseClock } from '../../__tests__/fixtureClock.js';
 
 const IST_TIMEZONE = 'Asia/Kolkata';
 
+beforeEach(pinClock);
+afterEach(releaseClock);
+
 describe('Availability Service', () => {
   let baseDate;
 
@@ -85,6 +89,23 @@ describe('Slot Formatting', () => {
     expect(formatted).toContain('Tuesday'); // Jan 14, 2025 is a Tuesday
     expect(formatted).toContain('January');
   });
+
+  it('should show the caller\'s time first and IST alongside', () => {
+    const start = new Date('2025-01-14T10:00:00Z'); // 3:30 PM IST
+    const end = new Date('2025-01-14T10:30:00Z');
+    const formatted = formatSlot(start, end, 'Europe/London');
+
+    expect(formatted).toBe('Tuesday, 14 January from 10:00 AM to 10:30 AM London time (3:30 PM to 4:00 PM IST)');
+  });
+
+  it('should name the IST day when it differs from the caller\'s', () => {
+    const start = new Date('2025-01-14T04:30:00Z'); // 10:00 AM IST, 11:30 PM the day before in New York
+    const end = new Date('2025-01-14T05:00:00Z');
+    const formatted = formatSlot(start, end, 'America/New_York');
+
+    expect(formatted).toContain('Monday, 13 January from 11:30 PM');
+    expect(formatted).toContain('(Tuesday, 14 January, 10:00 AM to 10:30 AM IST)');
+  });
 });
 
 describe('Date/Time Preference Parsing', () => {
@@ -115,6 +136,44 @@ describe('Date/Time Preference Parsing', () => {
     expect(result3.timeWindow).toBe(TIME_WINDOWS.EVENING);
   });
 
+  const istDay = (date) => format(utcToZonedTime(date, IST_TIMEZONE), 'yyyy-MM-dd');
+
+  it('should parse "day after tomorrow" as two days ahead', () => {
+    const tomorrow = parseDateTimePreference('tomorrow');
+    const dayAfter = parseDateTimePreference('day after tomorrow');
+    expect(istDay(dayAfter.date)).toBe(istDay(addDays(tomorrow.date, 1)));
+  });
+
+  it('should parse Hinglish and Hindi preferences', () => {
+    const english = parseDateTimePreference('tomorrow evening');
+    const hinglish = parseDateTimePreference('kal shaam ko');
+    expect(istDay(hinglish.date)).toBe(istDay(english.date));
+    expect(hinglish.timeWindow).toBe(TIME_WINDOWS.EVENING);
+
+    expect(istDay(parseDateTimePreference('parso subah').date))
+      .toBe(istDay(parseDateTimePreference('day after tomorrow morning').date));
+
+    const hindi = parseDateTimePreference('कल दोपहर 3 बजे');
+    const istTime = utcToZonedTime(hindi.specificTime, IST_TIMEZONE);
+    expect(istDay(hindi.date)).toBe(istDay(english.date));
+    expect(hindi.timeWindow).toBe(TIME_WINDOWS.AFTERNOON);
+    expect(istTime.getHours()).toBe(15);
+  });
+
+  it('should read a time in the caller\'s timezone', () => {
+    const result = parseDateTimePreference('tomorrow 3 pm', { timeZone: 'Asia/Dubai' });
+    const istTime = utcToZonedTime(result.specificTime, IST_TIMEZONE);
+    expect(istTime.getHours()).toBe(16); // 3 PM in Dubai is 4:30 PM IST
+    expect(istTime.getMinutes()).toBe(30);
+    expect(result.timeWindow).toBe(TIME_WINDOWS.EVENING);
+  });
+
+  it('should read "3 pm" as a time and "afternoon" as a window', () => {
+    const istTime = utcToZonedTime(parseDateTimePreference('tomorrow 3 pm').specificTime, IST_TIMEZONE);
+    expect(istTime.getHours()).toBe(15);
+    expect(parseDateTimePreference('tomorrow afternoon').specificTime).toBe(null);
+  });
+
   it('should handle empty or invalid input', () => {
     const result = parseDateTimePreference('');
     expect(result.date).toBe(null);
@@ -122,3 +181,113 @@ describe('Date/Time Preference Parsing', () => {
   });
 });
 
+
+describe('Advisor roster', () => {
+  let baseDate;
+
+  beforeEach(() => {
+    baseDate = new Date('2025-01-13T10:00:00Z'); // Monday
+  });
+
+  it('should assign an advisor to each offered slot', async () => {
+    const slots = await getAvailableSlots(baseDate, TIME_WINDOWS.MORNING, 30, [], { topic: TOPICS.KYC_ONBOARDING });
+    expect(slots.length).toBe(2);
+    slots.forEach(slot => {
+      expect(slot.advisorId).toBe('ADV-01');
+      expect(slot.advisorName).toBeTruthy();
+    });
+  });
+
+  it('should offer the same time with another advisor when one is booked', async () => {
+    const [first] = await getAvailableSlots(baseDate, TIME_WINDOWS.MORNING, 30, [], { topic: TOPICS.KYC_ONBOARDING });
+    const existingBookings = [{ start: first.start, end: first.end, advisorId: 'ADV-01' }];
+
+    const slots = await getAvailableSlots(baseDate, TIME_WINDOWS.MORNING, 30, existingBookings, { topic: TOPICS.KYC_ONBOARDING });
+    expect(slots[0].start.getTime()).toBe(first.start.getTime());
+    expect(slots[0].advisorId).toBe('ADV-02');
+  });
+
+  it('should skip a time when no advisor for the topic is free', async () => {
+    const [first] = await getAvailableSlots(baseDate, TIME_WINDOWS.MORNING, 30, [], { topic: TOPICS.SIP_MANDATES });
+    const existingBookings = [{ start: first.start, end: first.end, advisorId: 'ADV-01' }];
+
+    const slots = await getAvailableSlots(baseDate, TIME_WINDOWS.MORNING, 30, existingBookings, { topic: TOPICS.SIP_MANDATES });
+    expect(slots[0].start.getTime()).toBeGreaterThan(first.start.getTime());
+  });
+
+  it('should only pick advisors who work that day and handle the topic', () => {
+    const start = zonedTimeToUtc('2025-01-13 13:00:00', IST_TIMEZONE); // Monday
+    const end = new Date(start.getTime() + 30 * 60000);
+    const booked = [{ start, end, advisorId: 'ADV-01' }];
+
+    expect(findAvailableAdvisor(start, end, [], TOPICS.SIP_MANDATES).id).toBe('ADV-01');
+    expect(findAvailableAdvisor(start, end, booked, TOPICS.SIP_MANDATES)).toBe(null);
+
+    const tuesdayStart = addDays(start, 1);
+    const tuesdayEnd = addDays(end, 1);
+    const tuesdayBooked = [{ start: tuesdayStart, end: tuesdayEnd, advisorId: 'ADV-01' }];
+    expect(findAvailableAdvisor(tuesdayStart, tuesdayEnd, tuesdayBooked, TOPICS.SIP_MANDATES).id).toBe('ADV-03');
+  });
+
+  it('should count bookings without an advisor against capacity', () => {
+    const start = zonedTimeToUtc('2025-01-13 10:00:00', IST_TIMEZONE);
+    const end = new Date(start.getTime() + 30 * 60000);
+
+    expect(findAvailableAdvisor(start, end, [{ start, end }], TOPICS.KYC_ONBOARDING).id).toBe('ADV-02');
+    expect(findAvailableAdvisor(start, end, [{ start, end }, { start, end }], TOPICS.KYC_ONBOARDING)).toBe(null);
+  });
+
+  it('should offer no slots on a holiday', async () => {
+    pinClock(new Date('2025-08-01T00:00:00Z'));
+    const independenceDay = new Date('2025-08-15T06:00:00Z'); // Friday
+    expect(await getAvailableSlots(independenceDay, TIME_WINDOWS.ANY, 30, [])).toEqual([]);
+  });
+
+  it('should reject a requested time on a holiday with the closure reason', () => {
+    const start = zonedTimeToUtc('2025-12-25 11:00:00', IST_TIMEZONE);
+    const check = isWithinBusinessHours(start, new Date(start.getTime() + 30 * 60000));
+    expect(check.isValid).toBe(false);
+    expect(check.closure.name).toBe('Christmas');
+    expect(check.reason).toContain('closed on Thursday, 25 December for Christmas');
+  });
+});
+
+describe('Topic durations', () => {
+  const monday = new Date('2025-01-13T10:00:00Z');
+  const minutes = (slot) => (slot.end.getTime() - slot.start.getTime()) / 60000;
+
+  it('should use each topic\'s appointment length', () => {
+    expect(getSlotDuration(TOPICS.KYC_ONBOARDING)).toBe(60);
+    expect(getSlotDuration(TOPICS.STATEMENTS_TAX)).toBe(15);
+    expect(getSlotDuration(null)).toBe(30);
+  });
+
+  it('should offer slots of the topic\'s length, spaced by the buffer time', async () => {
+    const kyc = await getAvailableSlots(monday, TIME_WINDOWS.ANY, null, [], { topic: TOPICS.KYC_ONBOARDING });
+    expect(kyc.map(minutes)).toEqual([60, 60]);
+    expect(format(utcToZonedTime(kyc[1].start, IST_TIMEZONE), 'HH:mm')).toBe('11:10');
+
+    const statements = await getAvailableSlots(monday, TIME_WINDOWS.MORNING, null, [], { topic: TOPICS.STATEMENTS_TAX });
+    expect(statements.map(minutes)).toEqual([15, 15]);
+  });
+
+  it('should keep a long booking from overlapping shorter slots', async () => {
+    const start = zonedTimeToUtc('2025-01-13 12:00:00', IST_TIMEZONE);
+    const kycBooking = { start, end: new Date(start.getTime() + 60 * 60000), advisorId: 'ADV-03' };
+
+    const slots = await getAvailableSlots(monday, TIME_WINDOWS.AFTERNOON, null, [kycBooking], { topic: TOPICS.STATEMENTS_TAX });
+    expect(format(utcToZonedTime(slots[0].start, IST_TIMEZONE), 'HH:mm')).toBe('12:00');
+    expect(slots[0].advisorId).toBe('ADV-01');
+  });
+
+  it('should detect overlaps between intervals of different lengths', () => {
+    const start = zonedTimeToUtc('2025-01-13 10:00:00', IST_TIMEZONE);
+    const at = (offset) => new Date(start.getTime() + offset * 60000);
+    const kycBooking = [{ slot: start.toISOString(), endSlot: at(60).toISOString() }];
+
+    expect(checkSlotOverlap(at(45), at(60), kycBooking).hasOverlap).toBe(true);
+    expect(checkSlotOverlap(at(-15), at(15), kycBooking).hasOverlap).toBe(true);
+    expect(checkSlotOverlap(at(60), at(75), kycBooking).hasOverlap).toBe(false);
+    expect(checkSlotOverlap(at(45), at(60), kycBooking).overlappingSlots[0].start).toBe(start.toISOString());
+  });
+});
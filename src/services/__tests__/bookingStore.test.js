@@ -0,0 +1,286 @@
+/**
+ * Unit Tests for Booking Store persistence backends
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { BookingStore } from '../bookingStore.js';
+import { JsonStorageAdapter } from '../storage/jsonStorageAdapter.js';
+import { SqliteStorageAdapter } from '../storage/sqliteStorageAdapter.js';
+import { pinClock, releaseClock } from '../../__tests__/fixtureClock.js';
+
+const SLOT = {
+  topic: 'KYC/Onboarding',
+  slot: '2025-01-13T04:30:00.000Z',
+  endSlot: '2025-01-13T05:00:00.000Z'
+};
+
+describe('BookingStore storage backends', () => {
+  let tmpDir;
+  const openStores = [];
+
+  const createStore = (adapter) => {
+    const store = new BookingStore(adapter);
+    openStores.push(store);
+    return store;
+  };
+
+  beforeEach(() => {
+    pinClock();
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'booking-store-'));
+  });
+
+  afterEach(async () => {
+    releaseClock();
+    while (openStores.length > 0) {
+      await openStores.pop().adapter.close();
+    }
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('should reload bookings from the JSON file', async () => {
+    const filePath = path.join(tmpDir, 'bookings.json');
+    const store = createStore(new JsonStorageAdapter(filePath));
+    await store.setBooking('NL-A742', SLOT);
+
+    const reloaded = createStore(new JsonStorageAdapter(filePath));
+    await reloaded.initialize();
+    expect(reloaded.getBooking('NL-A742').topic).toBe(SLOT.topic);
+    expect(reloaded.isSlotBooked(SLOT.slot)).toBe(true);
+  });
+
+  it('should keep the caller timezone across updates while storing slots in IST', async () => {
+    const store = createStore(new JsonStorageAdapter(path.join(tmpDir, 'bookings.json')));
+    await store.setBooking('NL-A742', { ...SLOT, callerTimezone: 'Europe/London' });
+    await store.setBooking('NL-A742', { ...SLOT, action: 'Rescheduled' });
+
+    const booking = store.getBooking('NL-A742');
+    expect(booking.callerTimezone).toBe('Europe/London');
+    expect(booking.slot).toBe('2025-01-13 10:00:00 AM');
+  });
+
+  it('should reload bookings from SQLite', async () => {
+    const filePath = path.join(tmpDir, 'bookings.db');
+    const store = createStore(new SqliteStorageAdapter(filePath));
+    await store.setBooking('NL-A742', SLOT);
+    await store.adapter.close();
+
+    const reloaded = createStore(new SqliteStorageAdapter(filePath));
+    await reloaded.initialize();
+    expect(reloaded.getBooking('NL-A742').bookingCode).toBe('NL-A742');
+    expect(reloaded.isSlotBooked(SLOT.slot)).toBe(true);
+  });
+
+  it('should drop SQLite rows missing from a full save', async () => {
+    const adapter = new SqliteStorageAdapter(path.join(tmpDir, 'bookings.db'));
+    await adapter.initialize();
+    await adapter.saveAll([
+      { bookingCode: 'NL-A742', record: { topic: 'KYC/Onboarding' }, slotKey: '2025-01-13T04:30:00.000Z' },
+      { bookingCode: 'NL-B123', record: { topic: 'SIP/Mandates' }, slotKey: '2025-01-13T06:30:00.000Z' }
+    ]);
+    await adapter.saveAll([
+      { bookingCode: 'NL-B123', record: { topic: 'SIP/Mandates' }, slotKey: '2025-01-13T04:30:00.000Z' }
+    ]);
+    expect(Object.keys(await adapter.loadAll())).toEqual(['NL-B123']);
+
+    await adapter.saveAll([]);
+    expect(await adapter.loadAll()).toBeNull();
+    await adapter.close();
+  });
+
+  it('should hold only the new backend\'s bookings after switching adapters', async () => {
+    const other = new BookingStore(new JsonStorageAdapter(path.join(tmpDir, 'other.json')));
+    await other.setBooking('NL-B123', { ...SLOT, slot: '2025-01-13T06:30:00.000Z', endSlot: '2025-01-13T07:00:00.000Z' });
+
+    const sqlite = new SqliteStorageAdapter(path.join(tmpDir, 'bookings.db'));
+    const store = createStore(sqlite);
+    await store.setBooking('NL-A742', SLOT);
+
+    await store.useAdapter(new JsonStorageAdapter(path.join(tmpDir, 'other.json')));
+    expect(Object.keys(store.getAll())).toEqual(['NL-B123']);
+    expect(store.isSlotBooked(SLOT.slot)).toBe(false);
+    expect(store.isSlotBooked('2025-01-13T06:30:00.000Z')).toBe(true);
+    expect(sqlite.db).toBeNull();
+  });
+
+  it('should keep checkConflict behaviour with SQLite', async () => {
+    const store = createStore(new SqliteStorageAdapter(path.join(tmpDir, 'bookings.db')));
+    await store.setBooking('NL-A742', SLOT);
+
+    expect(store.checkConflict(SLOT.slot, SLOT.endSlot)).toBe(true);
+    const second = await store.setBooking('NL-B123', SLOT);
+    expect(second.isWaitlist).toBe(true);
+
+    await store.deleteBooking('NL-A742');
+    expect(store.checkConflict(SLOT.slot, SLOT.endSlot)).toBe(false);
+    expect(store.isSlotBooked(SLOT.slot)).toBe(false);
+  });
+
+  it('should refuse new or moved slots that break the scheduling policy', async () => {
+    const store = createStore(new JsonStorageAdapter(path.join(tmpDir, 'bookings.json')));
+    await store.setBooking('NL-A742', { ...SLOT, advisorId: 'ADV-01' });
+
+    // Ends at 10:30 AM IST, so 10:35 AM is inside the advisor's buffer
+    await expect(store.setBooking('NL-B123', {
+        ...SLOT, slot: '2025-01-13T05:05:00.000Z', endSlot: '2025-01-13T05:35:00.000Z', advisorId: 'ADV-01'
+    })).rejects.toMatchObject({ isPolicyViolation: true, violation: { rule: 'buffer' } });
+    await expect(store.setBooking('NL-C200', {
+        ...SLOT, slot: '2025-01-10T01:00:00.000Z', endSlot: '2025-01-10T01:30:00.000Z'
+    })).rejects.toMatchObject({ isPolicyViolation: true, violation: { rule: 'lead_time' } });
+    expect(store.getBooking('NL-B123')).toBeUndefined();
+
+    // Status-only updates are not re-checked once the lead time has passed
+    pinClock(new Date('2025-01-13T04:00:00Z'));
+    const confirmed = await store.setBooking('NL-A742', { ...SLOT, advisorId: 'ADV-01', status: 'confirmed' });
+    expect(confirmed.status).toBe('confirmed');
+  });
+
+  it('should let series occurrences past the booking horizon through and list the series in order', async () => {
+    const store = createStore(new JsonStorageAdapter(path.join(tmpDir, 'bookings.json')));
+    const farSlot = { ...SLOT, slot: '2025-04-07T05:30:00.000Z', endSlot: '2025-04-07T06:00:00.000Z' };
+
+    await expect(store.setBooking('NL-E500', farSlot))
+      .rejects.toMatchObject({ isPolicyViolation: true, violation: { rule: 'horizon' } });
+
+    await store.setBooking('NL-F602', { ...farSlot, seriesCode: 'NL-S100', seriesIndex: 2 });
+    await store.setBooking('NL-F601', { ...SLOT, seriesCode: 'NL-S100', seriesIndex: 1 });
+    expect(store.getSeries('NL-S100').map(b => b.bookingCode)).toEqual(['NL-F601', 'NL-F602']);
+
+    await store.deleteBooking('NL-F601');
+    expect(store.getSeries('NL-S100').map(b => b.bookingCode)).toEqual(['NL-F602']);
+    expect(store.getSeries('NL-S100', { includeClosed: true })).toHaveLength(2);
+    expect(store.getSeries('NL-F602')).toEqual([]);
+  });
+
+  it('should store attendees and refuse more than the topic allows', async () => {
+    const store = createStore(new JsonStorageAdapter(path.join(tmpDir, 'bookings.json')));
+    const family = [{ role: 'primary_holder' }, { role: 'joint_holder' }, { role: 'nominee' }];
+
+    expect((await store.setBooking('NL-A742', SLOT)).attendees).toEqual([{ role: 'primary_holder' }]);
+    // KYC takes the caller and one more
+    await expect(store.setBooking('NL-A742', { ...store.getBooking('NL-A742'), attendees: family }))
+      .rejects.toMatchObject({ isAttendeeLimit: true, limit: 2, count: 3 });
+
+    const group = await store.setBooking('NL-B123', {
+      ...SLOT, topic: 'Account Changes/Nominee', slot: '2025-01-13T08:30:00.000Z', endSlot: '2025-01-13T09:15:00.000Z', attendees: family
+    });
+    expect(group.attendees).toEqual(family);
+  });
+
+  it('should find conflicts between bookings of different lengths', async () => {
+    const store = createStore(new JsonStorageAdapter(path.join(tmpDir, 'bookings.json')));
+    // One-hour KYC appointment from 10:00 to 11:00 IST
+    await store.setBooking('NL-A742', { ...SLOT, endSlot: '2025-01-13T05:30:00.000Z' });
+
+    expect(store.checkConflict('2025-01-13T05:15:00.000Z', '2025-01-13T05:30:00.000Z')).toBe(true);
+    expect(store.checkConflict('2025-01-13T05:30:00.000Z', '2025-01-13T05:45:00.000Z')).toBe(false);
+    expect(store.getBookedSlotsInRange('2025-01-13T05:15:00.000Z', '2025-01-13T06:00:00.000Z')
+      .map(b => b.bookingCode)).toEqual(['NL-A742']);
+  });
+
+  it('should waitlist a booking when another process already holds the slot', async () => {
+    const filePath = path.join(tmpDir, 'bookings.db');
+    const first = createStore(new SqliteStorageAdapter(filePath));
+    const second = createStore(new SqliteStorageAdapter(filePath));
+    await first.initialize();
+    await second.initialize();
+
+    await first.setBooking('NL-A742', SLOT);
+    // second has not seen the first booking in memory; the unique slot index catches it
+    const record = await second.setBooking('NL-B123', SLOT);
+    expect(record.isWaitlist).toBe(true);
+    expect(second.isSlotBooked(SLOT.slot)).toBe(false);
+  });
+
+  it('should find the oldest waitlist entry for a freed slot', async () => {
+    const store = createStore(new JsonStorageAdapter(path.join(tmpDir, 'bookings.json')));
+    await store.setBooking('NL-A742', SLOT);
+    await store.setBooking('NL-C200', { ...SLOT, isWaitlist: true, createdAt: '2025-01-10T06:00:00.000Z' });
+    await store.setBooking('NL-B100', { ...SLOT, isWaitlist: true, createdAt: '2025-01-09T06:00:00.000Z' });
+    await store.setBooking('NL-D300', {
+      ...SLOT,
+      slot: '2025-01-13T08:30:00.000Z',
+      endSlot: '2025-01-13T09:00:00.000Z',
+      isWaitlist: true,
+      createdAt: '2025-01-01T06:00:00.000Z'
+    });
+
+    const entry = store.getOldestWaitlistEntry(SLOT.slot, SLOT.endSlot, 'NL-A742');
+    expect(entry.bookingCode).toBe('NL-B100');
+
+    await store.deleteBooking('NL-B100');
+    expect(store.getOldestWaitlistEntry(SLOT.slot, SLOT.endSlot).bookingCode).toBe('NL-C200');
+  });
+
+  describe('booking lifecycle', () => {
+    let store;
+
+    beforeEach(async () => {
+      store = createStore(new JsonStorageAdapter(path.join(tmpDir, 'bookings.json')));
+      await store.setBooking('NL-A742', SLOT);
+    });
+
+    it('should start new bookings as tentative with a timestamped history', () => {
+      const booking = store.getBooking('NL-A742');
+      expect(booking.status).toBe('tentative');
+      expect(booking.statusHistory).toHaveLength(1);
+      expect(booking.statusHistory[0].status).toBe('tentative');
+      expect(booking.statusHistory[0].at).toMatch(/(AM|PM)$/);
+    });
+
+    it('should record each allowed transition', async () => {
+      await store.transitionStatus('NL-A742', 'confirmed');
+      const record = await store.transitionStatus('NL-A742', 'completed');
+      expect(record.statusHistory.map(h => h.status)).toEqual(['tentative', 'confirmed', 'completed']);
+      // Completed appointments still account for the time they used
+      expect(store.isSlotBooked(SLOT.slot)).toBe(true);
+    });
+
+    it('should reject disallowed transitions', async () => {
+      await expect(store.transitionStatus('NL-A742', 'completed')).rejects.toMatchObject({ isInvalidTransition: true });
+
+      await store.transitionStatus('NL-A742', 'confirmed');
+      await store.transitionStatus('NL-A742', 'no_show');
+      await expect(store.deleteBooking('NL-A742')).rejects.toMatchObject({ isInvalidTransition: true });
+      await expect(store.setBooking('NL-A742', { ...store.getBooking('NL-A742'), status: 'tentative' }))
+        .rejects.toMatchObject({ isInvalidTransition: true });
+    });
+
+    it('should soft-delete on cancel and keep history', async () => {
+      await store.deleteBooking('NL-A742');
+      const booking = store.getBooking('NL-A742');
+      expect(booking.status).toBe('cancelled');
+      expect(booking.action).toBe('Cancelled');
+      expect(booking.statusHistory.map(h => h.status)).toEqual(['tentative', 'cancelled']);
+      expect(store.isSlotBooked(SLOT.slot)).toBe(false);
+    });
+
+    it('should track waitlist placement as a status', async () => {
+      const waitlisted = await store.setBooking('NL-B100', SLOT);
+      expect(waitlisted.status).toBe('waitlisted');
+
+      await store.deleteBooking('NL-A742');
+      const promoted = await store.setBooking('NL-B100', { ...waitlisted, isWaitlist: false, action: 'Promoted' });
+      expect(promoted.status).toBe('tentative');
+      expect(promoted.statusHistory.map(h => h.status)).toEqual(['waitlisted', 'tentative']);
+    });
+
+    it('should derive status for records stored before statuses existed', async () => {
+      const filePath = path.join(tmpDir, 'legacy.json');
+      fs.writeFileSync(filePath, JSON.stringify({
+        bookings: {
+          'NL-C200': { ...SLOT, bookingCode: 'NL-C200', isWaitlist: false, action: 'Cancelled' },
+          'NL-D300': { ...SLOT, bookingCode: 'NL-D300', isWaitlist: false, action: 'Created' }
+        }
+      }));
+
+      const legacy = createStore(new JsonStorageAdapter(filePath));
+      await legacy.initialize();
+      expect(legacy.getBooking('NL-C200').status).toBe('cancelled');
+      expect(legacy.getBooking('NL-D300').status).toBe('tentative');
+      expect(legacy.isSlotBooked(SLOT.slot)).toBe(true);
+    });
+  });
+});
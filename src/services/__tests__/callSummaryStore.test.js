@@ -0,0 +1,67 @@
+/**
+ * Unit Tests for the Call Summary Store
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { CallSummaryStore } from '../callSummaryStore.js';
+import { pinClock, releaseClock } from '../../__tests__/fixtureClock.js';
+
+const summary = (sessionId, endedAt, outcome = 'booked') => ({ sessionId, endedAt, outcome, turns: 4 });
+
+describe('CallSummaryStore', () => {
+  let tmpDir;
+  let filePath;
+
+  beforeEach(() => {
+    pinClock();
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'call-summaries-'));
+    filePath = path.join(tmpDir, 'call-summaries.jsonl');
+  });
+
+  afterEach(() => {
+    releaseClock();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  const lines = () => fs.readFileSync(filePath, 'utf-8').split('\n').filter(Boolean).map(line => JSON.parse(line));
+
+  it('should append one line per summary instead of rewriting the file', async () => {
+    const store = new CallSummaryStore(filePath);
+    await store.saveSummary(summary('call-1', '2025-01-09T05:00:00.000Z'));
+    await store.saveSummary(summary('call-2', '2025-01-09T06:00:00.000Z'));
+    await store.saveSummary(summary('call-1', '2025-01-09T07:00:00.000Z', 'cancelled'));
+
+    expect(lines().map(line => line.sessionId)).toEqual(['call-1', 'call-2', 'call-1']);
+    expect((await store.getSummary('call-1')).outcome).toBe('cancelled');
+  });
+
+  it('should keep the latest summary per call and compact the file on load', async () => {
+    fs.writeFileSync(filePath, [
+      JSON.stringify(summary('call-1', '2025-01-09T05:00:00.000Z')),
+      JSON.stringify(summary('call-1', '2025-01-09T07:00:00.000Z', 'cancelled')),
+      '{"sessionId":"call-2","endedAt":' // Cut short by a crash
+    ].join('\n'));
+
+    const store = new CallSummaryStore(filePath);
+    expect(await store.listSummaries()).toEqual([summary('call-1', '2025-01-09T07:00:00.000Z', 'cancelled')]);
+    expect(lines()).toEqual([summary('call-1', '2025-01-09T07:00:00.000Z', 'cancelled')]);
+  });
+
+  it('should drop calls that ended before the retention period', async () => {
+    fs.writeFileSync(filePath, [
+      JSON.stringify(summary('old-call', '2024-12-01T05:00:00.000Z')),
+      JSON.stringify(summary('recent-call', '2025-01-09T05:00:00.000Z'))
+    ].join('\n') + '\n');
+
+    const store = new CallSummaryStore(filePath, { retentionDays: 30 });
+    expect((await store.listSummaries()).map(entry => entry.sessionId)).toEqual(['recent-call']);
+    expect(lines().map(line => line.sessionId)).toEqual(['recent-call']);
+
+    const keepAll = new CallSummaryStore(path.join(tmpDir, 'all.jsonl'), { retentionDays: 0 });
+    await keepAll.saveSummary(summary('old-call', '2020-01-01T00:00:00.000Z'));
+    expect(await new CallSummaryStore(keepAll.filePath, { retentionDays: 0 }).getSummary('old-call')).not.toBeNull();
+  });
+});
@@ -0,0 +1,81 @@
+/**
+ * Unit Tests for Holiday Calendar
+ */
+
+import { describe, it, expect, afterEach } from '@jest/globals';
+import { mkdtempSync, writeFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { HolidayCalendar } from '../holidayCalendar.js';
+
+describe('HolidayCalendar', () => {
+  const calendar = new HolidayCalendar([
+    { date: '08-15', name: 'Independence Day' },
+    { date: '2025-03-14', name: 'Holi' },
+    { date: '2025-03-20', name: 'Staff training', from: '14:00', to: '16:00' },
+    { date: '2025-03-21', name: 'Office maintenance', from: '15:00' }
+  ]);
+
+  it('should match recurring closures in any year', () => {
+    expect(calendar.getClosure('2025-08-15').name).toBe('Independence Day');
+    expect(calendar.getClosure('2031-08-15').name).toBe('Independence Day');
+    expect(calendar.getClosure('2025-08-16')).toBeNull();
+  });
+
+  it('should match one-off closures only on their date', () => {
+    expect(calendar.getClosure('2025-03-14').name).toBe('Holi');
+    expect(calendar.getClosure('2026-03-14')).toBeNull();
+  });
+
+  it('should only block the closed part of a partial-day closure', () => {
+    expect(calendar.getClosure('2025-03-20', 13 * 60, 13 * 60 + 30)).toBeNull();
+    expect(calendar.getClosure('2025-03-20', 13 * 60 + 45, 14 * 60 + 15).name).toBe('Staff training');
+    expect(calendar.getClosure('2025-03-20', 16 * 60, 16 * 60 + 30)).toBeNull();
+    expect(calendar.getClosure('2025-03-21', 17 * 60, 17 * 60 + 30).name).toBe('Office maintenance');
+  });
+
+  it('should report full-day closures by IST day', () => {
+    // 20:00 UTC on 14 August is already 15 August in IST
+    expect(calendar.getFullDayClosure(new Date('2025-08-14T20:00:00Z')).name).toBe('Independence Day');
+    expect(calendar.getFullDayClosure(new Date('2025-03-20T06:00:00Z'))).toBeNull();
+  });
+
+  it('should check UTC ranges against IST closure times', () => {
+    // 14:00-14:30 IST
+    expect(calendar.getClosureForRange(new Date('2025-03-20T08:30:00Z'), new Date('2025-03-20T09:00:00Z')).name).toBe('Staff training');
+    // 11:00-11:30 IST
+    expect(calendar.getClosureForRange(new Date('2025-03-20T05:30:00Z'), new Date('2025-03-20T06:00:00Z'))).toBeNull();
+  });
+
+  it('should skip invalid entries', () => {
+    const partial = new HolidayCalendar([
+      { date: '2025/01/01', name: 'Bad date' },
+      { date: '2025-01-02', name: 'Backwards', from: '16:00', to: '12:00' },
+      { date: '2025-01-03' },
+      { date: '2025-01-04', name: 'Valid' }
+    ]);
+    expect(partial.closures.map(closure => closure.name)).toEqual(['Valid']);
+  });
+
+  describe('fromFile', () => {
+    let dir;
+
+    afterEach(() => {
+      if (dir) rmSync(dir, { recursive: true, force: true });
+      dir = null;
+    });
+
+    it('should load an array or a { closures } object', () => {
+      dir = mkdtempSync(join(tmpdir(), 'holidays-'));
+      const arrayFile = join(dir, 'array.json');
+      const objectFile = join(dir, 'object.json');
+      writeFileSync(arrayFile, JSON.stringify([{ date: '05-01', name: 'Labour Day' }]));
+      writeFileSync(objectFile, JSON.stringify({ closures: [{ date: '2025-06-02', name: 'Offsite', to: '13:00' }] }));
+
+      expect(HolidayCalendar.fromFile(arrayFile).getClosure('2027-05-01').name).toBe('Labour Day');
+      const offsite = HolidayCalendar.fromFile(objectFile).getClosure('2025-06-02');
+      expect(offsite.fullDay).toBe(false);
+      expect(offsite.endMinutes).toBe(13 * 60);
+    });
+  });
+});
@@ -0,0 +1,156 @@
+/**
+ * Unit Tests for LLM failover and circuit breaking
+ */
+
+import { describe, it, expect, beforeEach, jest } from '@jest/globals';
+import { LLMFailoverChain } from '../llm/failoverChain.js';
+import { CircuitBreaker, CIRCUIT_STATES } from '../llm/circuitBreaker.js';
+import { LLMProvider } from '../llm/llmProvider.js';
+import { logger } from '../../utils/logger.js';
+
+const rateLimitError = () => Object.assign(new Error('Rate limit exceeded'), { status: 429 });
+
+/**
+ * Provider whose answers are scripted: a string is returned as content, an Error is thrown
+ */
+class ScriptedProvider extends LLMProvider {
+  constructor(name, script, { supportsTools = true, clock = null, latencyMs = 0 } = {}) {
+    super(name, { supportsTools });
+    this.script = script;
+    this.clock = clock;
+    this.latencyMs = latencyMs;
+    this.complete = jest.fn(async () => {
+      if (this.clock) this.clock.now += this.latencyMs;
+      const next = this.script.length > 1 ? this.script.shift() : this.script[0];
+      if (next instanceof Error) throw next;
+      return { content: next, toolCalls: [], finishReason: 'stop' };
+    });
+  }
+}
+
+describe('LLM Failover Chain', () => {
+  let clock;
+
+  const createChain = (providers) => new LLMFailoverChain(providers, {
+    breaker: { rateLimitThreshold: 2, failureThreshold: 3, cooldownMs: 60000 },
+    now: () => clock.now
+  });
+
+  beforeEach(() => {
+    clock = { now: 1000000 };
+    logger.clear();
+  });
+
+  it('should hand over to the next provider and name the one that answered', async () => {
+    const groq = new ScriptedProvider('groq', [rateLimitError()]);
+    const claude = new ScriptedProvider('claude', ['book_new']);
+    const chain = createChain([groq, claude]);
+
+    const response = await chain.complete('prompt', [{ role: 'user', content: 'hi' }]);
+    expect(response).toMatchObject({ content: 'book_new', provider: 'claude' });
+
+    const decisions = logger.getLogsByType('fallback');
+    expect(decisions).toHaveLength(1);
+    expect(decisions[0]).toMatchObject({ provider: 'groq', reason: 'rate_limit', next: 'claude' });
+    expect(logger.getLogsByType('llm').pop()).toMatchObject({ provider: 'claude', failedOver: true });
+  });
+
+  it('should skip a rate-limited provider for the cool-down, then try it again', async () => {
+    const groq = new ScriptedProvider('groq', [rateLimitError(), rateLimitError(), 'reschedule']);
+    const local = new ScriptedProvider('openai_compatible', ['cancel']);
+    const chain = createChain([groq, local]);
+
+    await chain.complete('prompt', []);
+    await chain.complete('prompt', []);
+    expect(chain.getStats()[0].state).toBe(CIRCUIT_STATES.OPEN);
+
+    expect((await chain.complete('prompt', [])).provider).toBe('openai_compatible');
+    expect(groq.complete).toHaveBeenCalledTimes(2);
+    expect(logger.getLogsByType('fallback').pop()).toMatchObject({ provider: 'groq', reason: 'circuit_open' });
+
+    clock.now += 60000;
+    expect((await chain.complete('prompt', [])).provider).toBe('groq');
+    expect(chain.getStats()[0].state).toBe(CIRCUIT_STATES.CLOSED);
+  });
+
+  it('should send one trial call to a recovering provider while other requests fail over', async () => {
+    const groq = new ScriptedProvider('groq', [rateLimitError(), rateLimitError()]);
+    const local = new ScriptedProvider('openai_compatible', ['cancel']);
+    const chain = createChain([groq, local]);
+    await chain.complete('prompt', []);
+    await chain.complete('prompt', []);
+
+    clock.now += 60000;
+    let answer;
+    groq.complete.mockImplementationOnce(() => new Promise(resolve => { answer = resolve; }));
+    const trial = chain.complete('prompt', []);
+    const [second, third] = await Promise.all([chain.complete('prompt', []), chain.complete('prompt', [])]);
+
+    expect([second.provider, third.provider]).toEqual(['openai_compatible', 'openai_compatible']);
+    expect(groq.complete).toHaveBeenCalledTimes(3);
+    expect(logger.getLogsByType('fallback').pop()).toMatchObject({ provider: 'groq', reason: 'trial_in_flight' });
+
+    answer({ content: 'reschedule', toolCalls: [], finishReason: 'stop' });
+    expect((await trial).provider).toBe('groq');
+    expect(chain.getStats()[0].state).toBe(CIRCUIT_STATES.CLOSED);
+  });
+
+  it('should fail with a status the keyword fallback recognises when no provider answers', async () => {
+    const groq = new ScriptedProvider('groq', [rateLimitError()]);
+    const chain = createChain([groq]);
+
+    await expect(chain.complete('prompt', [])).rejects.toMatchObject({ status: 429, isRateLimit: true });
+    await expect(chain.complete('prompt', [])).rejects.toMatchObject({ status: 429 });
+    await expect(chain.complete('prompt', [])).rejects.toMatchObject({ status: 503, message: 'No LLM provider available (all circuits open)' });
+  });
+
+  it('should call providers without tool calling without the tools', async () => {
+    const local = new ScriptedProvider('openai_compatible', ['ok'], { supportsTools: false });
+    const chain = createChain([local]);
+
+    await chain.complete('prompt', [], [{ type: 'function', function: { name: 'book_slot' } }]);
+    expect(local.complete).toHaveBeenCalledWith('prompt', [], []);
+  });
+
+  it('should track error rate and latency per provider', async () => {
+    const groq = new ScriptedProvider('groq', [new Error('socket hang up'), 'ok'], { clock, latencyMs: 200 });
+    const chain = createChain([groq, new ScriptedProvider('claude', ['ok'], { clock, latencyMs: 900 })]);
+
+    await chain.complete('prompt', []);
+    await chain.complete('prompt', []);
+
+    const [groqStats, claudeStats] = chain.getStats();
+    expect(groqStats).toMatchObject({ provider: 'groq', requests: 2, failures: 1, rateLimits: 0, errorRate: 0.5, avgLatencyMs: 200 });
+    expect(claudeStats).toMatchObject({ provider: 'claude', requests: 1, errorRate: 0, avgLatencyMs: 900, p95LatencyMs: 900 });
+  });
+});
+
+describe('Circuit Breaker', () => {
+  it('should open after repeated failures of any kind and reopen when the trial call fails', () => {
+    const breaker = new CircuitBreaker({ failureThreshold: 3, cooldownMs: 1000 });
+    breaker.recordFailure(new Error('boom'), 10, 0);
+    breaker.recordFailure(new Error('boom'), 10, 0);
+    expect(breaker.isAvailable(0)).toBe(true);
+    expect(breaker.recordFailure(new Error('boom'), 10, 0)).toBe(true);
+    expect(breaker.isAvailable(500)).toBe(false);
+
+    expect(breaker.isAvailable(1000)).toBe(true);
+    expect(breaker.state).toBe(CIRCUIT_STATES.HALF_OPEN);
+    expect(breaker.recordFailure(new Error('boom'), 10, 1000)).toBe(true);
+    expect(breaker.isAvailable(1500)).toBe(false);
+  });
+
+  it('should let a single trial call through until it is recorded', () => {
+    const breaker = new CircuitBreaker({ failureThreshold: 1, cooldownMs: 1000 });
+    breaker.recordFailure(new Error('boom'), 10, 0);
+
+    expect(breaker.isAvailable(1000)).toBe(true);
+    expect(breaker.isAvailable(1000)).toBe(false);
+    expect(breaker.isAvailable(5000)).toBe(false);
+    expect(breaker.state).toBe(CIRCUIT_STATES.HALF_OPEN);
+
+    breaker.recordSuccess(10);
+    expect(breaker.isAvailable(5000)).toBe(true);
+    expect(breaker.isAvailable(5000)).toBe(true);
+  });
+});
@@ -0,0 +1,112 @@
+/**
+ * Unit Tests for LLM Providers
+ */
+
+import { describe, it, expect, jest } from '@jest/globals';
+import { createLLMProvider, listLLMProviders, registerLLMProvider } from '../llm/providerRegistry.js';
+import { LLMProvider } from '../llm/llmProvider.js';
+import { GeminiLLMProvider } from '../llm/geminiLLMProvider.js';
+import { OpenAICompatibleLLMProvider } from '../llm/openAICompatibleLLMProvider.js';
+
+const INTENT_PROMPT = 'You are an expert intent classifier for an advisor appointment scheduling system.';
+const BOOKING_TOOL = {
+  type: 'function',
+  function: { name: 'book_slot', description: 'Book a slot', parameters: { type: 'object', properties: { slot: { type: 'string' } } } }
+};
+
+const jsonResponse = (body, status = 200) => ({
+  ok: status < 400,
+  status,
+  json: async () => body,
+  text: async () => JSON.stringify(body)
+});
+
+describe('LLM Providers', () => {
+  it('should register every provider with its tool-calling support', () => {
+    expect(listLLMProviders()).toEqual(expect.arrayContaining(['groq', 'claude', 'gemini', 'openai_compatible']));
+
+    const support = Object.fromEntries(['groq', 'claude', 'gemini'].map(name => [name, createLLMProvider(name, { apiKey: 'key' }).supportsTools]));
+    expect(support).toEqual({ groq: true, claude: true, gemini: true });
+    expect(createLLMProvider('openai_compatible', { baseUrl: 'http://localhost:8080/v1' }).supportsTools).toBe(false);
+    expect(createLLMProvider('unknown')).toBe(null);
+  });
+
+  it('should report a missing API key or endpoint', () => {
+    const gemini = createLLMProvider('GEMINI', { apiKey: '' });
+    expect(gemini.isConfigured()).toBe(false);
+    expect(gemini.getConfigurationHint()).toContain('GEMINI_API_KEY');
+    expect(createLLMProvider('openai_compatible', { baseUrl: '' }).isConfigured()).toBe(false);
+  });
+
+  it('should accept custom providers', () => {
+    class EchoProvider extends LLMProvider {
+      async complete(systemPrompt, messages) {
+        return { content: messages[0].content, toolCalls: [], finishReason: 'stop' };
+      }
+    }
+    registerLLMProvider('echo', () => new EchoProvider('echo'));
+    expect(createLLMProvider('echo')).toBeInstanceOf(EchoProvider);
+  });
+
+  describe('gemini provider', () => {
+    it('should send the system prompt, history and tools in Gemini format', async () => {
+      const fetch = jest.fn(async () => jsonResponse({
+        candidates: [{ content: { parts: [{ text: 'book_new' }] }, finishReason: 'STOP' }]
+      }));
+      const provider = new GeminiLLMProvider({ apiKey: 'gemini-key', model: 'gemini-test', fetch });
+
+      const result = await provider.complete(INTENT_PROMPT, [
+        { role: 'user', content: 'Hi' },
+        { role: 'assistant', content: 'Hello' }
+      ], [BOOKING_TOOL]);
+
+      expect(result).toEqual({ content: 'book_new', toolCalls: [], finishReason: 'STOP' });
+      const [url, request] = fetch.mock.calls[0];
+      expect(url).toContain('/models/gemini-test:generateContent');
+      expect(request.headers['x-goog-api-key']).toBe('gemini-key');
+      const body = JSON.parse(request.body);
+      expect(body.systemInstruction.parts[0].text).toBe(INTENT_PROMPT);
+      expect(body.contents.map(c => c.role)).toEqual(['user', 'model']);
+      expect(body.generationConfig).toEqual({ temperature: 0.1, maxOutputTokens: 50 });
+      expect(body.tools[0].functionDeclarations[0].name).toBe('book_slot');
+    });
+
+    it('should return function calls as OpenAI-style tool calls', async () => {
+      const fetch = jest.fn(async () => jsonResponse({
+        candidates: [{ content: { parts: [{ functionCall: { name: 'book_slot', args: { slot: '1' } } }] }, finishReason: 'STOP' }]
+      }));
+      const provider = new GeminiLLMProvider({ apiKey: 'gemini-key', fetch });
+
+      const { toolCalls } = await provider.complete('Book a slot', [{ role: 'user', content: 'first one' }], [BOOKING_TOOL]);
+      expect(toolCalls).toEqual([{ id: 'call_0', type: 'function', function: { name: 'book_slot', arguments: '{"slot":"1"}' } }]);
+    });
+  });
+
+  describe('OpenAI-compatible provider', () => {
+    it('should call the chat completions endpoint of a local server', async () => {
+      const fetch = jest.fn(async () => jsonResponse({
+        choices: [{ message: { content: '{"topic": "SIP/Mandates"}' }, finish_reason: 'stop' }]
+      }));
+      const provider = new OpenAICompatibleLLMProvider({ baseUrl: 'http://localhost:8080/v1/', model: 'llama-3.1-8b', fetch });
+
+      const result = await provider.complete('You are a slot extractor', [{ role: 'user', content: 'SIP' }]);
+      expect(result).toEqual({ content: '{"topic": "SIP/Mandates"}', toolCalls: [], finishReason: 'stop' });
+
+      const [url, request] = fetch.mock.calls[0];
+      expect(url).toBe('http://localhost:8080/v1/chat/completions');
+      expect(request.headers.Authorization).toBeUndefined();
+      const body = JSON.parse(request.body);
+      expect(body.model).toBe('llama-3.1-8b');
+      expect(body.messages[0]).toEqual({ role: 'system', content: 'You are a slot extractor' });
+      expect(body.tools).toBeUndefined();
+    });
+
+    it('should surface HTTP errors with their status so rate limits fall back to keywords', async () => {
+      const fetch = jest.fn(async () => jsonResponse({ error: 'busy' }, 429));
+      const provider = new OpenAICompatibleLLMProvider({ baseUrl: 'http://localhost:8080/v1', apiKey: 'lab-token', fetch });
+
+      await expect(provider.complete('prompt', [{ role: 'user', content: 'hi' }])).rejects.toMatchObject({ status: 429 });
+      expect(fetch.mock.calls[0][1].headers.Authorization).toBe('Bearer lab-token');
+    });
+  });
+});
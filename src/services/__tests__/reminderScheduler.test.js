@@ -0,0 +1,132 @@
+/**
+ * Unit Tests for the appointment reminder scheduler
+ */
+
+import { describe, it, expect, beforeEach, afterEach, jest } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { ReminderScheduler, getReminderSchedule } from '../reminderScheduler.js';
+import { BookingStore } from '../bookingStore.js';
+import { ContactStore } from '../contactStore.js';
+import { JsonStorageAdapter } from '../storage/jsonStorageAdapter.js';
+import { pinClock, releaseClock } from '../../__tests__/fixtureClock.js';
+
+// Appointment at 10:00 AM IST on 13 January 2025
+const SLOT = {
+  topic: 'KYC/Onboarding',
+  slot: '2025-01-13T04:30:00.000Z',
+  endSlot: '2025-01-13T05:30:00.000Z',
+  advisorId: 'ADV-01'
+};
+const SCHEDULE = { enabled: true, offsetsMinutes: [24 * 60, 60], scanIntervalMs: 60000 };
+const at = (iso) => new Date(iso);
+
+describe('ReminderScheduler', () => {
+  let tmpDir;
+  let store;
+  let contacts;
+  let conversationEngine;
+
+  const createScheduler = (bookingStore = store) =>
+    new ReminderScheduler({ conversationEngine, store: bookingStore, contacts, schedule: SCHEDULE });
+
+  beforeEach(async () => {
+    pinClock();
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'reminders-'));
+    store = new BookingStore(new JsonStorageAdapter(path.join(tmpDir, 'bookings.json')));
+    contacts = new ContactStore(path.join(tmpDir, 'contacts.json'));
+    conversationEngine = {
+      executeToolCalls: jest.fn(async (configs) => ({
+        toolCalls: configs.map(({ name }) => ({ function: { name }, result: 'success', mock: false })),
+        results: configs.map(() => ({ success: true, mock: false, data: { sent: true } }))
+      }))
+    };
+
+    await store.setBooking('NL-A742', { ...SLOT, attendees: [{ role: 'primary_holder' }, { role: 'joint_holder' }] });
+    await contacts.saveContact('NL-A742', { name: 'Priya Sharma', email: 'priya@example.com', phone: '+919876543210' });
+  });
+
+  afterEach(() => {
+    releaseClock();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('should email the booking code, time and scaled checklist when a reminder is due', async () => {
+    const scheduler = createScheduler();
+    expect(await scheduler.runOnce(at('2025-01-11T12:00:00Z'))).toEqual([]);
+
+    expect(await scheduler.runOnce(at('2025-01-12T05:00:00Z'))).toEqual([{ bookingCode: 'NL-A742', offsetMinutes: 1440 }]);
+    const [[configs]] = conversationEngine.executeToolCalls.mock.calls;
+    expect(configs[0].name).toBe('email_send_reminder');
+    expect(configs[0].params).toMatchObject({
+      bookingCode: 'NL-A742',
+      topic: 'KYC/Onboarding',
+      lead: 'in 24 hours',
+      contact: { email: 'priya@example.com' }
+    });
+    expect(configs[0].params.slotText).toContain('10:00 AM');
+    expect(configs[0].params.checklist).toContain('PAN card copy');
+    expect(configs[0].params.checklist).toContain('Address proof for the joint holder');
+  });
+
+  it('should never send the same reminder twice, even after a restart', async () => {
+    await createScheduler().runOnce(at('2025-01-12T05:00:00Z'));
+
+    const reloaded = new BookingStore(new JsonStorageAdapter(path.join(tmpDir, 'bookings.json')));
+    expect(await createScheduler(reloaded).runOnce(at('2025-01-12T05:10:00Z'))).toEqual([]);
+    expect(await createScheduler(reloaded).runOnce(at('2025-01-13T03:45:00Z')))
+      .toEqual([{ bookingCode: 'NL-A742', offsetMinutes: 60 }]);
+    expect(conversationEngine.executeToolCalls).toHaveBeenCalledTimes(2);
+  });
+
+  it('should send only the nearest reminder when several are due at once', async () => {
+    const scheduler = createScheduler();
+    expect(await scheduler.runOnce(at('2025-01-13T04:00:00Z'))).toEqual([{ bookingCode: 'NL-A742', offsetMinutes: 60 }]);
+    expect(store.wasReminderSent('NL-A742', 1440)).toBe(true);
+    expect(store.getBooking('NL-A742').remindersSent.find(r => r.offsetMinutes === 1440).skipped).toBe(true);
+  });
+
+  it('should remind again after a reschedule and skip cancelled bookings', async () => {
+    const scheduler = createScheduler();
+    await scheduler.runOnce(at('2025-01-12T05:00:00Z'));
+
+    await store.setBooking('NL-A742', { ...store.getBooking('NL-A742'), slot: '2025-01-13T06:30:00.000Z', endSlot: '2025-01-13T07:30:00.000Z' });
+    expect(await scheduler.runOnce(at('2025-01-12T07:00:00Z'))).toEqual([{ bookingCode: 'NL-A742', offsetMinutes: 1440 }]);
+
+    await store.deleteBooking('NL-A742');
+    expect(await scheduler.runOnce(at('2025-01-13T06:00:00Z'))).toEqual([]);
+  });
+
+  it('should wait for contact details and retry failed sends', async () => {
+    await store.setBooking('NL-B123', { ...SLOT, advisorId: 'ADV-02' });
+    conversationEngine.executeToolCalls.mockResolvedValueOnce({
+      toolCalls: [],
+      results: [{ success: true, mock: false, data: { sent: false, message: 'No SMTP transporter available' } }]
+    });
+
+    const scheduler = createScheduler();
+    expect(await scheduler.runOnce(at('2025-01-12T05:00:00Z'))).toEqual([]);
+    expect(conversationEngine.executeToolCalls).toHaveBeenCalledTimes(1);
+    expect(await scheduler.runOnce(at('2025-01-12T05:01:00Z'))).toEqual([{ bookingCode: 'NL-A742', offsetMinutes: 1440 }]);
+  });
+
+  it('should not count a mock send as delivered', async () => {
+    conversationEngine.executeToolCalls.mockResolvedValueOnce({
+      toolCalls: [],
+      results: [{ success: true, mock: true }]
+    });
+
+    const scheduler = createScheduler();
+    expect(await scheduler.runOnce(at('2025-01-12T05:00:00Z'))).toEqual([]);
+    expect(store.wasReminderSent('NL-A742', 1440)).toBe(false);
+    expect(await scheduler.runOnce(at('2025-01-12T05:01:00Z'))).toEqual([{ bookingCode: 'NL-A742', offsetMinutes: 1440 }]);
+  });
+
+  it('should read the schedule from the environment', () => {
+    expect(getReminderSchedule({})).toEqual({ enabled: true, offsetsMinutes: [1440, 60], scanIntervalMs: 60000 });
+    expect(getReminderSchedule({ REMINDER_OFFSETS_MINUTES: '30, 120', REMINDER_SCAN_INTERVAL_SECONDS: '10' }))
+      .toEqual({ enabled: true, offsetsMinutes: [120, 30], scanIntervalMs: 10000 });
+    expect(getReminderSchedule({ REMINDERS_ENABLED: 'false' }).enabled).toBe(false);
+  });
+});
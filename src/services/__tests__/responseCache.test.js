@@ -0,0 +1,84 @@
+/**
+ * Unit Tests for the LLM response cache
+ */
+
+import { describe, it, expect, beforeEach } from '@jest/globals';
+import { ResponseCache, createResponseCache, normalizeCacheInput, isDateRelative } from '../llm/responseCache.js';
+
+// 2025-01-13 20:00 IST
+const MONDAY_EVENING = Date.parse('2025-01-13T14:30:00.000Z');
+
+describe('LLM Response Cache', () => {
+  let clock;
+  let cache;
+
+  beforeEach(() => {
+    clock = { now: MONDAY_EVENING };
+    cache = new ResponseCache({ maxEntries: 3, ttlMs: 60000, now: () => clock.now });
+  });
+
+  it('should serve near-identical phrasings from one entry and report the hit rate', () => {
+    expect(cache.get('intent', 'I want to book an appointment')).toBeUndefined();
+    cache.set('intent', 'I want to book an appointment', 'book_new');
+
+    expect(cache.get('intent', '  i want to BOOK an appointment!! ')).toBe('book_new');
+    expect(cache.get('slots:book_new', 'I want to book an appointment')).toBeUndefined();
+
+    const stats = cache.getStats();
+    expect(stats).toMatchObject({ size: 1, hits: 1, misses: 2, hitRate: 1 / 3 });
+    expect(stats.namespaces.intent).toEqual({ hits: 1, misses: 1, hitRate: 0.5 });
+  });
+
+  it('should key on the input with PII stripped', () => {
+    expect(normalizeCacheInput('Call me on 9876543210, email a.b@example.com')).toBe('call me on pii email pii');
+
+    cache.set('intent', 'cancel, my number is 9876543210', 'cancel');
+    expect(cache.get('intent', 'cancel, my number is 9123456780')).toBe('cancel');
+    expect([...cache.entries.keys()].join()).not.toContain('9876543210');
+  });
+
+  it('should never serve a date-relative answer on the next desk day', () => {
+    cache = new ResponseCache({ ttlMs: 24 * 60 * 60 * 1000, now: () => clock.now });
+    cache.set('slots:book_new', 'book for tomorrow morning', { preferred_day: 'tomorrow' });
+    cache.set('intent', 'reschedule my booking', 'reschedule');
+
+    // 18:35 UTC is still Monday in UTC but already Tuesday 00:05 at the desk
+    clock.now = Date.parse('2025-01-13T18:35:00.000Z');
+    expect(cache.get('slots:book_new', 'book for tomorrow morning')).toBeUndefined();
+    expect(cache.get('intent', 'reschedule my booking')).toBe('reschedule');
+
+    expect(isDateRelative('kal shaam 4 baje')).toBe(true);
+    expect(isDateRelative('slot on the 15th')).toBe(true);
+    expect(isDateRelative('May I book a slot')).toBe(false);
+  });
+
+  it('should expire entries after the TTL and evict the least recently used', () => {
+    cache.set('intent', 'cancel my booking', 'cancel');
+    cache.set('intent', 'what should I bring', 'what_to_prepare');
+    cache.set('intent', 'when are you free', 'check_availability');
+    cache.get('intent', 'cancel my booking');
+    cache.set('intent', 'move my appointment', 'reschedule');
+
+    expect(cache.get('intent', 'what should I bring')).toBeUndefined();
+    expect(cache.get('intent', 'cancel my booking')).toBe('cancel');
+    expect(cache.getStats().evictions).toBe(1);
+
+    clock.now += 60000;
+    expect(cache.get('intent', 'cancel my booking')).toBeUndefined();
+    expect(cache.getStats().expirations).toBe(1);
+  });
+
+  it('should hand out copies and honour the environment settings', () => {
+    cache.set('slots:cancel', 'cancel NL-A742', { booking_code: 'NL-A742' });
+    cache.get('slots:cancel', 'cancel NL-A742').booking_code = 'changed';
+    expect(cache.get('slots:cancel', 'cancel NL-A742')).toEqual({ booking_code: 'NL-A742' });
+
+    const configured = createResponseCache({ LLM_CACHE_MAX_ENTRIES: '10', LLM_CACHE_TTL_SECONDS: '30' });
+    expect(configured.getStats()).toMatchObject({ enabled: true, maxEntries: 10, ttlSeconds: 30 });
+
+    const disabled = createResponseCache({ LLM_CACHE_ENABLED: 'false' });
+    disabled.set('intent', 'cancel', 'cancel');
+    expect(disabled.get('intent', 'cancel')).toBeUndefined();
+    expect(disabled.getStats().size).toBe(0);
+  });
+});
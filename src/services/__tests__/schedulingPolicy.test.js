@@ -0,0 +1,75 @@
+/**
+ * Unit Tests for Scheduling Policy
+ */
+
+import { describe, it, expect } from '@jest/globals';
+import { SchedulingPolicy, POLICY_RULES, createPolicyViolationError } from '../schedulingPolicy.js';
+
+describe('SchedulingPolicy', () => {
+  const policy = new SchedulingPolicy({
+    bufferMinutes: 10,
+    maxBookingsPerDay: 3,
+    maxBookingsPerAdvisorPerDay: 2,
+    minLeadMinutes: 120,
+    maxHorizonDays: 30
+  });
+  const now = new Date('2025-01-10T04:30:00Z'); // 10:00 AM IST
+  const at = (iso, minutes = 30) => {
+    const start = new Date(iso);
+    return { start, end: new Date(start.getTime() + minutes * 60000) };
+  };
+
+  it('should enforce the lead time and booking horizon', () => {
+    expect(policy.checkBookingWindow(new Date('2025-01-10T05:30:00Z'), now)).toEqual({ rule: POLICY_RULES.LEAD_TIME, minutes: 120 });
+    expect(policy.checkBookingWindow(new Date('2025-01-10T06:30:00Z'), now)).toBeNull();
+    expect(policy.checkBookingWindow(new Date('2025-02-10T04:30:00Z'), now)).toEqual({ rule: POLICY_RULES.HORIZON, days: 30 });
+  });
+
+  it('should only block a day when all of it is too soon or it is past the horizon', () => {
+    expect(policy.checkDay(new Date('2025-01-10T04:30:00Z'), new Date('2025-01-10T12:00:00Z'), now)).toBeNull();
+    expect(policy.checkDay(new Date('2025-01-10T04:30:00Z'), new Date('2025-01-10T05:00:00Z'), now).rule).toBe(POLICY_RULES.LEAD_TIME);
+    expect(policy.checkDay(new Date('2025-02-12T04:30:00Z'), new Date('2025-02-12T12:00:00Z'), now).rule).toBe(POLICY_RULES.HORIZON);
+  });
+
+  it('should keep the buffer free between one advisor\'s appointments', () => {
+    const booked = [{ ...at('2025-01-13T04:30:00Z'), advisorId: 'ADV-01' }]; // 10:00-10:30 IST
+    const tooClose = at('2025-01-13T05:05:00Z');
+    const spaced = at('2025-01-13T05:10:00Z');
+
+    expect(policy.checkCapacity(tooClose.start, tooClose.end, booked, 'ADV-01')).toEqual({ rule: POLICY_RULES.BUFFER, minutes: 10 });
+    expect(policy.checkCapacity(spaced.start, spaced.end, booked, 'ADV-01')).toBeNull();
+    expect(policy.checkCapacity(tooClose.start, tooClose.end, booked, 'ADV-02')).toBeNull();
+  });
+
+  it('should cap bookings per IST day for the desk and for each advisor', () => {
+    const slot = at('2025-01-13T10:00:00Z');
+    const booked = [
+      { ...at('2025-01-13T04:30:00Z'), advisorId: 'ADV-01' },
+      { ...at('2025-01-13T06:30:00Z'), advisorId: 'ADV-01' }
+    ];
+    expect(policy.checkCapacity(slot.start, slot.end, booked, 'ADV-01')).toMatchObject({ rule: POLICY_RULES.ADVISOR_DAILY_CAP, limit: 2 });
+    expect(policy.checkCapacity(slot.start, slot.end, booked, 'ADV-02')).toBeNull();
+
+    // 20:00 UTC on 12 January is already 13 January in IST
+    const full = [...booked, { slot: '2025-01-12T20:00:00Z', endSlot: '2025-01-12T20:30:00Z', advisorId: 'ADV-02' }];
+    expect(policy.checkCapacity(slot.start, slot.end, full, 'ADV-03')).toEqual({ rule: POLICY_RULES.DAILY_CAP, limit: 3, dayKey: '2025-01-13' });
+  });
+
+  it('should turn caps and the horizon off at 0 and read overrides from the environment', () => {
+    const open = new SchedulingPolicy({ bufferMinutes: 0, maxBookingsPerDay: 0, maxBookingsPerAdvisorPerDay: 0, minLeadMinutes: 0, maxHorizonDays: 0 });
+    const far = at('2026-01-10T04:30:00Z');
+    expect(open.checkBookingWindow(far.start, now)).toBeNull();
+    expect(open.checkCapacity(far.start, far.end, [])).toBeNull();
+
+    const fromEnv = SchedulingPolicy.fromEnv({ BOOKING_BUFFER_MINUTES: '15', MAX_BOOKINGS_PER_DAY: 'lots' });
+    expect(fromEnv.bufferMinutes).toBe(15);
+    expect(fromEnv.maxBookingsPerDay).toBe(24);
+  });
+
+  it('should flag violations as policy errors', () => {
+    const error = createPolicyViolationError({ rule: POLICY_RULES.LEAD_TIME, minutes: 120 }, 'NL-A742');
+    expect(error.isPolicyViolation).toBe(true);
+    expect(error.bookingCode).toBe('NL-A742');
+    expect(error.violation.rule).toBe(POLICY_RULES.LEAD_TIME);
+  });
+});
@@ -0,0 +1,58 @@
+/**
+ * Unit Tests for Session Store
+ */
+
+import { describe, it, expect, beforeEach, afterEach, jest } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { MemorySessionStore, FileSessionStore } from '../sessionStore.js';
+
+describe('Session Store', () => {
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('should expire idle sessions in memory', async () => {
+    jest.useFakeTimers({ now: new Date('2025-01-13T10:00:00Z') });
+    const store = new MemorySessionStore({ ttlMs: 60 * 1000 });
+    await store.set('session-1', { state: 'slot_offer' });
+
+    expect(await store.get('session-1')).toEqual({ state: 'slot_offer' });
+    expect(await store.getExpiredSessionIds()).toEqual([]);
+
+    jest.advanceTimersByTime(61 * 1000);
+    expect(await store.get('session-1')).toBe(null);
+    expect(await store.getExpiredSessionIds()).toEqual(['session-1']);
+  });
+
+  describe('file store', () => {
+    let tmpDir;
+
+    beforeEach(() => {
+      tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'session-store-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    it('should persist sessions across store instances', async () => {
+      await new FileSessionStore({ dir: tmpDir, ttlMs: 60 * 1000 }).set('session/1', { state: 'slot_offer' });
+
+      const reopened = new FileSessionStore({ dir: tmpDir, ttlMs: 60 * 1000 });
+      expect(await reopened.get('session/1')).toEqual({ state: 'slot_offer' });
+
+      await reopened.delete('session/1');
+      expect(await reopened.get('session/1')).toBe(null);
+    });
+
+    it('should report idle sessions', async () => {
+      const store = new FileSessionStore({ dir: tmpDir, ttlMs: 60 * 1000 });
+      await store.set('session-1', {});
+
+      expect(await store.getExpiredSessionIds(Date.now() + 30 * 1000)).toEqual([]);
+      expect(await store.getExpiredSessionIds(Date.now() + 61 * 1000)).toEqual(['session-1']);
+    });
+  });
+});
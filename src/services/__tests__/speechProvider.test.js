@@ -0,0 +1,103 @@
+/**
+ * Unit Tests for Speech Providers
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { LocalSpeechProvider } from '../speech/localSpeechProvider.js';
+import { createSpeechProvider } from '../speechService.js';
+import { logger } from '../../utils/logger.js';
+
+describe('Speech Providers', () => {
+  describe('local provider', () => {
+    let tmpDir;
+
+    beforeEach(() => {
+      tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'speech-fixtures-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    it('should transcribe recordings from fixture pairs', async () => {
+      const recording = Buffer.from([0x1a, 0x45, 0xdf, 0xa3, 0x00, 0x01]);
+      fs.writeFileSync(path.join(tmpDir, 'book-kyc.webm'), recording);
+      fs.writeFileSync(path.join(tmpDir, 'book-kyc.txt'), 'I want to book a KYC call\n');
+
+      const provider = new LocalSpeechProvider({ fixturesDir: tmpDir });
+
+      expect(await provider.speechToText(recording, 'audio/webm')).toBe('I want to book a KYC call');
+    });
+
+    it('should take plain text audio as its own transcript', async () => {
+      const provider = new LocalSpeechProvider();
+
+      expect(await provider.speechToText(Buffer.from('Tomorrow afternoon'))).toBe('Tomorrow afternoon');
+    });
+
+    it('should keep phone numbers and emails out of the logged transcript', async () => {
+      const provider = new LocalSpeechProvider();
+      logger.clear();
+
+      await provider.speechToText(Buffer.from('Call me on 9876543210 or at asha.rao@example.com'));
+      const logged = JSON.stringify(logger.getLogs());
+      expect(logged).toContain('[REDACTED]');
+      expect(logged).not.toContain('9876543210');
+      expect(logged).not.toContain('asha.rao@example.com');
+    });
+
+    it('should reject recordings without a fixture', async () => {
+      const provider = new LocalSpeechProvider({ fixturesDir: tmpDir });
+
+      await expect(provider.speechToText(Buffer.from([0x00, 0xff, 0xfe]))).rejects.toThrow('no transcript fixture');
+      await expect(provider.speechToText(Buffer.alloc(0))).rejects.toThrow('Audio buffer is empty');
+    });
+
+    it('should synthesize a WAV clip sized to the speaking rate', async () => {
+      const provider = new LocalSpeechProvider();
+      const audio = await provider.textToSpeech('a'.repeat(30)); // 2 seconds at 15 chars/s
+
+      expect(audio.toString('ascii', 0, 4)).toBe('RIFF');
+      expect(audio.toString('ascii', 8, 12)).toBe('WAVE');
+      expect(audio.readUInt32LE(40)).toBe(2 * 8000 * 2);
+      expect(provider.audioContentType).toBe('audio/wav');
+    });
+
+    it('should stream the clip in chunks and stop when aborted', async () => {
+      const provider = new LocalSpeechProvider({ chunkBytes: 1000 });
+      const full = await provider.textToSpeech('Hello there');
+
+      const chunks = [];
+      for await (const chunk of await provider.textToSpeechStream('Hello there')) {
+        chunks.push(chunk);
+      }
+      expect(Buffer.concat(chunks)).toEqual(full);
+      expect(chunks[0]).toHaveLength(1000);
+
+      const controller = new AbortController();
+      const partial = [];
+      for await (const chunk of await provider.textToSpeechStream('Hello there', { signal: controller.signal })) {
+        partial.push(chunk);
+        controller.abort();
+      }
+      expect(partial).toHaveLength(1);
+    });
+  });
+
+  it('should select the provider from SPEECH_PROVIDER', () => {
+    const original = process.env.SPEECH_PROVIDER;
+    try {
+      process.env.SPEECH_PROVIDER = 'local';
+      expect(createSpeechProvider().providerName).toBe('local');
+
+      process.env.SPEECH_PROVIDER = 'elevenlabs';
+      expect(createSpeechProvider().providerName).toBe('elevenlabs');
+    } finally {
+      if (original === undefined) delete process.env.SPEECH_PROVIDER;
+      else process.env.SPEECH_PROVIDER = original;
+    }
+  });
+});
@@ -0,0 +1,104 @@
+/**
+ * Unit Tests for Voice Streaming
+ */
+
+import { describe, it, expect } from '@jest/globals';
+import { streamSpeechToClient, estimateDeliveredText } from '../voiceStreaming.js';
+
+function fakeStream(chunks) {
+  return async function* () {
+    for (const chunk of chunks) {
+      yield chunk;
+    }
+  };
+}
+
+describe('Voice Streaming', () => {
+  it('should send numbered audio chunks followed by a final marker', async () => {
+    const chunks = [Uint8Array.from([1, 2, 3]), new Uint8Array(0), Uint8Array.from([4, 5])];
+    const sent = [];
+
+    const result = await streamSpeechToClient(
+      'Your booking code is NL-A742.',
+      (message) => sent.push(message),
+      { sessionId: 'session-1', state: 'booking_confirmed', intent: 'book_new' },
+      { ttsStream: async () => fakeStream(chunks)(), contentType: 'audio/mpeg' }
+    );
+
+    expect(result).toEqual({ chunks: 2, bytes: 5, interrupted: false });
+    expect(sent).toHaveLength(3);
+    expect(sent[0]).toEqual({
+      type: 'audio_chunk_response',
+      seq: 0,
+      audio: Buffer.from([1, 2, 3]).toString('base64'),
+      contentType: 'audio/mpeg',
+      final: false,
+      sessionId: 'session-1'
+    });
+    expect(sent[1].seq).toBe(1);
+    expect(Buffer.from(sent[1].audio, 'base64')).toEqual(Buffer.from([4, 5]));
+    expect(sent[2]).toEqual({
+      type: 'audio_chunk_response',
+      seq: 2,
+      final: true,
+      interrupted: false,
+      text: 'Your booking code is NL-A742.',
+      state: 'booking_confirmed',
+      intent: 'book_new',
+      sessionId: 'session-1'
+    });
+  });
+
+  it('should propagate errors before any chunk is sent', async () => {
+    const sent = [];
+    await expect(streamSpeechToClient('Hello', (message) => sent.push(message), {}, {
+      ttsStream: async () => { throw new Error('TTS unavailable'); }
+    })).rejects.toThrow('TTS unavailable');
+    expect(sent).toEqual([]);
+  });
+
+  it('should stop streaming and report an interruption when aborted', async () => {
+    const controller = new AbortController();
+    const sent = [];
+
+    const result = await streamSpeechToClient('I have 2 options', (message) => {
+      sent.push(message);
+      if (message.seq === 0) controller.abort();
+    }, { sessionId: 'session-1' }, {
+      ttsStream: async () => fakeStream([Uint8Array.from([1]), Uint8Array.from([2]), Uint8Array.from([3])])(),
+      signal: controller.signal
+    });
+
+    expect(result).toEqual({ chunks: 1, bytes: 1, interrupted: true });
+    expect(sent).toHaveLength(2);
+    expect(sent[1]).toMatchObject({ seq: 1, final: true, interrupted: true });
+  });
+
+  it('should treat a TTS request aborted by barge-in as interrupted', async () => {
+    const controller = new AbortController();
+    controller.abort();
+    const sent = [];
+
+    const result = await streamSpeechToClient('Hello', (message) => sent.push(message), {}, {
+      ttsStream: async () => { throw new Error('The operation was aborted'); },
+      signal: controller.signal
+    });
+
+    expect(result.interrupted).toBe(true);
+    expect(sent).toEqual([expect.objectContaining({ final: true, interrupted: true })]);
+  });
+
+  describe('estimateDeliveredText', () => {
+    const text = 'I have 2 options on 13 January:\n3:00 PM to 3:30 PM IST\n4:30 PM to 5:00 PM IST';
+
+    it('should cut the heard text at a word boundary', () => {
+      expect(estimateDeliveredText(text, 1000)).toBe('I have 2');
+      expect(estimateDeliveredText(text, 3500)).toBe('I have 2 options on 13 January:\n3:00 PM to 3:30 PM');
+    });
+
+    it('should return nothing before playback and everything after it', () => {
+      expect(estimateDeliveredText(text, 0)).toBe('');
+      expect(estimateDeliveredText(text, 60000)).toBe(text);
+    });
+  });
+});
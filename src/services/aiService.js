@@ -1,27 +1,31 @@
 /**
- * AI Service - Integration with Groq/Claude/Gemini
+ * AI Service - Integration with Groq/Claude/Gemini/OpenAI-compatible servers
+ * Providers come from the registry, in the failover order of AI_PROVIDER_CHAIN (default:
+ * AI_PROVIDER alone). Every provider answers in the same shape, so the prompts below
+ * work unchanged on all of them; when the whole chain fails, keywords take over.
  */
 
-import Groq from 'groq-sdk';
-import Anthropic from '@anthropic-ai/sdk';
 import dotenv from 'dotenv';
-import {
-  intentClassificationLimiter,
-  slotExtractionLimiter,
-  generalAPILimiter
-} from '../utils/rateLimiter.js';
 import {
   classifyIntentWithKeywords,
   isRateLimitError,
   shouldUseKeywordFallback
 } from '../utils/keywordClassifier.js';
+import { createLLMProvider, listLLMProviders } from './llm/providerRegistry.js';
+import { LLMFailoverChain } from './llm/failoverChain.js';
+import { createResponseCache } from './llm/responseCache.js';
+import { now } from '../utils/clock.js';
 import { logger } from '../utils/logger.js';
 import { utcToZonedTime } from 'date-fns-tz';
 import { format } from 'date-fns';
 
 dotenv.config();
 
-const AI_PROVIDER = process.env.AI_PROVIDER || 'groq';
+const AI_PROVIDER = (process.env.AI_PROVIDER || 'groq').toLowerCase();
+const AI_PROVIDER_CHAIN = (process.env.AI_PROVIDER_CHAIN || AI_PROVIDER)
+  .split(',')
+  .map(name => name.trim().toLowerCase())
+  .filter(Boolean);
 
 // Detect if we're in a test environment
 const IS_TEST_ENV = process.env.NODE_ENV === 'test' ||
@@ -29,34 +33,54 @@ const IS_TEST_ENV = process.env.NODE_ENV === 'test' ||
   typeof jest !== 'undefined' ||
   (typeof process !== 'undefined' && process.argv.some(arg => arg.includes('jest')));
 
-let groqClient = null;
-let claudeClient = null;
+let llmChain = null;
+
+// Intent and slot answers for repeated phrases, shared by every session
+const responseCache = createResponseCache();
 
-// Initialize clients based on provider (skip in test environment)
+// Initialize the configured providers (skip in test environment)
 if (!IS_TEST_ENV) {
-  if (AI_PROVIDER === 'groq') {
-    if (process.env.GROQ_API_KEY) {
-      groqClient = new Groq({ apiKey: process.env.GROQ_API_KEY });
-      console.log('✅ Groq client initialized');
+  const providers = [];
+  for (const name of AI_PROVIDER_CHAIN) {
+    // In a chain, a rate-limited provider hands over to the next one instead of backing off
+    const provider = createLLMProvider(name, AI_PROVIDER_CHAIN.length > 1 ? { maxRetries: 0 } : {});
+    if (!provider) {
+      console.warn(`⚠️  AI provider "${name}" not supported. Use one of: ${listLLMProviders().join(', ')}`);
+    } else if (provider.isConfigured()) {
+      providers.push(provider);
+      console.log(`✅ ${provider.providerName} client initialized (tool calling ${provider.supportsTools ? 'supported' : 'not supported'})`);
     } else {
-      console.warn('⚠️  GROQ_API_KEY not found in environment variables');
+      console.warn(`⚠️  ${provider.providerName} client not configured. ${provider.getConfigurationHint()}`);
     }
   }
 
-  if (AI_PROVIDER === 'claude') {
-    if (process.env.ANTHROPIC_API_KEY) {
-      claudeClient = new Anthropic({ apiKey: process.env.ANTHROPIC_API_KEY });
-      console.log('✅ Claude client initialized');
-    } else {
-      console.warn('⚠️  ANTHROPIC_API_KEY not found in environment variables');
-    }
-  }
+  const cooldownSeconds = parseFloat(process.env.LLM_CIRCUIT_COOLDOWN_SECONDS);
+  llmChain = new LLMFailoverChain(providers, {
+    breaker: cooldownSeconds > 0 ? { cooldownMs: cooldownSeconds * 1000 } : {}
+  });
 } else {
   console.log('⚠️  Test environment detected: Skipping AI client initialization. Using keyword-based fallback for all AI operations.');
 }
 
 /**
- * Get AI response with function calling support and rate limiting
+ * Get the LLM failover chain
+ * @returns {LLMFailoverChain|null} Chain of configured providers, or null in the test environment
+ */
+export function getLLMChain() {
+  return llmChain;
+}
+
+/**
+ * Get the LLM response cache used by classifyIntent and extractSlots
+ * @returns {ResponseCache}
+ */
+export function getResponseCache() {
+  return responseCache;
+}
+
+/**
+ * Get AI response with function calling support, rate limiting and provider failover
+ * Providers without tool calling get the prompt alone; tools are dropped with a log entry.
  * @param {string} systemPrompt - System prompt
  * @param {Array} messages - Conversation messages
  * @param {Array} tools - Available tools/functions
@@ -65,26 +89,15 @@ if (!IS_TEST_ENV) {
 export async function getAIResponse(systemPrompt, messages, tools = []) {
   // Skip API calls in test environment
   if (IS_TEST_ENV) {
-    console.log('⚠️  Test environment: Skipping Groq API call. This should be mocked in tests.');
+    console.log('⚠️  Test environment: Skipping LLM API call. This should be mocked in tests.');
     throw new Error('API calls are disabled in test environment. Use mocks instead.');
   }
 
   try {
-    if (AI_PROVIDER === 'groq') {
-      if (!groqClient) {
-        throw new Error('Groq client not initialized. Please set GROQ_API_KEY in your .env file');
-      }
-      return await getGroqResponse(systemPrompt, messages, tools);
-    } else if (AI_PROVIDER === 'claude') {
-      if (!claudeClient) {
-        throw new Error('Claude client not initialized. Please set ANTHROPIC_API_KEY in your .env file');
-      }
-      // Apply rate limiting for Claude as well
-      await generalAPILimiter.waitIfNeeded();
-      return await getClaudeResponse(systemPrompt, messages, tools);
-    } else {
-      throw new Error(`AI provider "${AI_PROVIDER}" not supported. Use "groq" or "claude"`);
+    if (!llmChain || llmChain.entries.length === 0) {
+      throw new Error(`No AI provider configured. Set AI_PROVIDER or AI_PROVIDER_CHAIN to ${listLLMProviders().join(', ')} with its API key or URL`);
     }
+    return await llmChain.complete(systemPrompt, messages, tools);
   } catch (error) {
     // Enhance error with rate limit detection
     if (isRateLimitError(error)) {
@@ -102,127 +115,6 @@ export async function getAIResponse(systemPrompt, messages, tools = []) {
   }
 }
 
-/**
- * Get response from Groq with rate limiting and error handling
- */
-async function getGroqResponse(systemPrompt, messages, tools, retryCount = 0) {
-  const MAX_RETRIES = 2;
-  const RETRY_DELAY_BASE = 1000; // Base delay in ms
-
-  try {
-    // Determine which rate limiter to use
-    const isIntentClassification = systemPrompt.includes('intent classifier') ||
-      systemPrompt.includes('expert intent classifier');
-    const isSlotExtraction = systemPrompt.includes('slot extractor');
-
-    const limiter = isIntentClassification
-      ? intentClassificationLimiter
-      : isSlotExtraction
-        ? slotExtractionLimiter
-        : generalAPILimiter;
-
-    // Wait if rate limit would be exceeded
-    await limiter.waitIfNeeded();
-
-    // Use a current Groq model - llama-3.3-70b-versatile or fallback to llama-3.1-8b-instant
-    const model = process.env.GROQ_MODEL || 'llama-3.3-70b-versatile';
-
-    // Optimize parameters for intent classification vs other tasks
-    const temperature = isIntentClassification ? 0.1 : 0.3; // Very low temperature for consistent classification
-    const maxTokens = isIntentClassification ? 50 : 500; // Very short response for intent classification
-
-    const completion = await groqClient.chat.completions.create({
-      model: model,
-      messages: [
-        { role: 'system', content: systemPrompt },
-        ...messages
-      ],
-      tools: tools.length > 0 ? tools : undefined,
-      tool_choice: tools.length > 0 ? 'auto' : undefined,
-      temperature: temperature,
-      max_tokens: maxTokens,
-      stream: false
-    });
-
-    if (!completion || !completion.choices || completion.choices.length === 0) {
-      throw new Error('No response from Groq API');
-    }
-
-    const response = completion.choices[0];
-
-    if (!response || !response.message) {
-      throw new Error('Invalid response structure from Groq API');
-    }
-
-    return {
-      content: response.message.content || '',
-      toolCalls: response.message.tool_calls || [],
-      finishReason: response.finish_reason
-    };
-  } catch (error) {
-    // Handle rate limit errors with exponential backoff retry
-    if (isRateLimitError(error) && retryCount < MAX_RETRIES) {
-      const retryDelay = RETRY_DELAY_BASE * Math.pow(2, retryCount); // Exponential backoff
-      console.warn(`⚠️  Rate limit hit. Retrying in ${retryDelay}ms (attempt ${retryCount + 1}/${MAX_RETRIES})...`);
-
-      await new Promise(resolve => setTimeout(resolve, retryDelay));
-      return await getGroqResponse(systemPrompt, messages, tools, retryCount + 1);
-    }
-
-    // Log error details
-    console.error('Groq API Error:', error.message);
-    if (error.status) {
-      console.error('Status Code:', error.status);
-    }
-    if (error.response) {
-      console.error('API Response:', error.response.data);
-    }
-
-    // Enhance error with rate limit info
-    if (isRateLimitError(error)) {
-      error.isRateLimit = true;
-      error.retryAfter = error.response?.headers?.['retry-after'] || 60;
-    }
-
-    throw error;
-  }
-}
-
-/**
- * Get response from Claude
- */
-async function getClaudeResponse(systemPrompt, messages, tools) {
-  // Convert messages format for Claude
-  const claudeMessages = messages.map(msg => ({
-    role: msg.role === 'assistant' ? 'assistant' : 'user',
-    content: msg.content
-  }));
-
-  const completion = await claudeClient.messages.create({
-    model: 'claude-3-5-sonnet-20241022',
-    max_tokens: 1000,
-    system: systemPrompt,
-    messages: claudeMessages,
-    tools: tools.length > 0 ? tools : undefined
-  });
-
-  const content = completion.content.find(c => c.type === 'text');
-  const toolCalls = completion.content.filter(c => c.type === 'tool_use');
-
-  return {
-    content: content?.text || '',
-    toolCalls: toolCalls.map(tc => ({
-      id: tc.id,
-      type: 'function',
-      function: {
-        name: tc.name,
-        arguments: JSON.stringify(tc.input)
-      }
-    })),
-    finishReason: completion.stop_reason
-  };
-}
-
 /**
  * Classify intent from user input using LLM with keyword fallback
  * @param {string} userInput - User's input text
@@ -232,7 +124,7 @@ async function getClaudeResponse(systemPrompt, messages, tools) {
 export async function classifyIntent(userInput, retryCount = 0) {
   // Skip API calls in test environment - use keyword classifier instead
   if (IS_TEST_ENV) {
-    console.log(`⚠️  Test environment: Skipping Groq API call for intent classification. Using keyword-based classifier instead.`);
+    console.log(`⚠️  Test environment: Skipping LLM API call for intent classification. Using keyword-based classifier instead.`);
     const keywordIntent = classifyIntentWithKeywords(userInput);
     logger.log('keyword', `Intent classified via keywords (test mode): ${keywordIntent}`, {
       userInput,
@@ -242,6 +134,18 @@ export async function classifyIntent(userInput, retryCount = 0) {
     return keywordIntent;
   }
 
+  if (retryCount === 0) {
+    const cachedIntent = responseCache.get('intent', userInput);
+    if (cachedIntent) {
+      logger.log('llm', `Intent classified from cache: ${cachedIntent}`, {
+        userInput,
+        intent: cachedIntent,
+        method: 'cache'
+      });
+      return cachedIntent;
+    }
+  }
+
   const MAX_RETRIES = 2;
   const validIntents = ['book_new', 'reschedule', 'cancel', 'what_to_prepare', 'check_availability'];
 
@@ -279,6 +183,7 @@ CRITICAL RULES:
 7. If the user is asking about cancelling, use "cancel"
 8. If the user is asking what to bring/prepare, use "what_to_prepare"
 9. If the user is asking about available times, use "check_availability"
+10. The user may speak Hindi or Hinglish (e.g. "appointment book karna hai", "booking radd kar do", "slot kab khali hai"); classify the meaning
 
 Your response must be exactly one of these 5 words: book_new, reschedule, cancel, what_to_prepare, check_availability`;
 
@@ -317,8 +222,10 @@ Your response must be exactly one of these 5 words: book_new, reschedule, cancel
           userInput,
           intent: validIntent,
           method: 'llm',
+          provider: response.provider,
           rawResponse: response.content
         });
+        responseCache.set('intent', userInput, validIntent);
         return validIntent;
       }
     }
@@ -339,6 +246,7 @@ Your response must be exactly one of these 5 words: book_new, reschedule, cancel
         intent: matchedIntent,
         method: 'llm_pattern'
       });
+      responseCache.set('intent', userInput, matchedIntent);
       return matchedIntent;
     }
 
@@ -399,7 +307,7 @@ Your response must be exactly one of these 5 words: book_new, reschedule, cancel
 export async function extractSlots(userInput, intent) {
   // Skip API calls in test environment - return empty slots
   if (IS_TEST_ENV) {
-    console.log(`⚠️  Test environment: Skipping Groq API call for slot extraction. Returning empty slots.`);
+    console.log(`⚠️  Test environment: Skipping LLM API call for slot extraction. Returning empty slots.`);
     logger.log('keyword', `Slot extraction skipped (test mode)`, {
       userInput,
       intent,
@@ -408,6 +316,14 @@ export async function extractSlots(userInput, intent) {
     return {};
   }
 
+  // Slots depend on the intent as well as the words
+  const cacheNamespace = `slots:${intent}`;
+  const cachedSlots = responseCache.get(cacheNamespace, userInput);
+  if (cachedSlots) {
+    logger.log('llm', 'Slots extracted from cache', { userInput, intent, slots: cachedSlots, method: 'cache' });
+    return cachedSlots;
+  }
+
   const systemPrompt = `You are a slot extractor for an advisor appointment scheduling system.
 
 Extract relevant information from the user's input based on the intent: ${intent}
@@ -455,6 +371,7 @@ IMPORTANT: Respond with ONLY a valid JSON object. Use null for missing values. E
     if (jsonMatch) {
       try {
         const parsed = JSON.parse(jsonMatch[0]);
+        responseCache.set(cacheNamespace, userInput, parsed);
         return parsed;
       } catch (parseError) {
         console.warn('Failed to parse JSON, trying to fix:', parseError.message);
@@ -463,7 +380,9 @@ IMPORTANT: Respond with ONLY a valid JSON object. Use null for missing values. E
           .replace(/'/g, '"')  // Replace single quotes with double quotes
           .replace(/(\w+):/g, '"$1":'); // Add quotes to keys if missing
         try {
-          return JSON.parse(fixedJson);
+          const parsed = JSON.parse(fixedJson);
+          responseCache.set(cacheNamespace, userInput, parsed);
+          return parsed;
         } catch (e) {
           console.error('Could not fix JSON:', e.message);
         }
@@ -489,8 +408,12 @@ export async function interpretDateTimeWithLLM(userInput) {
     return { date: null, timeWindow: null, confidence: 0, needsClarification: true };
   }
 
+  const todayIST = format(utcToZonedTime(now(), 'Asia/Kolkata'), 'EEEE, d MMMM yyyy');
+
   const systemPrompt = `You are a date and time interpreter for an advisor appointment scheduling system.
 
+Today is ${todayIST} (IST). Resolve relative dates against it.
+
 Your task is to interpret the user's date and time preference and extract:
 1. A specific date (or relative date like "today", "tomorrow", "next day", "day after tomorrow", "next Monday", "this Friday")
 2. A time window: "morning" (10 AM - 12 PM), "afternoon" (12 PM - 4 PM), "evening" (4 PM - 6 PM), or "any" (10 AM - 6 PM)
@@ -503,6 +426,7 @@ IMPORTANT CONSTRAINTS:
 - If the user requests "evening", "late", or "PM" (late hours), map to "evening".
 - If the user requests a Sunday, you should detect this as a weekend/holiday.
 - Since Saturday is a working day now, it is NOT considered a weekend refusal case.
+- The user may speak Hindi or Hinglish: "aaj" = today, "kal" = tomorrow, "parso" = day after tomorrow, "subah" = morning, "dopahar" = afternoon, "shaam" = evening, "4 baje" = 4 o'clock.
 
 Respond with a JSON object in this exact format:
 {
@@ -599,7 +523,7 @@ export async function interpretSlotSelection(userInput, availableSlots = [], pre
     };
   });
 
-  const nowIST = utcToZonedTime(new Date(), 'Asia/Kolkata');
+  const nowIST = utcToZonedTime(now(), 'Asia/Kolkata');
   const nowISTString = format(nowIST, "EEEE, d MMMM yyyy, h:mm a");
 
   const systemPrompt = `You are a slot selection interpreter for an advisor appointment scheduling system.
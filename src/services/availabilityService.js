@@ -9,29 +9,126 @@ import {
   WORKING_DAYS,
   WORKING_DAYS_LIST,
   SLOT_DURATION_MINUTES,
-  WORKING_HOURS
+  TOPIC_DURATION_MINUTES,
+  WORKING_HOURS,
+  ADVISOR_ROSTER,
+  SYSTEM_MESSAGES
 } from '../config/constants.js';
 import { addDays, setHours, setMinutes, format, isAfter, startOfDay, getDay } from 'date-fns';
 import { zonedTimeToUtc, utcToZonedTime } from 'date-fns-tz';
-import { IST_TIMEZONE, parseIST12HourWithSeconds, parseIST12Hour } from '../utils/timezone.js';
+import { IST_TIMEZONE, parseIST12HourWithSeconds, parseIST12Hour, getTimezoneLabel } from '../utils/timezone.js';
+import { holidayCalendar } from './holidayCalendar.js';
+import { now as clockNow } from '../utils/clock.js';
+import { schedulingPolicy, POLICY_RULES } from './schedulingPolicy.js';
+import { normalizeDateTimeText } from '../utils/language.js';
 
 /**
  * Generate available slots
+ * A slot is offered when at least one roster advisor who handles the topic is working
+ * and still has capacity at that time, and the desk is not closed (see holidayCalendar).
+ * A requested day that is closed all day yields no slots. Slots also follow the scheduling
+ * policy: they are spaced by the buffer time, start after the lead time, fall within the
+ * booking horizon and respect the daily caps (see schedulingPolicy).
  * @param {Date} preferredDate - Preferred date
  * @param {string} timeWindow - Time window (morning, afternoon, evening, any)
- * @param {number} slotMinutes - Slot duration in minutes (default: 30)
- * @param {Array} existingBookings - Array of existing bookings to avoid conflicts
- * @returns {Promise<Array<Object>>} Array of available slots [{ start, end }]
+ * @param {number|null} slotMinutes - Slot duration in minutes (null: the topic's duration, see getSlotDuration)
+ * @param {Array} existingBookings - Array of existing bookings to avoid conflicts [{ start, end, advisorId }]
+ * @param {Object} options - Options
+ * @param {string} options.topic - Booking topic, used to pick eligible advisors (default: any)
+ * @param {Date} options.now - Current time for lead-time and horizon rules (default: now)
+ * @returns {Promise<Array<Object>>} Array of available slots [{ start, end, advisorId, advisorName }]
  */
-export async function getAvailableSlots(preferredDate, timeWindow = TIME_WINDOWS.ANY, slotMinutes = SLOT_DURATION_MINUTES, existingBookings = []) {
-  return getMockAvailableSlots(preferredDate, timeWindow, slotMinutes, existingBookings);
+export async function getAvailableSlots(preferredDate, timeWindow = TIME_WINDOWS.ANY, slotMinutes = null, existingBookings = [], options = {}) {
+  return getMockAvailableSlots(preferredDate, timeWindow, slotMinutes || getSlotDuration(options.topic), existingBookings, options);
+}
+
+/**
+ * Get the appointment length for a topic
+ * @param {string|null} topic - Booking topic
+ * @returns {number} Duration in minutes (SLOT_DURATION_MINUTES for unknown or missing topics)
+ */
+export function getSlotDuration(topic = null) {
+  return TOPIC_DURATION_MINUTES[topic] || SLOT_DURATION_MINUTES;
+}
+
+/**
+ * Get roster advisors who handle a topic and work the given IST day and time range
+ * @param {number} dayOfWeek - Day of week in IST (Sunday = 0)
+ * @param {number} startMinutes - Range start in minutes since IST midnight
+ * @param {number} endMinutes - Range end in minutes since IST midnight
+ * @param {string|null} topic - Booking topic (null matches every advisor)
+ * @returns {Array<Object>} Eligible advisors in roster order
+ */
+export function getEligibleAdvisors(dayOfWeek, startMinutes, endMinutes, topic = null) {
+  return ADVISOR_ROSTER.filter(advisor =>
+    advisor.workingDays.includes(dayOfWeek) &&
+    startMinutes >= advisor.hours.start * 60 &&
+    endMinutes <= advisor.hours.end * 60 &&
+    (!topic || advisor.topics.includes(topic))
+  );
+}
+
+/**
+ * Pick the first eligible advisor with spare capacity for a slot
+ * Bookings without an advisor (made before the roster existed) still occupy someone,
+ * so they use up capacity from the eligible advisors first. Advisors whose buffer time
+ * or daily cap the slot would break are skipped.
+ * @private
+ */
+function assignAdvisor(slotStart, slotEnd, eligibleAdvisors, existingBookings) {
+  eligibleAdvisors = eligibleAdvisors.filter(advisor =>
+    !schedulingPolicy.checkCapacity(slotStart, slotEnd, existingBookings, advisor.id)
+  );
+  const overlapping = existingBookings.filter(booking => {
+    const bookingStart = new Date(booking.slot || booking.start);
+    const bookingEnd = new Date(booking.endSlot || booking.end);
+    return slotStart < bookingEnd && slotEnd > bookingStart;
+  });
+
+  let unassigned = overlapping.filter(booking => !booking.advisorId).length;
+
+  for (const advisor of eligibleAdvisors) {
+    let free = advisor.capacity - overlapping.filter(booking => booking.advisorId === advisor.id).length;
+    const absorbed = Math.min(Math.max(free, 0), unassigned);
+    free -= absorbed;
+    unassigned -= absorbed;
+    if (free > 0) {
+      return advisor;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Find an advisor who can take a specific slot
+ * @param {Date} start - Slot start time (UTC)
+ * @param {Date} end - Slot end time (UTC)
+ * @param {Array} existingBookings - Array of existing bookings [{ start, end, advisorId }]
+ * @param {string|null} topic - Booking topic (null matches every advisor)
+ * @returns {Object|null} Advisor from the roster, or null if nobody is free
+ */
+export function findAvailableAdvisor(start, end, existingBookings = [], topic = null) {
+  const istStart = utcToZonedTime(start, IST_TIMEZONE);
+  const istEnd = utcToZonedTime(end, IST_TIMEZONE);
+  const startMinutes = istStart.getHours() * 60 + istStart.getMinutes();
+  let endMinutes = istEnd.getHours() * 60 + istEnd.getMinutes();
+  if (endMinutes <= startMinutes) {
+    endMinutes += 24 * 60; // Ends past midnight
+  }
+
+  const eligible = getEligibleAdvisors(getDay(istStart), startMinutes, endMinutes, topic);
+  return assignAdvisor(new Date(start), new Date(end), eligible, existingBookings);
 }
 
 /**
  * Generate mock available slots (fallback)
  * @private
  */
-function getMockAvailableSlots(preferredDate, timeWindow = TIME_WINDOWS.ANY, slotMinutes = SLOT_DURATION_MINUTES, existingBookings = []) {
+function getMockAvailableSlots(preferredDate, timeWindow = TIME_WINDOWS.ANY, slotMinutes = SLOT_DURATION_MINUTES, existingBookings = [], options = {}) {
+  const topic = options.topic || null;
+  const now = options.now || clockNow();
+
   // Convert to IST
   const istDate = utcToZonedTime(preferredDate, IST_TIMEZONE);
   let dayOfWeek = getDay(istDate);
@@ -44,10 +141,27 @@ function getMockAvailableSlots(preferredDate, timeWindow = TIME_WINDOWS.ANY, slo
       addDays(preferredDate, daysToAdd),
       timeWindow,
       slotMinutes,
-      existingBookings
+      existingBookings,
+      { ...options, skipClosedDays: true }
     );
   }
 
+  // Closed all day: nothing on the requested day, but keep moving when already skipping ahead
+  if (holidayCalendar.getFullDayClosure(preferredDate)) {
+    if (!options.skipClosedDays) {
+      return [];
+    }
+    return getAvailableSlots(addDays(preferredDate, 1), timeWindow, slotMinutes, existingBookings, options);
+  }
+  const dayKey = format(istDate, 'yyyy-MM-dd');
+
+  // Nothing past the booking horizon, and no point skipping ahead beyond it
+  const deskOpens = zonedTimeToUtc(setHours(startOfDay(istDate), WORKING_HOURS.start), IST_TIMEZONE);
+  const horizon = schedulingPolicy.checkBookingWindow(deskOpens, now);
+  if (horizon && horizon.rule === POLICY_RULES.HORIZON) {
+    return [];
+  }
+
   // Get time window range
   const windowRange = TIME_WINDOW_RANGES[timeWindow] || TIME_WINDOW_RANGES[TIME_WINDOWS.ANY];
 
@@ -56,33 +170,27 @@ function getMockAvailableSlots(preferredDate, timeWindow = TIME_WINDOWS.ANY, slo
   const startHour = Math.max(windowRange.start, WORKING_HOURS.start);
   const endHour = Math.min(windowRange.end, WORKING_HOURS.end);
 
-  // Generate slots every 30 minutes
-  for (let hour = startHour; hour < endHour; hour++) {
-    for (let minute = 0; minute < 60; minute += slotMinutes) {
-      if (hour === endHour - 1 && minute >= 60 - slotMinutes) {
-        break; // Don't create slots that extend beyond working hours
-      }
+  // Generate slots of the requested length, spaced by the buffer time; none may run past the window
+  const step = slotMinutes + schedulingPolicy.bufferMinutes;
+  for (let startMinutes = startHour * 60; startMinutes + slotMinutes <= endHour * 60; startMinutes += step) {
+    // Build the IST wall time, then convert it to the real UTC instant
+    const slotStart = zonedTimeToUtc(setMinutes(startOfDay(istDate), startMinutes), IST_TIMEZONE);
+    const slotEnd = zonedTimeToUtc(setMinutes(startOfDay(istDate), startMinutes + slotMinutes), IST_TIMEZONE);
 
-      const slotStart = setMinutes(setHours(startOfDay(istDate), hour), minute);
-      const slotEnd = setMinutes(setHours(startOfDay(istDate), hour), minute + slotMinutes);
-
-      // Check if slot conflicts with existing bookings
-      const hasConflict = existingBookings.some(booking => {
-        const bookingStart = new Date(booking.start);
-        const bookingEnd = new Date(booking.end);
-        return (
-          (slotStart >= bookingStart && slotStart < bookingEnd) ||
-          (slotEnd > bookingStart && slotEnd <= bookingEnd) ||
-          (slotStart <= bookingStart && slotEnd >= bookingEnd)
-        );
+    // Slot is free if it is far enough ahead, the desk is open and an advisor for this topic is working and not fully booked
+    if (schedulingPolicy.checkBookingWindow(slotStart, now) || holidayCalendar.getClosure(dayKey, startMinutes, startMinutes + slotMinutes)) {
+      continue;
+    }
+    const eligible = getEligibleAdvisors(dayOfWeek, startMinutes, startMinutes + slotMinutes, topic);
+    const advisor = assignAdvisor(slotStart, slotEnd, eligible, existingBookings);
+
+    if (advisor) {
+      slots.push({
+        start: slotStart,
+        end: slotEnd,
+        advisorId: advisor.id,
+        advisorName: advisor.name
       });
-
-      if (!hasConflict) {
-        slots.push({
-          start: slotStart,
-          end: slotEnd
-        });
-      }
     }
   }
 
@@ -92,7 +200,7 @@ function getMockAvailableSlots(preferredDate, timeWindow = TIME_WINDOWS.ANY, slo
     // Try to find one more slot by expanding search slightly
     const lastSlot = slots[slots.length - 1];
     const lastSlotEnd = lastSlot.end;
-    const expandedEnd = new Date(lastSlotEnd.getTime() + slotMinutes * 60000);
+    const expandedEnd = new Date(lastSlotEnd.getTime() + (slotMinutes + schedulingPolicy.bufferMinutes) * 60000);
 
     // Check if expanded slot is still within working hours
     const expandedEndIST = utcToZonedTime(expandedEnd, IST_TIMEZONE);
@@ -103,19 +211,20 @@ function getMockAvailableSlots(preferredDate, timeWindow = TIME_WINDOWS.ANY, slo
         end: new Date(expandedEnd.getTime() + slotMinutes * 60000)
       };
 
-      // Check for conflicts
-      const hasConflict = existingBookings.some(booking => {
-        const bookingStart = new Date(booking.slot || booking.start);
-        const bookingEnd = new Date(booking.endSlot || booking.end);
-        return (
-          (expandedSlot.start >= bookingStart && expandedSlot.start < bookingEnd) ||
-          (expandedSlot.end > bookingStart && expandedSlot.end <= bookingEnd) ||
-          (expandedSlot.start <= bookingStart && expandedSlot.end >= bookingEnd)
-        );
-      });
+      // Check for conflicts against the advisors working that time
+      const expandedStartIST = utcToZonedTime(expandedSlot.start, IST_TIMEZONE);
+      const startMinutes = expandedStartIST.getHours() * 60 + expandedStartIST.getMinutes();
+      const eligible = getEligibleAdvisors(dayOfWeek, startMinutes, startMinutes + slotMinutes, topic);
+      const closed = schedulingPolicy.checkBookingWindow(expandedSlot.start, now) ||
+        holidayCalendar.getClosure(dayKey, startMinutes, startMinutes + slotMinutes);
+      const advisor = closed ? null : assignAdvisor(expandedSlot.start, expandedSlot.end, eligible, existingBookings);
 
-      if (!hasConflict) {
-        slots.push(expandedSlot);
+      if (advisor) {
+        slots.push({
+          ...expandedSlot,
+          advisorId: advisor.id,
+          advisorName: advisor.name
+        });
       }
     }
   }
@@ -126,29 +235,24 @@ function getMockAvailableSlots(preferredDate, timeWindow = TIME_WINDOWS.ANY, slo
 
 /**
  * Check if a preferred slot overlaps with existing bookings
+ * Slots and bookings can be of any length (durations vary by topic); touching intervals do not overlap.
  * @param {Date} preferredStart - Preferred slot start time (UTC)
  * @param {Date} preferredEnd - Preferred slot end time (UTC)
- * @param {Array} existingBookings - Array of existing bookings [{ start, end }]
+ * @param {Array} existingBookings - Array of existing bookings [{ start, end }] or [{ slot, endSlot }]
  * @returns {Object} { hasOverlap: boolean, overlappingSlots: Array }
  */
 export function checkSlotOverlap(preferredStart, preferredEnd, existingBookings = []) {
   const overlappingSlots = existingBookings.filter(booking => {
     const bookingStart = new Date(booking.slot || booking.start);
     const bookingEnd = new Date(booking.endSlot || booking.end);
-
-    // Check for any overlap
-    return (
-      (preferredStart >= bookingStart && preferredStart < bookingEnd) ||
-      (preferredEnd > bookingStart && preferredEnd <= bookingEnd) ||
-      (preferredStart <= bookingStart && preferredEnd >= bookingEnd)
-    );
+    return preferredStart < bookingEnd && preferredEnd > bookingStart;
   });
 
   return {
     hasOverlap: overlappingSlots.length > 0,
     overlappingSlots: overlappingSlots.map(slot => ({
-      start: slot.start,
-      end: slot.end
+      start: slot.slot || slot.start,
+      end: slot.endSlot || slot.end
     }))
   };
 }
@@ -158,9 +262,11 @@ export function checkSlotOverlap(preferredStart, preferredEnd, existingBookings
  * Handles both Date objects and IST 12-hour format strings
  * @param {Date|string} start - Slot start time (Date or IST 12-hour format string)
  * @param {Date|string} end - Slot end time (Date or IST 12-hour format string)
+ * @param {string} callerTimezone - Caller's IANA timezone; when it is not IST the caller's
+ *   local time is shown first with the IST time in brackets
  * @returns {string} Formatted slot string
  */
-export function formatSlot(start, end) {
+export function formatSlot(start, end, callerTimezone = null) {
   // Convert to Date objects if needed (handles IST 12-hour format strings)
   let startDate = start;
   let endDate = end;
@@ -235,22 +341,40 @@ export function formatSlot(start, end) {
   const startTime = format(istStart, 'h:mm a');
   const endTime = format(istEnd, 'h:mm a');
 
-  return `${dayName}, ${date} from ${startTime} to ${endTime} IST`;
+  if (!callerTimezone || callerTimezone === IST_TIMEZONE) {
+    return `${dayName}, ${date} from ${startTime} to ${endTime} IST`;
+  }
+
+  // Caller abroad: lead with their local time and keep the desk time alongside
+  const callerStart = utcToZonedTime(startDate, callerTimezone);
+  const callerEnd = utcToZonedTime(endDate, callerTimezone);
+  const callerDay = `${format(callerStart, 'EEEE')}, ${format(callerStart, 'd MMMM')}`;
+  const deskDay = `${dayName}, ${date}`;
+  const deskTime = `${deskDay === callerDay ? '' : `${deskDay}, `}${startTime} to ${endTime} IST`;
+
+  return `${callerDay} from ${format(callerStart, 'h:mm a')} to ${format(callerEnd, 'h:mm a')} ${getTimezoneLabel(callerTimezone)} (${deskTime})`;
 }
 
 /**
  * Parse date/time preference from user input with enhanced natural language support
- * @param {string} userInput - User's date/time preference (e.g., "tomorrow afternoon", "Monday after 4 PM", "next week", "3 PM")
- * @returns {Object} { date: Date, timeWindow: string, specificTime: Date|null, isWeekend: boolean, requestedWeekend: boolean }
+ * @param {string} userInput - User's date/time preference (e.g., "tomorrow afternoon", "Monday after 4 PM", "next week", "3 PM",
+ *   or Hindi/Hinglish such as "kal shaam 4 baje")
+ * @param {Object} options - Options
+ * @param {string} options.timeZone - Caller's IANA timezone; days and clock times are read in it (default: IST).
+ *   Time windows (morning, afternoon, evening) always refer to desk hours.
+ * @returns {Object} { date: Date, timeWindow: string, specificTime: Date|null, isWeekend: boolean, requestedWeekend: boolean, closure: Object|null }
+ *   closure is the full-day desk closure on the parsed date, if any
  */
-export function parseDateTimePreference(userInput) {
+export function parseDateTimePreference(userInput, options = {}) {
   if (!userInput || typeof userInput !== 'string') {
-    return { date: null, timeWindow: null, specificTime: null, isWeekend: false, requestedWeekend: false };
+    return { date: null, timeWindow: null, specificTime: null, isWeekend: false, requestedWeekend: false, closure: null };
   }
 
-  const normalized = userInput.toLowerCase().trim();
-  const today = new Date();
-  const istToday = utcToZonedTime(today, IST_TIMEZONE);
+  // Hindi/Hinglish phrases ("kal shaam", "parso subah 11 baje") are rewritten in English first
+  const normalized = normalizeDateTimeText(userInput.toLowerCase().trim());
+  const timeZone = options.timeZone || IST_TIMEZONE;
+  const today = clockNow();
+  const istToday = utcToZonedTime(today, timeZone); // "Today" in the caller's zone
 
   let targetDate = istToday;
   let timeWindow = TIME_WINDOWS.ANY;
@@ -284,10 +408,11 @@ export function parseDateTimePreference(userInput) {
   // Parse date references
   else if (normalized.includes('today')) {
     targetDate = istToday;
-  } else if (normalized.includes('tomorrow') || normalized.includes('next day')) {
-    targetDate = addDays(istToday, 1);
   } else if (normalized.includes('day after tomorrow')) {
+    // Checked before "tomorrow", which it contains
     targetDate = addDays(istToday, 2);
+  } else if (normalized.includes('tomorrow') || normalized.includes('next day')) {
+    targetDate = addDays(istToday, 1);
   } else if (normalized.includes('monday') || normalized.includes('mon')) {
     const daysUntilMonday = (1 - getDay(istToday) + 7) % 7 || 7;
     targetDate = addDays(istToday, daysUntilMonday);
@@ -322,7 +447,7 @@ export function parseDateTimePreference(userInput) {
     /after\s+(\d{1,2})\s*(am|pm)?/i, // "after 4 PM", "after 3"
     /before\s+(\d{1,2})\s*(am|pm)?/i, // "before noon", "before 5"
     /(\d{1,2})\s*o'?clock/i,         // "3 o'clock"
-    /noon|midday/i,                   // "noon", "midday"
+    /\bnoon\b|\bmidday\b/i,           // "noon", "midday" (not "afternoon")
   ];
 
   let parsedHour = null;
@@ -337,9 +462,12 @@ export function parseDateTimePreference(userInput) {
         isPM = false;
         break;
       } else if (match[1]) {
+        // Patterns without minutes capture am/pm as their second group
+        const minuteText = match[2] && /^\d+$/.test(match[2]) ? match[2] : null;
+        const meridiem = match.slice(2).find(group => group && /^(?:am|pm)$/i.test(group));
         parsedHour = parseInt(match[1], 10);
-        parsedMinute = match[2] ? parseInt(match[2], 10) : 0;
-        isPM = match[3] ? match[3].toLowerCase() === 'pm' : (parsedHour < 12 && normalized.includes('pm'));
+        parsedMinute = minuteText ? parseInt(minuteText, 10) : 0;
+        isPM = meridiem ? meridiem.toLowerCase() === 'pm' : (parsedHour < 12 && normalized.includes('pm'));
 
         // Handle 12-hour format
         if (parsedHour === 12 && !isPM) {
@@ -355,12 +483,13 @@ export function parseDateTimePreference(userInput) {
   // If specific time found, create specific time object
   if (parsedHour !== null) {
     specificTime = setMinutes(setHours(startOfDay(targetDate), parsedHour), parsedMinute);
-    // Determine time window from specific hour
-    if (parsedHour >= 10 && parsedHour < 12) {
+    // Determine time window from the hour at the desk
+    const deskHour = utcToZonedTime(zonedTimeToUtc(specificTime, timeZone), IST_TIMEZONE).getHours();
+    if (deskHour >= 10 && deskHour < 12) {
       timeWindow = TIME_WINDOWS.MORNING;
-    } else if (parsedHour >= 12 && parsedHour < 16) {
+    } else if (deskHour >= 12 && deskHour < 16) {
       timeWindow = TIME_WINDOWS.AFTERNOON;
-    } else if (parsedHour >= 16 && parsedHour < 18) {
+    } else if (deskHour >= 16 && deskHour < 18) {
       timeWindow = TIME_WINDOWS.EVENING;
     }
   }
@@ -404,16 +533,19 @@ export function parseDateTimePreference(userInput) {
   const targetDayOfWeek = getDay(targetDate);
   const isWeekend = targetDayOfWeek === 0 || targetDayOfWeek === 6; // Sunday = 0, Saturday = 6
 
-  // Convert back to UTC for consistency
-  const utcDate = zonedTimeToUtc(targetDate, IST_TIMEZONE);
-  const utcSpecificTime = specificTime ? zonedTimeToUtc(specificTime, IST_TIMEZONE) : null;
+  // Convert back to UTC for consistency. A caller abroad may name a time that falls on
+  // another day at the desk, so the requested moment decides the date; a day without a
+  // time means that calendar date at the desk.
+  const utcSpecificTime = specificTime ? zonedTimeToUtc(specificTime, timeZone) : null;
+  const utcDate = utcSpecificTime && timeZone !== IST_TIMEZONE ? utcSpecificTime : zonedTimeToUtc(targetDate, IST_TIMEZONE);
 
   return {
     date: utcDate,
     timeWindow,
     specificTime: utcSpecificTime,
     isWeekend: isWeekend,
-    requestedWeekend: requestedWeekend
+    requestedWeekend: requestedWeekend,
+    closure: holidayCalendar.getFullDayClosure(utcDate)
   };
 }
 
@@ -421,9 +553,10 @@ export function parseDateTimePreference(userInput) {
  * Validate if a requested time slot is within business hours
  * @param {Date} slotStart - Start time of the slot
  * @param {Date} slotEnd - End time of the slot
- * @returns {Object} { isValid: boolean, reason: string }
+ * @param {Object} messages - System message catalogue the reason is written in (default: English)
+ * @returns {Object} { isValid: boolean, reason: string, closure?: Object }
  */
-export function isWithinBusinessHours(slotStart, slotEnd) {
+export function isWithinBusinessHours(slotStart, slotEnd, messages = SYSTEM_MESSAGES) {
   // Convert to IST for validation
   // utcToZonedTime returns a Date where the UTC parts match the wall time in the target zone
   const istStart = utcToZonedTime(slotStart, IST_TIMEZONE);
@@ -440,7 +573,17 @@ export function isWithinBusinessHours(slotStart, slotEnd) {
   if (!WORKING_DAYS_LIST.includes(dayOfWeek)) {
     return {
       isValid: false,
-      reason: 'Sunday is not a working day. Advisor slots are available Monday through Saturday.'
+      reason: messages.SUNDAY_NOT_WORKING
+    };
+  }
+
+  // Check for holidays and desk closures
+  const closure = holidayCalendar.getClosureForRange(slotStart, slotEnd);
+  if (closure) {
+    return {
+      isValid: false,
+      reason: messages.DESK_CLOSED(format(istStart, 'EEEE, d MMMM'), closure),
+      closure
     };
   }
 
@@ -448,11 +591,13 @@ export function isWithinBusinessHours(slotStart, slotEnd) {
   const startTimeInMinutes = startHour * 60 + startMinute;
   const workingStartInMinutes = WORKING_HOURS.start * 60; // 10:00 AM = 600 minutes
   const workingEndInMinutes = WORKING_HOURS.end * 60; // 6:00 PM = 1080 minutes
+  const openFrom = `${WORKING_HOURS.start}:00 AM`;
+  const openUntil = `${WORKING_HOURS.end === 18 ? '6:00' : WORKING_HOURS.end + ':00'} PM`;
 
   if (startTimeInMinutes < workingStartInMinutes) {
     return {
       isValid: false,
-      reason: `The requested time is before business hours. Advisor slots are available from ${WORKING_HOURS.start}:00 AM to ${WORKING_HOURS.end === 18 ? '6:00' : WORKING_HOURS.end + ':00'} PM IST.`
+      reason: messages.BEFORE_HOURS(openFrom, openUntil)
     };
   }
 
@@ -461,7 +606,7 @@ export function isWithinBusinessHours(slotStart, slotEnd) {
   if (endTimeInMinutes > workingEndInMinutes) {
     return {
       isValid: false,
-      reason: `The requested time extends beyond business hours. Advisor slots are available from ${WORKING_HOURS.start}:00 AM to ${WORKING_HOURS.end === 18 ? '6:00' : WORKING_HOURS.end + ':00'} PM IST.`
+      reason: messages.AFTER_HOURS(openFrom, openUntil)
     };
   }
 
@@ -1,72 +1,99 @@
 /**
  * Booking Store Service
  * Lightweight NoSQL database using a hash-map for managing booking metadata.
- * Uses JSON for persistent storage.
+ * Persistence goes through a storage adapter: a JSON file (default) or SQLite,
+ * selected with BOOKING_STORE_BACKEND.
  */
 
-import fs from 'fs/promises';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import { logger } from '../utils/logger.js';
 import { formatIST12HourWithSeconds, parseIST12HourWithSeconds, formatIST12Hour, parseIST12Hour } from '../utils/timezone.js';
+import { ADVISOR_ROSTER, BOOKING_STATUSES, BOOKING_STATUS_TRANSITIONS, SLOT_HOLDING_STATUSES } from '../config/constants.js';
+import { schedulingPolicy, createPolicyViolationError, POLICY_RULES } from './schedulingPolicy.js';
+import { getSlotDuration } from './availabilityService.js';
+import { defaultAttendees, checkAttendees } from '../utils/attendees.js';
+import { JsonStorageAdapter } from './storage/jsonStorageAdapter.js';
+import { SqliteStorageAdapter } from './storage/sqliteStorageAdapter.js';
+import { now as clockNow } from '../utils/clock.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 const DATA_DIR = path.join(__dirname, '../../data');
 const DB_PATH = path.join(DATA_DIR, 'bookings.json');
+const SQLITE_DB_PATH = path.join(DATA_DIR, 'bookings.db');
 
-class BookingStore {
-    constructor() {
+/**
+ * Create the storage adapter configured in the environment
+ * BOOKING_STORE_BACKEND: 'json' (default) or 'sqlite'
+ * BOOKING_DB_PATH: optional file path for the selected backend
+ * @returns {StorageAdapter} Storage adapter
+ */
+function createStorageAdapter() {
+    const backend = (process.env.BOOKING_STORE_BACKEND || 'json').toLowerCase();
+    const customPath = process.env.BOOKING_DB_PATH;
+
+    if (backend === 'sqlite') {
+        return new SqliteStorageAdapter(customPath || SQLITE_DB_PATH);
+    }
+    if (backend !== 'json') {
+        logger.log('error', `BookingStore: Unknown backend "${backend}", falling back to JSON`, {});
+    }
+    return new JsonStorageAdapter(customPath || DB_PATH);
+}
+
+export class BookingStore {
+    /**
+     * @param {StorageAdapter} adapter - Storage adapter (defaults to the configured backend)
+     */
+    constructor(adapter = null) {
+        this.adapter = adapter;
         this.bookings = new Map(); // bookingCode -> metadata
-        this.slots = new Map();    // timeSlot (ISO) -> bookingCode
+        this.slots = new Map();    // slot key (ISO, or ISO#advisorId) -> bookingCode
         this.initialized = false;
     }
 
     /**
-     * Initialize the store by loading from JSON
+     * Initialize the store by loading from the storage backend
      */
     async initialize() {
         if (this.initialized) return;
 
         try {
-            // Ensure data directory exists
-            try {
-                await fs.mkdir(DATA_DIR, { recursive: true });
-            } catch (err) {
-                // Ignore if exists
+            if (!this.adapter) {
+                this.adapter = createStorageAdapter();
             }
+            await this.adapter.initialize();
 
-            // Check if DB file exists
             try {
-                const data = await fs.readFile(DB_PATH, 'utf-8');
-                const parsed = JSON.parse(data);
+                const stored = await this.adapter.loadAll();
 
                 // Load into memory
-                if (parsed.bookings) {
-                    for (const [code, info] of Object.entries(parsed.bookings)) {
+                if (stored) {
+                    for (const [code, info] of Object.entries(stored)) {
                         // Convert old ISO format to IST 12-hour format if needed
-                        const convertedInfo = this.convertToIST12HourFormat(info);
+                        const convertedInfo = this.withStatus(this.convertToIST12HourFormat(info));
                         this.bookings.set(code, convertedInfo);
                         // For slot mapping, use UTC ISO for internal calculations
-                        if (convertedInfo.slot) {
-                            const slotUTC = this.getSlotAsUTC(convertedInfo.slot);
-                            if (slotUTC) {
-                                this.slots.set(slotUTC.toISOString(), code);
+                        if (convertedInfo.slot && this.holdsSlot(convertedInfo)) {
+                            const slotKey = this.getSlotKey(convertedInfo.slot, convertedInfo.advisorId);
+                            if (slotKey) {
+                                this.slots.set(slotKey, code);
                             }
                         }
                     }
                 }
 
-                logger.log('system', `BookingStore initialized with ${this.bookings.size} records`, {});
-            } catch (err) {
-                if (err.code === 'ENOENT') {
-                    // File doesn't exist yet, start with empty maps
-                    logger.log('system', 'BookingStore: No existing database found, starting fresh', {});
-                    await this.save();
+                if (stored) {
+                    logger.log('system', `BookingStore initialized with ${this.bookings.size} records (${this.adapter.backendName})`, {});
                 } else {
-                    logger.log('error', `BookingStore: Failed to load database: ${err.message}`, { error: err.stack });
+                    // Nothing stored yet, start with empty maps
+                    logger.log('system', `BookingStore: No existing database found, starting fresh (${this.adapter.backendName})`, {});
+                    await this.save();
                 }
+            } catch (err) {
+                logger.log('error', `BookingStore: Failed to load database: ${err.message}`, { error: err.stack });
             }
 
             this.initialized = true;
@@ -76,25 +103,162 @@ class BookingStore {
     }
 
     /**
-     * Save the current state to JSON (all dates in IST 12-hour format)
+     * Switch to another storage backend and reload from it
+     * Bookings held in memory are dropped, not copied: afterwards the store holds what the new backend holds.
+     * The previous backend is closed.
+     * @param {StorageAdapter} adapter - Storage adapter to use from now on
+     */
+    async useAdapter(adapter) {
+        const previous = this.adapter;
+        this.adapter = adapter;
+        this.bookings.clear();
+        this.slots.clear();
+        this.initialized = false;
+
+        if (previous && previous !== adapter) {
+            await previous.close();
+        }
+        await this.initialize();
+    }
+
+    /**
+     * Save the current state to the backend (all dates in IST 12-hour format)
      */
     async save() {
         try {
-            // Convert all bookings to IST 12-hour format for storage
-            const bookingsForStorage = {};
+            const entries = [];
             for (const [code, info] of this.bookings.entries()) {
-                bookingsForStorage[code] = this.convertToIST12HourFormat(info);
+                entries.push(this.toStorageEntry(code, info));
             }
-            
-            const data = {
-                bookings: bookingsForStorage,
-                lastUpdated: formatIST12HourWithSeconds(new Date())
-            };
-            await fs.writeFile(DB_PATH, JSON.stringify(data, null, 2), 'utf-8');
+            await this.adapter.saveAll(entries);
         } catch (error) {
             logger.log('error', `BookingStore: Failed to save database: ${error.message}`, { error: error.stack });
         }
     }
+
+    /**
+     * Save a single booking to the backend
+     * Errors flagged isSlotConflict are rethrown so the caller can react to another writer holding the slot.
+     * @param {string} bookingCode - Booking code
+     * @param {Object} record - Booking record
+     */
+    async persist(bookingCode, record) {
+        try {
+            await this.adapter.saveBooking(this.toStorageEntry(bookingCode, record));
+        } catch (error) {
+            if (error.isSlotConflict) throw error;
+            logger.log('error', `BookingStore: Failed to save booking ${bookingCode}: ${error.message}`, { error: error.stack });
+        }
+    }
+
+    /**
+     * Build the adapter entry for a booking (convert to IST 12-hour format, resolve the held slot)
+     * @private
+     */
+    toStorageEntry(bookingCode, record) {
+        return {
+            bookingCode,
+            record: this.convertToIST12HourFormat(record),
+            slotKey: this.holdsSlot(record) && record.slot ? this.getSlotKey(record.slot, record.advisorId) : null
+        };
+    }
+
+    /**
+     * Get a booking's lifecycle status
+     * Records stored before statuses existed are derived from the waitlist flag and last action.
+     * @param {Object} booking - Booking record
+     * @returns {string} One of BOOKING_STATUSES
+     */
+    getStatus(booking) {
+        if (booking.status) return booking.status;
+
+        const action = (booking.action || '').toLowerCase();
+        if (action === 'cancelled') return BOOKING_STATUSES.CANCELLED;
+        if (booking.isWaitlist) return BOOKING_STATUSES.WAITLISTED;
+        if (action === 'confirmed') return BOOKING_STATUSES.CONFIRMED;
+        return BOOKING_STATUSES.TENTATIVE;
+    }
+
+    /**
+     * Fill in status and status history for records stored before statuses existed
+     * @private
+     */
+    withStatus(record) {
+        if (record.status && record.statusHistory) return record;
+        const status = this.getStatus(record);
+        return {
+            ...record,
+            status,
+            statusHistory: record.statusHistory || [{ status, at: record.updatedAt || record.createdAt }]
+        };
+    }
+
+    /**
+     * Check whether a booking occupies its slot
+     * @param {Object} booking - Booking record
+     * @returns {boolean} True for non-waitlisted bookings in a slot-holding status
+     */
+    holdsSlot(booking) {
+        return !booking.isWaitlist && SLOT_HOLDING_STATUSES.includes(this.getStatus(booking));
+    }
+
+    /**
+     * Check whether a status change is allowed
+     * @param {string} from - Current status
+     * @param {string} to - Requested status
+     * @returns {boolean} True if allowed (or unchanged)
+     */
+    canTransition(from, to) {
+        return from === to || (BOOKING_STATUS_TRANSITIONS[from] || []).includes(to);
+    }
+
+    /**
+     * Throw if a status change is not allowed
+     * @private
+     */
+    assertTransition(bookingCode, from, to) {
+        if (!this.canTransition(from, to)) {
+            const error = new Error(`Booking ${bookingCode} cannot move from ${from} to ${to}`);
+            error.isInvalidTransition = true;
+            error.bookingCode = bookingCode;
+            error.fromStatus = from;
+            error.toStatus = to;
+            throw error;
+        }
+    }
+
+    /**
+     * Enforce the topic's attendee limit when the attendees or topic change
+     * @param {string} bookingCode - Booking code
+     * @param {Object|undefined} existing - Stored record before the update
+     * @param {Object} record - Record about to be stored
+     * @throws {Error} With isAttendeeLimit, limit and count when too many people would attend
+     */
+    assertAttendees(bookingCode, existing, record) {
+        if (existing && existing.topic === record.topic && existing.attendees === record.attendees) return;
+
+        const violation = checkAttendees(record.attendees, record.topic);
+        if (violation) {
+            const error = new Error(`Booking ${bookingCode} has ${violation.count} attendees; ${record.topic} allows ${violation.limit}`);
+            error.isAttendeeLimit = true;
+            error.bookingCode = bookingCode;
+            error.limit = violation.limit;
+            error.count = violation.count;
+            throw error;
+        }
+    }
+
+    /**
+     * Append a status change to a booking's history
+     * @private
+     */
+    nextStatusHistory(existing, status) {
+        const history = existing?.statusHistory ? [...existing.statusHistory] : [];
+        if (!existing || this.getStatus(existing) !== status || history.length === 0) {
+            history.push({ status, at: this.getSlotAsIST12Hour(clockNow().toISOString()) });
+        }
+        return history;
+    }
     
     /**
      * Convert booking info to IST 12-hour format for storage
@@ -167,15 +331,34 @@ class BookingStore {
         }
     }
 
+    /**
+     * Build the key used in the slots map
+     * Advisor bookings are keyed per advisor so that different advisors can hold the same time
+     * @param {string} slot - Slot in ISO or IST 12-hour format
+     * @param {string|null} advisorId - Advisor holding the slot
+     * @returns {string|null} UTC ISO key, suffixed with #advisorId when assigned
+     */
+    getSlotKey(slot, advisorId = null) {
+        const slotUTC = this.getSlotAsUTC(slot);
+        if (!slotUTC || isNaN(slotUTC.getTime())) return null;
+        return advisorId ? `${slotUTC.toISOString()}#${advisorId}` : slotUTC.toISOString();
+    }
+
     /**
      * Create or update a booking
+     * Status defaults to the existing one (tentative for new bookings); waitlist placement
+     * switches it between waitlisted and tentative. Disallowed status changes throw with isInvalidTransition.
+     * A new or moved slot must follow the scheduling policy, otherwise this throws with isPolicyViolation.
      */
     async setBooking(bookingCode, metadata) {
         if (!this.initialized) await this.initialize();
 
+        const existing = this.bookings.get(bookingCode);
+
         // Ensure mandatory fields - convert to IST 12-hour format for storage
+        // Advisor assignment is kept from the existing record when the caller does not provide one
         const record = {
-            createdAt: this.getSlotAsIST12Hour(metadata.createdAt || new Date().toISOString()),
+            createdAt: this.getSlotAsIST12Hour(metadata.createdAt || clockNow().toISOString()),
             topic: metadata.topic,
             slot: this.getSlotAsIST12Hour(metadata.slot),
             endSlot: this.getSlotAsIST12Hour(metadata.endSlot),
@@ -183,7 +366,19 @@ class BookingStore {
             isWaitlist: metadata.isWaitlist || false,
             action: metadata.action || 'Created',
             eventId: metadata.eventId || null,
-            updatedAt: this.getSlotAsIST12Hour(new Date().toISOString())
+            advisorId: metadata.advisorId !== undefined ? metadata.advisorId : (existing?.advisorId || null),
+            advisorName: metadata.advisorName !== undefined ? metadata.advisorName : (existing?.advisorName || null),
+            // Caller's own timezone, for display only; slot times are always stored in IST
+            callerTimezone: metadata.callerTimezone !== undefined ? metadata.callerTimezone : (existing?.callerTimezone || null),
+            // Recurring series: parent code shared by every occurrence, and this occurrence's position (1-based)
+            seriesCode: metadata.seriesCode !== undefined ? metadata.seriesCode : (existing?.seriesCode || null),
+            seriesIndex: metadata.seriesIndex !== undefined ? metadata.seriesIndex : (existing?.seriesIndex || null),
+            // Who is on the call: the caller (primary holder) first, then any joint holders and nominees
+            attendees: metadata.attendees !== undefined ? metadata.attendees : (existing?.attendees || defaultAttendees()),
+            detailsReceived: existing?.detailsReceived || false,
+            detailsReceivedAt: existing?.detailsReceivedAt || null,
+            remindersSent: existing?.remindersSent || [],
+            updatedAt: this.getSlotAsIST12Hour(clockNow().toISOString())
         };
 
         // Check for conflicts if not already a waitlist (use UTC for calculations)
@@ -191,7 +386,7 @@ class BookingStore {
             const slotUTC = this.getSlotAsUTC(record.slot);
             const endSlotUTC = this.getSlotAsUTC(record.endSlot);
             if (slotUTC && endSlotUTC) {
-                const hasConflict = this.checkConflict(slotUTC.toISOString(), endSlotUTC.toISOString(), bookingCode);
+                const hasConflict = this.checkConflict(slotUTC.toISOString(), endSlotUTC.toISOString(), bookingCode, record.advisorId);
                 if (hasConflict) {
                     record.isWaitlist = true;
                     logger.log('system', `BookingStore: Conflict detected for ${bookingCode}, marking as waitlist`, { bookingCode, slot: record.slot });
@@ -199,12 +394,27 @@ class BookingStore {
             }
         }
 
+        this.assertAttendees(bookingCode, existing, record);
+        this.assertSchedulingPolicy(bookingCode, existing, record);
+
+        // Resolve lifecycle status
+        let status = metadata.status || (existing ? this.getStatus(existing) : BOOKING_STATUSES.TENTATIVE);
+        if (record.isWaitlist) {
+            status = BOOKING_STATUSES.WAITLISTED;
+        } else if (status === BOOKING_STATUSES.WAITLISTED) {
+            status = BOOKING_STATUSES.TENTATIVE;
+        }
+        if (existing) {
+            this.assertTransition(bookingCode, this.getStatus(existing), status);
+        }
+        record.status = status;
+        record.statusHistory = this.nextStatusHistory(existing, status);
+
         // If updating, remove old slot mapping (use UTC for internal mapping)
-        const existing = this.bookings.get(bookingCode);
         if (existing && existing.slot) {
-            const existingSlotUTC = this.getSlotAsUTC(existing.slot);
-            if (existingSlotUTC) {
-                this.slots.delete(existingSlotUTC.toISOString());
+            const existingSlotKey = this.getSlotKey(existing.slot, existing.advisorId);
+            if (existingSlotKey && this.slots.get(existingSlotKey) === bookingCode) {
+                this.slots.delete(existingSlotKey);
             }
         }
 
@@ -212,59 +422,155 @@ class BookingStore {
         this.bookings.set(bookingCode, record);
 
         // Only map to slots if NOT waitlisted (slots map uses UTC ISO for internal calculations)
-        if (record.slot && !record.isWaitlist) {
-            const slotUTC = this.getSlotAsUTC(record.slot);
-            if (slotUTC) {
-                this.slots.set(slotUTC.toISOString(), bookingCode);
+        if (record.slot && this.holdsSlot(record)) {
+            const slotKey = this.getSlotKey(record.slot, record.advisorId);
+            if (slotKey) {
+                this.slots.set(slotKey, bookingCode);
             }
         }
 
-        await this.save();
-        logger.log('system', `BookingStore: Stored booking ${bookingCode} (Waitlist: ${record.isWaitlist}, Action: ${record.action})`, { bookingCode, slot: record.slot });
+        try {
+            await this.persist(bookingCode, record);
+        } catch (error) {
+            // Another process took the slot after our in-memory check: fall back to waitlist as for any conflict
+            logger.log('system', `BookingStore: Slot taken by another writer for ${bookingCode}, marking as waitlist`, { bookingCode, slot: record.slot });
+            record.isWaitlist = true;
+            record.status = BOOKING_STATUSES.WAITLISTED;
+            record.statusHistory = this.nextStatusHistory(existing, record.status);
+            const slotKey = this.getSlotKey(record.slot, record.advisorId);
+            if (this.slots.get(slotKey) === bookingCode) {
+                this.slots.delete(slotKey);
+            }
+            await this.persist(bookingCode, record);
+        }
+        logger.log('system', `BookingStore: Stored booking ${bookingCode} (Status: ${record.status}, Action: ${record.action})`, { bookingCode, slot: record.slot, advisorId: record.advisorId });
         return record;
     }
 
+    /**
+     * Enforce the scheduling policy when a booking gets a new slot, advisor or starts holding its slot
+     * Lead time and horizon apply to every booking; buffer time and daily caps only to slot holders.
+     * Occurrences of a recurring series are bounded by the series length instead of the horizon.
+     * Status-only updates are not re-checked, so existing bookings stay valid if the policy changes.
+     * @param {string} bookingCode - Booking code
+     * @param {Object|undefined} existing - Stored record before the update
+     * @param {Object} record - Record about to be stored
+     * @throws {Error} With isPolicyViolation and the violation when a rule is broken
+     */
+    assertSchedulingPolicy(bookingCode, existing, record) {
+        const slotUTC = record.slot ? this.getSlotAsUTC(record.slot) : null;
+        const endSlotUTC = record.endSlot ? this.getSlotAsUTC(record.endSlot) : null;
+        if (!slotUTC || !endSlotUTC) return;
+
+        const changed = !existing ||
+            existing.slot !== record.slot ||
+            existing.endSlot !== record.endSlot ||
+            (existing.advisorId || null) !== record.advisorId ||
+            (!record.isWaitlist && !this.holdsSlot(existing));
+        if (!changed) return;
+
+        let violation = schedulingPolicy.checkBookingWindow(slotUTC);
+        if (violation && violation.rule === POLICY_RULES.HORIZON && record.seriesCode) {
+            violation = null;
+        }
+        if (!violation && !record.isWaitlist) {
+            const dayMs = 24 * 60 * 60 * 1000;
+            const others = this.getBookedSlotsInRange(
+                new Date(slotUTC.getTime() - dayMs).toISOString(),
+                new Date(endSlotUTC.getTime() + dayMs).toISOString()
+            ).filter(booking => booking.bookingCode !== bookingCode);
+            violation = schedulingPolicy.checkCapacity(slotUTC, endSlotUTC, others, record.advisorId);
+        }
+
+        if (violation) {
+            logger.log('system', `BookingStore: ${bookingCode} breaks the ${violation.rule} scheduling rule`, { bookingCode, slot: record.slot, violation });
+            throw createPolicyViolationError(violation, bookingCode);
+        }
+    }
+
     /**
      * Check for range-based conflicts
+     * Without an advisor any overlapping booking is a conflict. With an advisor, only that
+     * advisor's overlapping bookings count, and the advisor may hold up to their roster capacity.
      * @param {string} startISO - Start time in ISO format (UTC)
      * @param {string} endISO - End time in ISO format (UTC)
      * @param {string} excludeBookingCode - Booking code to exclude from check
+     * @param {string|null} advisorId - Advisor the booking is assigned to
      * @returns {boolean} True if conflict exists
      */
-    checkConflict(startISO, endISO, excludeBookingCode = null) {
+    checkConflict(startISO, endISO, excludeBookingCode = null, advisorId = null) {
         const start = new Date(startISO).getTime();
         const end = new Date(endISO).getTime();
+        const advisor = advisorId ? ADVISOR_ROSTER.find(a => a.id === advisorId) : null;
+        const capacity = advisor ? advisor.capacity : 1;
+        let overlapping = 0;
 
         for (const [code, booking] of this.bookings.entries()) {
             // Skip if:
             // 1. Same booking code
-            // 2. Is Waitlist (waitlists don't block slots)
-            // 3. Status is Cancelled (case insensitive check)
-            // 4. Missing slot data
+            // 2. Does not hold its slot (waitlisted or cancelled)
+            // 3. Missing slot data
             if (code === excludeBookingCode ||
-                booking.isWaitlist ||
-                (booking.action && booking.action.toLowerCase() === 'cancelled') ||
-                !booking.slot || !booking.endSlot) {
+                !this.holdsSlot(booking) ||
+                !booking.slot ||
+                (advisorId && booking.advisorId !== advisorId)) {
                 continue;
             }
 
             // Convert booking slots to UTC for comparison
             const bStartUTC = this.getSlotAsUTC(booking.slot);
-            const bEndUTC = this.getSlotAsUTC(booking.endSlot);
-            
-            if (!bStartUTC || !bEndUTC) continue;
-            
+            if (!bStartUTC) continue;
+
+            // Appointments vary in length by topic; a record without an end lasts its topic's duration
             const bStart = bStartUTC.getTime();
-            const bEnd = bEndUTC.getTime();
+            const bEndUTC = booking.endSlot ? this.getSlotAsUTC(booking.endSlot) : null;
+            const bEnd = bEndUTC ? bEndUTC.getTime() : bStart + getSlotDuration(booking.topic) * 60 * 1000;
 
             // Overlap check
             if ((start < bEnd && end > bStart)) {
-                return true;
+                overlapping++;
+                if (overlapping >= capacity) {
+                    return true;
+                }
             }
         }
         return false;
     }
 
+    /**
+     * Find the oldest waitlist entry overlapping a time range
+     * @param {string} startISO - Start time in ISO format (UTC)
+     * @param {string} endISO - End time in ISO format (UTC)
+     * @param {string} excludeBookingCode - Booking code to skip
+     * @returns {Object|null} Waitlist booking record, oldest createdAt first
+     */
+    getOldestWaitlistEntry(startISO, endISO, excludeBookingCode = null) {
+        const start = new Date(startISO).getTime();
+        const end = new Date(endISO).getTime();
+        let oldest = null;
+        let oldestCreated = Infinity;
+
+        for (const [code, booking] of this.bookings.entries()) {
+            if (code === excludeBookingCode ||
+                this.getStatus(booking) !== BOOKING_STATUSES.WAITLISTED ||
+                !booking.slot || !booking.endSlot) {
+                continue;
+            }
+
+            const bStartUTC = this.getSlotAsUTC(booking.slot);
+            const bEndUTC = this.getSlotAsUTC(booking.endSlot);
+            if (!bStartUTC || !bEndUTC) continue;
+            if (!(start < bEndUTC.getTime() && end > bStartUTC.getTime())) continue;
+
+            const created = this.getSlotAsUTC(booking.createdAt)?.getTime() ?? Infinity;
+            if (!oldest || created < oldestCreated) {
+                oldest = { ...booking, bookingCode: code };
+                oldestCreated = created;
+            }
+        }
+        return oldest;
+    }
+
     /**
      * Retrieve a booking by code
      */
@@ -272,71 +578,188 @@ class BookingStore {
         return this.bookings.get(bookingCode);
     }
 
+    /**
+     * Retrieve the occurrences of a recurring series
+     * @param {string} seriesCode - Parent booking code of the series
+     * @param {Object} options - Options
+     * @param {boolean} options.includeClosed - Include cancelled, completed and no-show occurrences (default: false)
+     * @returns {Array<Object>} Occurrence records in series order (empty if the code is not a series)
+     */
+    getSeries(seriesCode, options = {}) {
+        const open = [BOOKING_STATUSES.WAITLISTED, BOOKING_STATUSES.TENTATIVE, BOOKING_STATUSES.CONFIRMED];
+        return [...this.bookings.values()]
+            .filter(booking => booking.seriesCode === seriesCode &&
+                (options.includeClosed || open.includes(this.getStatus(booking))))
+            .sort((a, b) => (a.seriesIndex || 0) - (b.seriesIndex || 0));
+    }
+
     /**
      * Retrieve a booking by time slot
+     * @param {string} timeSlotISO - Slot start in ISO format (UTC)
+     * @param {string|null} advisorId - Advisor to look up; defaults to unassigned bookings
      */
-    getBookingBySlot(timeSlotISO) {
-        const code = this.slots.get(timeSlotISO);
+    getBookingBySlot(timeSlotISO, advisorId = null) {
+        const code = this.slots.get(advisorId ? `${timeSlotISO}#${advisorId}` : timeSlotISO);
         return code ? { ...this.bookings.get(code), bookingCode: code } : null;
     }
 
     /**
      * Check if a time slot is already booked in the store
+     * @param {string} timeSlotISO - Slot start in ISO format (UTC)
+     * @param {string|null} advisorId - Advisor to check; without one, any advisor's booking counts
      */
-    isSlotBooked(timeSlotISO) {
-        return this.slots.has(timeSlotISO);
+    isSlotBooked(timeSlotISO, advisorId = null) {
+        if (advisorId) {
+            return this.slots.has(`${timeSlotISO}#${advisorId}`);
+        }
+        for (const key of this.slots.keys()) {
+            if (key.split('#')[0] === timeSlotISO) return true;
+        }
+        return false;
     }
 
     /**
-     * Delete a booking
+     * Move a booking to a new lifecycle status (confirm, complete, no-show, cancel)
+     * Waitlist placement changes slot ownership, so promotion to tentative goes through setBooking.
+     * @param {string} bookingCode - Booking code
+     * @param {string} status - One of BOOKING_STATUSES
+     * @param {Object} metadata - Optional { action } label for the change
+     * @returns {Promise<Object|null>} Updated record, or null if the booking does not exist
      */
-    async deleteBooking(bookingCode) {
+    async transitionStatus(bookingCode, status, metadata = {}) {
         if (!this.initialized) await this.initialize();
 
         const existing = this.bookings.get(bookingCode);
-        if (existing) {
-            // Mark as cancelled instead of deleting for history
-            const record = {
-                ...existing,
-                action: 'Cancelled',
-                updatedAt: this.getSlotAsIST12Hour(new Date().toISOString())
-            };
-
-            // Remove from active slots mapping
-            if (existing.slot) {
-                this.slots.delete(existing.slot);
-            }
+        if (!existing) return null;
+
+        const from = this.getStatus(existing);
+        this.assertTransition(bookingCode, from, status);
+        if (status === BOOKING_STATUSES.WAITLISTED ||
+            (from === BOOKING_STATUSES.WAITLISTED && status !== BOOKING_STATUSES.CANCELLED)) {
+            const error = new Error(`Booking ${bookingCode}: use setBooking to move between waitlist and a slot`);
+            error.isInvalidTransition = true;
+            throw error;
+        }
+
+        const record = {
+            ...existing,
+            status,
+            statusHistory: this.nextStatusHistory(existing, status),
+            action: metadata.action || existing.action,
+            updatedAt: this.getSlotAsIST12Hour(clockNow().toISOString())
+        };
 
-            this.bookings.set(bookingCode, record);
-            await this.save();
-            logger.log('system', `BookingStore: Marked booking ${bookingCode} as Cancelled`, { bookingCode });
-            return true;
+        // Release the slot when the booking no longer holds it
+        if (existing.slot && !this.holdsSlot(record)) {
+            const slotKey = this.getSlotKey(existing.slot, existing.advisorId);
+            if (slotKey && this.slots.get(slotKey) === bookingCode) {
+                this.slots.delete(slotKey);
+            }
         }
-        return false;
+
+        this.bookings.set(bookingCode, record);
+        await this.persist(bookingCode, record);
+        logger.log('system', `BookingStore: Booking ${bookingCode} moved from ${from} to ${status}`, { bookingCode, from, to: status });
+        return record;
+    }
+
+    /**
+     * Record that the caller submitted contact details on the secure completion page
+     * The details themselves live in ContactStore; only the flag is kept on the booking.
+     * @param {string} bookingCode - Booking code
+     * @returns {Promise<Object|null>} Updated record, or null if the booking does not exist
+     */
+    async markDetailsReceived(bookingCode) {
+        if (!this.initialized) await this.initialize();
+
+        const existing = this.bookings.get(bookingCode);
+        if (!existing) return null;
+
+        const now = this.getSlotAsIST12Hour(clockNow().toISOString());
+        const record = { ...existing, detailsReceived: true, detailsReceivedAt: now, updatedAt: now };
+        this.bookings.set(bookingCode, record);
+        await this.persist(bookingCode, record);
+        logger.log('system', `BookingStore: Contact details received for ${bookingCode}`, { bookingCode });
+        return record;
+    }
+
+    /**
+     * Check whether a reminder already went out for the booking's current slot
+     * @param {string} bookingCode - Booking code
+     * @param {number} offsetMinutes - How long before the slot the reminder is due
+     * @returns {boolean} True if it was sent (or skipped) for this slot
+     */
+    wasReminderSent(bookingCode, offsetMinutes) {
+        const booking = this.bookings.get(bookingCode);
+        return Boolean(booking?.remindersSent?.some(r => r.offsetMinutes === offsetMinutes && r.slot === booking.slot));
+    }
+
+    /**
+     * Record a reminder for the booking's current slot, so it is never sent twice
+     * A rescheduled booking has a new slot and gets its reminders again.
+     * @param {string} bookingCode - Booking code
+     * @param {number} offsetMinutes - How long before the slot the reminder is due
+     * @param {Object} options - Options
+     * @param {boolean} options.skipped - Not sent because a nearer reminder was due at the same time
+     * @returns {Promise<Object|null>} Updated record, or null if the booking does not exist
+     */
+    async markReminderSent(bookingCode, offsetMinutes, options = {}) {
+        if (!this.initialized) await this.initialize();
+
+        const existing = this.bookings.get(bookingCode);
+        if (!existing) return null;
+
+        const now = this.getSlotAsIST12Hour(clockNow().toISOString());
+        const reminder = { offsetMinutes, slot: existing.slot, sentAt: now, skipped: options.skipped || false };
+        const record = { ...existing, remindersSent: [...(existing.remindersSent || []), reminder], updatedAt: now };
+        this.bookings.set(bookingCode, record);
+        await this.persist(bookingCode, record);
+        logger.log('system', `BookingStore: ${options.skipped ? 'Skipped' : 'Sent'} ${offsetMinutes}-minute reminder for ${bookingCode}`, { bookingCode, offsetMinutes });
+        return record;
+    }
+
+    /**
+     * Cancel a booking
+     * Soft delete: the record stays with status cancelled and its status history.
+     */
+    async deleteBooking(bookingCode) {
+        if (!this.initialized) await this.initialize();
+
+        const existing = this.bookings.get(bookingCode);
+        if (!existing) return false;
+        if (this.getStatus(existing) === BOOKING_STATUSES.CANCELLED) return true;
+
+        await this.transitionStatus(bookingCode, BOOKING_STATUSES.CANCELLED, { action: 'Cancelled' });
+        return true;
     }
 
     /**
-     * Get all booking slots within a range (machine-readable)
+     * Get all booking slots overlapping a range (machine-readable)
+     * Bookings vary in length by topic, so one that starts before the range can still overlap it.
      */
     getBookedSlotsInRange(startISO, endISO) {
         const booked = [];
         const start = new Date(startISO).getTime();
         const end = new Date(endISO).getTime();
 
-        for (const [slot, code] of this.slots.entries()) {
+        for (const [slotKey, code] of this.slots.entries()) {
+            const slot = slotKey.split('#')[0];
             const slotTime = new Date(slot).getTime();
-            if (slotTime >= start && slotTime <= end) {
-                const info = this.bookings.get(code);
-                // Double check status to ensure cancelled bookings are never returned
-                // Valid bookings must exist, not be waitlisted, and not be cancelled
-                if (info && !info.isWaitlist && info.action && info.action.toLowerCase() !== 'cancelled') {
+            const info = this.bookings.get(code);
+            // Double check status to ensure cancelled bookings are never returned
+            // Valid bookings must exist and still hold their slot
+            if (info && this.holdsSlot(info)) {
+                // Records without an end time last as long as their topic's appointments
+                const durationMs = getSlotDuration(info.topic) * 60 * 1000;
+                const endSlotUTC = (info.endSlot && this.getSlotAsUTC(info.endSlot)) || new Date(slotTime + durationMs);
+                if (slotTime <= end && endSlotUTC.getTime() > start) {
                     // Return in ISO format for API compatibility
-                    const endSlotUTC = info.endSlot ? this.getSlotAsUTC(info.endSlot) : new Date(slotTime + 30 * 60 * 1000);
                     booked.push({
                         start: slot, // Already in ISO format from slots map
-                        end: endSlotUTC ? endSlotUTC.toISOString() : new Date(slotTime + 30 * 60 * 1000).toISOString(),
+                        end: endSlotUTC.toISOString(),
                         bookingCode: code,
-                        eventId: info.eventId
+                        eventId: info.eventId,
+                        advisorId: info.advisorId || null
                     });
                 }
             }
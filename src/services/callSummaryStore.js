@@ -0,0 +1,158 @@
+/**
+ * Call Summary Store
+ * Keeps the post-call summary of each session so supervisors can review calls
+ * without reading raw logs. A session that completes more than once (a booking,
+ * then a cancellation) keeps its latest summary, which covers the whole call.
+ * Summaries are appended to a JSONL file, one line per save; the file is compacted
+ * and old calls are dropped (see CALL_SUMMARY_STORAGE) when it is loaded.
+ */
+
+import fs from 'fs/promises';
+import { createReadStream } from 'fs';
+import path from 'path';
+import readline from 'readline';
+import { fileURLToPath } from 'url';
+import { CALL_SUMMARY_STORAGE } from '../config/constants.js';
+import { now as clockNow } from '../utils/clock.js';
+import { logger } from '../utils/logger.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const DEFAULT_SUMMARIES_PATH = path.join(__dirname, '../../data/call-summaries.jsonl');
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Retention period from CALL_SUMMARY_RETENTION_DAYS
+ * @private
+ */
+function getRetentionDays(env = process.env) {
+  const days = parseInt(env.CALL_SUMMARY_RETENTION_DAYS, 10);
+  return days >= 0 ? days : CALL_SUMMARY_STORAGE.retentionDays;
+}
+
+export class CallSummaryStore {
+  /**
+   * @param {string} filePath - JSONL file holding summaries (default: CALL_SUMMARY_STORE_PATH env or data/call-summaries.jsonl)
+   * @param {Object} options - Options
+   * @param {number} options.retentionDays - Days a summary is kept after its call ended; 0 keeps every summary
+   *   (default: CALL_SUMMARY_RETENTION_DAYS env or CALL_SUMMARY_STORAGE.retentionDays)
+   */
+  constructor(filePath = process.env.CALL_SUMMARY_STORE_PATH || DEFAULT_SUMMARIES_PATH, options = {}) {
+    this.filePath = filePath;
+    this.retentionDays = options.retentionDays ?? getRetentionDays();
+    this.summaries = new Map(); // sessionId -> summary
+    this.initialized = false;
+    this.loading = null;
+  }
+
+  async initialize() {
+    if (!this.loading) {
+      this.loading = this.load().then(() => {
+        this.initialized = true;
+      });
+    }
+    return this.loading;
+  }
+
+  /**
+   * Read the summaries file; the last line for a session wins
+   * @private
+   */
+  async load() {
+    let lineCount = 0;
+    try {
+      const lines = readline.createInterface({
+        input: createReadStream(this.filePath, 'utf-8'),
+        crlfDelay: Infinity
+      });
+      for await (const line of lines) {
+        if (!line.trim()) continue;
+        lineCount += 1;
+        try {
+          const summary = JSON.parse(line);
+          this.summaries.set(summary.sessionId, summary);
+        } catch {
+          // A line cut short by a crash
+        }
+      }
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.log('error', `CallSummaryStore: Failed to load ${this.filePath}: ${error.message}`, {});
+      }
+      return;
+    }
+
+    if (this.retentionDays > 0) {
+      const cutoff = clockNow().getTime() - this.retentionDays * DAY_MS;
+      for (const [sessionId, summary] of this.summaries) {
+        if (new Date(summary.endedAt).getTime() < cutoff) {
+          this.summaries.delete(sessionId);
+        }
+      }
+    }
+
+    // Rewrite the file once when it holds replaced, expired or unreadable lines
+    if (lineCount > this.summaries.size) {
+      const kept = [...this.summaries.values()].map(summary => `${JSON.stringify(summary)}\n`).join('');
+      await fs.writeFile(this.filePath, kept, 'utf-8');
+      logger.log('system', `CallSummaryStore: Compacted ${this.filePath}`, { lines: lineCount, kept: this.summaries.size });
+    }
+  }
+
+  /**
+   * Save (or replace) the summary for a session
+   * @param {Object} summary - Summary from buildCallSummary
+   * @returns {Promise<Object>} Stored summary
+   */
+  async saveSummary(summary) {
+    await this.initialize();
+    this.summaries.set(summary.sessionId, summary);
+
+    await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+    await fs.appendFile(this.filePath, `${JSON.stringify(summary)}\n`, 'utf-8');
+
+    logger.log('system', `CallSummaryStore: Stored summary for ${summary.sessionId}`, {
+      sessionId: summary.sessionId,
+      outcome: summary.outcome,
+      bookingCode: summary.bookingCode
+    });
+    return summary;
+  }
+
+  /**
+   * Get the summary for a session
+   * @param {string} sessionId - Session ID
+   * @returns {Promise<Object|null>} Summary or null
+   */
+  async getSummary(sessionId) {
+    await this.initialize();
+    return this.summaries.get(sessionId) || null;
+  }
+
+  /**
+   * List summaries, most recent call first
+   * @param {Object} filters - Optional filters
+   * @param {Date} filters.from - Calls ending at or after this moment
+   * @param {Date} filters.to - Calls ending at or before this moment
+   * @param {string} filters.outcome - One of CALL_OUTCOMES
+   * @param {string} filters.bookingCode - Booking code
+   * @returns {Promise<Array<Object>>} Summaries
+   */
+  async listSummaries({ from, to, outcome, bookingCode } = {}) {
+    await this.initialize();
+    return [...this.summaries.values()]
+      .filter(summary => {
+        const endedAt = new Date(summary.endedAt);
+        if (from && endedAt < from) return false;
+        if (to && endedAt > to) return false;
+        if (outcome && summary.outcome !== outcome) return false;
+        if (bookingCode && summary.bookingCode !== bookingCode) return false;
+        return true;
+      })
+      .sort((a, b) => new Date(b.endedAt) - new Date(a.endedAt));
+  }
+}
+
+// Export singleton instance
+export const callSummaryStore = new CallSummaryStore();
@@ -0,0 +1,80 @@
+/**
+ * Contact Store
+ * Keeps caller contact details (name, email, phone) submitted through the secure
+ * completion page. Stored apart from bookings so booking data, Sheets rows and
+ * logs never carry PII.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { logger } from '../utils/logger.js';
+import { formatIST12HourWithSeconds } from '../utils/timezone.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const DEFAULT_CONTACTS_PATH = path.join(__dirname, '../../data/contacts.json');
+
+export class ContactStore {
+  /**
+   * @param {string} filePath - JSON file holding contacts (default: CONTACT_STORE_PATH env or data/contacts.json)
+   */
+  constructor(filePath = process.env.CONTACT_STORE_PATH || DEFAULT_CONTACTS_PATH) {
+    this.filePath = filePath;
+    this.contacts = new Map(); // bookingCode -> { bookingCode, name, email, phone, submittedAt }
+    this.initialized = false;
+  }
+
+  async initialize() {
+    if (this.initialized) return;
+    try {
+      const parsed = JSON.parse(await fs.readFile(this.filePath, 'utf-8'));
+      this.contacts = new Map(Object.entries(parsed.contacts || {}));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.log('error', `ContactStore: Failed to load ${this.filePath}: ${error.message}`, {});
+      }
+    }
+    this.initialized = true;
+  }
+
+  /**
+   * Save (or replace) the contact details for a booking
+   * @param {string} bookingCode - Booking code
+   * @param {Object} details - { name, email, phone }
+   * @returns {Promise<Object>} Stored contact record
+   */
+  async saveContact(bookingCode, { name, email, phone }) {
+    await this.initialize();
+
+    const record = {
+      bookingCode,
+      name,
+      email,
+      phone,
+      submittedAt: formatIST12HourWithSeconds(new Date())
+    };
+    this.contacts.set(bookingCode, record);
+
+    await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+    // Owner-only permissions: the file holds personal data
+    await fs.writeFile(this.filePath, JSON.stringify({ contacts: Object.fromEntries(this.contacts) }, null, 2), { encoding: 'utf-8', mode: 0o600 });
+
+    logger.log('system', `ContactStore: Stored contact details for ${bookingCode}`, { bookingCode });
+    return record;
+  }
+
+  /**
+   * Get the contact details for a booking
+   * @param {string} bookingCode - Booking code
+   * @returns {Promise<Object|null>} Contact record or null
+   */
+  async getContact(bookingCode) {
+    await this.initialize();
+    return this.contacts.get(bookingCode) || null;
+  }
+}
+
+// Export singleton instance
+export const contactStore = new ContactStore();
@@ -7,6 +7,7 @@ import dotenv from 'dotenv';
 import FormData from 'form-data';
 import axios from 'axios';
 import { logger } from '../utils/logger.js';
+import { sanitizePII } from '../utils/guardrails.js';
 
 dotenv.config();
 
@@ -15,6 +16,9 @@ const ELEVEN_LABS_VOICE_ID = process.env.ELEVEN_LABS_VOICE_ID || '21m00Tcm4TlvDq
 const ELEVEN_LABS_STT_MODEL = process.env.ELEVEN_LABS_STT_MODEL || 'scribe_v1';
 const ELEVEN_LABS_TTS_MODEL = process.env.ELEVEN_LABS_TTS_MODEL || 'eleven_multilingual_v2';
 
+// Models that accept an explicit language_code; the others infer the language from the text
+const LANGUAGE_CODE_MODELS = /_v2_5$/;
+
 const ELEVEN_LABS_STT_URL = 'https://api.elevenlabs.io/v1/speech-to-text';
 const ELEVEN_LABS_TTS_URL = `https://api.elevenlabs.io/v1/text-to-speech/${ELEVEN_LABS_VOICE_ID}`;
 
@@ -85,7 +89,7 @@ export async function speechToText(audioBuffer, contentType = 'audio/webm') {
     }
     
     logger.log('system', 'Eleven Labs STT success', { 
-      transcript: transcript.substring(0, 100),
+      transcript: sanitizePII(transcript).substring(0, 100),
       transcriptLength: transcript.length
     });
 
@@ -128,7 +132,7 @@ export async function speechToText(audioBuffer, contentType = 'audio/webm') {
 /**
  * Convert text to speech audio using Eleven Labs TTS
  * @param {string} text - Text to convert to speech
- * @param {Object} options - TTS options
+ * @param {Object} options - TTS options (options.languageCode is an ISO 639-1 code, e.g. 'hi')
  * @returns {Promise<Buffer>} - Audio buffer
  */
 export async function textToSpeech(text, options = {}) {
@@ -152,6 +156,9 @@ export async function textToSpeech(text, options = {}) {
         use_speaker_boost: options.use_speaker_boost !== false,
       },
     };
+    if (options.languageCode && LANGUAGE_CODE_MODELS.test(requestBody.model_id)) {
+      requestBody.language_code = options.languageCode;
+    }
 
     const response = await fetch(ELEVEN_LABS_TTS_URL, {
       method: 'POST',
@@ -189,7 +196,7 @@ export async function textToSpeech(text, options = {}) {
 /**
  * Stream text to speech using Eleven Labs streaming API
  * @param {string} text - Text to convert to speech
- * @param {Object} options - TTS options
+ * @param {Object} options - TTS options (options.signal aborts the request, options.languageCode as for textToSpeech)
  * @returns {Promise<ReadableStream>} - Audio stream
  */
 export async function textToSpeechStream(text, options = {}) {
@@ -213,6 +220,9 @@ export async function textToSpeechStream(text, options = {}) {
         use_speaker_boost: options.use_speaker_boost !== false,
       },
     };
+    if (options.languageCode && LANGUAGE_CODE_MODELS.test(requestBody.model_id)) {
+      requestBody.language_code = options.languageCode;
+    }
 
     const response = await fetch(ELEVEN_LABS_TTS_URL + '/stream', {
       method: 'POST',
@@ -221,6 +231,7 @@ export async function textToSpeechStream(text, options = {}) {
         'Content-Type': 'application/json',
       },
       body: JSON.stringify(requestBody),
+      signal: options.signal,
     });
 
     if (!response.ok) {
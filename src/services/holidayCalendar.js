@@ -0,0 +1,146 @@
+/**
+ * Holiday Calendar
+ * Desk closures (holidays, office closures) that slot generation, date parsing and
+ * waitlist offers must respect. Closures are full-day or partial-day (from/to in IST),
+ * on a one-off date (YYYY-MM-DD) or every year (MM-DD).
+ */
+
+import dotenv from 'dotenv';
+import { readFileSync } from 'fs';
+import { format } from 'date-fns';
+import { utcToZonedTime } from 'date-fns-tz';
+import { HOLIDAY_CLOSURES } from '../config/constants.js';
+import { IST_TIMEZONE } from '../utils/timezone.js';
+import { logger } from '../utils/logger.js';
+
+dotenv.config();
+
+const DATE_PATTERN = /^(\d{4}-)?\d{2}-\d{2}$/;
+const TIME_PATTERN = /^([01]\d|2[0-4]):[0-5]\d$/;
+const DAY_MINUTES = 24 * 60;
+
+/**
+ * Convert HH:mm to minutes since midnight
+ * @private
+ */
+function toMinutes(hhmm) {
+  const [hours, minutes] = hhmm.split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+/**
+ * Validate a closure entry and precompute its minute range
+ * @private
+ * @returns {Object|null} Normalised closure, or null if the entry is invalid
+ */
+function normaliseClosure(entry) {
+  const valid = entry && typeof entry.name === 'string' && DATE_PATTERN.test(entry.date || '') &&
+    (!entry.from || TIME_PATTERN.test(entry.from)) &&
+    (!entry.to || TIME_PATTERN.test(entry.to));
+  if (!valid) {
+    logger.log('error', 'HolidayCalendar: Skipping invalid closure entry', { entry });
+    return null;
+  }
+
+  const startMinutes = entry.from ? toMinutes(entry.from) : 0;
+  const endMinutes = entry.to ? toMinutes(entry.to) : DAY_MINUTES;
+  if (endMinutes <= startMinutes) {
+    logger.log('error', 'HolidayCalendar: Skipping closure that ends before it starts', { entry });
+    return null;
+  }
+
+  return {
+    ...entry,
+    recurring: entry.date.length === 5,
+    fullDay: startMinutes === 0 && endMinutes === DAY_MINUTES,
+    startMinutes,
+    endMinutes
+  };
+}
+
+export class HolidayCalendar {
+  /**
+   * @param {Array<Object>} closures - Closure entries { date, name, from?, to? }
+   */
+  constructor(closures = HOLIDAY_CLOSURES) {
+    this.closures = closures.map(normaliseClosure).filter(Boolean);
+  }
+
+  /**
+   * Load closures from a JSON file: an array of entries or { closures: [...] }
+   * @param {string} filePath - Path to the JSON file
+   * @returns {HolidayCalendar} Calendar
+   */
+  static fromFile(filePath) {
+    const parsed = JSON.parse(readFileSync(filePath, 'utf-8'));
+    return new HolidayCalendar(Array.isArray(parsed) ? parsed : parsed.closures || []);
+  }
+
+  /**
+   * Get the first closure on an IST day that overlaps a time range
+   * @param {string} dayKey - IST day as YYYY-MM-DD
+   * @param {number} startMinutes - Range start in minutes since IST midnight (default: whole day)
+   * @param {number} endMinutes - Range end in minutes since IST midnight
+   * @returns {Object|null} Closure, or null if the desk is open for the whole range
+   */
+  getClosure(dayKey, startMinutes = 0, endMinutes = DAY_MINUTES) {
+    return this.closures.find(closure =>
+      this.isOnDay(closure, dayKey) && startMinutes < closure.endMinutes && endMinutes > closure.startMinutes
+    ) || null;
+  }
+
+  /**
+   * @private
+   */
+  isOnDay(closure, dayKey) {
+    return closure.recurring ? closure.date === dayKey.slice(5) : closure.date === dayKey;
+  }
+
+  /**
+   * Get the full-day closure for the IST day containing a moment
+   * @param {Date} date - Any moment on the day (UTC)
+   * @returns {Object|null} Closure, or null if the desk is open at least part of the day
+   */
+  getFullDayClosure(date) {
+    const dayKey = format(utcToZonedTime(date, IST_TIMEZONE), 'yyyy-MM-dd');
+    return this.closures.find(closure => closure.fullDay && this.isOnDay(closure, dayKey)) || null;
+  }
+
+  /**
+   * Get a closure overlapping a time range
+   * @param {Date} start - Range start (UTC)
+   * @param {Date} end - Range end (UTC)
+   * @returns {Object|null} Closure, or null if the desk is open throughout
+   */
+  getClosureForRange(start, end) {
+    const istStart = utcToZonedTime(start, IST_TIMEZONE);
+    const istEnd = utcToZonedTime(end, IST_TIMEZONE);
+    const startMinutes = istStart.getHours() * 60 + istStart.getMinutes();
+    let endMinutes = istEnd.getHours() * 60 + istEnd.getMinutes();
+    if (endMinutes <= startMinutes) {
+      endMinutes = DAY_MINUTES; // Ends at or past midnight
+    }
+    return this.getClosure(format(istStart, 'yyyy-MM-dd'), startMinutes, endMinutes);
+  }
+}
+
+/**
+ * Create the calendar from HOLIDAY_CALENDAR_PATH, falling back to HOLIDAY_CLOSURES
+ * @private
+ */
+function createHolidayCalendar() {
+  const filePath = process.env.HOLIDAY_CALENDAR_PATH;
+  if (filePath) {
+    try {
+      const calendar = HolidayCalendar.fromFile(filePath);
+      logger.log('system', 'HolidayCalendar: Loaded closures from file', { filePath, count: calendar.closures.length });
+      return calendar;
+    } catch (error) {
+      logger.log('error', `HolidayCalendar: Failed to load ${filePath}, using built-in closures: ${error.message}`, {});
+    }
+  }
+  return new HolidayCalendar();
+}
+
+// Export singleton instance
+export const holidayCalendar = createHolidayCalendar();
@@ -0,0 +1,134 @@
+/**
+ * Circuit Breaker
+ * Tracks one LLM provider's error rate and latency, and takes it out of rotation
+ * for a cool-down after repeated rate limits or failures. After the cool-down one
+ * trial request is let through, and no other until it settles: success closes the
+ * circuit, failure reopens it.
+ */
+
+import { LLM_CIRCUIT_BREAKER } from '../../config/constants.js';
+import { isRateLimitError } from '../../utils/keywordClassifier.js';
+
+export const CIRCUIT_STATES = {
+  CLOSED: 'closed',
+  OPEN: 'open',
+  HALF_OPEN: 'half_open'
+};
+
+export class CircuitBreaker {
+  /**
+   * @param {Object} options - Options (defaults in LLM_CIRCUIT_BREAKER)
+   * @param {number} options.rateLimitThreshold - Consecutive rate-limit errors that open the circuit
+   * @param {number} options.failureThreshold - Consecutive errors of any kind that open the circuit
+   * @param {number} options.cooldownMs - How long an open circuit skips the provider
+   * @param {number} options.latencyWindow - Number of recent calls the latency stats cover
+   */
+  constructor({
+    rateLimitThreshold = LLM_CIRCUIT_BREAKER.rateLimitThreshold,
+    failureThreshold = LLM_CIRCUIT_BREAKER.failureThreshold,
+    cooldownMs = LLM_CIRCUIT_BREAKER.cooldownSeconds * 1000,
+    latencyWindow = LLM_CIRCUIT_BREAKER.latencyWindow
+  } = {}) {
+    this.rateLimitThreshold = rateLimitThreshold;
+    this.failureThreshold = failureThreshold;
+    this.cooldownMs = cooldownMs;
+    this.latencyWindow = latencyWindow;
+
+    this.state = CIRCUIT_STATES.CLOSED;
+    this.openedUntil = null;
+    this.trialInFlight = false; // A half-open circuit's trial request has been let through and not yet recorded
+    this.consecutiveRateLimits = 0;
+    this.consecutiveFailures = 0;
+    this.counts = { requests: 0, successes: 0, failures: 0, rateLimits: 0 };
+    this.latencies = [];
+  }
+
+  /**
+   * Whether the provider may be called; an open circuit turns half-open once the cool-down is over
+   * A true answer for a half-open circuit claims its single trial request: the caller must
+   * record the outcome with recordSuccess or recordFailure.
+   * @param {number} now - Current time in ms (default: Date.now())
+   * @returns {boolean}
+   */
+  isAvailable(now = Date.now()) {
+    if (this.state === CIRCUIT_STATES.OPEN && now >= this.openedUntil) {
+      this.state = CIRCUIT_STATES.HALF_OPEN;
+    }
+    if (this.state === CIRCUIT_STATES.HALF_OPEN) {
+      if (this.trialInFlight) return false;
+      this.trialInFlight = true;
+    }
+    return this.state !== CIRCUIT_STATES.OPEN;
+  }
+
+  /**
+   * Record a successful call
+   * @param {number} latencyMs - Call duration
+   */
+  recordSuccess(latencyMs) {
+    this.counts.requests += 1;
+    this.counts.successes += 1;
+    this.addLatency(latencyMs);
+    this.consecutiveRateLimits = 0;
+    this.consecutiveFailures = 0;
+    this.state = CIRCUIT_STATES.CLOSED;
+    this.openedUntil = null;
+    this.trialInFlight = false;
+  }
+
+  /**
+   * Record a failed call, opening the circuit when a threshold is reached
+   * @param {Error} error - Error thrown by the provider
+   * @param {number} latencyMs - Call duration
+   * @param {number} now - Current time in ms (default: Date.now())
+   * @returns {boolean} True if this failure opened the circuit
+   */
+  recordFailure(error, latencyMs, now = Date.now()) {
+    const rateLimited = isRateLimitError(error);
+    this.counts.requests += 1;
+    this.counts.failures += 1;
+    if (rateLimited) this.counts.rateLimits += 1;
+    this.addLatency(latencyMs);
+
+    this.consecutiveFailures += 1;
+    this.consecutiveRateLimits = rateLimited ? this.consecutiveRateLimits + 1 : 0;
+
+    const shouldOpen = this.state === CIRCUIT_STATES.HALF_OPEN ||
+      this.consecutiveRateLimits >= this.rateLimitThreshold ||
+      this.consecutiveFailures >= this.failureThreshold;
+    if (shouldOpen) {
+      this.state = CIRCUIT_STATES.OPEN;
+      this.openedUntil = now + this.cooldownMs;
+    }
+    this.trialInFlight = false;
+    return shouldOpen;
+  }
+
+  /**
+   * @private
+   */
+  addLatency(latencyMs) {
+    this.latencies.push(latencyMs);
+    if (this.latencies.length > this.latencyWindow) {
+      this.latencies.shift();
+    }
+  }
+
+  /**
+   * Error rate and latency
+   * @returns {Object} { state, openedUntil, requests, successes, failures, rateLimits, errorRate,
+   *   avgLatencyMs, p95LatencyMs } (latency over the last latencyWindow calls)
+   */
+  getStats() {
+    const sorted = [...this.latencies].sort((a, b) => a - b);
+    const avg = sorted.length > 0 ? sorted.reduce((sum, ms) => sum + ms, 0) / sorted.length : null;
+    return {
+      state: this.state,
+      openedUntil: this.openedUntil ? new Date(this.openedUntil).toISOString() : null,
+      ...this.counts,
+      errorRate: this.counts.requests > 0 ? this.counts.failures / this.counts.requests : 0,
+      avgLatencyMs: avg === null ? null : Math.round(avg),
+      p95LatencyMs: sorted.length > 0 ? sorted[Math.min(sorted.length - 1, Math.ceil(sorted.length * 0.95) - 1)] : null
+    };
+  }
+}
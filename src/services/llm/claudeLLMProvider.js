@@ -0,0 +1,63 @@
+/**
+ * Claude LLM Provider
+ * Anthropic Messages API; tool_use blocks are returned as OpenAI-style tool calls.
+ */
+
+import Anthropic from '@anthropic-ai/sdk';
+import { LLMProvider } from './llmProvider.js';
+import { generalAPILimiter } from '../../utils/rateLimiter.js';
+
+export class ClaudeLLMProvider extends LLMProvider {
+  /**
+   * @param {Object} options - Options
+   * @param {string} options.apiKey - Anthropic API key (default: ANTHROPIC_API_KEY env)
+   * @param {string} options.model - Model (default: CLAUDE_MODEL env or claude-3-5-sonnet-20241022)
+   */
+  constructor({ apiKey = process.env.ANTHROPIC_API_KEY, model = process.env.CLAUDE_MODEL || 'claude-3-5-sonnet-20241022' } = {}) {
+    super('claude', { supportsTools: true });
+    this.model = model;
+    this.client = apiKey ? new Anthropic({ apiKey }) : null;
+  }
+
+  isConfigured() {
+    return this.client !== null;
+  }
+
+  getConfigurationHint() {
+    return 'Please set ANTHROPIC_API_KEY in your .env file';
+  }
+
+  async complete(systemPrompt, messages, tools = []) {
+    await generalAPILimiter.waitIfNeeded();
+
+    // Convert messages format for Claude
+    const claudeMessages = messages.map(msg => ({
+      role: msg.role === 'assistant' ? 'assistant' : 'user',
+      content: msg.content
+    }));
+
+    const completion = await this.client.messages.create({
+      model: this.model,
+      max_tokens: 1000,
+      system: systemPrompt,
+      messages: claudeMessages,
+      tools: tools.length > 0 ? tools : undefined
+    });
+
+    const content = completion.content.find(c => c.type === 'text');
+    const toolCalls = completion.content.filter(c => c.type === 'tool_use');
+
+    return {
+      content: content?.text || '',
+      toolCalls: toolCalls.map(tc => ({
+        id: tc.id,
+        type: 'function',
+        function: {
+          name: tc.name,
+          arguments: JSON.stringify(tc.input)
+        }
+      })),
+      finishReason: completion.stop_reason
+    };
+  }
+}
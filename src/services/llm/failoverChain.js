@@ -0,0 +1,110 @@
+/**
+ * LLM Failover Chain
+ * Tries providers in order (e.g. Groq → Claude → local server), each behind its own
+ * circuit breaker. Every skip and hand-over is logged, and each response names the
+ * provider that answered. When the whole chain fails, the caller falls back to keywords.
+ */
+
+import { CircuitBreaker, CIRCUIT_STATES } from './circuitBreaker.js';
+import { isRateLimitError } from '../../utils/keywordClassifier.js';
+import { logger } from '../../utils/logger.js';
+
+export class LLMFailoverChain {
+  /**
+   * @param {Array<LLMProvider>} providers - Providers in the order they are tried
+   * @param {Object} options - Options
+   * @param {Object} options.breaker - Circuit breaker options (see CircuitBreaker)
+   * @param {Function} options.now - Clock in ms (default: Date.now)
+   */
+  constructor(providers, { breaker = {}, now = () => Date.now() } = {}) {
+    this.entries = providers.map(provider => ({ provider, breaker: new CircuitBreaker(breaker) }));
+    this.now = now;
+  }
+
+  /**
+   * Provider names in failover order
+   * @returns {Array<string>}
+   */
+  getProviderNames() {
+    return this.entries.map(({ provider }) => provider.providerName);
+  }
+
+  /**
+   * Get a chat completion from the first provider that answers
+   * Providers without tool calling are called without the tools.
+   * @param {string} systemPrompt - System prompt
+   * @param {Array} messages - Conversation messages
+   * @param {Array} tools - Tool definitions in OpenAI format
+   * @returns {Promise<Object>} { content, toolCalls, finishReason, provider }
+   * @throws {Error} When no provider answers; status is the last provider's (or 503 when every circuit is open)
+   */
+  async complete(systemPrompt, messages, tools = []) {
+    let lastError = null;
+
+    for (const [index, { provider, breaker }] of this.entries.entries()) {
+      const name = provider.providerName;
+      const next = this.entries[index + 1]?.provider.providerName || null;
+
+      if (!breaker.isAvailable(this.now())) {
+        // A half-open circuit is skipped while another request makes its trial call
+        const trialPending = breaker.state === CIRCUIT_STATES.HALF_OPEN;
+        logger.log('fallback', `LLM failover: skipping ${name} (${trialPending ? 'trial call in flight' : 'circuit open'})${next ? `, trying ${next}` : ''}`, {
+          provider: name,
+          reason: trialPending ? 'trial_in_flight' : 'circuit_open',
+          openedUntil: breaker.getStats().openedUntil,
+          next
+        });
+        continue;
+      }
+
+      if (tools.length > 0 && !provider.supportsTools) {
+        logger.log('llm', `Provider ${name} does not support tool calling; sending the prompt without tools`, {
+          provider: name,
+          tools: tools.map(tool => (tool.function || tool).name)
+        });
+      }
+
+      const started = this.now();
+      try {
+        const response = await provider.complete(systemPrompt, messages, provider.supportsTools ? tools : []);
+        const latencyMs = this.now() - started;
+        breaker.recordSuccess(latencyMs);
+        logger.log('llm', `LLM response from ${name}`, { provider: name, latencyMs, failedOver: index > 0 });
+        return { ...response, provider: name };
+      } catch (error) {
+        const latencyMs = this.now() - started;
+        const opened = breaker.recordFailure(error, latencyMs, this.now());
+        lastError = error;
+        logger.log('fallback', `LLM failover: ${name} failed${opened ? ' (circuit opened)' : ''}, ${next ? `trying ${next}` : 'no providers left'}`, {
+          provider: name,
+          reason: isRateLimitError(error) ? 'rate_limit' : 'error',
+          error: error.message,
+          latencyMs,
+          circuitOpened: opened,
+          next
+        });
+      }
+    }
+
+    const error = new Error(lastError
+      ? `All LLM providers failed: ${lastError.message}`
+      : 'No LLM provider available (all circuits open)');
+    // A status makes the caller fall back to keywords at once instead of retrying the chain
+    error.status = lastError?.status || 503;
+    error.isRateLimit = lastError ? isRateLimitError(lastError) : false;
+    error.cause = lastError;
+    throw error;
+  }
+
+  /**
+   * Error rate, latency and circuit state of each provider, in failover order
+   * @returns {Array<Object>} [{ provider, supportsTools, state, errorRate, avgLatencyMs, ... }]
+   */
+  getStats() {
+    return this.entries.map(({ provider, breaker }) => ({
+      provider: provider.providerName,
+      supportsTools: provider.supportsTools,
+      ...breaker.getStats()
+    }));
+  }
+}
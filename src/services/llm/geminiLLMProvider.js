@@ -0,0 +1,91 @@
+/**
+ * Gemini LLM Provider
+ * Google Generative Language REST API (generateContent). OpenAI-format tools are sent as
+ * function declarations, and function calls come back as OpenAI-style tool calls.
+ */
+
+import { LLMProvider, getGenerationSettings, createHttpError } from './llmProvider.js';
+import { generalAPILimiter } from '../../utils/rateLimiter.js';
+
+const GEMINI_API_URL = 'https://generativelanguage.googleapis.com/v1beta';
+
+export class GeminiLLMProvider extends LLMProvider {
+  /**
+   * @param {Object} options - Options
+   * @param {string} options.apiKey - Gemini API key (default: GEMINI_API_KEY env)
+   * @param {string} options.model - Model (default: GEMINI_MODEL env or gemini-2.0-flash)
+   * @param {Function} options.fetch - Fetch implementation (default: global fetch)
+   */
+  constructor({
+    apiKey = process.env.GEMINI_API_KEY,
+    model = process.env.GEMINI_MODEL || 'gemini-2.0-flash',
+    fetch: fetchImpl = globalThis.fetch
+  } = {}) {
+    super('gemini', { supportsTools: true });
+    this.apiKey = apiKey;
+    this.model = model;
+    this.fetch = fetchImpl;
+  }
+
+  isConfigured() {
+    return Boolean(this.apiKey);
+  }
+
+  getConfigurationHint() {
+    return 'Please set GEMINI_API_KEY in your .env file';
+  }
+
+  async complete(systemPrompt, messages, tools = []) {
+    await generalAPILimiter.waitIfNeeded();
+    const { temperature, maxTokens } = getGenerationSettings(systemPrompt);
+
+    const body = {
+      systemInstruction: { parts: [{ text: systemPrompt }] },
+      contents: messages.map(msg => ({
+        role: msg.role === 'assistant' ? 'model' : 'user',
+        parts: [{ text: msg.content }]
+      })),
+      generationConfig: { temperature, maxOutputTokens: maxTokens }
+    };
+    if (tools.length > 0) {
+      body.tools = [{
+        functionDeclarations: tools.map(tool => {
+          const fn = tool.function || tool;
+          return { name: fn.name, description: fn.description, parameters: fn.parameters };
+        })
+      }];
+    }
+
+    const response = await this.fetch(`${GEMINI_API_URL}/models/${this.model}:generateContent`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'x-goog-api-key': this.apiKey
+      },
+      body: JSON.stringify(body)
+    });
+    if (!response.ok) {
+      throw await createHttpError(response, 'Gemini');
+    }
+
+    const data = await response.json();
+    const candidate = data.candidates?.[0];
+    if (!candidate || !candidate.content) {
+      throw new Error('No response from Gemini API');
+    }
+
+    const parts = candidate.content.parts || [];
+    return {
+      content: parts.filter(part => part.text).map(part => part.text).join(''),
+      toolCalls: parts.filter(part => part.functionCall).map((part, index) => ({
+        id: `call_${index}`,
+        type: 'function',
+        function: {
+          name: part.functionCall.name,
+          arguments: JSON.stringify(part.functionCall.args || {})
+        }
+      })),
+      finishReason: candidate.finishReason
+    };
+  }
+}
@@ -0,0 +1,113 @@
+/**
+ * Groq LLM Provider
+ * Llama models on Groq, with per-task rate limiting and exponential backoff on rate limits.
+ */
+
+import Groq from 'groq-sdk';
+import { LLMProvider, getGenerationSettings } from './llmProvider.js';
+import {
+  intentClassificationLimiter,
+  slotExtractionLimiter,
+  generalAPILimiter
+} from '../../utils/rateLimiter.js';
+import { isRateLimitError } from '../../utils/keywordClassifier.js';
+
+const DEFAULT_MAX_RETRIES = 2;
+const RETRY_DELAY_BASE = 1000; // Base delay in ms
+
+export class GroqLLMProvider extends LLMProvider {
+  /**
+   * @param {Object} options - Options
+   * @param {string} options.apiKey - Groq API key (default: GROQ_API_KEY env)
+   * @param {string} options.model - Model (default: GROQ_MODEL env or llama-3.3-70b-versatile)
+   * @param {number} options.maxRetries - Backoff retries on rate limits (0 when another provider can take over)
+   */
+  constructor({
+    apiKey = process.env.GROQ_API_KEY,
+    model = process.env.GROQ_MODEL || 'llama-3.3-70b-versatile',
+    maxRetries = DEFAULT_MAX_RETRIES
+  } = {}) {
+    super('groq', { supportsTools: true });
+    this.model = model;
+    this.maxRetries = maxRetries;
+    this.client = apiKey ? new Groq({ apiKey }) : null;
+  }
+
+  isConfigured() {
+    return this.client !== null;
+  }
+
+  getConfigurationHint() {
+    return 'Please set GROQ_API_KEY in your .env file';
+  }
+
+  async complete(systemPrompt, messages, tools = [], retryCount = 0) {
+    const { isIntentClassification, isSlotExtraction, temperature, maxTokens } = getGenerationSettings(systemPrompt);
+
+    try {
+      const limiter = isIntentClassification
+        ? intentClassificationLimiter
+        : isSlotExtraction
+          ? slotExtractionLimiter
+          : generalAPILimiter;
+
+      // Wait if rate limit would be exceeded
+      await limiter.waitIfNeeded();
+
+      const completion = await this.client.chat.completions.create({
+        model: this.model,
+        messages: [
+          { role: 'system', content: systemPrompt },
+          ...messages
+        ],
+        tools: tools.length > 0 ? tools : undefined,
+        tool_choice: tools.length > 0 ? 'auto' : undefined,
+        temperature,
+        max_tokens: maxTokens,
+        stream: false
+      });
+
+      if (!completion || !completion.choices || completion.choices.length === 0) {
+        throw new Error('No response from Groq API');
+      }
+
+      const response = completion.choices[0];
+
+      if (!response || !response.message) {
+        throw new Error('Invalid response structure from Groq API');
+      }
+
+      return {
+        content: response.message.content || '',
+        toolCalls: response.message.tool_calls || [],
+        finishReason: response.finish_reason
+      };
+    } catch (error) {
+      // Handle rate limit errors with exponential backoff retry
+      if (isRateLimitError(error) && retryCount < this.maxRetries) {
+        const retryDelay = RETRY_DELAY_BASE * Math.pow(2, retryCount);
+        console.warn(`⚠️  Rate limit hit. Retrying in ${retryDelay}ms (attempt ${retryCount + 1}/${this.maxRetries})...`);
+
+        await new Promise(resolve => setTimeout(resolve, retryDelay));
+        return await this.complete(systemPrompt, messages, tools, retryCount + 1);
+      }
+
+      // Log error details
+      console.error('Groq API Error:', error.message);
+      if (error.status) {
+        console.error('Status Code:', error.status);
+      }
+      if (error.response) {
+        console.error('API Response:', error.response.data);
+      }
+
+      // Enhance error with rate limit info
+      if (isRateLimitError(error)) {
+        error.isRateLimit = true;
+        error.retryAfter = error.response?.headers?.['retry-after'] || 60;
+      }
+
+      throw error;
+    }
+  }
+}
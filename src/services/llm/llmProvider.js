@@ -0,0 +1,79 @@
+/**
+ * LLM Provider - Base interface for chat-completion backends
+ * aiService only talks to this interface, so a backend can be swapped (e.g. a local
+ * OpenAI-compatible server in the offline lab) without touching the prompts.
+ */
+
+/**
+ * Base LLM provider class
+ * complete() always answers in the same shape, whatever the backend:
+ * { content, toolCalls: [{ id, type: 'function', function: { name, arguments } }], finishReason }
+ */
+export class LLMProvider {
+  /**
+   * @param {string} providerName - Name used in AI_PROVIDER and logs
+   * @param {Object} capabilities - Capabilities
+   * @param {boolean} capabilities.supportsTools - Whether the backend accepts tool (function) definitions
+   */
+  constructor(providerName, { supportsTools = false } = {}) {
+    this.providerName = providerName;
+    this.supportsTools = supportsTools;
+  }
+
+  /**
+   * Whether the provider has what it needs (API key, endpoint) to make requests
+   * @returns {boolean}
+   */
+  isConfigured() {
+    return true;
+  }
+
+  /**
+   * What to set when the provider is not configured
+   * @returns {string} Hint, e.g. "Please set GEMINI_API_KEY in your .env file"
+   */
+  getConfigurationHint() {
+    return '';
+  }
+
+  /**
+   * Get a chat completion
+   * @param {string} systemPrompt - System prompt
+   * @param {Array} messages - Conversation messages [{ role, content }]
+   * @param {Array} tools - Tool definitions in OpenAI format (only passed when supportsTools is true)
+   * @returns {Promise<Object>} { content, toolCalls, finishReason }
+   */
+  async complete(systemPrompt, messages, tools = []) {
+    throw new Error('complete must be implemented by subclass');
+  }
+}
+
+/**
+ * Sampling settings for a prompt: intent classification wants a short, near-deterministic answer
+ * @param {string} systemPrompt - System prompt
+ * @returns {Object} { isIntentClassification, isSlotExtraction, temperature, maxTokens }
+ */
+export function getGenerationSettings(systemPrompt) {
+  const isIntentClassification = systemPrompt.includes('intent classifier') ||
+    systemPrompt.includes('expert intent classifier');
+  const isSlotExtraction = systemPrompt.includes('slot extractor');
+  return {
+    isIntentClassification,
+    isSlotExtraction,
+    temperature: isIntentClassification ? 0.1 : 0.3,
+    maxTokens: isIntentClassification ? 50 : 500
+  };
+}
+
+/**
+ * Build an error for a failed HTTP response, carrying the status so rate limits are recognised
+ * @param {Response} response - Fetch response
+ * @param {string} label - API name for the message, e.g. "Gemini"
+ * @returns {Promise<Error>} Error with status
+ */
+export async function createHttpError(response, label) {
+  const text = await response.text().catch(() => '');
+  const error = new Error(`${label} API error: ${response.status} - ${text.slice(0, 500)}`);
+  error.status = response.status;
+  return error;
+}
@@ -0,0 +1,82 @@
+/**
+ * OpenAI-compatible LLM Provider
+ * Any server speaking the OpenAI chat-completions API, e.g. a local llama.cpp or vLLM
+ * server in the offline lab. Tool calling depends on how the server was started
+ * (llama.cpp needs --jinja, vLLM --enable-auto-tool-choice), so it is declared in config.
+ */
+
+import { LLMProvider, getGenerationSettings, createHttpError } from './llmProvider.js';
+
+export class OpenAICompatibleLLMProvider extends LLMProvider {
+  /**
+   * @param {Object} options - Options
+   * @param {string} options.baseUrl - API base URL including /v1 (default: OPENAI_COMPAT_BASE_URL env)
+   * @param {string} options.apiKey - Bearer token, if the server wants one (default: OPENAI_COMPAT_API_KEY env)
+   * @param {string} options.model - Model name sent to the server (default: OPENAI_COMPAT_MODEL env or local-model)
+   * @param {boolean} options.supportsTools - Whether the server accepts tools (default: OPENAI_COMPAT_SUPPORTS_TOOLS=true)
+   * @param {Function} options.fetch - Fetch implementation (default: global fetch)
+   */
+  constructor({
+    baseUrl = process.env.OPENAI_COMPAT_BASE_URL,
+    apiKey = process.env.OPENAI_COMPAT_API_KEY,
+    model = process.env.OPENAI_COMPAT_MODEL || 'local-model',
+    supportsTools = process.env.OPENAI_COMPAT_SUPPORTS_TOOLS === 'true',
+    fetch: fetchImpl = globalThis.fetch
+  } = {}) {
+    super('openai_compatible', { supportsTools });
+    this.baseUrl = baseUrl ? baseUrl.replace(/\/+$/, '') : null;
+    this.apiKey = apiKey;
+    this.model = model;
+    this.fetch = fetchImpl;
+  }
+
+  isConfigured() {
+    return Boolean(this.baseUrl);
+  }
+
+  getConfigurationHint() {
+    return 'Please set OPENAI_COMPAT_BASE_URL (e.g. http://localhost:8080/v1) in your .env file';
+  }
+
+  async complete(systemPrompt, messages, tools = []) {
+    // A local server has no shared quota, so no rate limiter
+    const { temperature, maxTokens } = getGenerationSettings(systemPrompt);
+
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.apiKey) {
+      headers.Authorization = `Bearer ${this.apiKey}`;
+    }
+
+    const response = await this.fetch(`${this.baseUrl}/chat/completions`, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify({
+        model: this.model,
+        messages: [
+          { role: 'system', content: systemPrompt },
+          ...messages
+        ],
+        tools: tools.length > 0 ? tools : undefined,
+        tool_choice: tools.length > 0 ? 'auto' : undefined,
+        temperature,
+        max_tokens: maxTokens,
+        stream: false
+      })
+    });
+    if (!response.ok) {
+      throw await createHttpError(response, 'OpenAI-compatible');
+    }
+
+    const completion = await response.json();
+    const choice = completion.choices?.[0];
+    if (!choice || !choice.message) {
+      throw new Error('No response from OpenAI-compatible API');
+    }
+
+    return {
+      content: choice.message.content || '',
+      toolCalls: choice.message.tool_calls || [],
+      finishReason: choice.finish_reason
+    };
+  }
+}
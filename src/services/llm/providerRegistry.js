@@ -0,0 +1,44 @@
+/**
+ * LLM Provider Registry
+ * Maps AI_PROVIDER names to provider factories.
+ */
+
+import { GroqLLMProvider } from './groqLLMProvider.js';
+import { ClaudeLLMProvider } from './claudeLLMProvider.js';
+import { GeminiLLMProvider } from './geminiLLMProvider.js';
+import { OpenAICompatibleLLMProvider } from './openAICompatibleLLMProvider.js';
+
+const providers = new Map([
+  ['groq', (options) => new GroqLLMProvider(options)],
+  ['claude', (options) => new ClaudeLLMProvider(options)],
+  ['gemini', (options) => new GeminiLLMProvider(options)],
+  ['openai_compatible', (options) => new OpenAICompatibleLLMProvider(options)]
+]);
+
+/**
+ * Register a provider factory under a name usable in AI_PROVIDER
+ * @param {string} name - Provider name
+ * @param {Function} factory - (options) => LLMProvider
+ */
+export function registerLLMProvider(name, factory) {
+  providers.set(name.toLowerCase(), factory);
+}
+
+/**
+ * Names of the registered providers
+ * @returns {Array<string>}
+ */
+export function listLLMProviders() {
+  return [...providers.keys()];
+}
+
+/**
+ * Create a registered provider
+ * @param {string} name - Provider name (default: AI_PROVIDER env or groq)
+ * @param {Object} options - Options passed to the provider constructor
+ * @returns {LLMProvider|null} Provider, or null if no provider has that name
+ */
+export function createLLMProvider(name = process.env.AI_PROVIDER || 'groq', options = {}) {
+  const factory = providers.get(name.toLowerCase());
+  return factory ? factory(options) : null;
+}
@@ -0,0 +1,181 @@
+/**
+ * LLM Response Cache
+ * Callers repeat near-identical phrases ("I want to book an appointment", "reschedule my booking"),
+ * so intent classification and slot extraction answers are cached by normalised input, with PII
+ * stripped, a TTL and a least-recently-used size limit. Inputs that depend on the date ("tomorrow",
+ * "Monday", "kal", "15th") are cached per desk-timezone day, so they are never served on the next day.
+ */
+
+import { LLM_RESPONSE_CACHE } from '../../config/constants.js';
+import { sanitizePII } from '../../utils/guardrails.js';
+import { formatISTDate } from '../../utils/timezone.js';
+import { nowMs } from '../../utils/clock.js';
+
+// Anything whose meaning moves with the calendar: relative days, weekdays, months and numbers
+// ("may" is left out: "May I book a slot" is far more common than a bare month name)
+const DATE_RELATIVE = /\d|\b(?:today|tonight|tomorrow|yesterday|next|week|weekend|month|monday|tuesday|wednesday|thursday|friday|saturday|sunday|january|february|march|april|june|july|august|september|october|november|december|aaj|kal|parso|parson|agle|agla|hafte|somvar|mangalvar|budhvar|guruvar|shukravar|shanivar|ravivar)\b|आज|कल|परसों|परसो/i;
+
+/**
+ * Normalise input for use as a cache key: PII removed, lower case, punctuation and spacing collapsed
+ * @param {string} text - User input
+ * @returns {string} Normalised text
+ */
+export function normalizeCacheInput(text) {
+  return sanitizePII(String(text || ''))
+    .toLowerCase()
+    .replace(/\[redacted\]/g, ' pii ')
+    .replace(/[^\p{L}\p{N}\s-]/gu, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Whether the meaning of the input depends on the current date
+ * @param {string} text - User input
+ * @returns {boolean}
+ */
+export function isDateRelative(text) {
+  return DATE_RELATIVE.test(text || '');
+}
+
+export class ResponseCache {
+  /**
+   * @param {Object} options - Options (defaults in LLM_RESPONSE_CACHE)
+   * @param {boolean} options.enabled - Whether answers are cached at all
+   * @param {number} options.maxEntries - Entries kept before the least recently used is evicted
+   * @param {number} options.ttlMs - How long an entry is served
+   * @param {Function} options.now - Clock in ms (default: the application clock)
+   */
+  constructor({
+    enabled = true,
+    maxEntries = LLM_RESPONSE_CACHE.maxEntries,
+    ttlMs = LLM_RESPONSE_CACHE.ttlSeconds * 1000,
+    now = nowMs
+  } = {}) {
+    this.enabled = enabled;
+    this.maxEntries = maxEntries;
+    this.ttlMs = ttlMs;
+    this.now = now;
+    this.entries = new Map();
+    this.evictions = 0;
+    this.expirations = 0;
+    this.namespaces = {};
+  }
+
+  /**
+   * Cache key; date-relative inputs carry the desk-timezone date
+   * @private
+   */
+  buildKey(namespace, input) {
+    const normalized = normalizeCacheInput(input);
+    const day = isDateRelative(normalized) ? formatISTDate(new Date(this.now())) : '*';
+    return `${namespace}|${day}|${normalized}`;
+  }
+
+  /**
+   * @private
+   */
+  getCounters(namespace) {
+    if (!this.namespaces[namespace]) {
+      this.namespaces[namespace] = { hits: 0, misses: 0 };
+    }
+    return this.namespaces[namespace];
+  }
+
+  /**
+   * Look up a cached answer, counting the hit or miss
+   * @param {string} namespace - What is cached, e.g. 'intent' or 'slots:book_new'
+   * @param {string} input - User input
+   * @returns {*} A copy of the cached value, or undefined
+   */
+  get(namespace, input) {
+    if (!this.enabled) return undefined;
+
+    const counters = this.getCounters(namespace);
+    const key = this.buildKey(namespace, input);
+    const entry = this.entries.get(key);
+
+    if (entry && entry.expiresAt <= this.now()) {
+      this.entries.delete(key);
+      this.expirations += 1;
+    } else if (entry) {
+      // Re-insert so Map order stays least-recently-used first
+      this.entries.delete(key);
+      this.entries.set(key, entry);
+      counters.hits += 1;
+      return structuredClone(entry.value);
+    }
+
+    counters.misses += 1;
+    return undefined;
+  }
+
+  /**
+   * Cache an answer
+   * @param {string} namespace - What is cached, e.g. 'intent' or 'slots:book_new'
+   * @param {string} input - User input
+   * @param {*} value - Answer to cache (copied)
+   */
+  set(namespace, input, value) {
+    if (!this.enabled) return;
+
+    const key = this.buildKey(namespace, input);
+    this.entries.delete(key);
+    this.entries.set(key, { value: structuredClone(value), expiresAt: this.now() + this.ttlMs });
+
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+      this.evictions += 1;
+    }
+  }
+
+  /**
+   * Drop every entry (counters are kept)
+   */
+  clear() {
+    this.entries.clear();
+  }
+
+  /**
+   * Hit rate overall and per namespace
+   * @returns {Object} { enabled, size, maxEntries, ttlSeconds, hits, misses, hitRate, evictions, expirations, namespaces }
+   */
+  getStats() {
+    const hitRate = ({ hits, misses }) => (hits + misses > 0 ? hits / (hits + misses) : 0);
+    const namespaces = Object.fromEntries(Object.entries(this.namespaces).map(([name, counters]) => [
+      name,
+      { ...counters, hitRate: hitRate(counters) }
+    ]));
+    const totals = Object.values(this.namespaces).reduce(
+      (sum, { hits, misses }) => ({ hits: sum.hits + hits, misses: sum.misses + misses }),
+      { hits: 0, misses: 0 }
+    );
+
+    return {
+      enabled: this.enabled,
+      size: this.entries.size,
+      maxEntries: this.maxEntries,
+      ttlSeconds: this.ttlMs / 1000,
+      ...totals,
+      hitRate: hitRate(totals),
+      evictions: this.evictions,
+      expirations: this.expirations,
+      namespaces
+    };
+  }
+}
+
+/**
+ * Create a cache from LLM_CACHE_* environment variables
+ * @param {Object} env - Environment (default: process.env)
+ * @returns {ResponseCache}
+ */
+export function createResponseCache(env = process.env) {
+  const maxEntries = parseInt(env.LLM_CACHE_MAX_ENTRIES, 10);
+  const ttlSeconds = parseFloat(env.LLM_CACHE_TTL_SECONDS);
+  return new ResponseCache({
+    enabled: (env.LLM_CACHE_ENABLED || 'true').toLowerCase() !== 'false',
+    maxEntries: maxEntries > 0 ? maxEntries : LLM_RESPONSE_CACHE.maxEntries,
+    ttlMs: (ttlSeconds > 0 ? ttlSeconds : LLM_RESPONSE_CACHE.ttlSeconds) * 1000
+  });
+}
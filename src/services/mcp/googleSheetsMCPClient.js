@@ -106,7 +106,9 @@ export class GoogleSheetsMCPClient extends MCPClient {
           params.bookingCode || '',
           params.isWaitlist ? 'true' : 'false',
           params.action || 'created',
-          'voice-agent'
+          'voice-agent',
+          params.status || '',
+          params.attendees ? params.attendees.map(attendee => attendee.role).join(', ') : ''
         ];
 
         return {
@@ -62,13 +62,15 @@ export class MCPClient {
       throw new Error(`${this.serviceName} is not available (MCP disabled or not initialized)`);
     }
 
+    // Caller contact details, and results that may echo them, stay out of the logs
+    const loggedParams = params?.contact ? { ...params, contact: '[REDACTED]' } : params;
     try {
-      logger.log('mcp', `${this.serviceName}: Executing ${toolName}`, { params });
+      logger.log('mcp', `${this.serviceName}: Executing ${toolName}`, { params: loggedParams });
       const result = await this._executeTool(toolName, params);
-      logger.log('mcp', `${this.serviceName}: ${toolName} completed`, { result });
+      logger.log('mcp', `${this.serviceName}: ${toolName} completed`, { result: params?.contact ? '[REDACTED]' : result });
       return result;
     } catch (error) {
-      logger.log('error', `${this.serviceName}: ${toolName} failed`, { error: error.message, params });
+      logger.log('error', `${this.serviceName}: ${toolName} failed`, { error: error.message, params: loggedParams });
       throw error;
     }
   }
@@ -82,7 +82,8 @@ export class SMTPEmailMCPClient extends MCPClient {
         }
 
         try {
-            logger.log('mcp', `Calling SMTP MCP tool: ${toolName}`, { params });
+            const loggedParams = params.contact ? { ...params, contact: '[REDACTED]' } : params;
+            logger.log('mcp', `Calling SMTP MCP tool: ${toolName}`, { params: loggedParams });
 
             const result = await this.client.callTool({
                 name: toolName,
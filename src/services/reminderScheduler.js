@@ -0,0 +1,175 @@
+/**
+ * Reminder Scheduler
+ * Background job that emails callers before their appointments (24 hours and 1 hour
+ * ahead by default) through the SMTP email MCP client. Each reminder is recorded on
+ * the booking, so a restart never sends it twice.
+ */
+
+import dotenv from 'dotenv';
+import { REMINDER_SCHEDULE, BOOKING_STATUSES } from '../config/constants.js';
+import { bookingStore } from './bookingStore.js';
+import { contactStore } from './contactStore.js';
+import { formatSlot } from './availabilityService.js';
+import { getPreparationGuide } from '../utils/attendees.js';
+import { logger } from '../utils/logger.js';
+import { now as clockNow } from '../utils/clock.js';
+
+dotenv.config();
+
+// Only bookings still waiting for their appointment get reminders
+const REMINDED_STATUSES = [BOOKING_STATUSES.TENTATIVE, BOOKING_STATUSES.CONFIRMED];
+
+/**
+ * Read the reminder schedule with environment overrides
+ * REMINDERS_ENABLED=false turns reminders off.
+ * @param {Object} env - Environment variables (default: process.env)
+ * @returns {Object} { enabled, offsetsMinutes (largest first), scanIntervalMs }
+ */
+export function getReminderSchedule(env = process.env) {
+  const offsets = env.REMINDER_OFFSETS_MINUTES
+    ? env.REMINDER_OFFSETS_MINUTES.split(',').map(value => parseInt(value.trim(), 10)).filter(value => value > 0)
+    : REMINDER_SCHEDULE.offsetsMinutes;
+  const seconds = parseFloat(env.REMINDER_SCAN_INTERVAL_SECONDS);
+  return {
+    enabled: env.REMINDERS_ENABLED !== 'false' && offsets.length > 0,
+    offsetsMinutes: [...new Set(offsets)].sort((a, b) => b - a),
+    scanIntervalMs: (seconds > 0 ? seconds : REMINDER_SCHEDULE.scanIntervalSeconds) * 1000
+  };
+}
+
+/**
+ * Describe a lead time, e.g. "in 24 hours", "in 30 minutes"
+ * @private
+ */
+function describeLead(offsetMinutes) {
+  if (offsetMinutes % 60 === 0) {
+    const hours = offsetMinutes / 60;
+    return `in ${hours} hour${hours > 1 ? 's' : ''}`;
+  }
+  return `in ${offsetMinutes} minute${offsetMinutes > 1 ? 's' : ''}`;
+}
+
+export class ReminderScheduler {
+  /**
+   * @param {Object} options - Options
+   * @param {ConversationEngine} options.conversationEngine - Engine whose tool calls reach the email MCP client
+   * @param {BookingStore} options.store - Booking store (default: shared bookingStore)
+   * @param {ContactStore} options.contacts - Contact store (default: shared contactStore)
+   * @param {Object} options.schedule - Schedule (default: getReminderSchedule())
+   */
+  constructor({ conversationEngine, store = bookingStore, contacts = contactStore, schedule = getReminderSchedule() } = {}) {
+    this.conversationEngine = conversationEngine;
+    this.store = store;
+    this.contacts = contacts;
+    this.schedule = schedule;
+    this.timer = null;
+    this.running = false;
+  }
+
+  /**
+   * Start scanning bookings in the background
+   */
+  start() {
+    if (!this.schedule.enabled || this.timer) return;
+
+    // unref so the timer never keeps the process alive
+    this.timer = setInterval(() => {
+      this.runOnce().catch(err => {
+        logger.log('error', `Reminder scan failed: ${err.message}`, {});
+      });
+    }, this.schedule.scanIntervalMs);
+    this.timer.unref?.();
+    logger.log('system', 'Reminder scheduler started', { offsetsMinutes: this.schedule.offsetsMinutes, scanIntervalMs: this.schedule.scanIntervalMs });
+  }
+
+  /**
+   * Stop the background scan
+   */
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Send every reminder that is due
+   * When several are due at once (a booking made 3 hours ahead), only the nearest goes
+   * out and the others are recorded as skipped. Bookings without contact details wait
+   * until the caller submits them on the secure page.
+   * @param {Date} now - Current time (default: now)
+   * @returns {Promise<Array<Object>>} Reminders sent [{ bookingCode, offsetMinutes }]
+   */
+  async runOnce(now = clockNow()) {
+    if (this.running) return []; // The previous scan is still sending
+    this.running = true;
+
+    const sent = [];
+    try {
+      await this.store.initialize();
+      const horizon = new Date(now.getTime() + this.schedule.offsetsMinutes[0] * 60000);
+      const upcoming = this.store.getBookedSlotsInRange(now.toISOString(), horizon.toISOString());
+
+      for (const { bookingCode } of upcoming) {
+        const booking = this.store.getBooking(bookingCode);
+        const start = this.store.getSlotAsUTC(booking.slot);
+        if (!REMINDED_STATUSES.includes(this.store.getStatus(booking)) || !start || start <= now) continue;
+
+        const due = this.schedule.offsetsMinutes.filter(offset =>
+          start.getTime() - offset * 60000 <= now.getTime() && !this.store.wasReminderSent(bookingCode, offset)
+        );
+        if (due.length === 0) continue;
+
+        const contact = await this.contacts.getContact(bookingCode);
+        if (!contact || !contact.email) continue;
+
+        const offset = Math.min(...due);
+        if (await this.sendReminder(booking, contact, offset)) {
+          await this.store.markReminderSent(bookingCode, offset);
+          for (const skipped of due.filter(other => other !== offset)) {
+            await this.store.markReminderSent(bookingCode, skipped, { skipped: true });
+          }
+          sent.push({ bookingCode, offsetMinutes: offset });
+        }
+      }
+    } finally {
+      this.running = false;
+    }
+    return sent;
+  }
+
+  /**
+   * Email one reminder with the booking code, time and preparation checklist
+   * @private
+   * @returns {Promise<boolean>} True if the email went out
+   */
+  async sendReminder(booking, contact, offsetMinutes) {
+    const start = this.store.getSlotAsUTC(booking.slot);
+    const end = this.store.getSlotAsUTC(booking.endSlot);
+    const { results } = await this.conversationEngine.executeToolCalls([
+      {
+        name: 'email_send_reminder',
+        params: {
+          topic: booking.topic,
+          slotStart: start.toISOString(),
+          slotEnd: end.toISOString(),
+          slotText: formatSlot(start, end, booking.callerTimezone),
+          bookingCode: booking.bookingCode,
+          lead: describeLead(offsetMinutes),
+          checklist: getPreparationGuide(booking.topic, booking.attendees),
+          contact: { name: contact.name, email: contact.email }
+        }
+      }
+    ]);
+
+    // A mock result means no email client handled the tool: leave the reminder due so a later scan retries it
+    const result = results[0];
+    const delivered = result.success && !result.mock && result.data?.sent !== false;
+    if (!delivered) {
+      logger.log('tool_error', `Reminder for ${booking.bookingCode} not sent`, {
+        bookingCode: booking.bookingCode,
+        offsetMinutes,
+        error: result.error || result.data?.message || (result.mock ? 'No email client available' : undefined)
+      });
+    }
+    return delivered;
+  }
+}
@@ -0,0 +1,171 @@
+/**
+ * Scheduling Policy
+ * Booking rules on top of advisor availability: buffer time between appointments,
+ * daily caps (per desk and per advisor), a minimum lead time before a slot and a
+ * maximum booking horizon. Slot offers and BookingStore.setBooking both enforce them.
+ */
+
+import dotenv from 'dotenv';
+import { format } from 'date-fns';
+import { utcToZonedTime } from 'date-fns-tz';
+import { SCHEDULING_POLICY } from '../config/constants.js';
+import { IST_TIMEZONE } from '../utils/timezone.js';
+import { now as clockNow } from '../utils/clock.js';
+
+dotenv.config();
+
+export const POLICY_RULES = {
+  LEAD_TIME: 'lead_time',
+  HORIZON: 'horizon',
+  BUFFER: 'buffer',
+  DAILY_CAP: 'daily_cap',
+  ADVISOR_DAILY_CAP: 'advisor_daily_cap'
+};
+
+// Environment variables that override SCHEDULING_POLICY
+const ENV_OVERRIDES = {
+  bufferMinutes: 'BOOKING_BUFFER_MINUTES',
+  maxBookingsPerDay: 'MAX_BOOKINGS_PER_DAY',
+  maxBookingsPerAdvisorPerDay: 'MAX_BOOKINGS_PER_ADVISOR_PER_DAY',
+  minLeadMinutes: 'MIN_BOOKING_LEAD_MINUTES',
+  maxHorizonDays: 'MAX_BOOKING_HORIZON_DAYS'
+};
+
+/**
+ * IST day (YYYY-MM-DD) of a moment
+ * @private
+ */
+function istDayKey(date) {
+  return format(utcToZonedTime(date, IST_TIMEZONE), 'yyyy-MM-dd');
+}
+
+/**
+ * Read start/end from a booking in either { start, end } or { slot, endSlot } form
+ * @private
+ */
+function toInterval(booking) {
+  return {
+    start: new Date(booking.slot || booking.start),
+    end: new Date(booking.endSlot || booking.end)
+  };
+}
+
+export class SchedulingPolicy {
+  /**
+   * @param {Object} policy - { bufferMinutes, maxBookingsPerDay, maxBookingsPerAdvisorPerDay, minLeadMinutes, maxHorizonDays }
+   *   A cap or horizon of 0 turns that rule off.
+   */
+  constructor(policy = SCHEDULING_POLICY) {
+    this.bufferMinutes = policy.bufferMinutes || 0;
+    this.maxBookingsPerDay = policy.maxBookingsPerDay || 0;
+    this.maxBookingsPerAdvisorPerDay = policy.maxBookingsPerAdvisorPerDay || 0;
+    this.minLeadMinutes = policy.minLeadMinutes || 0;
+    this.maxHorizonDays = policy.maxHorizonDays || 0;
+  }
+
+  /**
+   * Build the policy from SCHEDULING_POLICY with environment overrides
+   * @param {Object} env - Environment variables (default: process.env)
+   * @returns {SchedulingPolicy} Policy
+   */
+  static fromEnv(env = process.env) {
+    const policy = { ...SCHEDULING_POLICY };
+    for (const [key, name] of Object.entries(ENV_OVERRIDES)) {
+      const value = parseInt(env[name], 10);
+      if (!isNaN(value) && value >= 0) {
+        policy[key] = value;
+      }
+    }
+    return new SchedulingPolicy(policy);
+  }
+
+  /**
+   * Check when a slot starts against the lead time and booking horizon
+   * @param {Date} start - Slot start (UTC)
+   * @param {Date} now - Current time (default: now)
+   * @returns {Object|null} Violation { rule, minutes|days }, or null if the slot can be booked
+   */
+  checkBookingWindow(start, now = clockNow()) {
+    const minutesAhead = (new Date(start).getTime() - now.getTime()) / 60000;
+    if (minutesAhead < this.minLeadMinutes) {
+      return { rule: POLICY_RULES.LEAD_TIME, minutes: this.minLeadMinutes };
+    }
+    if (this.maxHorizonDays && minutesAhead > this.maxHorizonDays * 24 * 60) {
+      return { rule: POLICY_RULES.HORIZON, days: this.maxHorizonDays };
+    }
+    return null;
+  }
+
+  /**
+   * Check whether any part of a stretch of desk hours can still be booked
+   * @param {Date} dayStart - Start of the first slot (UTC)
+   * @param {Date} dayEnd - Start of the last slot (UTC)
+   * @param {Date} now - Current time (default: now)
+   * @returns {Object|null} Violation if the stretch is past the horizon or even its last slot is too soon
+   */
+  checkDay(dayStart, dayEnd, now = clockNow()) {
+    const horizon = this.checkBookingWindow(dayStart, now);
+    if (horizon && horizon.rule === POLICY_RULES.HORIZON) {
+      return horizon;
+    }
+    const lead = this.checkBookingWindow(dayEnd, now);
+    return lead && lead.rule === POLICY_RULES.LEAD_TIME ? lead : null;
+  }
+
+  /**
+   * Check a slot against the other bookings: buffer time and daily caps
+   * @param {Date} start - Slot start (UTC)
+   * @param {Date} end - Slot end (UTC)
+   * @param {Array} existingBookings - Bookings holding a slot [{ start, end, advisorId }] or [{ slot, endSlot, advisorId }]
+   * @param {string|null} advisorId - Advisor taking the slot (null: compare with every booking)
+   * @returns {Object|null} Violation { rule, minutes|limit, dayKey }, or null if the slot fits
+   */
+  checkCapacity(start, end, existingBookings = [], advisorId = null) {
+    const slotStart = new Date(start).getTime();
+    const slotEnd = new Date(end).getTime();
+    const dayKey = istDayKey(start);
+    const sameDay = existingBookings.filter(booking => istDayKey(toInterval(booking).start) === dayKey);
+
+    if (this.maxBookingsPerDay && sameDay.length >= this.maxBookingsPerDay) {
+      return { rule: POLICY_RULES.DAILY_CAP, limit: this.maxBookingsPerDay, dayKey };
+    }
+
+    const advisorBookings = advisorId ? existingBookings.filter(booking => booking.advisorId === advisorId) : existingBookings;
+    if (advisorId && this.maxBookingsPerAdvisorPerDay) {
+      const advisorSameDay = sameDay.filter(booking => booking.advisorId === advisorId).length;
+      if (advisorSameDay >= this.maxBookingsPerAdvisorPerDay) {
+        return { rule: POLICY_RULES.ADVISOR_DAILY_CAP, limit: this.maxBookingsPerAdvisorPerDay, dayKey };
+      }
+    }
+
+    // Overlaps are left to capacity checks; the buffer only concerns the gap between appointments
+    const bufferMs = this.bufferMinutes * 60000;
+    const tooClose = bufferMs > 0 && advisorBookings.some(booking => {
+      const { start: bookingStart, end: bookingEnd } = toInterval(booking);
+      const overlaps = slotStart < bookingEnd.getTime() && slotEnd > bookingStart.getTime();
+      return !overlaps && slotStart < bookingEnd.getTime() + bufferMs && slotEnd > bookingStart.getTime() - bufferMs;
+    });
+    if (tooClose) {
+      return { rule: POLICY_RULES.BUFFER, minutes: this.bufferMinutes };
+    }
+
+    return null;
+  }
+}
+
+/**
+ * Error thrown when a booking breaks a scheduling rule
+ * @param {Object} violation - Violation from SchedulingPolicy
+ * @param {string} bookingCode - Booking code
+ * @returns {Error} Error flagged with isPolicyViolation
+ */
+export function createPolicyViolationError(violation, bookingCode) {
+  const error = new Error(`Booking ${bookingCode} breaks the ${violation.rule} scheduling rule`);
+  error.isPolicyViolation = true;
+  error.bookingCode = bookingCode;
+  error.violation = violation;
+  return error;
+}
+
+// Export singleton instance
+export const schedulingPolicy = SchedulingPolicy.fromEnv();
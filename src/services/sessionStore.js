@@ -0,0 +1,156 @@
+/**
+ * Session Store Service
+ * Persists serialised conversation sessions so a restart mid-call does not lose the dialog,
+ * and tracks last activity so idle sessions can be evicted.
+ * Backends: in-memory (default) or one JSON file per session, selected with SESSION_STORE.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { logger } from '../utils/logger.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const DEFAULT_SESSION_DIR = path.join(__dirname, '../../data/sessions');
+const DEFAULT_IDLE_MINUTES = 30;
+
+/**
+ * Get the configured idle timeout
+ * @returns {number} Idle timeout in milliseconds (SESSION_IDLE_TIMEOUT_MINUTES, default 30)
+ */
+export function getSessionIdleTimeoutMs() {
+  const minutes = parseFloat(process.env.SESSION_IDLE_TIMEOUT_MINUTES);
+  return (minutes > 0 ? minutes : DEFAULT_IDLE_MINUTES) * 60 * 1000;
+}
+
+/**
+ * In-memory session store with TTL
+ * Sessions idle for longer than the TTL are treated as gone.
+ */
+export class MemorySessionStore {
+  constructor({ ttlMs = getSessionIdleTimeoutMs() } = {}) {
+    this.ttlMs = ttlMs;
+    this.entries = new Map(); // sessionId -> { data, lastActive }
+  }
+
+  async get(sessionId) {
+    const entry = this.entries.get(sessionId);
+    if (!entry || Date.now() - entry.lastActive > this.ttlMs) {
+      return null;
+    }
+    return entry.data;
+  }
+
+  async set(sessionId, data) {
+    this.entries.set(sessionId, { data, lastActive: Date.now() });
+  }
+
+  async delete(sessionId) {
+    this.entries.delete(sessionId);
+  }
+
+  /**
+   * @returns {Promise<Array<string>>} IDs of sessions idle for longer than the TTL
+   */
+  async getExpiredSessionIds(now = Date.now()) {
+    const expired = [];
+    for (const [sessionId, entry] of this.entries.entries()) {
+      if (now - entry.lastActive > this.ttlMs) {
+        expired.push(sessionId);
+      }
+    }
+    return expired;
+  }
+}
+
+/**
+ * File-backed session store: one JSON file per session
+ * Survives restarts of a single server process.
+ */
+export class FileSessionStore {
+  constructor({ dir = DEFAULT_SESSION_DIR, ttlMs = getSessionIdleTimeoutMs() } = {}) {
+    this.dir = dir;
+    this.ttlMs = ttlMs;
+  }
+
+  /**
+   * @private
+   */
+  filePath(sessionId) {
+    return path.join(this.dir, `${encodeURIComponent(sessionId)}.json`);
+  }
+
+  /**
+   * @private
+   */
+  async readEntry(file) {
+    try {
+      return JSON.parse(await fs.readFile(file, 'utf-8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.log('error', `SessionStore: Failed to read ${file}: ${error.message}`, {});
+      }
+      return null;
+    }
+  }
+
+  async get(sessionId) {
+    const entry = await this.readEntry(this.filePath(sessionId));
+    if (!entry || Date.now() - entry.lastActive > this.ttlMs) {
+      return null;
+    }
+    return entry.data;
+  }
+
+  async set(sessionId, data) {
+    await fs.mkdir(this.dir, { recursive: true });
+    const entry = { sessionId, lastActive: Date.now(), data };
+    await fs.writeFile(this.filePath(sessionId), JSON.stringify(entry), 'utf-8');
+  }
+
+  async delete(sessionId) {
+    try {
+      await fs.unlink(this.filePath(sessionId));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+  }
+
+  async getExpiredSessionIds(now = Date.now()) {
+    let files;
+    try {
+      files = await fs.readdir(this.dir);
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const expired = [];
+    for (const file of files.filter(f => f.endsWith('.json'))) {
+      const entry = await this.readEntry(path.join(this.dir, file));
+      if (entry && now - entry.lastActive > this.ttlMs) {
+        expired.push(entry.sessionId);
+      }
+    }
+    return expired;
+  }
+}
+
+/**
+ * Create the session store configured in the environment
+ * SESSION_STORE: 'memory' (default) or 'file'
+ * SESSION_STORE_DIR: directory for the file store
+ * @returns {MemorySessionStore|FileSessionStore} Session store
+ */
+export function createSessionStore() {
+  const backend = (process.env.SESSION_STORE || 'memory').toLowerCase();
+  if (backend === 'file') {
+    return new FileSessionStore({ dir: process.env.SESSION_STORE_DIR || DEFAULT_SESSION_DIR });
+  }
+  if (backend !== 'memory') {
+    logger.log('error', `SessionStore: Unknown backend "${backend}", falling back to memory`, {});
+  }
+  return new MemorySessionStore();
+}
@@ -0,0 +1,25 @@
+/**
+ * Eleven Labs Speech Provider
+ * Hosted STT/TTS through the Eleven Labs API (see elevenLabsService.js)
+ */
+
+import { SpeechProvider } from './speechProvider.js';
+import { speechToText, textToSpeech, textToSpeechStream } from '../elevenLabsService.js';
+
+export class ElevenLabsSpeechProvider extends SpeechProvider {
+  constructor() {
+    super('elevenlabs', 'audio/mpeg');
+  }
+
+  async speechToText(audioBuffer, contentType = 'audio/webm') {
+    return speechToText(audioBuffer, contentType);
+  }
+
+  async textToSpeech(text, options = {}) {
+    return textToSpeech(text, options);
+  }
+
+  async textToSpeechStream(text, options = {}) {
+    return textToSpeechStream(text, options);
+  }
+}
@@ -0,0 +1,147 @@
+/**
+ * Local Speech Provider
+ * Offline STT/TTS stand-in for test labs and CI, with no network access.
+ *
+ * STT: recordings are matched against fixture pairs in the fixtures directory
+ * (e.g. `book-kyc.webm` + `book-kyc.txt`) by content hash. Audio that is plain
+ * UTF-8 text is taken as its own transcript, so scripted clients can send the
+ * utterance directly.
+ *
+ * TTS: produces a silent WAV clip whose length follows the speaking rate, so
+ * playback timing (and barge-in estimates) behave like real speech.
+ */
+
+import { createHash } from 'crypto';
+import { readdir, readFile } from 'fs/promises';
+import { existsSync } from 'fs';
+import { join, extname, basename } from 'path';
+import { SpeechProvider } from './speechProvider.js';
+import { SPEECH_CHARS_PER_SECOND } from '../../config/constants.js';
+import { logger } from '../../utils/logger.js';
+import { sanitizePII } from '../../utils/guardrails.js';
+
+const SAMPLE_RATE = 8000; // 8 kHz mono 16-bit PCM
+const BYTES_PER_SECOND = SAMPLE_RATE * 2;
+const MIN_CLIP_MS = 500;
+
+/**
+ * Hash audio bytes for fixture lookup
+ * @private
+ */
+function hashAudio(buffer) {
+  return createHash('sha256').update(buffer).digest('hex');
+}
+
+/**
+ * Read audio bytes as a transcript when they are plain UTF-8 text
+ * @private
+ * @returns {string|null} Text, or null if the bytes are not text
+ */
+function decodeTextAudio(buffer) {
+  const text = buffer.toString('utf8');
+  if (!Buffer.from(text, 'utf8').equals(buffer) || /[\u0000-\u0008\u000E-\u001F\uFFFD]/.test(text)) {
+    return null;
+  }
+  return text.trim() || null;
+}
+
+/**
+ * Build a silent 16-bit mono WAV clip
+ * @private
+ */
+function createSilentWav(durationMs) {
+  const dataSize = Math.round((durationMs / 1000) * SAMPLE_RATE) * 2;
+  const wav = Buffer.alloc(44 + dataSize);
+  wav.write('RIFF', 0);
+  wav.writeUInt32LE(36 + dataSize, 4);
+  wav.write('WAVE', 8);
+  wav.write('fmt ', 12);
+  wav.writeUInt32LE(16, 16);             // fmt chunk size
+  wav.writeUInt16LE(1, 20);              // PCM
+  wav.writeUInt16LE(1, 22);              // mono
+  wav.writeUInt32LE(SAMPLE_RATE, 24);
+  wav.writeUInt32LE(BYTES_PER_SECOND, 28);
+  wav.writeUInt16LE(2, 32);              // block align
+  wav.writeUInt16LE(16, 34);             // bits per sample
+  wav.write('data', 36);
+  wav.writeUInt32LE(dataSize, 40);
+  return wav;
+}
+
+export class LocalSpeechProvider extends SpeechProvider {
+  /**
+   * @param {Object} options - Options
+   * @param {string} options.fixturesDir - Directory of recording + .txt transcript pairs
+   * @param {number} options.chunkBytes - Size of streamed TTS chunks
+   */
+  constructor(options = {}) {
+    super('local', 'audio/wav');
+    this.fixturesDir = options.fixturesDir || null;
+    this.chunkBytes = options.chunkBytes || BYTES_PER_SECOND / 2;
+    this.transcripts = null; // sha256 of recording -> transcript
+  }
+
+  /**
+   * Load recording/transcript pairs from the fixtures directory
+   * @private
+   */
+  async loadTranscripts() {
+    if (this.transcripts) {
+      return this.transcripts;
+    }
+
+    this.transcripts = new Map();
+    if (!this.fixturesDir || !existsSync(this.fixturesDir)) {
+      return this.transcripts;
+    }
+
+    const files = await readdir(this.fixturesDir);
+    for (const file of files) {
+      if (extname(file) === '.txt') continue;
+
+      const transcriptFile = `${basename(file, extname(file))}.txt`;
+      if (!files.includes(transcriptFile)) continue;
+
+      const audio = await readFile(join(this.fixturesDir, file));
+      const transcript = await readFile(join(this.fixturesDir, transcriptFile), 'utf8');
+      this.transcripts.set(hashAudio(audio), transcript.trim());
+    }
+
+    logger.log('system', 'Local STT fixtures loaded', { dir: this.fixturesDir, count: this.transcripts.size });
+    return this.transcripts;
+  }
+
+  async speechToText(audioBuffer, contentType = 'audio/webm') {
+    if (!audioBuffer || audioBuffer.length === 0) {
+      throw new Error('Audio buffer is empty');
+    }
+
+    const digest = hashAudio(audioBuffer);
+    const transcripts = await this.loadTranscripts();
+    const transcript = transcripts.get(digest) || decodeTextAudio(audioBuffer);
+
+    if (!transcript) {
+      throw new Error(`Local STT failed: no transcript fixture for recording ${digest.substring(0, 12)}`);
+    }
+
+    logger.log('system', 'Local STT success', { transcript: sanitizePII(transcript).substring(0, 100), contentType });
+    return transcript;
+  }
+
+  async textToSpeech(text, options = {}) {
+    const durationMs = Math.max(MIN_CLIP_MS, (text.length / SPEECH_CHARS_PER_SECOND) * 1000);
+    return createSilentWav(durationMs);
+  }
+
+  async textToSpeechStream(text, options = {}) {
+    const audio = await this.textToSpeech(text, options);
+    const { chunkBytes } = this;
+
+    return (async function* () {
+      for (let offset = 0; offset < audio.length; offset += chunkBytes) {
+        if (options.signal?.aborted) return;
+        yield audio.subarray(offset, offset + chunkBytes);
+      }
+    })();
+  }
+}
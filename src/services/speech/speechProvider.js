@@ -0,0 +1,49 @@
+/**
+ * Speech Provider - Base interface for speech-to-text and text-to-speech backends
+ * The voice pipeline only talks to this interface, so a backend can be swapped
+ * (e.g. for offline runs) without touching the WebSocket handler.
+ */
+
+/**
+ * Base speech provider class
+ */
+export class SpeechProvider {
+  /**
+   * @param {string} providerName - Name used in logs
+   * @param {string} audioContentType - MIME type of the audio produced by TTS
+   */
+  constructor(providerName, audioContentType) {
+    this.providerName = providerName;
+    this.audioContentType = audioContentType;
+  }
+
+  /**
+   * Convert recorded audio to text
+   * @param {Buffer} audioBuffer - Audio data
+   * @param {string} contentType - MIME type of the recording
+   * @returns {Promise<string>} Transcript
+   */
+  async speechToText(audioBuffer, contentType) {
+    throw new Error('speechToText must be implemented by subclass');
+  }
+
+  /**
+   * Convert text to a complete audio clip
+   * @param {string} text - Text to speak
+   * @param {Object} options - TTS options; options.languageCode (ISO 639-1) is the language to speak in
+   * @returns {Promise<Buffer>} Audio data in audioContentType
+   */
+  async textToSpeech(text, options = {}) {
+    throw new Error('textToSpeech must be implemented by subclass');
+  }
+
+  /**
+   * Convert text to audio delivered in chunks as it is generated
+   * @param {string} text - Text to speak
+   * @param {Object} options - TTS options as for textToSpeech; options.signal aborts generation
+   * @returns {Promise<AsyncIterable<Uint8Array>>} Audio chunks in audioContentType
+   */
+  async textToSpeechStream(text, options = {}) {
+    throw new Error('textToSpeechStream must be implemented by subclass');
+  }
+}
@@ -0,0 +1,30 @@
+/**
+ * Speech Service
+ * Selects the STT/TTS provider used by the voice pipeline
+ */
+
+import dotenv from 'dotenv';
+import { ElevenLabsSpeechProvider } from './speech/elevenLabsSpeechProvider.js';
+import { LocalSpeechProvider } from './speech/localSpeechProvider.js';
+import { logger } from '../utils/logger.js';
+
+dotenv.config();
+
+/**
+ * Create the speech provider configured by SPEECH_PROVIDER (elevenlabs | local)
+ * @returns {SpeechProvider} Speech provider
+ */
+export function createSpeechProvider() {
+  const provider = (process.env.SPEECH_PROVIDER || 'elevenlabs').toLowerCase();
+
+  if (provider === 'local') {
+    return new LocalSpeechProvider({ fixturesDir: process.env.SPEECH_FIXTURES_DIR });
+  }
+  if (provider !== 'elevenlabs') {
+    logger.log('error', `Unknown speech provider "${provider}", falling back to Eleven Labs`, {});
+  }
+  return new ElevenLabsSpeechProvider();
+}
+
+// Export singleton instance
+export const speechProvider = createSpeechProvider();
@@ -0,0 +1,58 @@
+/**
+ * JSON Storage Adapter
+ * Keeps all bookings in a single JSON file that is rewritten on every change.
+ * Suitable for a single process only.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { StorageAdapter } from './storageAdapter.js';
+import { formatIST12HourWithSeconds } from '../../utils/timezone.js';
+
+export class JsonStorageAdapter extends StorageAdapter {
+    constructor(filePath) {
+        super('json');
+        this.filePath = filePath;
+        this.records = new Map(); // bookingCode -> record
+    }
+
+    async initialize() {
+        await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+    }
+
+    async loadAll() {
+        try {
+            const data = await fs.readFile(this.filePath, 'utf-8');
+            const parsed = JSON.parse(data);
+            this.records = new Map(Object.entries(parsed.bookings || {}));
+            return parsed.bookings || {};
+        } catch (err) {
+            if (err.code === 'ENOENT') {
+                return null;
+            }
+            throw err;
+        }
+    }
+
+    async saveBooking({ bookingCode, record }) {
+        this.records.set(bookingCode, record);
+        await this.write();
+    }
+
+    async saveAll(entries) {
+        this.records = new Map(entries.map(({ bookingCode, record }) => [bookingCode, record]));
+        await this.write();
+    }
+
+    /**
+     * Write the whole file
+     * @private
+     */
+    async write() {
+        const data = {
+            bookings: Object.fromEntries(this.records),
+            lastUpdated: formatIST12HourWithSeconds(new Date())
+        };
+        await fs.writeFile(this.filePath, JSON.stringify(data, null, 2), 'utf-8');
+    }
+}
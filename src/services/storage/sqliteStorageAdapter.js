@@ -0,0 +1,122 @@
+/**
+ * SQLite Storage Adapter
+ * Stores one row per booking in an embedded SQLite database. Writes are transactional
+ * and a unique index on the slot key stops two processes from taking the same slot.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { StorageAdapter, createSlotConflictError } from './storageAdapter.js';
+
+export class SqliteStorageAdapter extends StorageAdapter {
+    constructor(filePath) {
+        super('sqlite');
+        this.filePath = filePath;
+        this.db = null;
+    }
+
+    async initialize() {
+        let Database;
+        try {
+            // Loaded lazily so the JSON backend works without the native module
+            ({ default: Database } = await import('better-sqlite3'));
+        } catch (error) {
+            throw new Error(`SQLite backend requires the better-sqlite3 package: ${error.message}`);
+        }
+
+        await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+        this.db = new Database(this.filePath);
+        this.db.pragma('journal_mode = WAL');
+        this.db.pragma('busy_timeout = 5000');
+
+        // slot_key is the slot start (UTC ISO, or ISO#advisorId) for active bookings and
+        // NULL for waitlisted or cancelled ones, so only active bookings compete for a slot
+        this.db.exec(`
+            CREATE TABLE IF NOT EXISTS bookings (
+                booking_code TEXT PRIMARY KEY,
+                slot_key TEXT,
+                data TEXT NOT NULL,
+                updated_at TEXT NOT NULL
+            );
+            CREATE UNIQUE INDEX IF NOT EXISTS idx_bookings_slot_key ON bookings (slot_key);
+        `);
+
+        this.upsertStatement = this.db.prepare(`
+            INSERT INTO bookings (booking_code, slot_key, data, updated_at)
+            VALUES (@bookingCode, @slotKey, @data, @updatedAt)
+            ON CONFLICT (booking_code) DO UPDATE SET
+                slot_key = excluded.slot_key,
+                data = excluded.data,
+                updated_at = excluded.updated_at
+        `);
+    }
+
+    async loadAll() {
+        const rows = this.db.prepare('SELECT booking_code, data FROM bookings').all();
+        if (rows.length === 0) {
+            return null;
+        }
+
+        const bookings = {};
+        for (const row of rows) {
+            bookings[row.booking_code] = JSON.parse(row.data);
+        }
+        return bookings;
+    }
+
+    async saveBooking(entry) {
+        const write = this.db.transaction(() => this.upsert(entry));
+        try {
+            write();
+        } catch (error) {
+            throw this.translateError(error, entry);
+        }
+    }
+
+    async saveAll(entries) {
+        const write = this.db.transaction(() => {
+            // Drop bookings missing from the batch, then release slots so bookings can swap times
+            const codes = JSON.stringify(entries.map(({ bookingCode }) => bookingCode));
+            this.db.prepare('DELETE FROM bookings WHERE booking_code NOT IN (SELECT value FROM json_each(?))').run(codes);
+            this.db.prepare('UPDATE bookings SET slot_key = NULL').run();
+            for (const entry of entries) {
+                this.upsert(entry);
+            }
+        });
+        try {
+            write();
+        } catch (error) {
+            throw this.translateError(error, {});
+        }
+    }
+
+    async close() {
+        if (this.db) {
+            this.db.close();
+            this.db = null;
+        }
+    }
+
+    /**
+     * @private
+     */
+    upsert({ bookingCode, record, slotKey }) {
+        this.upsertStatement.run({
+            bookingCode,
+            slotKey: slotKey || null,
+            data: JSON.stringify(record),
+            updatedAt: new Date().toISOString()
+        });
+    }
+
+    /**
+     * Map unique-index violations to slot conflict errors
+     * @private
+     */
+    translateError(error, entry) {
+        if (error.code === 'SQLITE_CONSTRAINT_UNIQUE' && String(error.message).includes('slot_key')) {
+            return createSlotConflictError(entry.bookingCode, entry.slotKey);
+        }
+        return error;
+    }
+}
@@ -0,0 +1,67 @@
+/**
+ * Storage Adapter - Base interface for BookingStore persistence backends
+ * Adapters only move records in and out of storage; the in-memory maps and
+ * conflict rules stay in BookingStore.
+ */
+
+/**
+ * Base storage adapter class
+ */
+export class StorageAdapter {
+    constructor(backendName) {
+        this.backendName = backendName;
+    }
+
+    /**
+     * Prepare the backend (create files, tables, indexes)
+     */
+    async initialize() {
+        throw new Error('initialize must be implemented by subclass');
+    }
+
+    /**
+     * Load all stored bookings
+     * @returns {Promise<Object|null>} Map of bookingCode -> record, or null if nothing has been stored yet
+     */
+    async loadAll() {
+        throw new Error('loadAll must be implemented by subclass');
+    }
+
+    /**
+     * Persist a single booking
+     * @param {Object} entry - { bookingCode, record, slotKey }
+     *   slotKey is the slot the booking occupies (UTC ISO, or ISO#advisorId), or null if it holds none
+     */
+    async saveBooking(entry) {
+        throw new Error('saveBooking must be implemented by subclass');
+    }
+
+    /**
+     * Replace all stored bookings
+     * @param {Array<Object>} entries - Array of { bookingCode, record, slotKey }
+     */
+    async saveAll(entries) {
+        throw new Error('saveAll must be implemented by subclass');
+    }
+
+    /**
+     * Release any resources held by the backend
+     */
+    async close() {
+        // Nothing to release by default
+    }
+}
+
+/**
+ * Build the error raised when another writer already holds a slot
+ * @param {string} bookingCode - Booking that could not be stored
+ * @param {string} slotKey - Slot that is already taken
+ * @returns {Error} Error flagged with isSlotConflict
+ */
+export function createSlotConflictError(bookingCode, slotKey) {
+    const error = new Error(`Slot ${slotKey} is already held by another booking`);
+    error.isSlotConflict = true;
+    error.bookingCode = bookingCode;
+    error.slotKey = slotKey;
+    return error;
+}
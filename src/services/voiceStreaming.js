@@ -0,0 +1,88 @@
+/**
+ * Voice Streaming Service
+ * Streams TTS audio to a voice client as it is generated, as numbered
+ * `audio_chunk_response` messages followed by a final marker.
+ */
+
+import { speechProvider } from './speechService.js';
+import { SPEECH_CHARS_PER_SECOND } from '../config/constants.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Stream synthesized speech for a response to the client
+ * Message format: { type: 'audio_chunk_response', seq, audio (base64), contentType, final: false, sessionId }
+ * then a closing { type: 'audio_chunk_response', seq, final: true, interrupted, text, state, intent, sessionId } without audio.
+ * @param {string} text - Text to speak
+ * @param {Function} send - Sends one message object to the client
+ * @param {Object} meta - Turn metadata echoed on the final message { sessionId, state, intent }
+ * @param {Object} options - Options
+ * @param {Function} options.ttsStream - Returns an async-iterable audio stream for text (default: configured speech provider)
+ * @param {string} options.contentType - MIME type of the streamed audio (default: configured speech provider)
+ * @param {AbortSignal} options.signal - Stops the stream when the caller barges in
+ * @param {string} options.languageCode - Language to speak in (ISO 639-1)
+ * @returns {Promise<Object>} { chunks, bytes, interrupted }
+ */
+export async function streamSpeechToClient(text, send, meta = {}, options = {}) {
+  const ttsStream = options.ttsStream || ((input, ttsOptions) => speechProvider.textToSpeechStream(input, ttsOptions));
+  const contentType = options.contentType || speechProvider.audioContentType;
+  const { signal, languageCode } = options;
+
+  let seq = 0;
+  let bytes = 0;
+  let interrupted = false;
+  try {
+    const stream = await ttsStream(text, { signal, languageCode });
+    for await (const chunk of stream) {
+      if (signal?.aborted) {
+        interrupted = true;
+        break;
+      }
+
+      const buffer = Buffer.from(chunk);
+      if (buffer.length === 0) continue;
+
+      send({
+        type: 'audio_chunk_response',
+        seq: seq++,
+        audio: buffer.toString('base64'),
+        contentType,
+        final: false,
+        sessionId: meta.sessionId
+      });
+      bytes += buffer.length;
+    }
+  } catch (error) {
+    if (!signal?.aborted) throw error;
+    interrupted = true;
+  }
+
+  send({
+    type: 'audio_chunk_response',
+    seq,
+    final: true,
+    interrupted,
+    text,
+    state: meta.state,
+    intent: meta.intent,
+    sessionId: meta.sessionId
+  });
+
+  logger.log('system', interrupted ? 'TTS audio stream interrupted' : 'TTS audio streamed', { sessionId: meta.sessionId, chunks: seq, audioSize: bytes });
+  return { chunks: seq, bytes, interrupted };
+}
+
+/**
+ * Estimate the part of a spoken reply the caller heard before interrupting
+ * @param {string} text - Full reply text
+ * @param {number} playedMs - Milliseconds of audio played on the client
+ * @returns {string} Heard prefix of the text, cut at a word boundary
+ */
+export function estimateDeliveredText(text, playedMs) {
+  const chars = Math.round((Math.max(0, playedMs || 0) / 1000) * SPEECH_CHARS_PER_SECOND);
+  if (chars >= text.length) {
+    return text;
+  }
+
+  const cut = text.slice(0, chars + 1).search(/\s\S*$/);
+  return cut > 0 ? text.slice(0, cut) : '';
+}
@@ -0,0 +1,52 @@
+/**
+ * Unit Tests for Attendee Utilities
+ */
+
+import { describe, it, expect } from '@jest/globals';
+import { parseAttendees, checkAttendees, describeAttendees, getPreparationGuide, getAttendeeLimit } from '../attendees.js';
+import { TOPICS, PREPARATION_GUIDES } from '../../config/constants.js';
+
+const roles = (attendees) => attendees && attendees.map(attendee => attendee.role);
+
+describe('Attendee Parsing', () => {
+  it('should read who is joining, caller first', () => {
+    expect(roles(parseAttendees('my wife will join as joint holder and my son as nominee')))
+      .toEqual(['primary_holder', 'joint_holder', 'nominee']);
+    expect(roles(parseAttendees('two joint holders are coming with me')))
+      .toEqual(['primary_holder', 'joint_holder', 'joint_holder']);
+    expect(roles(parseAttendees('just me'))).toEqual(['primary_holder']);
+  });
+
+  it('should not treat the change being made as an attendee', () => {
+    expect(parseAttendees('I want to change my nominee')).toBe(null);
+    expect(parseAttendees('I want to add a nominee, my wife will join')).toBe(null);
+    expect(roles(parseAttendees('nominee change, a joint holder is coming with me')))
+      .toEqual(['primary_holder', 'joint_holder']);
+  });
+});
+
+describe('Attendee Limits', () => {
+  it('should allow groups only for topics that take them', () => {
+    expect(getAttendeeLimit(TOPICS.ACCOUNT_CHANGES)).toBe(3);
+    expect(getAttendeeLimit(TOPICS.SIP_MANDATES)).toBe(1);
+
+    const couple = parseAttendees('with a joint holder');
+    expect(checkAttendees(couple, TOPICS.ACCOUNT_CHANGES)).toBe(null);
+    expect(checkAttendees(couple, TOPICS.SIP_MANDATES)).toEqual({ limit: 1, count: 2 });
+  });
+});
+
+describe('Preparation Guides', () => {
+  it('should list the primary holder documents for the caller alone', () => {
+    expect(getPreparationGuide(TOPICS.SIP_MANDATES)).toEqual(PREPARATION_GUIDES[TOPICS.SIP_MANDATES].documents);
+  });
+
+  it('should add what each additional attendee brings', () => {
+    const attendees = parseAttendees('two joint holders and a nominee are coming with me');
+    const guide = getPreparationGuide(TOPICS.ACCOUNT_CHANGES, attendees);
+    expect(guide.slice(0, 4)).toEqual(PREPARATION_GUIDES[TOPICS.ACCOUNT_CHANGES].documents);
+    expect(guide).toContain('ID proof for each of the 2 joint holders');
+    expect(guide).toContain('Proof of relationship to the account holder for the nominee');
+    expect(describeAttendees(attendees)).toBe('you, 2 joint holders and a nominee');
+  });
+});
@@ -0,0 +1,73 @@
+/**
+ * Unit Tests for post-call summaries
+ */
+
+import { describe, it, expect } from '@jest/globals';
+import { buildCallSummary } from '../callSummary.js';
+import { DialogStateManager, DIALOG_STATES } from '../../engine/dialogState.js';
+import { INTENTS, CALL_OUTCOMES } from '../../config/constants.js';
+
+const toolCall = (name, params) => ({ function: { name, arguments: JSON.stringify(params) }, result: 'success', mock: true });
+
+describe('Call Summary', () => {
+  it('should summarise a booking call with its guardrails and a scrubbed transcript', () => {
+    const session = new DialogStateManager('call-1');
+    session.addMessage('user', 'hello');
+    session.transitionTo(DIALOG_STATES.GREETING);
+    session.addMessage('user', '[REDACTED - PII detected]');
+    session.recordGuardrail('pii', { piiType: 'phone' });
+    session.addMessage('user', 'which fund should I buy');
+    session.recordGuardrail('investment_advice');
+    session.addMessage('user', 'book KYC tomorrow, mail me at priya@example.com');
+    session.setIntent(INTENTS.BOOK_NEW);
+    session.updateSlots({ topic: 'KYC/Onboarding', booking_code_generated: 'NL-A742' });
+    session.recordToolCalls([
+      toolCall('event_create_tentative', { bookingCode: 'NL-A742', action: 'Created' }),
+      toolCall('notes_append_prebooking', { bookingCode: 'NL-A742', action: 'Created', isWaitlist: false })
+    ]);
+    session.addMessage('assistant', 'Your booking code is NL-A742.');
+    session.transitionTo(DIALOG_STATES.COMPLETED);
+
+    const summary = buildCallSummary(session);
+    expect(summary).toMatchObject({
+      sessionId: 'call-1',
+      intent: INTENTS.BOOK_NEW,
+      topic: 'KYC/Onboarding',
+      outcome: CALL_OUTCOMES.BOOKED,
+      bookingCode: 'NL-A742',
+      turns: 4,
+      guardrails: [{ type: 'pii', piiType: 'phone' }, { type: 'investment_advice' }]
+    });
+    expect(summary.toolCalls.map(call => call.name)).toEqual(['event_create_tentative', 'notes_append_prebooking']);
+    expect(JSON.stringify(summary)).not.toContain('priya@example.com');
+    expect(summary.transcript[3].content).toContain('[REDACTED]');
+  });
+
+  it('should report waitlists, cancellations and calls that changed no booking', () => {
+    const waitlisted = new DialogStateManager('call-2');
+    waitlisted.setIntent(INTENTS.BOOK_NEW);
+    waitlisted.recordToolCalls([toolCall('notes_append_prebooking', { bookingCode: 'NL-W100', action: 'Created', isWaitlist: true })]);
+    expect(buildCallSummary(waitlisted)).toMatchObject({ outcome: CALL_OUTCOMES.WAITLISTED, bookingCode: 'NL-W100' });
+
+    // The cancelled code is gone from the slots; the tool call still names it
+    const cancelled = new DialogStateManager('call-3');
+    cancelled.setIntent(INTENTS.CANCEL);
+    cancelled.recordToolCalls([
+      toolCall('notes_append_prebooking', { bookingCode: 'NL-C200', action: 'Cancelled' }),
+      toolCall('notes_append_prebooking', { bookingCode: 'NL-W100', action: 'Promoted' })
+    ]);
+    expect(buildCallSummary(cancelled)).toMatchObject({ outcome: CALL_OUTCOMES.CANCELLED, bookingCode: 'NL-C200' });
+
+    const prepared = new DialogStateManager('call-4');
+    prepared.setIntent(INTENTS.WHAT_TO_PREPARE);
+    expect(buildCallSummary(prepared)).toMatchObject({ outcome: CALL_OUTCOMES.INFORMATION_PROVIDED, bookingCode: null, turns: 0 });
+  });
+
+  it('should survive a session restored from the session store', () => {
+    const session = new DialogStateManager('call-5');
+    session.addMessage('user', 'cancel NL-C200');
+    session.recordGuardrail('investment_advice');
+    const restored = DialogStateManager.fromJSON(JSON.parse(JSON.stringify(session.toJSON())));
+    expect(buildCallSummary(restored).guardrails).toEqual([{ type: 'investment_advice', at: expect.any(String) }]);
+  });
+});
@@ -0,0 +1,83 @@
+/**
+ * Unit Tests for the application clock
+ */
+
+import { describe, it, expect, afterEach } from '@jest/globals';
+import { format } from 'date-fns';
+import { now, nowMs, setClock, runWithClock, parseClockTime } from '../clock.js';
+import { getCurrentIST, formatISTDate } from '../timezone.js';
+import { parseDateTimePreference } from '../../services/availabilityService.js';
+import { runDialogue } from '../../eval/dialogueHarness.js';
+
+const MONDAY_MORNING = '2025-01-13T10:00:00+05:30';
+
+describe('Clock', () => {
+  afterEach(() => {
+    setClock(null);
+    delete process.env.CLOCK_FIXED_TIME;
+  });
+
+  it('should follow the system clock until pinned', () => {
+    expect(Math.abs(nowMs() - Date.now())).toBeLessThan(1000);
+
+    setClock(MONDAY_MORNING);
+    expect(now().toISOString()).toBe('2025-01-13T04:30:00.000Z');
+    expect(() => setClock('next monday')).toThrow('Invalid clock time: next monday');
+
+    setClock(null);
+    expect(Math.abs(nowMs() - Date.now())).toBeLessThan(1000);
+  });
+
+  it('should read CLOCK_FIXED_TIME when it is used, ignoring invalid values', () => {
+    process.env.CLOCK_FIXED_TIME = '2025-06-02T09:00:00Z';
+    expect(now().toISOString()).toBe('2025-06-02T09:00:00.000Z');
+
+    process.env.CLOCK_FIXED_TIME = 'tomorrow';
+    expect(Math.abs(nowMs() - Date.now())).toBeLessThan(1000);
+    expect(parseClockTime('tomorrow')).toBe(null);
+  });
+
+  it('should keep a scoped clock across awaits without leaking into other work', async () => {
+    setClock(MONDAY_MORNING);
+
+    const seen = await Promise.all([
+      runWithClock('2025-03-03T12:00:00Z', async () => {
+        await new Promise(resolve => setTimeout(resolve, 5));
+        return now().toISOString();
+      }),
+      runWithClock(null, async () => now().toISOString())
+    ]);
+
+    expect(seen).toEqual(['2025-03-03T12:00:00.000Z', '2025-01-13T04:30:00.000Z']);
+    expect(now().toISOString()).toBe('2025-01-13T04:30:00.000Z');
+  });
+
+  it('should make relative dates deterministic', () => {
+    // 01:30 IST on Tuesday while UTC is still on Monday: "tomorrow" is Wednesday at the desk
+    setClock('2025-01-13T20:00:00Z');
+    expect(format(getCurrentIST(), 'yyyy-MM-dd HH:mm')).toBe('2025-01-14 01:30');
+
+    const { date } = parseDateTimePreference('tomorrow morning');
+    expect(formatISTDate(date)).toBe('2025-01-15');
+  });
+
+  it('should let a session run on its own clock', async () => {
+    const result = await runDialogue({
+      name: 'Session clock',
+      now: MONDAY_MORNING,
+      options: { clock: '2025-03-03T10:00:00+05:30' },
+      bookings: {},
+      source: 'session-clock',
+      turns: [
+        { user: 'Hi' },
+        { user: 'I want to book an appointment' },
+        { user: 'yes' },
+        { user: 'KYC onboarding' },
+        { user: 'yes' },
+        { user: 'tomorrow morning', expect: { state: 'slot_offer', response: '4 March' } }
+      ]
+    });
+
+    expect(result.turns.flatMap(turn => turn.failures)).toEqual([]);
+  });
+});
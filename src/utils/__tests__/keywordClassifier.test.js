@@ -42,6 +42,16 @@ describe('Keyword Classifier', () => {
     expect(classifyIntentWithKeywords('When are you free?')).toBe(INTENTS.CHECK_AVAILABILITY);
   });
 
+  it('should classify Hinglish and Hindi input', () => {
+    expect(classifyIntentWithKeywords('mujhe appointment book karna hai')).toBe(INTENTS.BOOK_NEW);
+    expect(classifyIntentWithKeywords('meri booking radd kar do')).toBe(INTENTS.CANCEL);
+    expect(classifyIntentWithKeywords('appointment ka time badalna hai')).toBe(INTENTS.RESCHEDULE);
+    expect(classifyIntentWithKeywords('kaun se documents lana hai')).toBe(INTENTS.WHAT_TO_PREPARE);
+    expect(classifyIntentWithKeywords('slot kab khali hai')).toBe(INTENTS.CHECK_AVAILABILITY);
+    expect(classifyIntentWithKeywords('मेरी बुकिंग रद्द कर दीजिए')).toBe(INTENTS.CANCEL);
+    expect(classifyIntentWithKeywords('कौन से दस्तावेज़ लाने हैं')).toBe(INTENTS.WHAT_TO_PREPARE);
+  });
+
   it('should default to book_new for unclear input', () => {
     expect(classifyIntentWithKeywords('hello')).toBe(INTENTS.BOOK_NEW);
     expect(classifyIntentWithKeywords('hi there')).toBe(INTENTS.BOOK_NEW);
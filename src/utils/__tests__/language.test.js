@@ -0,0 +1,99 @@
+/**
+ * Unit Tests for Language Detection and Localised Messages
+ */
+
+import { describe, it, expect } from '@jest/globals';
+import { detectLanguage, detectLanguageSelection, normalizeDateTimeText, isHindiYes, isHindiNo } from '../language.js';
+import { getSystemMessages } from '../../config/messages.js';
+import { LANGUAGES, SYSTEM_MESSAGES } from '../../config/constants.js';
+
+describe('Language Detection', () => {
+  it('should detect Hindi from Devanagari script', () => {
+    expect(detectLanguage('मुझे अपॉइंटमेंट चाहिए')).toBe(LANGUAGES.HINDI);
+  });
+
+  it('should detect Hinglish from Hindi words in Latin script', () => {
+    expect(detectLanguage('mujhe appointment book karna hai')).toBe(LANGUAGES.HINGLISH);
+    expect(detectLanguage('kal shaam ko')).toBe(LANGUAGES.HINGLISH);
+  });
+
+  it('should detect English only when there is enough to go on', () => {
+    expect(detectLanguage('I want to book an appointment')).toBe(LANGUAGES.ENGLISH);
+    expect(detectLanguage('yes')).toBe(null);
+    expect(detectLanguage('KYC')).toBe(null);
+    expect(detectLanguage('')).toBe(null);
+  });
+
+  it('should recognise explicit language requests', () => {
+    expect(detectLanguageSelection('Hindi mein baat karo')).toBe(LANGUAGES.HINDI);
+    expect(detectLanguageSelection('कृपया हिंदी में बोलिए')).toBe(LANGUAGES.HINDI);
+    expect(detectLanguageSelection('can you speak in English')).toBe(LANGUAGES.ENGLISH);
+    expect(detectLanguageSelection('Hinglish chalega')).toBe(LANGUAGES.HINGLISH);
+    expect(detectLanguageSelection('book a slot')).toBe(null);
+  });
+});
+
+describe('Hindi/Hinglish Yes and No', () => {
+  it('should recognise yes in Devanagari and Latin script', () => {
+    expect(isHindiYes('हाँ')).toBe(true);
+    expect(isHindiYes('हां, ठीक है')).toBe(true);
+    expect(isHindiYes('haan ji')).toBe(true);
+    expect(isHindiYes('yes')).toBe(false);
+  });
+
+  it('should let a no win over a polite "ji"', () => {
+    expect(isHindiNo('जी नहीं')).toBe(true);
+    expect(isHindiYes('जी नहीं')).toBe(false);
+    expect(isHindiNo('nahi, koi aur time')).toBe(true);
+    expect(isHindiNo('I know')).toBe(false);
+  });
+});
+
+describe('Hindi/Hinglish Date and Time Normalisation', () => {
+  it('should translate relative days, weekdays and time windows', () => {
+    expect(normalizeDateTimeText('kal shaam ko')).toBe('tomorrow evening ko');
+    expect(normalizeDateTimeText('parso subah')).toBe('day after tomorrow morning');
+    expect(normalizeDateTimeText('agle somvar dopahar')).toBe('next monday afternoon');
+    expect(normalizeDateTimeText('agle hafte')).toBe('next week');
+  });
+
+  it('should convert "baje" times using the desk hours when no period is given', () => {
+    expect(normalizeDateTimeText('kal 4 baje')).toBe('tomorrow 4:00 pm');
+    expect(normalizeDateTimeText('subah saade 10 baje')).toBe('morning 10:30 am');
+    expect(normalizeDateTimeText('paune 1 baje')).toBe('12:45 pm');
+    expect(normalizeDateTimeText('dhai baje')).toBe('2:30 pm');
+  });
+
+  it('should handle Devanagari words and digits', () => {
+    expect(normalizeDateTimeText('कल शाम ४ बजे')).toBe('tomorrow evening 4:00 pm');
+  });
+
+  it('should not rewrite Hindi words that only contain a date word', () => {
+    expect(normalizeDateTimeText('पैसे निकलना')).toBe('पैसे निकलना');
+    expect(normalizeDateTimeText('kalyan nagar')).toBe('kalyan nagar');
+  });
+});
+
+describe('Localised System Messages', () => {
+  it('should return the English catalogue by default', () => {
+    expect(getSystemMessages()).toBe(SYSTEM_MESSAGES);
+    expect(getSystemMessages('fr')).toBe(SYSTEM_MESSAGES);
+  });
+
+  it('should translate every message into Hindi and Hinglish', () => {
+    for (const language of [LANGUAGES.HINDI, LANGUAGES.HINGLISH]) {
+      const messages = getSystemMessages(language);
+      for (const key of Object.keys(SYSTEM_MESSAGES)) {
+        expect(messages[key]).not.toBe(SYSTEM_MESSAGES[key]);
+      }
+    }
+  });
+
+  it('should fill in message parameters', () => {
+    const hindi = getSystemMessages(LANGUAGES.HINDI);
+    expect(hindi.BOOKING_CODE_READ('NL-A742')).toContain('NL-A742');
+    expect(hindi.DESK_CLOSED('Thursday, 25 December', { name: 'Christmas' })).toBe('Thursday, 25 December को Christmas के कारण डेस्क बंद है।');
+    expect(getSystemMessages(LANGUAGES.HINGLISH).DESK_CLOSED('Friday, 20 March', { name: 'Staff training', from: '14:00', to: '16:00' }))
+      .toBe('Friday, 20 March ko 2:00 PM se 4:00 PM IST tak Staff training ki wajah se desk band hai.');
+  });
+});
@@ -0,0 +1,98 @@
+/**
+ * Unit Tests for the persistent log store
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { FileLogStore, createLogStore } from '../logStore.js';
+import { Logger } from '../logger.js';
+
+const entry = (id, timestamp, type = 'system', extra = {}) => ({ id, timestamp, type, message: `entry ${id}`, sessionId: null, ...extra });
+
+describe('FileLogStore', () => {
+  let tmpDir;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'logs-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('should rotate files by day and by size', () => {
+    const store = new FileLogStore({ dir: tmpDir, maxFileBytes: 250 });
+    store.append(entry(1, '2025-01-09T23:59:00.000Z'));
+    store.append(entry(2, '2025-01-10T00:01:00.000Z'));
+    store.append(entry(3, '2025-01-10T00:02:00.000Z'));
+    store.append(entry(4, '2025-01-10T00:03:00.000Z'));
+
+    expect(store.listFiles().map(f => f.file)).toEqual(['app-2025-01-09.jsonl', 'app-2025-01-10.jsonl', 'app-2025-01-10.1.jsonl']);
+    expect(store.getLastId()).toBe(4);
+  });
+
+  it('should keep IDs increasing across restarts and past the in-memory limit', () => {
+    const first = new Logger(new FileLogStore({ dir: tmpDir }));
+    first.maxLogs = 2;
+    ['a', 'b', 'c'].forEach(message => first.log('system', message));
+    expect(first.getLogs().map(log => log.id)).toEqual([2, 3]);
+
+    const restarted = new Logger(new FileLogStore({ dir: tmpDir }));
+    expect(restarted.log('system', 'd').id).toBe(4);
+  });
+
+  it('should query by time range, type, session and free text with pagination', async () => {
+    const store = new FileLogStore({ dir: tmpDir });
+    store.append(entry(1, '2025-01-09T10:00:00.000Z', 'intent', { sessionId: 's1' }));
+    store.append(entry(2, '2025-01-10T10:00:00.000Z', 'error', { sessionId: 's1', error: 'SMTP timeout' }));
+    store.append(entry(3, '2025-01-10T11:00:00.000Z', 'error', { sessionId: 's2' }));
+    store.append(entry(4, '2025-01-11T10:00:00.000Z', 'system', { sessionId: 's2' }));
+
+    const all = await store.query({ limit: 2 });
+    expect(all.total).toBe(4);
+    expect(all.logs.map(log => log.id)).toEqual([4, 3]);
+    expect((await store.query({ limit: 2, offset: 2 })).logs.map(log => log.id)).toEqual([2, 1]);
+
+    expect((await store.query({ type: 'error' })).logs.map(log => log.id)).toEqual([3, 2]);
+    expect((await store.query({ sessionId: 's2' })).logs.map(log => log.id)).toEqual([4, 3]);
+    expect((await store.query({ q: 'smtp' })).logs.map(log => log.id)).toEqual([2]);
+    expect((await store.query({
+      from: new Date('2025-01-10T00:00:00Z'),
+      to: new Date('2025-01-10T10:30:00Z')
+    })).logs.map(log => log.id)).toEqual([2]);
+  });
+
+  it('should purge files past the retention period', () => {
+    const store = new FileLogStore({ dir: tmpDir, retentionDays: 7 });
+    store.append(entry(1, '2025-01-01T10:00:00.000Z'));
+    store.append(entry(2, '2025-01-05T10:00:00.000Z'));
+    store.append(entry(3, '2025-01-10T10:00:00.000Z'));
+
+    expect(store.listFiles().map(f => f.day)).toEqual(['2025-01-05', '2025-01-10']);
+    expect(store.purge(new Date('2025-01-20T00:00:00Z'))).toEqual(['app-2025-01-05.jsonl', 'app-2025-01-10.jsonl']);
+  });
+
+  it('should read the backend from the environment', () => {
+    expect(createLogStore({ NODE_ENV: 'test' })).toBe(null);
+    const store = createLogStore({ LOG_STORE: 'file', LOG_DIR: tmpDir, LOG_MAX_FILE_MB: '1', LOG_RETENTION_DAYS: '0' });
+    expect(store).toMatchObject({ dir: tmpDir, maxFileBytes: 1024 * 1024, retentionDays: 0 });
+  });
+
+  it('should pick up log settings loaded into the environment after the logger was created', () => {
+    const env = { LOG_STORE: process.env.LOG_STORE, LOG_DIR: process.env.LOG_DIR, LOG_RETENTION_DAYS: process.env.LOG_RETENTION_DAYS };
+    const early = new Logger();
+    Object.assign(process.env, { LOG_STORE: 'file', LOG_DIR: tmpDir, LOG_RETENTION_DAYS: '7' });
+    try {
+      early.log('system', 'after dotenv');
+      expect(early.getStore()).toMatchObject({ dir: tmpDir, retentionDays: 7 });
+      expect(early.getStore().listFiles()).toHaveLength(1);
+    } finally {
+      for (const [name, value] of Object.entries(env)) {
+        if (value === undefined) delete process.env[name];
+        else process.env[name] = value;
+      }
+    }
+  });
+});
@@ -0,0 +1,87 @@
+/**
+ * Unit Tests for Recurrence Utilities
+ */
+
+import { describe, it, expect } from '@jest/globals';
+import { parseRecurrence, generateOccurrences, describeRecurrence, RECURRENCE_FREQUENCIES } from '../recurrence.js';
+import { RECURRING_SERIES, LANGUAGES } from '../../config/constants.js';
+
+const FROM = new Date('2025-01-10T00:00:00Z');
+
+describe('Recurrence Parsing', () => {
+  it('should read a monthly nth-weekday pattern', () => {
+    expect(parseRecurrence('every first Monday at 11')).toEqual({
+      frequency: RECURRENCE_FREQUENCIES.MONTHLY,
+      weekday: 1,
+      ordinal: 1,
+      hour: 11,
+      minute: 0,
+      count: RECURRING_SERIES.defaultOccurrences,
+      timeZone: 'Asia/Kolkata'
+    });
+    expect(parseRecurrence('each last Friday at 3:30 pm').ordinal).toBe(-1);
+  });
+
+  it('should read a weekly pattern with a count', () => {
+    const rule = parseRecurrence('every Tuesday at 3 for four weeks', { timeZone: 'Europe/London' });
+    expect(rule).toMatchObject({ frequency: RECURRENCE_FREQUENCIES.WEEKLY, weekday: 2, hour: 15, count: 4, timeZone: 'Europe/London' });
+    expect(parseRecurrence('every Tuesday at 11 am for 50 weeks').count).toBe(RECURRING_SERIES.maxOccurrences);
+  });
+
+  it('should leave one-off requests and patterns without a day alone', () => {
+    expect(parseRecurrence('next Monday at 11')).toBe(null);
+    expect(parseRecurrence('every month at 11')).toBe(null);
+    expect(parseRecurrence('every Wednesday')).toMatchObject({ hour: null, minute: null });
+  });
+
+  it('should not mistake "every" for a series unless it sets an interval', () => {
+    expect(parseRecurrence("Monday works, I'm free every afternoon")).toBe(null);
+    expect(parseRecurrence('Wednesday morning, every slot is fine')).toBe(null);
+    expect(parseRecurrence('each Monday')).toMatchObject({ frequency: RECURRENCE_FREQUENCIES.WEEKLY, weekday: 1 });
+  });
+
+  it('should read the other common ways of saying an interval', () => {
+    expect(parseRecurrence('first Monday of every month at 11')).toMatchObject({ frequency: RECURRENCE_FREQUENCIES.MONTHLY, weekday: 1, ordinal: 1 });
+    expect(parseRecurrence('monthly on the last Friday')).toMatchObject({ frequency: RECURRENCE_FREQUENCIES.MONTHLY, weekday: 5, ordinal: -1 });
+    expect(parseRecurrence('weekly on Thursday at 4 pm')).toMatchObject({ frequency: RECURRENCE_FREQUENCIES.WEEKLY, weekday: 4, hour: 16 });
+    expect(parseRecurrence('Thursday every week')).toMatchObject({ frequency: RECURRENCE_FREQUENCIES.WEEKLY, weekday: 4 });
+  });
+});
+
+describe('Occurrence Generation', () => {
+  it('should expand a monthly pattern in the desk timezone', () => {
+    const occurrences = generateOccurrences(parseRecurrence('every first Monday at 11 for 3 months'), { durationMinutes: 60, from: FROM });
+    expect(occurrences.map(o => o.start.toISOString())).toEqual([
+      '2025-02-03T05:30:00.000Z',
+      '2025-03-03T05:30:00.000Z',
+      '2025-04-07T05:30:00.000Z'
+    ]);
+    expect(occurrences[0].end.toISOString()).toBe('2025-02-03T06:30:00.000Z');
+  });
+
+  it('should keep the caller wall time across a daylight saving change', () => {
+    const rule = parseRecurrence('every last Friday at 9 am for 3 months', { timeZone: 'Europe/London' });
+    const occurrences = generateOccurrences(rule, { from: new Date('2025-02-01T00:00:00Z') });
+    expect(occurrences.map(o => o.start.toISOString())).toEqual([
+      '2025-02-28T09:00:00.000Z',
+      '2025-03-28T09:00:00.000Z',
+      '2025-04-25T08:00:00.000Z'
+    ]);
+  });
+
+  it('should start a weekly series on the next matching day', () => {
+    // 10 January 2025 is a Friday; 11 AM IST that day has not passed yet
+    const occurrences = generateOccurrences(parseRecurrence('every Friday at 11 for 2 weeks'), { from: FROM });
+    expect(occurrences.map(o => o.start.toISOString())).toEqual(['2025-01-10T05:30:00.000Z', '2025-01-17T05:30:00.000Z']);
+  });
+
+  it('should describe a rule for the caller', () => {
+    expect(describeRecurrence(parseRecurrence('every first Monday at 11'))).toBe('every first Monday of the month at 11:00 AM');
+    expect(describeRecurrence(parseRecurrence('every Tuesday'))).toBe('every Tuesday');
+  });
+
+  it('should describe a rule in the caller language', () => {
+    expect(describeRecurrence(parseRecurrence('every Monday at 11'), LANGUAGES.HINDI)).toBe('हर सोमवार को 11:00 AM');
+    expect(describeRecurrence(parseRecurrence('every Monday at 11'), LANGUAGES.HINGLISH)).toBe('har Monday ko 11:00 AM');
+  });
+});
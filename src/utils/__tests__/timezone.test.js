@@ -0,0 +1,37 @@
+/**
+ * Unit Tests for Caller Timezone Utilities
+ */
+
+import { describe, it, expect } from '@jest/globals';
+import { detectTimezone, isValidTimezone, getTimezoneLabel, DESK_TIMEZONE } from '../timezone.js';
+
+describe('Timezone Detection', () => {
+  it('should detect where the caller is', () => {
+    expect(detectTimezone("I'm calling from Dubai")).toEqual({ timeZone: 'Asia/Dubai', isCallerLocation: true });
+    expect(detectTimezone('I am in London this month')).toEqual({ timeZone: 'Europe/London', isCallerLocation: true });
+  });
+
+  it('should detect a zone named for a single time', () => {
+    expect(detectTimezone('tomorrow 9 am New York time')).toEqual({ timeZone: 'America/New_York', isCallerLocation: false });
+    expect(detectTimezone('4 PM EST')).toEqual({ timeZone: 'America/New_York', isCallerLocation: false });
+  });
+
+  it('should not match ordinary words', () => {
+    expect(detectTimezone('tomorrow afternoon')).toBe(null);
+    expect(detectTimezone('my central government pension')).toBe(null);
+    expect(detectTimezone('')).toBe(null);
+  });
+});
+
+describe('Timezone Validation and Labels', () => {
+  it('should accept IANA timezones only', () => {
+    expect(isValidTimezone('Europe/London')).toBe(true);
+    expect(isValidTimezone('Mars/Olympus')).toBe(false);
+    expect(isValidTimezone(null)).toBe(false);
+  });
+
+  it('should label the desk timezone as IST and others by city', () => {
+    expect(getTimezoneLabel(DESK_TIMEZONE)).toBe('IST');
+    expect(getTimezoneLabel('America/New_York')).toBe('New York time');
+  });
+});
@@ -64,6 +64,16 @@ describe('Topic Validation', () => {
   });
 });
 
+describe('Topic Mapping (Hindi/Hinglish)', () => {
+  it('should map Hinglish and Hindi keywords', () => {
+    expect(mapToTopic('paisa nikalna hai')).toBe(TOPICS.WITHDRAWALS_TIMELINES);
+    expect(mapToTopic('har mahine ki kisht')).toBe(TOPICS.SIP_MANDATES);
+    expect(mapToTopic('nominee badalna hai')).toBe(TOPICS.ACCOUNT_CHANGES);
+    expect(mapToTopic('पैसे निकालने हैं')).toBe(TOPICS.WITHDRAWALS_TIMELINES);
+    expect(mapToTopic('आधार से केवाईसी')).toBe(TOPICS.KYC_ONBOARDING);
+  });
+});
+
 describe('Topic Display Name', () => {
   it('should return topic name for valid topic', () => {
     expect(getTopicDisplayName(TOPICS.KYC_ONBOARDING)).toBe(TOPICS.KYC_ONBOARDING);
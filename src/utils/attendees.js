@@ -0,0 +1,133 @@
+/**
+ * Attendee Utilities
+ * Recognises who is joining an appointment ("with my wife as joint holder",
+ * "two joint holders and a nominee"), checks it against the topic's limit and
+ * scales the preparation list for each additional attendee.
+ */
+
+import { ATTENDEE_ROLES, TOPIC_ATTENDEE_LIMITS, PREPARATION_GUIDES } from '../config/constants.js';
+
+const ROLE_LABELS = {
+  [ATTENDEE_ROLES.PRIMARY_HOLDER]: 'primary holder',
+  [ATTENDEE_ROLES.JOINT_HOLDER]: 'joint holder',
+  [ATTENDEE_ROLES.NOMINEE]: 'nominee'
+};
+
+const COUNT_WORDS = { a: 1, an: 1, one: 1, two: 2, both: 2, three: 3 };
+
+// A role named as the thing being changed ("add a nominee", "nominee change") is not an attendee
+const NOT_ATTENDING_BEFORE = '(?<!\\b(?:add|adding|change|changing|update|updating|remove|removing|replace|new)\\s+(?:(?:a|an|the|my|our)\\s+)?)';
+const NOT_ATTENDING_AFTER = '(?!\\s+(?:change|update|details|form|registration|nomination))';
+
+const ROLE_PATTERNS = [
+  {
+    role: ATTENDEE_ROLES.JOINT_HOLDER,
+    pattern: new RegExp(`\\b(?:(a|an|one|two|both|three|\\d)\\s+)?(?:(?:the|my|our|other|second)\\s+)?${NOT_ATTENDING_BEFORE}joint(?:\\s+account)?\\s*-?\\s*holders?\\b${NOT_ATTENDING_AFTER}`, 'gi')
+  },
+  {
+    role: ATTENDEE_ROLES.NOMINEE,
+    pattern: new RegExp(`\\b(?:(a|an|one|two|both|three|\\d)\\s+)?(?:(?:the|my|our)\\s+)?${NOT_ATTENDING_BEFORE}nominees?\\b${NOT_ATTENDING_AFTER}`, 'gi')
+  }
+];
+
+// Words that say someone is on the call; "change my nominee" alone names the topic, not an attendee
+const ATTENDANCE_CUE = /\b(?:with|join|joining|joins|come|coming|attend|attending|along|bring|bringing|together|saath)\b/i;
+const CALLER_ONLY = /\b(?:just me|only me|alone|no one else|nobody else|by myself)\b/i;
+
+/**
+ * Default attendee list: the caller alone
+ * @returns {Array<Object>} [{ role: 'primary_holder' }]
+ */
+export function defaultAttendees() {
+  return [{ role: ATTENDEE_ROLES.PRIMARY_HOLDER }];
+}
+
+/**
+ * Recognise who is joining the appointment
+ * @param {string} input - Caller's words
+ * @returns {Array<Object>|null} Attendees [{ role }] with the caller first, or null if the input does not say
+ */
+export function parseAttendees(input) {
+  if (!input) return null;
+  if (CALLER_ONLY.test(input)) return defaultAttendees();
+  if (!ATTENDANCE_CUE.test(input)) return null;
+
+  const attendees = defaultAttendees();
+  for (const { role, pattern } of ROLE_PATTERNS) {
+    for (const match of input.matchAll(pattern)) {
+      const word = (match[1] || '').toLowerCase();
+      const count = COUNT_WORDS[word] || parseInt(word, 10) || 1;
+      for (let i = 0; i < count; i++) {
+        attendees.push({ role });
+      }
+    }
+  }
+  return attendees.length > 1 ? attendees : null;
+}
+
+/**
+ * Most people allowed on an appointment for a topic, caller included
+ * @param {string} topic - Booking topic
+ * @returns {number} Limit
+ */
+export function getAttendeeLimit(topic) {
+  return TOPIC_ATTENDEE_LIMITS[topic] || 1;
+}
+
+/**
+ * Check an attendee list against the topic's limit
+ * @param {Array<Object>} attendees - Attendees [{ role }]
+ * @param {string} topic - Booking topic
+ * @returns {Object|null} Violation { limit, count }, or null if the list is allowed
+ */
+export function checkAttendees(attendees, topic) {
+  const limit = getAttendeeLimit(topic);
+  const count = (attendees || []).length;
+  return count > limit ? { limit, count } : null;
+}
+
+/**
+ * Count the attendees other than the caller, by role
+ * @private
+ */
+function countAdditional(attendees) {
+  const counts = new Map();
+  for (const { role } of attendees || []) {
+    if (role === ATTENDEE_ROLES.PRIMARY_HOLDER) continue;
+    counts.set(role, (counts.get(role) || 0) + 1);
+  }
+  return counts;
+}
+
+/**
+ * Describe who is attending for the caller, e.g. "you, 2 joint holders and a nominee"
+ * @param {Array<Object>} attendees - Attendees [{ role }]
+ * @returns {string} Description
+ */
+export function describeAttendees(attendees) {
+  const parts = ['you'];
+  for (const [role, count] of countAdditional(attendees)) {
+    parts.push(count === 1 ? `a ${ROLE_LABELS[role]}` : `${count} ${ROLE_LABELS[role]}s`);
+  }
+  return parts.length === 1 ? parts[0] : `${parts.slice(0, -1).join(', ')} and ${parts[parts.length - 1]}`;
+}
+
+/**
+ * Preparation list for a topic, with what each additional attendee brings
+ * @param {string} topic - Booking topic
+ * @param {Array<Object>} attendees - Attendees [{ role }] (default: the caller alone)
+ * @returns {Array<string>} Items to prepare
+ */
+export function getPreparationGuide(topic, attendees = defaultAttendees()) {
+  const guide = PREPARATION_GUIDES[topic];
+  if (!guide) return [];
+
+  const items = [...guide.documents];
+  for (const [role, count] of countAdditional(attendees)) {
+    const label = count === 1 ? `for the ${ROLE_LABELS[role]}` : `for each of the ${count} ${ROLE_LABELS[role]}s`;
+    for (const item of (guide.perAttendee && guide.perAttendee[role]) || []) {
+      items.push(`${item} ${label}`);
+    }
+  }
+  return items;
+}
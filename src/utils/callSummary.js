@@ -0,0 +1,83 @@
+/**
+ * Call Summary
+ * Builds the post-call summary supervisors review: intent, topic, outcome, booking
+ * code, guardrail triggers and turn count, with a transcript scrubbed of PII.
+ * Built from the session history alone, so it never depends on the rolling logs.
+ */
+
+import { INTENTS, CALL_OUTCOMES } from '../config/constants.js';
+import { sanitizePII } from './guardrails.js';
+
+// Tool-call actions that change a booking, by outcome; waitlist promotions belong to other callers
+const ACTION_OUTCOMES = {
+  created: CALL_OUTCOMES.BOOKED,
+  rescheduled: CALL_OUTCOMES.RESCHEDULED,
+  cancelled: CALL_OUTCOMES.CANCELLED
+};
+
+// Outcome of a call that changed no booking, by intent
+const INTENT_OUTCOMES = {
+  [INTENTS.WHAT_TO_PREPARE]: CALL_OUTCOMES.INFORMATION_PROVIDED,
+  [INTENTS.CHECK_AVAILABILITY]: CALL_OUTCOMES.AVAILABILITY_SHARED
+};
+
+/**
+ * Latest tool call that changed one of the caller's bookings
+ * @private
+ */
+function lastBookingChange(toolCalls) {
+  return [...toolCalls].reverse().find(call =>
+    call.result === 'success' && call.action && ACTION_OUTCOMES[call.action.toLowerCase()]
+  ) || null;
+}
+
+/**
+ * Build the summary of a call
+ * @param {DialogStateManager} session - Session at the end of the call
+ * @returns {Object} Summary { sessionId, startedAt, endedAt, durationSeconds, language, intent, topic,
+ *   outcome, bookingCode, turns, guardrails, toolCalls, transcript }; dates are ISO strings
+ */
+export function buildCallSummary(session) {
+  const history = session.getHistory();
+  const slots = session.getSlots();
+  const messages = history.filter(entry => entry.role);
+  const guardrails = history.filter(entry => entry.guardrail);
+  const toolCalls = history.filter(entry => entry.toolCall);
+
+  const change = lastBookingChange(toolCalls);
+  let outcome = INTENT_OUTCOMES[session.getIntent()] || CALL_OUTCOMES.NO_CHANGE;
+  if (change) {
+    outcome = ACTION_OUTCOMES[change.action.toLowerCase()];
+    if (outcome === CALL_OUTCOMES.BOOKED && change.isWaitlist) {
+      outcome = CALL_OUTCOMES.WAITLISTED;
+    }
+  }
+
+  const startedAt = history.length > 0 ? new Date(history[0].timestamp) : new Date();
+  const endedAt = history.length > 0 ? new Date(history[history.length - 1].timestamp) : startedAt;
+
+  return {
+    sessionId: session.sessionId,
+    startedAt: startedAt.toISOString(),
+    endedAt: endedAt.toISOString(),
+    durationSeconds: Math.round((endedAt - startedAt) / 1000),
+    language: session.getLanguage(),
+    intent: session.getIntent(),
+    topic: slots.topic || null,
+    outcome,
+    bookingCode: slots.series_code || (change && change.bookingCode) || slots.booking_code_generated || slots.booking_code || null,
+    turns: messages.filter(entry => entry.role === 'user').length,
+    guardrails: guardrails.map(({ guardrail, piiType, timestamp }) => ({
+      type: guardrail,
+      ...(piiType ? { piiType } : {}),
+      at: new Date(timestamp).toISOString()
+    })),
+    toolCalls: toolCalls.map(({ toolCall, result, bookingCode, action }) => ({ name: toolCall, result, bookingCode, action })),
+    transcript: messages.map(({ role, content, interrupted, timestamp }) => ({
+      role,
+      content: sanitizePII(content),
+      ...(interrupted ? { interrupted: true } : {}),
+      at: new Date(timestamp).toISOString()
+    }))
+  };
+}
@@ -0,0 +1,85 @@
+/**
+ * Clock
+ * Single source of "now" for date handling: availability, date parsing, scheduling rules
+ * and booking timestamps. The time can be pinned for a whole process (setClock in tests,
+ * CLOCK_FIXED_TIME for a server) or for one session's processing (runWithClock), so
+ * "tomorrow" and "next Monday" mean the same thing on every run.
+ * Elapsed-time measurements (rate limits, circuit breakers, idle sessions) keep using Date.now.
+ */
+
+import { AsyncLocalStorage } from 'async_hooks';
+
+// Instant pinned for the async call chain of one session
+const scopedClock = new AsyncLocalStorage();
+
+// Instant pinned for the whole process (tests)
+let pinnedTime = null;
+
+// CLOCK_FIXED_TIME is read on use: dotenv may load it after this module is imported
+let envClock = { value: undefined, time: null };
+
+/**
+ * Parse an instant
+ * @param {Date|number|string} value - Date, ms since epoch or ISO timestamp
+ * @returns {number|null} Ms since epoch, or null when missing or invalid
+ */
+export function parseClockTime(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const time = value instanceof Date ? value.getTime() : typeof value === 'number' ? value : Date.parse(value);
+  return Number.isFinite(time) ? time : null;
+}
+
+/**
+ * @private
+ */
+function getEnvClockTime() {
+  const value = process.env.CLOCK_FIXED_TIME;
+  if (value !== envClock.value) {
+    envClock = { value, time: parseClockTime(value) };
+  }
+  return envClock.time;
+}
+
+/**
+ * Current time in ms: the session's pinned instant, else the process-wide one, else the system clock
+ * @returns {number}
+ */
+export function nowMs() {
+  return scopedClock.getStore() ?? pinnedTime ?? getEnvClockTime() ?? Date.now();
+}
+
+/**
+ * Current time
+ * @returns {Date}
+ */
+export function now() {
+  return new Date(nowMs());
+}
+
+/**
+ * Pin the clock for the whole process, or release it
+ * @param {Date|number|string|null} time - Instant to pin, or null for the system clock (or CLOCK_FIXED_TIME)
+ * @throws {Error} When the time cannot be parsed
+ */
+export function setClock(time) {
+  if (time === null || time === undefined) {
+    pinnedTime = null;
+    return;
+  }
+  const parsed = parseClockTime(time);
+  if (parsed === null) {
+    throw new Error(`Invalid clock time: ${time}`);
+  }
+  pinnedTime = parsed;
+}
+
+/**
+ * Run a function with the clock pinned for everything it calls, including async work
+ * @param {Date|number|string|null} time - Instant to pin; without one the function runs on the normal clock
+ * @param {Function} fn - Function to run
+ * @returns {*} The function's return value
+ */
+export function runWithClock(time, fn) {
+  const parsed = parseClockTime(time);
+  return parsed === null ? fn() : scopedClock.run(parsed, fn);
+}
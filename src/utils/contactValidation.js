@@ -0,0 +1,42 @@
+/**
+ * Contact Details Validation
+ * Server-side checks for the secure contact-details completion form
+ */
+
+import { BOOKING_CODE_PATTERN } from '../config/constants.js';
+
+const NAME_PATTERN = /^\p{L}[\p{L}\p{M} .'-]{1,99}$/u;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/;
+const PHONE_PATTERN = /^\+?\d{10,15}$/;
+
+/**
+ * Validate and normalise a contact-details submission
+ * @param {Object} input - { bookingCode, name, email, phone }
+ * @returns {Object} { valid: boolean, errors: { field: message }, values: normalised fields }
+ */
+export function validateContactDetails(input = {}) {
+  const asString = (value) => (typeof value === 'string' ? value.trim() : '');
+
+  const values = {
+    bookingCode: asString(input.bookingCode).toUpperCase(),
+    name: asString(input.name).replace(/\s+/g, ' '),
+    email: asString(input.email).toLowerCase(),
+    phone: asString(input.phone).replace(/[\s().-]/g, '')
+  };
+  const errors = {};
+
+  if (!BOOKING_CODE_PATTERN.test(values.bookingCode)) {
+    errors.bookingCode = 'Enter the booking code you were given on the call (e.g. NL-A742)';
+  }
+  if (!NAME_PATTERN.test(values.name)) {
+    errors.name = 'Enter your full name';
+  }
+  if (values.email.length > 254 || !EMAIL_PATTERN.test(values.email)) {
+    errors.email = 'Enter a valid email address';
+  }
+  if (!PHONE_PATTERN.test(values.phone)) {
+    errors.phone = 'Enter a valid phone number with 10 to 15 digits';
+  }
+
+  return { valid: Object.keys(errors).length === 0, errors, values };
+}
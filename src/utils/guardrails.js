@@ -75,11 +75,11 @@ export function sanitizePII(text) {
   
   let sanitized = text;
   
-  // Remove phone numbers
-  sanitized = sanitized.replace(PII_PATTERNS.PHONE, '[REDACTED]');
+  // Remove phone numbers (every occurrence: the shared patterns are not global)
+  sanitized = sanitized.replace(new RegExp(PII_PATTERNS.PHONE.source, 'g'), '[REDACTED]');
   
   // Remove email addresses
-  sanitized = sanitized.replace(PII_PATTERNS.EMAIL, '[REDACTED]');
+  sanitized = sanitized.replace(new RegExp(PII_PATTERNS.EMAIL.source, 'g'), '[REDACTED]');
   
   // Remove account numbers (be careful not to remove dates)
   sanitized = sanitized.replace(/\b\d{10,}\b/g, '[REDACTED]');
@@ -6,7 +6,7 @@
 import { INTENTS } from '../config/constants.js';
 
 /**
- * Comprehensive keyword patterns for each intent
+ * Comprehensive keyword patterns for each intent, in English, Hinglish and Hindi (Devanagari)
  */
 const KEYWORD_PATTERNS = {
   [INTENTS.BOOK_NEW]: {
@@ -14,9 +14,13 @@ const KEYWORD_PATTERNS = {
       /\b(book|schedule)\s+(a|an|the)?\s*(new\s+)?(appointment|consultation|call|meeting|slot)/i,
       /\b(i\s+want|i\s+need|i\s+would\s+like|i\s+'d\s+like|can\s+i)\s+(to\s+)?(book|schedule)\s+(a|an)?\s*(appointment|call|meeting|slot)/i,
       /\b(set\s+up|arrange|organize)\s+(a|an|the)?\s*(new\s+)?(appointment|call|meeting|consultation)/i,
-      /\b(new\s+)?(appointment|booking)\s+(please|for|with)/i
+      /\b(new\s+)?(appointment|booking)\s+(please|for|with)/i,
+      /\b(appointment|booking|slot|meeting|call)\s+(book|schedule|fix)\s+(karna|karni|karo|kar\s+do|kijiye|karwana|chahiye)/i,
+      /\b(advisor|salahkar)\s+se\s+(baat|milna)/i,
+      /(अपॉइंटमेंट|बुकिंग|स्लॉट|मीटिंग).*(बुक|चाहिए|करनी|करना)/
     ],
     secondary: [
+      /\bbook\s+(karna|karni|karo|kar)\b/i,
       /\b(talk|speak|discuss|meet)\s+(with|to)\s+(an?\s+)?(advisor|consultant|expert)\s+(?!when|available|free)/i,
       /\b(need|want|looking\s+for)\s+(an?\s+)?(appointment|booking|slot|call)/i,
       /\b(book|schedule|appointment|slot)\b/i
@@ -26,10 +30,13 @@ const KEYWORD_PATTERNS = {
     primary: [
       /\b(reschedule|re-schedule|re\s+schedule)\b/i,
       /\b(change|modify|move|shift|adjust)\s+(my|the)?\s*(appointment|booking|slot|call|meeting|time)/i,
-      /\b(change|modify|move|shift|adjust)\s+(appointment|booking|slot|call|meeting)\s+(time|date|schedule)/i
+      /\b(change|modify|move|shift|adjust)\s+(appointment|booking|slot|call|meeting)\s+(time|date|schedule)/i,
+      /\b(time|date|din|samay|appointment|booking)\s+(badalna|badalni|badal\s+do|badal\s+dijiye|change\s+karna|change\s+karo)/i,
+      /(समय|तारीख|दिन|अपॉइंटमेंट).*(बदलना|बदलनी|बदल\s*दो|बदल\s*दीजिए)/
     ],
     secondary: [
       /\b(different|another|other)\s+(time|date|day|slot)/i,
+      /\b(dusra|doosra|koi\s+aur)\s+(time|din|samay|slot)/i,
       /\b(can\s+i|i\s+want\s+to|i\s+need\s+to)\s+(change|move|reschedule)/i
     ]
   },
@@ -37,10 +44,13 @@ const KEYWORD_PATTERNS = {
     primary: [
       /\b(cancel|cancellation|cancelling|cancelled)\b/i,
       /\b(remove|delete|drop)\s+(my|the)?\s*(appointment|booking|slot|call|meeting)/i,
-      /\b(can't|cannot|won't|will\s+not)\s+(make\s+it|attend|come)/i
+      /\b(can't|cannot|won't|will\s+not)\s+(make\s+it|attend|come)/i,
+      /\bradd\b/i,
+      /(रद्द|कैंसल|कैंसिल)/
     ],
     secondary: [
       /\b(not\s+able|unable|can't)\s+(to\s+)?(make|attend|come|be\s+there)/i,
+      /\bnahi\s+aa\s+(paunga|paungi|paoonga|paoongi|sakta|sakti)\b/i,
       /\b(please\s+)?(remove|delete|cancel)\s+(it|this|that|my\s+slot)/i
     ]
   },
@@ -49,9 +59,13 @@ const KEYWORD_PATTERNS = {
       /\b(what|which)\s+(should\s+i|do\s+i\s+need|to)\s+(prepare|bring|have|need|get)/i,
       /\b(prepare|preparation|preparing)\s+(for|what)/i,
       /\b(what|which)\s+(documents|papers|items|things)\s+(do\s+i\s+)?(need|require|should\s+bring)/i,
-      /\b(preparation|prepare)\s+(checklist|list)/i
+      /\b(preparation|prepare)\s+(checklist|list)/i,
+      /\bkya\s+(kya\s+)?(lana|laana|le\s+kar\s+aana|tayyar\s+karna|taiyar\s+karna)\b/i,
+      /\b(kaun|kon)\s+se\s+(documents|kagaz|kaagaz|dastavez)/i,
+      /(क्या\s+(क्या\s+)?लाना|कौन\s+से\s+(दस्तावेज़|दस्तावेज|कागज़|कागज)|तैयारी)/
     ],
     secondary: [
+      /\b(taiyari|tayyari|dastavez|kagaz|kaagaz)\b/i,
       /\b(checklist|list)\s+(of|for)\s+(what|documents|items)/i,
       /\b(what\s+to|what\s+do\s+i)\s+(bring|prepare|have\s+ready)/i,
       /\b(required|needed)\s+(documents|papers|items)/i,
@@ -64,9 +78,14 @@ const KEYWORD_PATTERNS = {
       /\b(available|availability|free|open)\s+(slots|times|appointments|dates)/i,
       /\b(show|tell|give)\s+me\s+(available|free|open)\s+(slots|times|appointments)/i,
       /\b(when|what\s+times)\s+(can\s+i)?\s*(book|schedule|appointment)/i,
-      /\bwhen\s+(can\s+i|are\s+you)\s+(speak|talk|available|free)/i
+      /\bwhen\s+(can\s+i|are\s+you)\s+(speak|talk|available|free)/i,
+      /\b(slot|slots|time|samay)\s+(khali|available|free)\s+(hai|hain)/i,
+      /\bkab\s+(khali|available|free|milega|milenge)\b/i,
+      /(कब|कौन\s+सा\s+समय).*(खाली|उपलब्ध|मिलेगा)/
     ],
     secondary: [
+      /\b(khali|uplabdh)\b/i,
+      /(खाली|उपलब्ध)/,
       /\b(what|which)\s+(slots|times|dates)\s+(are\s+)?(available|free|open)/i,
       /\b(check|see|view)\s+(available|free|open)\s+(slots|times|appointments)/i,
       /\b(when|available|slots|times)\b/i
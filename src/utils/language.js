@@ -0,0 +1,185 @@
+/**
+ * Language Detection and Hindi/Hinglish Normalisation
+ * Detects the caller's language (English, Hindi or Hinglish), recognises explicit
+ * language requests, and rewrites Hindi/Hinglish date and time expressions into the
+ * English phrases parseDateTimePreference understands.
+ */
+
+import { LANGUAGES } from '../config/constants.js';
+
+const DEVANAGARI = /[ऀ-ॿ]/;
+
+// Common Hindi words in Latin script that are not also English words
+const HINGLISH_MARKERS = new Set([
+  'hai', 'hain', 'haan', 'nahi', 'nahin', 'mujhe', 'mera', 'meri', 'mere', 'aap', 'aapka', 'aapki',
+  'kya', 'karna', 'karni', 'karo', 'kijiye', 'chahiye', 'chahta', 'chahti', 'kal', 'parso', 'parson',
+  'aaj', 'subah', 'dopahar', 'shaam', 'raat', 'baje', 'ko', 'ke', 'ki', 'ka', 'mein', 'bhi', 'abhi',
+  'kab', 'kaise', 'theek', 'thik', 'accha', 'acha', 'batao', 'bataiye', 'dijiye', 'agle', 'hafte',
+  'wala', 'wali', 'aur', 'lekin', 'se', 'liye', 'badalna', 'khali'
+]);
+
+// Explicit requests to switch language, checked in this order
+const LANGUAGE_SELECTIONS = [
+  { language: LANGUAGES.HINGLISH, pattern: /\bhinglish\b/i },
+  { language: LANGUAGES.HINDI, pattern: /\b(?:speak|talk|reply|respond|continue)\s+(?:in\s+)?hindi\b|\bin\s+hindi\b|\bhindi\s+(?:mein|me|main|please)\b|हिंदी|हिन्दी/i },
+  { language: LANGUAGES.ENGLISH, pattern: /\b(?:speak|talk|reply|respond|continue)\s+(?:in\s+)?english\b|\bin\s+english\b|\benglish\s+(?:mein|me|main|please)\b|अंग्रेज़ी|अंग्रेजी|इंग्लिश/i }
+];
+
+/**
+ * Build a whole-word regex from Latin-script and Devanagari spellings.
+ * \b does not work for Devanagari, so those words are bounded by lookarounds.
+ * @private
+ */
+function wordPattern(latin, devanagari = []) {
+  const alternatives = [];
+  if (latin.length) alternatives.push(`\\b(?:${latin.join('|')})\\b`);
+  if (devanagari.length) alternatives.push(`(?<![\\u0900-\\u097F])(?:${devanagari.join('|')})(?![\\u0900-\\u097F])`);
+  return new RegExp(alternatives.join('|'), 'g');
+}
+
+// Hindi/Hinglish date and time words and their English equivalents. Weekdays come
+// before "agle" (next) so "agle somvar" becomes "next monday".
+const DATE_TIME_REPLACEMENTS = [
+  [wordPattern(['parso', 'parson', 'parsoon'], ['परसों', 'परसो']), 'day after tomorrow'],
+  [wordPattern(['kal'], ['कल']), 'tomorrow'],
+  [wordPattern(['aaj'], ['आज']), 'today'],
+  [wordPattern(['somvar', 'somwar'], ['सोमवार']), 'monday'],
+  [wordPattern(['mangalvar', 'mangalwar'], ['मंगलवार']), 'tuesday'],
+  [wordPattern(['budhvar', 'budhwar'], ['बुधवार']), 'wednesday'],
+  [wordPattern(['guruvar', 'guruwar', 'brihaspativar', 'brihaspatiwar'], ['गुरुवार', 'बृहस्पतिवार']), 'thursday'],
+  [wordPattern(['shukravar', 'shukrawar'], ['शुक्रवार']), 'friday'],
+  [wordPattern(['shanivar', 'shaniwar'], ['शनिवार']), 'saturday'],
+  [wordPattern(['ravivar', 'raviwar', 'itvaar', 'itwar'], ['रविवार', 'इतवार']), 'sunday'],
+  [wordPattern(['hafte', 'hafta', 'saptah'], ['हफ्ते', 'हफ़्ते', 'सप्ताह']), 'week'],
+  [wordPattern(['agle', 'agla', 'agli'], ['अगले', 'अगला', 'अगली']), 'next'],
+  [wordPattern(['subah', 'subha', 'savere'], ['सुबह', 'सवेरे']), 'morning'],
+  [wordPattern(['dopahar', 'dopehar', 'dophar'], ['दोपहर']), 'afternoon'],
+  [wordPattern(['shaam', 'sham'], ['शाम']), 'evening'],
+  [wordPattern(['raat'], ['रात']), 'night']
+];
+
+// Yes and no in Hindi and Hinglish, for the confirmation questions. "जी" alone is
+// left out because it also opens "जी नहीं".
+const HINDI_YES = wordPattern(
+  ['haan', 'haa', 'haanji', 'ji haan', 'theek hai', 'thik hai', 'sahi hai', 'bilkul', 'zaroor', 'jarur'],
+  ['हाँ', 'हां', 'जी हाँ', 'जी हां', 'ठीक है', 'सही है', 'बिल्कुल', 'ज़रूर', 'जरूर']
+);
+const HINDI_NO = wordPattern(['nahi', 'nahin', 'nahi ji', 'mat karo', 'galat'], ['नहीं', 'नही', 'ना', 'मत', 'गलत', 'ग़लत']);
+
+// Devanagari spellings of the words convertBaje understands
+const DEVANAGARI_TIME_WORDS = [
+  [wordPattern([], ['बजे']), 'baje'],
+  [wordPattern([], ['साढ़े', 'साढे']), 'saade'],
+  [wordPattern([], ['सवा']), 'sava'],
+  [wordPattern([], ['पौने']), 'paune'],
+  [wordPattern([], ['डेढ़', 'डेढ']), 'dedh'],
+  [wordPattern([], ['ढाई']), 'dhai']
+];
+
+/**
+ * Convert "X baje" to "h:mm am/pm". Without a morning/evening hint, hours
+ * from 1 to 7 are read as PM since the desk is open 10 AM to 6 PM.
+ * @private
+ */
+function convertBaje(text) {
+  const fixed = { dedh: [1, 30], dhai: [2, 30], dhaai: [2, 30] };
+  return text.replace(/\b(?:(saade|sade|sava|savaa|paune|pone)\s+)?(\d{1,2}|dedh|dhai|dhaai)\s*baje\b/g, (match, modifier, hourText) => {
+    let [hour, minute] = fixed[hourText] || [parseInt(hourText, 10), 0];
+    if (modifier === 'saade' || modifier === 'sade') minute = 30;
+    else if (modifier === 'sava' || modifier === 'savaa') minute = 15;
+    else if (modifier === 'paune' || modifier === 'pone') {
+      hour = hour === 1 ? 12 : hour - 1;
+      minute = 45;
+    }
+
+    let period;
+    if (/\bmorning\b/.test(text)) period = 'am';
+    else if (/\b(?:afternoon|evening|night)\b/.test(text)) period = 'pm';
+    else period = hour >= 8 && hour < 12 ? 'am' : 'pm';
+
+    return `${hour}:${String(minute).padStart(2, '0')} ${period}`;
+  });
+}
+
+/**
+ * Detect the language of a caller utterance
+ * @param {string} text - User input
+ * @returns {string|null} One of LANGUAGES, or null if the utterance is too short to tell
+ */
+export function detectLanguage(text) {
+  if (!text || typeof text !== 'string') {
+    return null;
+  }
+
+  if (DEVANAGARI.test(text)) {
+    return LANGUAGES.HINDI;
+  }
+
+  const words = text.toLowerCase().match(/[a-z']+/g) || [];
+  const markers = words.filter(word => HINGLISH_MARKERS.has(word)).length;
+  if (markers >= 2) {
+    return LANGUAGES.HINGLISH;
+  }
+  if (markers === 0 && words.length >= 4) {
+    return LANGUAGES.ENGLISH;
+  }
+  return null;
+}
+
+/**
+ * Detect an explicit request to switch language ("Hindi mein baat karo", "speak in English")
+ * @param {string} text - User input
+ * @returns {string|null} Requested language, or null if none
+ */
+export function detectLanguageSelection(text) {
+  if (!text || typeof text !== 'string') {
+    return null;
+  }
+  const selection = LANGUAGE_SELECTIONS.find(({ pattern }) => pattern.test(text));
+  return selection ? selection.language : null;
+}
+
+/**
+ * Recognise a yes said in Hindi or Hinglish ("हाँ", "ji haan", "theek hai")
+ * @param {string} text - User input
+ * @returns {boolean} True if the caller agreed; a "no" in the same breath wins
+ */
+export function isHindiYes(text) {
+  if (!text || typeof text !== 'string') {
+    return false;
+  }
+  return text.toLowerCase().search(HINDI_YES) !== -1 && !isHindiNo(text);
+}
+
+/**
+ * Recognise a no said in Hindi or Hinglish ("नहीं", "nahi", "galat")
+ * @param {string} text - User input
+ * @returns {boolean} True if the caller declined
+ */
+export function isHindiNo(text) {
+  if (!text || typeof text !== 'string') {
+    return false;
+  }
+  return text.toLowerCase().search(HINDI_NO) !== -1;
+}
+
+/**
+ * Rewrite Hindi/Hinglish date and time expressions in English
+ * e.g. "kal shaam 4 baje" -> "tomorrow evening 4:00 pm", "parso subah" -> "day after tomorrow morning"
+ * @param {string} text - Lower-cased user input
+ * @returns {string} Text with recognised expressions translated; other words are left as they are
+ */
+export function normalizeDateTimeText(text) {
+  if (!text || typeof text !== 'string') {
+    return text;
+  }
+
+  let normalized = text.replace(/[०-९]/g, digit => String(digit.charCodeAt(0) - 0x0966));
+  for (const [pattern, replacement] of DEVANAGARI_TIME_WORDS) {
+    normalized = normalized.replace(pattern, replacement);
+  }
+  for (const [pattern, replacement] of DATE_TIME_REPLACEMENTS) {
+    normalized = normalized.replace(pattern, replacement);
+  }
+  return convertBaje(normalized);
+}
@@ -0,0 +1,250 @@
+/**
+ * Log Store
+ * Persists log entries as JSON lines in rotating files (one per day, split further when a
+ * file reaches the size cap) and answers time-range, type, session and free-text queries.
+ * Files past the retention period are purged when the day rolls over.
+ * Backend selected with LOG_STORE: 'file' (default) or 'memory' (default under test).
+ */
+
+import fs from 'fs';
+import path from 'path';
+import readline from 'readline';
+import { fileURLToPath } from 'url';
+import { LOG_STORAGE } from '../config/constants.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const DEFAULT_LOG_DIR = path.join(__dirname, '../../logs');
+const LOG_FILE_PATTERN = /^app-(\d{4}-\d{2}-\d{2})(?:\.(\d+))?\.jsonl$/;
+const TAIL_BYTES = 64 * 1024;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Check a log entry against query filters
+ * @param {Object} entry - Log entry
+ * @param {Object} filters - { from, to (Dates), type, sessionId, q (free text, case-insensitive) }
+ * @param {string} text - Serialised entry for the free-text match (default: JSON of the entry)
+ * @returns {boolean} True if the entry matches every given filter
+ */
+export function matchesLogQuery(entry, { from, to, type, sessionId, q } = {}, text = null) {
+  if (type && entry.type !== type) return false;
+  if (sessionId && entry.sessionId !== sessionId) return false;
+  if (from || to) {
+    const timestamp = new Date(entry.timestamp);
+    if (from && timestamp < from) return false;
+    if (to && timestamp > to) return false;
+  }
+  if (q && !(text || JSON.stringify(entry)).toLowerCase().includes(q.toLowerCase())) return false;
+  return true;
+}
+
+/**
+ * Serialise an entry to one JSON line; metadata that cannot be serialised is dropped
+ * @private
+ */
+function toLine(entry) {
+  try {
+    return JSON.stringify(entry);
+  } catch (error) {
+    const { id, timestamp, type, message, sessionId } = entry;
+    return JSON.stringify({ id, timestamp, type, message, sessionId, metadataError: error.message });
+  }
+}
+
+/**
+ * Rotating JSONL log files: logs/app-YYYY-MM-DD.jsonl, then app-YYYY-MM-DD.1.jsonl, ... (UTC days)
+ * Writes are synchronous so entries land in order and survive a crash right after logging.
+ */
+export class FileLogStore {
+  /**
+   * @param {Object} options - Options
+   * @param {string} options.dir - Directory for log files (default: logs/)
+   * @param {number} options.maxFileBytes - Size at which a file is rotated
+   * @param {number} options.retentionDays - Days of log files to keep (0 keeps them all)
+   */
+  constructor({
+    dir = DEFAULT_LOG_DIR,
+    maxFileBytes = LOG_STORAGE.maxFileMegabytes * 1024 * 1024,
+    retentionDays = LOG_STORAGE.retentionDays
+  } = {}) {
+    this.dir = dir;
+    this.maxFileBytes = maxFileBytes;
+    this.retentionDays = retentionDays;
+    this.currentDay = null;
+    this.currentPart = 0;
+    this.currentSize = 0;
+  }
+
+  /**
+   * Log files, oldest first
+   * @returns {Array<Object>} [{ file, day, part }]
+   */
+  listFiles() {
+    let names;
+    try {
+      names = fs.readdirSync(this.dir);
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+    return names
+      .map(file => {
+        const match = file.match(LOG_FILE_PATTERN);
+        return match ? { file, day: match[1], part: match[2] ? parseInt(match[2], 10) : 0 } : null;
+      })
+      .filter(Boolean)
+      .sort((a, b) => a.day.localeCompare(b.day) || a.part - b.part);
+  }
+
+  /**
+   * @private
+   */
+  fileName(day, part) {
+    return path.join(this.dir, part > 0 ? `app-${day}.${part}.jsonl` : `app-${day}.jsonl`);
+  }
+
+  /**
+   * Highest ID already written, so IDs keep increasing across restarts
+   * Only the tail of the newest file is read.
+   * @returns {number} Last ID, or 0 when there are no logs
+   */
+  getLastId() {
+    const files = this.listFiles();
+    for (const { file } of files.reverse()) {
+      const filePath = path.join(this.dir, file);
+      const { size } = fs.statSync(filePath);
+      const length = Math.min(size, TAIL_BYTES);
+      const buffer = Buffer.alloc(length);
+      const fd = fs.openSync(filePath, 'r');
+      try {
+        fs.readSync(fd, buffer, 0, length, size - length);
+      } finally {
+        fs.closeSync(fd);
+      }
+
+      const lines = buffer.toString('utf-8').split('\n').filter(line => line.trim());
+      for (const line of lines.reverse()) {
+        try {
+          const { id } = JSON.parse(line);
+          if (Number.isInteger(id)) return id;
+        } catch {
+          // First line of the tail may be cut off; keep looking
+        }
+      }
+    }
+    return 0;
+  }
+
+  /**
+   * Write an entry, rotating to a new file on a new day or when the current one is full
+   * @param {Object} entry - Log entry with id and ISO timestamp
+   */
+  append(entry) {
+    const line = `${toLine(entry)}\n`;
+    const day = entry.timestamp.slice(0, 10);
+
+    if (day !== this.currentDay) {
+      fs.mkdirSync(this.dir, { recursive: true });
+      const parts = this.listFiles().filter(f => f.day === day);
+      this.currentDay = day;
+      this.currentPart = parts.length > 0 ? parts[parts.length - 1].part : 0;
+      this.currentSize = parts.length > 0 ? fs.statSync(this.fileName(day, this.currentPart)).size : 0;
+      this.purge(new Date(entry.timestamp));
+    }
+
+    if (this.currentSize > 0 && this.currentSize + Buffer.byteLength(line) > this.maxFileBytes) {
+      this.currentPart += 1;
+      this.currentSize = 0;
+    }
+
+    fs.appendFileSync(this.fileName(this.currentDay, this.currentPart), line, 'utf-8');
+    this.currentSize += Buffer.byteLength(line);
+  }
+
+  /**
+   * Delete files older than the retention period
+   * @param {Date} now - Current time (default: now)
+   * @returns {Array<string>} Deleted file names
+   */
+  purge(now = new Date()) {
+    if (!(this.retentionDays > 0)) return [];
+    const cutoffDay = new Date(now.getTime() - this.retentionDays * DAY_MS).toISOString().slice(0, 10);
+
+    const deleted = [];
+    for (const { file, day } of this.listFiles()) {
+      if (day < cutoffDay) {
+        fs.rmSync(path.join(this.dir, file), { force: true });
+        deleted.push(file);
+      }
+    }
+    return deleted;
+  }
+
+  /**
+   * Find log entries, newest first
+   * Files are streamed newest first and only the entries up to the requested page are kept in memory.
+   * @param {Object} filters - { from, to (Dates), type, sessionId, q, limit (default 100), offset (default 0) }
+   * @returns {Promise<Object>} { logs, total } where total counts every match
+   */
+  async query({ limit = 100, offset = 0, ...filters } = {}) {
+    const fromDay = filters.from ? filters.from.toISOString().slice(0, 10) : null;
+    const toDay = filters.to ? filters.to.toISOString().slice(0, 10) : null;
+
+    const newest = []; // Matches up to the end of the page, newest first
+    let total = 0;
+    for (const { file, day } of this.listFiles().reverse()) {
+      if ((fromDay && day < fromDay) || (toDay && day > toDay)) continue;
+
+      // Lines in a file are oldest first: keep the last matches that still fit on the page
+      const wanted = offset + limit - newest.length;
+      const kept = [];
+      const lines = readline.createInterface({
+        input: fs.createReadStream(path.join(this.dir, file), 'utf-8'),
+        crlfDelay: Infinity
+      });
+      for await (const line of lines) {
+        if (!line.trim()) continue;
+        let entry;
+        try {
+          entry = JSON.parse(line);
+        } catch {
+          continue; // A line cut short by a crash
+        }
+        if (!matchesLogQuery(entry, filters, line)) continue;
+
+        total += 1;
+        if (wanted > 0) {
+          kept.push(entry);
+          if (kept.length > wanted) kept.shift();
+        }
+      }
+      newest.push(...kept.reverse());
+    }
+
+    return { logs: newest.slice(offset, offset + limit), total };
+  }
+}
+
+/**
+ * Create the log store configured in the environment
+ * LOG_STORE: 'file' or 'memory' (default: memory under test, file otherwise)
+ * LOG_DIR, LOG_MAX_FILE_MB and LOG_RETENTION_DAYS configure the file store.
+ * @returns {FileLogStore|null} File store, or null to keep logs in memory only
+ */
+export function createLogStore(env = process.env) {
+  const backend = (env.LOG_STORE || (env.NODE_ENV === 'test' ? 'memory' : 'file')).toLowerCase();
+  if (backend === 'memory') return null;
+  if (backend !== 'file') {
+    // The logger is not available yet: it is the one being set up
+    console.error(`LogStore: Unknown backend "${backend}", falling back to file`);
+  }
+
+  const maxFileMb = parseFloat(env.LOG_MAX_FILE_MB);
+  const retentionDays = parseInt(env.LOG_RETENTION_DAYS, 10);
+  return new FileLogStore({
+    dir: env.LOG_DIR || DEFAULT_LOG_DIR,
+    maxFileBytes: (maxFileMb > 0 ? maxFileMb : LOG_STORAGE.maxFileMegabytes) * 1024 * 1024,
+    retentionDays: retentionDays >= 0 ? retentionDays : LOG_STORAGE.retentionDays
+  });
+}
@@ -1,11 +1,49 @@
 /**
  * Logger for tracking backend operations and system events
+ * Recent entries are kept in memory; every entry is also written to the log store
+ * (rotating JSONL files) so logs survive restarts and can be queried.
  */
 
+import { createLogStore, matchesLogQuery } from './logStore.js';
+
 export class Logger {
-  constructor() {
+  /**
+   * @param {FileLogStore|null} store - Persistent log store; null keeps logs in memory only.
+   *   Left out, the LOG_STORE backend is created on first use: dotenv may load its settings after this module is imported.
+   */
+  constructor(store = undefined) {
     this.logs = [];
-    this.maxLogs = 1000; // Keep last 1000 logs
+    this.maxLogs = 1000; // Recent entries kept in memory
+    this.store = store;
+    this.lastId = 0;
+    if (store !== undefined) {
+      this.loadLastId();
+    }
+  }
+
+  /**
+   * Get the persistent log store, creating the configured one on first use
+   * @returns {FileLogStore|null} Log store, or null when logs are kept in memory only
+   */
+  getStore() {
+    if (this.store === undefined) {
+      this.store = createLogStore();
+      this.loadLastId();
+    }
+    return this.store;
+  }
+
+  /**
+   * Continue IDs from the last persisted entry so they never repeat
+   * @private
+   */
+  loadLastId() {
+    if (!this.store) return;
+    try {
+      this.lastId = this.store.getLastId();
+    } catch (error) {
+      console.error(`Logger: Failed to read the last log ID: ${error.message}`);
+    }
   }
 
   /**
@@ -15,8 +53,10 @@ export class Logger {
    * @param {Object} metadata - Additional metadata
    */
   log(type, message, metadata = {}) {
+    const store = this.getStore();
+    this.lastId += 1;
     const logEntry = {
-      id: this.logs.length + 1,
+      id: this.lastId,
       timestamp: new Date().toISOString(),
       type,
       message,
@@ -30,6 +70,15 @@ export class Logger {
     if (this.logs.length > this.maxLogs) {
       this.logs.shift();
     }
+
+    if (store) {
+      try {
+        store.append(logEntry);
+      } catch (error) {
+        // Never log a failed write through the logger: it would fail again
+        console.error(`Logger: Failed to persist log ${logEntry.id}: ${error.message}`);
+      }
+    }
     
     // Also log to console for debugging
     const emoji = this.getEmoji(type);
@@ -74,7 +123,21 @@ export class Logger {
   }
 
   /**
-   * Clear all logs
+   * Find log entries, newest first: the whole log store, or the recent entries when logs are kept in memory
+   * @param {Object} filters - { from, to (Dates), type, sessionId, q (free text), limit (default 100), offset (default 0) }
+   * @returns {Promise<Object>} { logs, total } where total counts every match
+   */
+  async query({ limit = 100, offset = 0, ...filters } = {}) {
+    const store = this.getStore();
+    if (store) {
+      return store.query({ limit, offset, ...filters });
+    }
+    const matches = this.logs.filter(entry => matchesLogQuery(entry, filters)).reverse();
+    return { logs: matches.slice(offset, offset + limit), total: matches.length };
+  }
+
+  /**
+   * Clear the recent logs kept in memory (persisted files are left to the retention policy)
    */
   clear() {
     this.logs = [];
@@ -0,0 +1,197 @@
+/**
+ * Recurrence Utilities
+ * Recognises recurring appointment requests ("every first Monday at 11",
+ * "every Tuesday at 3 pm for 4 weeks") and expands them into occurrences.
+ * Weekday and time of day are read in the caller's timezone.
+ */
+
+import { format } from 'date-fns';
+import { utcToZonedTime, zonedTimeToUtc } from 'date-fns-tz';
+import { RECURRING_SERIES, LANGUAGES } from '../config/constants.js';
+import { DESK_TIMEZONE } from './timezone.js';
+import { now } from './clock.js';
+
+export const RECURRENCE_FREQUENCIES = {
+  WEEKLY: 'weekly',
+  MONTHLY: 'monthly'
+};
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+// Week of the month; -1 is the last one
+const ORDINALS = {
+  first: 1, '1st': 1,
+  second: 2, '2nd': 2,
+  third: 3, '3rd': 3,
+  fourth: 4, '4th': 4,
+  last: -1
+};
+
+const ORDINAL_NAMES = { 1: 'first', 2: 'second', 3: 'third', 4: 'fourth', [-1]: 'last' };
+
+// Patterns read back to Hindi and Hinglish callers
+const HINDI_WEEKDAYS = ['रविवार', 'सोमवार', 'मंगलवार', 'बुधवार', 'गुरुवार', 'शुक्रवार', 'शनिवार'];
+const HINDI_ORDINALS = { 1: 'पहले', 2: 'दूसरे', 3: 'तीसरे', 4: 'चौथे', [-1]: 'आखिरी' };
+const HINGLISH_ORDINALS = { 1: 'pehle', 2: 'doosre', 3: 'teesre', 4: 'chauthe', [-1]: 'aakhri' };
+
+const NUMBER_WORDS = {
+  two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10, eleven: 11, twelve: 12
+};
+
+const WEEKDAY = '(sunday|monday|tuesday|wednesday|thursday|friday|saturday)s?';
+const ORDINAL = '(first|1st|second|2nd|third|3rd|fourth|4th|last)';
+
+// A series needs the interval itself: "every Monday", not just "every" somewhere in the sentence
+// ("Monday works, I'm free every afternoon" is a one-off request)
+const MONTHLY_PATTERNS = [
+  new RegExp(`\\b(?:every|each)\\s+(?:month\\s+on\\s+the\\s+)?${ORDINAL}\\s+${WEEKDAY}\\b`, 'i'), // every first Monday
+  new RegExp(`\\b${ORDINAL}\\s+${WEEKDAY}\\s+of\\s+(?:every|each)\\s+month\\b`, 'i'), // first Monday of every month
+  new RegExp(`\\bmonthly\\s+on\\s+(?:the\\s+)?${ORDINAL}\\s+${WEEKDAY}\\b`, 'i'), // monthly on the first Monday
+  new RegExp(`\\b${ORDINAL}\\s+${WEEKDAY}\\s+(?:of\\s+the\\s+month\\s+)?monthly\\b`, 'i') // first Monday monthly
+];
+const WEEKLY_PATTERNS = [
+  new RegExp(`\\b(?:every|each)\\s+(?:week\\s+on\\s+)?${WEEKDAY}\\b`, 'i'), // every Tuesday, every week on Tuesday
+  new RegExp(`\\bweekly\\s+on\\s+${WEEKDAY}\\b`, 'i'), // weekly on Tuesday
+  new RegExp(`\\b${WEEKDAY}\\s+(?:(?:every|each)\\s+week|weekly)\\b`, 'i') // Tuesday every week, Tuesdays weekly
+];
+const COUNT = /\bfor\s+(?:the\s+next\s+)?(\d{1,2}|two|three|four|five|six|seven|eight|nine|ten|eleven|twelve)\s+(?:months?|weeks?|times|sessions|appointments)\b/i;
+
+/**
+ * Read the time of day, e.g. "at 11", "at 3:30 pm", "11am"
+ * Without am/pm, hours that fall outside desk hours in the morning are read as afternoon.
+ * @private
+ */
+function parseTimeOfDay(text) {
+  const match = text.match(/\bat\s+(\d{1,2})(?::(\d{2}))?\s*(am|pm|a\.m\.|p\.m\.)?/i) ||
+    text.match(/\b(\d{1,2})(?::(\d{2}))?\s*(am|pm|a\.m\.|p\.m\.)/i);
+  if (!match) return null;
+
+  let hour = parseInt(match[1], 10);
+  const minute = match[2] ? parseInt(match[2], 10) : 0;
+  const meridiem = match[3] ? match[3].replace(/\./g, '').toLowerCase() : null;
+  if (hour > 23 || minute > 59) return null;
+
+  if (meridiem === 'pm' && hour < 12) hour += 12;
+  else if (meridiem === 'am' && hour === 12) hour = 0;
+  else if (!meridiem && hour >= 1 && hour <= 7) hour += 12;
+  return { hour, minute };
+}
+
+/**
+ * Recognise a recurring appointment request
+ * @param {string} input - Caller's words
+ * @param {Object} options - Options
+ * @param {string} options.timeZone - Caller's timezone (default: desk timezone)
+ * @returns {Object|null} Rule { frequency, weekday, ordinal, hour, minute, count, timeZone }, or null if
+ *   the input is not recurring. hour and minute are null when no time of day was given.
+ */
+export function parseRecurrence(input, options = {}) {
+  if (!input) return null;
+  const text = input.toLowerCase();
+
+  let frequency;
+  let weekday;
+  let ordinal = null;
+  const monthly = MONTHLY_PATTERNS.map(pattern => text.match(pattern)).find(Boolean);
+  const weekly = monthly ? null : WEEKLY_PATTERNS.map(pattern => text.match(pattern)).find(Boolean);
+  if (monthly) {
+    frequency = RECURRENCE_FREQUENCIES.MONTHLY;
+    ordinal = ORDINALS[monthly[1]];
+    weekday = WEEKDAYS.indexOf(monthly[2]);
+  } else if (weekly) {
+    frequency = RECURRENCE_FREQUENCIES.WEEKLY;
+    weekday = WEEKDAYS.indexOf(weekly[1]);
+  } else {
+    return null;
+  }
+
+  const time = parseTimeOfDay(text);
+  const countMatch = text.match(COUNT);
+  const requested = countMatch ? (NUMBER_WORDS[countMatch[1]] || parseInt(countMatch[1], 10)) : RECURRING_SERIES.defaultOccurrences;
+
+  return {
+    frequency,
+    weekday,
+    ordinal,
+    hour: time ? time.hour : null,
+    minute: time ? time.minute : null,
+    count: Math.max(1, Math.min(requested, RECURRING_SERIES.maxOccurrences)),
+    timeZone: options.timeZone || DESK_TIMEZONE
+  };
+}
+
+/**
+ * Day of the month of the nth weekday (ordinal -1: the last one)
+ * @private
+ */
+function nthWeekdayOfMonth(year, month, weekday, ordinal) {
+  if (ordinal === -1) {
+    const lastDay = new Date(Date.UTC(year, month + 1, 0));
+    return lastDay.getUTCDate() - ((lastDay.getUTCDay() - weekday + 7) % 7);
+  }
+  const firstWeekday = new Date(Date.UTC(year, month, 1)).getUTCDay();
+  return 1 + ((weekday - firstWeekday + 7) % 7) + (ordinal - 1) * 7;
+}
+
+/**
+ * Expand a rule into its next occurrences
+ * @param {Object} rule - Rule from parseRecurrence (hour and minute required)
+ * @param {Object} options - Options
+ * @param {number} options.durationMinutes - Appointment length
+ * @param {Date} options.from - Only occurrences starting after this moment (default: now)
+ * @returns {Array<Object>} Occurrences [{ start, end }] in UTC, earliest first
+ */
+export function generateOccurrences(rule, options = {}) {
+  const from = options.from || now();
+  const durationMs = (options.durationMinutes || 30) * 60000;
+  const local = utcToZonedTime(from, rule.timeZone);
+  const time = `${String(rule.hour).padStart(2, '0')}:${String(rule.minute).padStart(2, '0')}:00`;
+  const occurrences = [];
+
+  const add = (year, month, day) => {
+    const wallDate = new Date(Date.UTC(year, month, day));
+    const start = zonedTimeToUtc(`${wallDate.toISOString().slice(0, 10)} ${time}`, rule.timeZone);
+    if (start > from) {
+      occurrences.push({ start, end: new Date(start.getTime() + durationMs) });
+    }
+  };
+
+  if (rule.frequency === RECURRENCE_FREQUENCIES.MONTHLY) {
+    for (let offset = 0; occurrences.length < rule.count; offset++) {
+      const year = local.getFullYear() + Math.floor((local.getMonth() + offset) / 12);
+      const month = (local.getMonth() + offset) % 12;
+      add(year, month, nthWeekdayOfMonth(year, month, rule.weekday, rule.ordinal));
+    }
+  } else {
+    const daysAhead = (rule.weekday - local.getDay() + 7) % 7;
+    for (let week = 0; occurrences.length < rule.count; week++) {
+      add(local.getFullYear(), local.getMonth(), local.getDate() + daysAhead + week * 7);
+    }
+  }
+
+  return occurrences;
+}
+
+/**
+ * Describe a rule for the caller, e.g. "every first Monday at 11:00 AM"
+ * @param {Object} rule - Rule from parseRecurrence
+ * @param {string} language - One of LANGUAGES (default: English)
+ * @returns {string} Description
+ */
+export function describeRecurrence(rule, language = LANGUAGES.ENGLISH) {
+  const day = WEEKDAYS[rule.weekday].replace(/^\w/, c => c.toUpperCase());
+  const monthly = rule.frequency === RECURRENCE_FREQUENCIES.MONTHLY;
+  const time = rule.hour === null ? null : format(new Date(2000, 0, 1, rule.hour, rule.minute), 'h:mm a');
+
+  if (language === LANGUAGES.HINDI) {
+    const when = monthly ? `हर महीने के ${HINDI_ORDINALS[rule.ordinal]} ${HINDI_WEEKDAYS[rule.weekday]}` : `हर ${HINDI_WEEKDAYS[rule.weekday]}`;
+    return time ? `${when} को ${time}` : when;
+  }
+  if (language === LANGUAGES.HINGLISH) {
+    const when = monthly ? `har mahine ke ${HINGLISH_ORDINALS[rule.ordinal]} ${day}` : `har ${day}`;
+    return time ? `${when} ko ${time}` : when;
+  }
+
+  const when = monthly ? `every ${ORDINAL_NAMES[rule.ordinal]} ${day} of the month` : `every ${day}`;
+  return time ? `${when} at ${time}` : when;
+}
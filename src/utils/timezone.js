@@ -1,14 +1,82 @@
 /**
  * Timezone Utilities
  * Provides consistent IST (Asia/Kolkata) timezone handling throughout the application
+ * and recognises the caller's own timezone when they are not in India
  */
 
 import { format, parseISO } from 'date-fns';
 import { utcToZonedTime, zonedTimeToUtc } from 'date-fns-tz';
 import { logger } from './logger.js';
+import { now } from './clock.js';
 
 export const IST_TIMEZONE = 'Asia/Kolkata';
 
+// Advisor availability and booking storage are always anchored to the desk timezone
+export const DESK_TIMEZONE = IST_TIMEZONE;
+
+// Places and zone names callers use, mapped to IANA timezones
+const TIMEZONE_ALIASES = [
+  { pattern: /\b(?:dubai|abu dhabi|uae|gst)\b/i, timeZone: 'Asia/Dubai' },
+  { pattern: /\b(?:doha|qatar)\b/i, timeZone: 'Asia/Qatar' },
+  { pattern: /\b(?:riyadh|saudi)\b/i, timeZone: 'Asia/Riyadh' },
+  { pattern: /\b(?:london|uk|england|britain|bst|gmt)\b/i, timeZone: 'Europe/London' },
+  { pattern: /\b(?:new york|new jersey|boston|toronto|eastern time|est|edt)\b/i, timeZone: 'America/New_York' },
+  { pattern: /\b(?:chicago|dallas|houston|central time|cst|cdt)\b/i, timeZone: 'America/Chicago' },
+  { pattern: /\b(?:california|san francisco|los angeles|seattle|bay area|pacific time|pst|pdt)\b/i, timeZone: 'America/Los_Angeles' },
+  { pattern: /\b(?:singapore|sgt)\b/i, timeZone: 'Asia/Singapore' },
+  { pattern: /\b(?:sydney|melbourne|aest|aedt)\b/i, timeZone: 'Australia/Sydney' },
+  { pattern: /\b(?:india|ist|indian)\b/i, timeZone: IST_TIMEZONE }
+];
+
+// "calling from Dubai", "I'm in London", "based in New York"
+const CALLER_LOCATION_PATTERN = /\b(?:calling from|call from|i am in|i'm in|im in|based in|living in|i live in|staying in|from)\s+/i;
+
+/**
+ * Check that a string is an IANA timezone the runtime knows
+ * @param {string} timeZone - e.g. 'Europe/London'
+ * @returns {boolean}
+ */
+export function isValidTimezone(timeZone) {
+  if (!timeZone || typeof timeZone !== 'string') return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Find a timezone mentioned by the caller ("calling from Dubai", "3 pm London time", "4 PM EST")
+ * @param {string} text - User input
+ * @returns {Object|null} { timeZone, isCallerLocation } or null. isCallerLocation is true when the
+ *   caller says where they are, rather than naming a zone for one time.
+ */
+export function detectTimezone(text) {
+  if (!text || typeof text !== 'string') return null;
+
+  for (const { pattern, timeZone } of TIMEZONE_ALIASES) {
+    const match = text.match(pattern);
+    if (match) {
+      const before = text.slice(0, match.index);
+      const isCallerLocation = new RegExp(`${CALLER_LOCATION_PATTERN.source}$`, 'i').test(before);
+      return { timeZone, isCallerLocation };
+    }
+  }
+  return null;
+}
+
+/**
+ * Short label for a timezone: "IST" for the desk, otherwise the city ("London time")
+ * @param {string} timeZone - IANA timezone
+ * @returns {string}
+ */
+export function getTimezoneLabel(timeZone) {
+  if (!timeZone || timeZone === IST_TIMEZONE) return 'IST';
+  const city = timeZone.split('/').pop().replace(/_/g, ' ');
+  return `${city} time`;
+}
+
 /**
  * Convert a Date or ISO string to IST zoned time
  * @param {Date|string} date - Date object or ISO string
@@ -94,7 +162,7 @@ export function createISTDateTime(dateStr, timeStr) {
  * @returns {Date} Current time as IST zoned date
  */
 export function getCurrentIST() {
-  return toIST(new Date());
+  return toIST(now());
 }
 
 /**
@@ -1,6 +1,6 @@
 /**
  * Topic Taxonomy Mapping
- * Maps free-text user input to one of the 5 fixed topics
+ * Maps free-text user input to one of the 5 fixed topics (English, Hinglish or Hindi)
  */
 
 import { TOPICS, TOPIC_LIST } from '../config/constants.js';
@@ -8,23 +8,28 @@ import { TOPICS, TOPIC_LIST } from '../config/constants.js';
 const TOPIC_KEYWORDS = {
   [TOPICS.KYC_ONBOARDING]: [
     'kyc', 'know your customer', 'onboarding', 'verification', 'identity',
-    'document', 'aadhaar', 'pan', 'passport', 'address proof', 'new account'
+    'document', 'aadhaar', 'pan', 'passport', 'address proof', 'new account',
+    'pehchan', 'pehchaan', 'naya khata', 'naya account', 'केवाईसी', 'आधार', 'पैन', 'पहचान', 'नया खाता'
   ],
   [TOPICS.SIP_MANDATES]: [
     'sip', 'systematic investment plan', 'mandate', 'auto debit', 'recurring',
-    'monthly', 'installment', 'emi', 'automatic', 'standing instruction'
+    'monthly', 'installment', 'emi', 'automatic', 'standing instruction',
+    'kisht', 'har mahine', 'एसआईपी', 'किस्त', 'हर महीने', 'मैंडेट'
   ],
   [TOPICS.STATEMENTS_TAX]: [
     'statement', 'tax', 'document', 'form 16', 'itr', 'income tax',
-    'transaction', 'history', 'report', 'consolidated', 'account statement'
+    'transaction', 'history', 'report', 'consolidated', 'account statement',
+    'vivaran', 'स्टेटमेंट', 'टैक्स', 'आयकर', 'विवरण'
   ],
   [TOPICS.WITHDRAWALS_TIMELINES]: [
     'withdrawal', 'withdraw', 'redeem', 'redemption', 'timeline', 'time',
-    'when', 'how long', 'duration', 'process', 'fund transfer', 'money'
+    'when', 'how long', 'duration', 'process', 'fund transfer', 'money',
+    'paisa nikalna', 'paise nikalne', 'nikasi', 'kitna time', 'kitne din', 'निकासी', 'पैसे निकाल', 'कितने दिन', 'कितना समय'
   ],
   [TOPICS.ACCOUNT_CHANGES]: [
     'nominee', 'nomination', 'change', 'update', 'modify', 'edit',
-    'account change', 'address change', 'contact', 'details', 'update account'
+    'account change', 'address change', 'contact', 'details', 'update account',
+    'namankan', 'pata badalna', 'badlav', 'नॉमिनी', 'नामांकन', 'पता बदल', 'बदलाव'
   ]
 };
 
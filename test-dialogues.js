@@ -0,0 +1,37 @@
+/**
+ * Dialogue evaluation: runs the scripted conversations in src/eval/dialogues (or the
+ * files and directories given) and prints a pass/fail report
+ * Run with: node test-dialogues.js [--keywords] [--verbose] [file|dir ...]
+ *   --keywords  classify with the keyword fallback instead of the configured LLM (no API calls)
+ *   --verbose   keep the engine's own console output
+ * Exits with status 1 when a dialogue fails.
+ */
+
+const args = process.argv.slice(2);
+const flags = new Set(args.filter(arg => arg.startsWith('--')));
+const paths = args.filter(arg => !arg.startsWith('--'));
+
+// The AI service decides between LLM and keywords when it is first imported
+if (flags.has('--keywords')) {
+  process.env.NODE_ENV = 'test';
+}
+// Evaluation runs stay out of the application's log files
+process.env.LOG_STORE = process.env.LOG_STORE || 'memory';
+
+const print = console.log.bind(console);
+const printError = console.error.bind(console);
+if (!flags.has('--verbose')) {
+  console.log = console.info = console.warn = console.error = () => {};
+}
+
+const { loadDialogueScripts, runDialogues, formatReport } = await import('./src/eval/dialogueHarness.js');
+
+try {
+  const scripts = loadDialogueScripts(paths.length > 0 ? paths : ['src/eval/dialogues']);
+  const report = await runDialogues(scripts);
+  print(formatReport(report));
+  process.exit(report.failed > 0 ? 1 : 0);
+} catch (error) {
+  printError(`❌ ${error.message}`);
+  process.exit(1);
+}